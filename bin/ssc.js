@@ -9,6 +9,33 @@ const initCommand = require('../lib/commands/init');
 const setupGithubCommand = require('../lib/commands/setup-github');
 const setupAwsCommand = require('../lib/commands/setup-aws'); 
 const deployCommand = require('../lib/commands/deploy');
+const destroyCommand = require('../lib/commands/destroy');
+const planCommand = require('../lib/commands/plan');
+const applyCommand = require('../lib/commands/apply');
+const rollbackCommand = require('../lib/commands/rollback');
+const verifyCommand = require('../lib/commands/verify');
+const headersCommand = require('../lib/commands/headers');
+const cacheCommand = require('../lib/commands/cache');
+const ciCommand = require('../lib/commands/ci');
+const redirectsCommand = require('../lib/commands/redirects');
+const serveCommand = require('../lib/commands/serve');
+const zolaCommand = require('../lib/commands/zola');
+const themeCommand = require('../lib/commands/theme');
+const newCommand = require('../lib/commands/new');
+const lintCommand = require('../lib/commands/lint');
+const checkCommand = require('../lib/commands/check');
+const optimizeCommand = require('../lib/commands/optimize');
+const { getSiteHost } = require('../lib/utils/domains');
+
+/**
+ * Collect a repeatable option into an array
+ * @param {string} value - Option value
+ * @param {Array<string>} previous - Values collected so far
+ * @returns {Array<string>} - All values
+ */
+function collect(value, previous) {
+  return previous.concat([value]);
+}
 
 // CLI configuration
 program
@@ -25,10 +52,24 @@ program
   .option('-g, --github-username <username>', 'GitHub username')
   .option('-r, --repo <repo>', 'GitHub repository name')
   .option('--aws-region <region>', 'AWS region', 'us-east-1')
-  .option('-t, --theme <theme>', 'Zola theme name')
+  .option('-t, --theme <theme>', 'Zola theme: a name from the catalogue or a Git URL, with an optional #ref')
+  .option('-s, --starter <starter>', 'Start from blog, docs, portfolio or landing, or the Git URL of a starter repository (with an optional #ref)')
+  .option('--author <author>', 'Author name for the starter (default: git config user.name)')
   .option('--ask-theme', 'Force the theme question')
   .option('--skip-github', 'Skip GitHub setup')
   .option('--skip-aws', 'Skip AWS setup')
+  .option('--delegate-zone', 'Give a subdomain its own hosted zone, delegated from the parent domain\'s zone')
+  .option('--no-delegate-zone', 'Keep a subdomain\'s records in the zone of its parent domain (default)')
+  .option('--alias <domain>', 'Another domain the site answers on, e.g. www.example.com or an old domain (repeatable)', collect, [])
+  .option('--remove-alias <domain>', 'Stop answering on an alias (repeatable)', collect, [])
+  .option('--www', 'Also answer on www.<domain>')
+  .option('--canonical <domain>', 'Domain the other names redirect to (default: the main domain)')
+  .option('--spa', 'Serve index.html for every unknown path (single-page apps)')
+  .option('--no-spa', 'Serve the site\'s 404.html for unknown paths (default)')
+  .option('--error-page <code=page[:status[:ttl]]>', 'Error page for a status code, e.g. 500=/500.html:500:60 (repeatable)', collect, [])
+  .option('--aws-profile <profile>', 'AWS profile from ~/.aws/config (default: AWS_PROFILE or the SDK credential chain)')
+  .option('--assume-role-arn <arn>', 'IAM role to assume with the resolved AWS credentials')
+  .option('--external-id <id>', 'External ID required by the role to assume')
   .action(async (options) => {
     try {
       // Initialize site with Zola
@@ -40,18 +81,30 @@ program
       }
       
       // Set up AWS resources if not skipped
+      let awsConfig = null;
       if (!options.skipAws) {
-        await setupAwsCommand.execute(siteConfig);
+        awsConfig = await setupAwsCommand.execute({
+          ...siteConfig,
+          awsProfile: options.awsProfile,
+          assumeRoleArn: options.assumeRoleArn,
+          externalId: options.externalId,
+          alias: options.alias,
+          www: options.www,
+          canonical: options.canonical,
+          delegateZone: options.delegateZone,
+          spa: options.spa,
+          errorPage: options.errorPage
+        });
       }
       
-      // Deploy site if both GitHub and AWS are set up
-      if (!options.skipGithub && !options.skipAws) {
-        await deployCommand.execute(siteConfig);
+      // Deploy site through GitHub if both are set up, otherwise straight to S3
+      if (!options.skipAws) {
+        await deployCommand.execute({ ...siteConfig, direct: options.skipGithub });
       }
       
       console.log(chalk.green('\n✨ Static site successfully created! ✨'));
-      if (!options.skipAws) {
-        console.log(`Site URL: https://${siteConfig.domain}`);
+      if (awsConfig) {
+        console.log(`Site URL: https://${getSiteHost(awsConfig)}`);
       }
     } catch (error) {
       console.error(chalk.red(`Error: ${error.message}`));
@@ -64,7 +117,9 @@ program
   .command('init')
   .description('Initialize a new Zola site')
   .option('-n, --name <name>', 'Site name')
-  .option('-t, --theme <theme>', 'Zola theme name')
+  .option('-t, --theme <theme>', 'Zola theme: a name from the catalogue or a Git URL, with an optional #ref')
+  .option('-s, --starter <starter>', 'Start from blog, docs, portfolio or landing, or the Git URL of a starter repository (with an optional #ref)')
+  .option('--author <author>', 'Author name for the starter (default: git config user.name)')
   .option('--ask-theme', 'Force the theme question')
   .action(async (options) => {
     try {
@@ -98,11 +153,79 @@ program
   .option('-n, --name <name>', 'Site name (must match existing site)')
   .option('-d, --domain <domain>', 'Domain name')
   .option('--aws-region <region>', 'AWS region', 'us-east-1')
+  .option('-e, --env <environment>', 'Set up a named environment (e.g. staging, production)')
+  .option('--require-approval', 'Require approval in GitHub before deploying to the environment')
+  .option('--delegate-zone', 'Give a subdomain its own hosted zone, delegated from the parent domain\'s zone')
+  .option('--no-delegate-zone', 'Keep a subdomain\'s records in the zone of its parent domain (default)')
+  .option('--alias <domain>', 'Another domain the site answers on, e.g. www.example.com or an old domain (repeatable)', collect, [])
+  .option('--remove-alias <domain>', 'Stop answering on an alias (repeatable)', collect, [])
+  .option('--www', 'Also answer on www.<domain>')
+  .option('--canonical <domain>', 'Domain the other names redirect to (default: the main domain)')
+  .option('--spa', 'Serve index.html for every unknown path (single-page apps)')
+  .option('--no-spa', 'Serve the site\'s 404.html for unknown paths (default)')
+  .option('--error-page <code=page[:status[:ttl]]>', 'Error page for a status code, e.g. 500=/500.html:500:60 (repeatable)', collect, [])
+  .option('--aws-profile <profile>', 'AWS profile from ~/.aws/config (default: AWS_PROFILE or the SDK credential chain)')
+  .option('--assume-role-arn <arn>', 'IAM role to assume with the resolved AWS credentials')
+  .option('--external-id <id>', 'External ID required by the role to assume')
   .action(async (options) => {
     try {
-      await setupAwsCommand.execute(options);
+      const siteConfig = await setupAwsCommand.execute(options);
       console.log(chalk.green('\n✨ AWS resources set up successfully! ✨'));
-      console.log(`Site URL: https://${options.domain}`);
+      console.log(`Site URL: https://${getSiteHost(siteConfig)}`);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('plan')
+  .description('Show the AWS and GitHub changes setup would make, without making them')
+  .option('-n, --name <name>', 'Site name (must match existing site)')
+  .option('-d, --domain <domain>', 'Domain name')
+  .option('--aws-region <region>', 'AWS region')
+  .option('-g, --github-username <username>', 'GitHub username')
+  .option('-r, --repo <repo>', 'GitHub repository name')
+  .option('--delegate-zone', 'Give a subdomain its own hosted zone, delegated from the parent domain\'s zone')
+  .option('--no-delegate-zone', 'Keep a subdomain\'s records in the zone of its parent domain (default)')
+  .option('--alias <domain>', 'Another domain the site answers on, e.g. www.example.com or an old domain (repeatable)', collect, [])
+  .option('--remove-alias <domain>', 'Stop answering on an alias (repeatable)', collect, [])
+  .option('--www', 'Also answer on www.<domain>')
+  .option('--canonical <domain>', 'Domain the other names redirect to (default: the main domain)')
+  .option('--spa', 'Serve index.html for every unknown path (single-page apps)')
+  .option('--no-spa', 'Serve the site\'s 404.html for unknown paths (default)')
+  .option('--error-page <code=page[:status[:ttl]]>', 'Error page for a status code, e.g. 500=/500.html:500:60 (repeatable)', collect, [])
+  .option('--json', 'Print the plan as JSON')
+  .option('-o, --out <file>', 'Where to save the plan (default: <site>/.ssc-plan.json)')
+  .option('-e, --env <environment>', 'Plan a named environment')
+  .option('--aws-profile <profile>', 'AWS profile from ~/.aws/config (default: AWS_PROFILE or the SDK credential chain)')
+  .option('--assume-role-arn <arn>', 'IAM role to assume with the resolved AWS credentials')
+  .option('--external-id <id>', 'External ID required by the role to assume')
+  .action(async (options) => {
+    try {
+      await planCommand.execute(options);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('apply')
+  .description('Make the changes from a saved plan')
+  .option('-n, --name <name>', 'Site name (must match existing site)')
+  .option('-p, --plan <file>', 'Plan file to apply (default: <site>/.ssc-plan.json)')
+  .option('-e, --env <environment>', 'Apply the saved plan of a named environment')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .option('--aws-profile <profile>', 'AWS profile from ~/.aws/config (default: AWS_PROFILE or the SDK credential chain)')
+  .option('--assume-role-arn <arn>', 'IAM role to assume with the resolved AWS credentials')
+  .option('--external-id <id>', 'External ID required by the role to assume')
+  .action(async (options) => {
+    try {
+      const applied = await applyCommand.execute(options);
+      if (applied) {
+        console.log(chalk.green('\n✨ Plan applied successfully! ✨'));
+      }
     } catch (error) {
       console.error(chalk.red(`Error: ${error.message}`));
       process.exit(1);
@@ -113,6 +236,14 @@ program
   .command('deploy')
   .description('Deploy your static site to AWS')
   .option('-n, --name <name>', 'Site name (must match existing site)')
+  .option('--direct', 'Upload the built site to S3 directly instead of pushing to GitHub')
+  .option('-e, --env <environment>', 'Deploy to a named environment')
+  .option('--tag <tag>', 'Version tag to push for environments deployed from tags (default: v<timestamp>)')
+  .option('--aws-profile <profile>', 'AWS profile from ~/.aws/config (default: AWS_PROFILE or the SDK credential chain)')
+  .option('--assume-role-arn <arn>', 'IAM role to assume with the resolved AWS credentials')
+  .option('--external-id <id>', 'External ID required by the role to assume')
+  .option('--skip-lint', 'Deploy without linting the content first')
+  .option('--allow-broken', 'Deploy even if the built site has broken internal links')
   .action(async (options) => {
     try {
       await deployCommand.execute(options);
@@ -123,6 +254,279 @@ program
     }
   });
 
+program
+  .command('rollback')
+  .description('Switch your static site back to an earlier release')
+  .option('-n, --name <name>', 'Site name (must match existing site)')
+  .option('--to <release>', 'Release ID (or a unique prefix) to switch to (default: the previous release)')
+  .option('-l, --list', 'List recorded releases instead of rolling back')
+  .option('-e, --env <environment>', 'Roll back a named environment')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .option('--aws-profile <profile>', 'AWS profile from ~/.aws/config (default: AWS_PROFILE or the SDK credential chain)')
+  .option('--assume-role-arn <arn>', 'IAM role to assume with the resolved AWS credentials')
+  .option('--external-id <id>', 'External ID required by the role to assume')
+  .action(async (options) => {
+    try {
+      const releaseId = await rollbackCommand.execute(options);
+      if (releaseId && !options.list) {
+        console.log(chalk.green(`\n✨ Rolled back to release ${releaseId}! ✨`));
+      }
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('verify')
+  .description('Check that your static site is served through CloudFront and its S3 bucket is private')
+  .option('-n, --name <name>', 'Site name (must match existing site)')
+  .option('-e, --env <environment>', 'Verify a named environment')
+  .option('--aws-profile <profile>', 'AWS profile from ~/.aws/config (default: AWS_PROFILE or the SDK credential chain)')
+  .option('--assume-role-arn <arn>', 'IAM role to assume with the resolved AWS credentials')
+  .option('--external-id <id>', 'External ID required by the role to assume')
+  .action(async (options) => {
+    try {
+      const verified = await verifyCommand.execute(options);
+      if (!verified) {
+        console.error(chalk.red('Error: Site access is not locked down as expected'));
+        process.exit(1);
+      }
+      console.log(chalk.green('\n✨ Site is only reachable through CloudFront! ✨'));
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('headers')
+  .description('Change the security headers CloudFront sends for your static site')
+  .option('-n, --name <name>', 'Site name (must match existing site)')
+  .option('-e, --env <environment>', 'Update a named environment')
+  .option('--set <name=value>', 'Set a header, e.g. "Content-Security-Policy=default-src \'self\'" (repeatable)', collect, [])
+  .option('--unset <name>', 'Stop sending a header (repeatable)', collect, [])
+  .option('--reset', 'Go back to the default headers')
+  .option('-l, --list', 'Print the headers the site sends')
+  .option('--aws-profile <profile>', 'AWS profile from ~/.aws/config (default: AWS_PROFILE or the SDK credential chain)')
+  .option('--assume-role-arn <arn>', 'IAM role to assume with the resolved AWS credentials')
+  .option('--external-id <id>', 'External ID required by the role to assume')
+  .action(async (options) => {
+    try {
+      await headersCommand.execute(options);
+      const changed = options.reset || options.set.length > 0 || options.unset.length > 0;
+      if (!options.list || changed) {
+        console.log(chalk.green('\n✨ Response headers updated! ✨'));
+      }
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('cache')
+  .description('Change the Cache-Control each file is uploaded with, by path pattern')
+  .option('-n, --name <name>', 'Site name (must match existing site)')
+  .option('--set <pattern=value>', 'Set the Cache-Control of matching files, e.g. "*.css=max-age=604800" (repeatable)', collect, [])
+  .option('--unset <pattern>', 'Remove a rule (repeatable)', collect, [])
+  .option('--reset', 'Go back to the built-in rules')
+  .option('-l, --list', 'Print the rules, in the order they are matched')
+  .action(async (options) => {
+    try {
+      await cacheCommand.execute(options);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('ci')
+  .description('Choose the pinned ssc package GitHub Actions lints and optimizes the site with')
+  .option('-n, --name <name>', 'Site name (must match existing site)')
+  .option('--package <spec>', 'Scoped npm package at an exact version, or a Git URL at a full commit SHA')
+  .option('--remove', 'Stop running ssc in GitHub Actions')
+  .action(async (options) => {
+    try {
+      await ciCommand.execute(options);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('serve')
+  .description('Preview your static site locally')
+  .option('-n, --name <name>', 'Site name (must match existing site)')
+  .option('-e, --env <environment>', 'Use the domains, redirects and headers of a named environment (with --edge)')
+  .option('-p, --port <port>', 'Port to serve on', '1111')
+  .option('--edge', 'Serve the built site the way CloudFront will: function code, redirects, error pages and headers')
+  .option('--skip-build', 'Serve the existing public/ directory without building it first (with --edge)')
+  .action(async (options) => {
+    try {
+      await serveCommand.execute(options);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('zola <action> [version]')
+  .description('Manage Zola versions: list, install [version], or upgrade [version] to re-pin a site (default: the latest release)')
+  .option('-n, --name <name>', 'Site name (must match existing site)')
+  .option('--dry-run', 'Build with both versions and report the differences without changing the pin (upgrade)')
+  .action(async (action, version, options) => {
+    try {
+      await zolaCommand.execute({ ...options, action, version });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('new <kind> [title]')
+  .description('Add content: post, page or section, with front matter from the site\'s archetypes')
+  .option('-n, --name <name>', 'Site name (must match existing site)')
+  .option('--section <path>', 'Section to add the content to, e.g. blog or docs/guides (default: blog or posts for posts, the root otherwise)')
+  .option('--slug <slug>', 'File name to use instead of one made from the title')
+  .option('--tag <tag>', 'Tag the content (repeatable)', collect, [])
+  .option('--template <template>', 'Template to render the content with')
+  .option('--draft', 'Mark the content as a draft (default for posts)')
+  .option('--no-draft', 'Publish the content on the next build')
+  .option('--bundle', 'Create a page bundle: a directory with index.md and an assets folder')
+  .option('--open', 'Open the new file in $EDITOR')
+  .action(async (kind, title, options) => {
+    try {
+      await newCommand.execute({ ...options, kind, title });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('lint')
+  .description('Check content front matter against the site\'s schemas, and Markdown for missing alt text')
+  .option('-n, --name <name>', 'Site name (must match existing site)')
+  .option('-d, --dir <path>', 'Lint the site in this directory instead, e.g. . in CI')
+  .option('--format <format>', 'Output format: text, json or github (annotations for GitHub Actions)', 'text')
+  .option('--strict', 'Fail on warnings as well as errors')
+  .action(async (options) => {
+    try {
+      await lintCommand.execute(options);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('check')
+  .description('Build the site and check its internal links, assets and anchors, and find orphan pages')
+  .option('-n, --name <name>', 'Site name (must match existing site)')
+  .option('-e, --env <environment>', 'Check the build for a named environment')
+  .option('--skip-build', 'Check the existing public/ directory as it is')
+  .option('--allow-broken', 'Report broken links without failing')
+  .option('--strict', 'Fail on missing anchors and orphan pages as well')
+  .action(async (options) => {
+    try {
+      await checkCommand.execute(options);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('optimize')
+  .description('Minify the built site, add AVIF and WebP image versions and compress text files, and report the sizes')
+  .option('-n, --name <name>', 'Site name (must match existing site)')
+  .option('-e, --env <environment>', 'Build and optimize for a named environment')
+  .option('-d, --dir <path>', 'Optimize the built site in this directory instead, e.g. . in CI')
+  .option('--base-url <url>', 'URL the site in --dir was built for (default: base_url in config.toml)')
+  .option('--skip-build', 'Optimize the existing public/ directory as it is')
+  .option('--enable', 'Optimize on every deploy and in the generated workflow')
+  .option('--disable', 'Stop optimizing on deploy and in the generated workflow')
+  .option('--no-minify', 'Leave HTML, CSS and JavaScript as they are')
+  .option('--no-images', 'Do not create AVIF and WebP versions of images')
+  .option('--no-precompress', 'Do not write Brotli and gzip copies of text files')
+  .option('--fingerprint', 'Also write copies of CSS, JavaScript, images and fonts named after their content, and link pages to them')
+  .option('--no-fingerprint', 'Stop fingerprinting assets')
+  .action(async (options) => {
+    try {
+      await optimizeCommand.execute(options);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('theme <action> [target]')
+  .description('Manage themes: list, use <name|git-url[#ref]>, update [name], remove <name>, or eject [template]')
+  .option('-n, --name <name>', 'Site name (must match existing site)')
+  .option('--ref <ref>', 'Branch, tag or commit to move the theme to (update)')
+  .option('--force', 'Overwrite a template the site already has (eject)')
+  .action(async (action, target, options) => {
+    try {
+      await themeCommand.execute({ ...options, action, target });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('redirects <action> [args...]')
+  .description('Manage redirects: add <from> <to>, remove <from>, list, sync, or test <url...>')
+  .option('-n, --name <name>', 'Site name (must match existing site)')
+  .option('-e, --env <environment>', 'Use a named environment (sync and test)')
+  .option('--status <code>', 'Redirect status code: 301, 302, 307 or 308 (add, default 301)')
+  .option('--type <type>', 'Rule type: exact, prefix or wildcard (add, default from the source)')
+  .option('--aws-profile <profile>', 'AWS profile from ~/.aws/config (default: AWS_PROFILE or the SDK credential chain)')
+  .option('--assume-role-arn <arn>', 'IAM role to assume with the resolved AWS credentials')
+  .option('--external-id <id>', 'External ID required by the role to assume')
+  .action(async (action, args, options) => {
+    try {
+      await redirectsCommand.execute({ ...options, action, args });
+      if (action === 'sync') {
+        console.log(chalk.green('\n✨ Redirects published! ✨'));
+      }
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('destroy')
+  .description('Remove every AWS and GitHub resource created for your static site')
+  .option('-n, --name <name>', 'Site name (must match existing site)')
+  .option('--archive-repo', 'Archive the GitHub repository')
+  .option('--delete-repo', 'Delete the GitHub repository')
+  .option('--keep-hosted-zone', 'Keep the Route53 hosted zone and its records')
+  .option('--delete-hosted-zone', 'Delete the Route53 hosted zone even if ssc setup-aws did not record creating it')
+  .option('-e, --env <environment>', 'Only destroy a named environment')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .option('--aws-profile <profile>', 'AWS profile from ~/.aws/config (default: AWS_PROFILE or the SDK credential chain)')
+  .option('--assume-role-arn <arn>', 'IAM role to assume with the resolved AWS credentials')
+  .option('--external-id <id>', 'External ID required by the role to assume')
+  .action(async (options) => {
+    try {
+      const destroyed = await destroyCommand.execute(options);
+      if (destroyed) {
+        console.log(chalk.green('\n✨ Site resources removed successfully! ✨'));
+      }
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
 // Parse command line arguments
 program.parse(process.argv);
 
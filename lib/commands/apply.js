@@ -0,0 +1,170 @@
+/**
+ * Apply a reviewed infrastructure plan for a Zola site
+ */
+
+const fs = require('fs');
+const path = require('path');
+const inquirer = require('inquirer');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const credentials = require('../utils/credentials');
+const awsService = require('../services/aws');
+const planService = require('../services/plan');
+const setupGithubCommand = require('./setup-github');
+const planCommand = require('./plan');
+
+/**
+ * Execute the apply command
+ * @param {object} options - Command options
+ * @returns {Promise<object|null>} - Updated site configuration or null if cancelled
+ */
+async function execute(options = {}) {
+  try {
+    // An explicit plan file names its own site
+    let plan = options.plan ? readPlan(path.resolve(options.plan)) : null;
+    
+    const siteName = options.name || (plan ? plan.siteName : await determineSiteName(options));
+    const sitePath = path.join(process.cwd(), siteName);
+    
+    if (!plan) {
+      plan = readPlan(path.join(sitePath, planCommand.getPlanFileName(options.env)));
+    }
+    
+    const environment = plan.inputs.environment || null;
+    if (options.env && options.env !== environment) {
+      throw new Error(`This plan was created for ${environment ? `environment "${environment}"` : 'the site without an environment'}, not "${options.env}".`);
+    }
+    
+    const siteConfig = config.getEnvironmentConfig(siteName, environment);
+    if (!siteConfig) {
+      throw new Error(`No configuration found for site "${siteName}". Please initialize the site first.`);
+    }
+    
+    console.log(planService.formatPlan(plan));
+    
+    // With nothing to change, applying still records the ids of the resources the plan found
+    const changeCount = plan.summary.create + plan.summary.update;
+    if (changeCount === 0) {
+      logger.info('Nothing to apply. The infrastructure already matches the plan; recording its resource ids.');
+    }
+    
+    if (changeCount > 0 && !options.yes) {
+      const { confirmed } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirmed',
+          message: 'Apply these changes?',
+          default: false
+        }
+      ]);
+      
+      if (!confirmed) {
+        logger.info('Apply cancelled. Nothing was changed.');
+        return null;
+      }
+    }
+    
+    // Get AWS credentials (from a profile, the environment, stored credentials or user input)
+    const awsCreds = await credentials.resolveAwsCredentials(options, siteConfig);
+    const clients = awsService.createAwsClients(awsCreds, plan.inputs.region);
+    
+    // Print the account before anything is read or created, so the wrong one is caught early
+    const identity = await awsService.getCallerIdentity(clients.sts);
+    if (!identity) {
+      throw new Error('Could not verify AWS credentials. For SSO profiles, run "aws sso login" first.');
+    }
+    
+    // Record the planned inputs before anything is created
+    saveProgress(siteName, environment, {
+      domain: plan.inputs.domain || undefined,
+      aliases: plan.inputs.aliases,
+      canonicalDomain: plan.inputs.canonicalDomain,
+      delegateZone: plan.inputs.delegateZone,
+      awsRegion: plan.inputs.region,
+      spa: plan.inputs.spa,
+      errorPages: plan.inputs.errorPages
+    });
+    
+    await planService.applyPlan(plan, {
+      siteName,
+      sitePath,
+      siteConfig,
+      clients,
+      setupGithub: setupGithubCommand.execute,
+      saveProgress: updates => saveProgress(siteName, environment, updates)
+    });
+    
+    logger.success(changeCount > 0 ?
+      `Applied ${changeCount} changes for "${siteName}"` :
+      `Recorded the resource ids of "${siteName}"`);
+    
+    return config.getEnvironmentConfig(siteName, environment);
+  } catch (error) {
+    logger.error(`Apply command failed: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Read a plan file
+ * @param {string} planPath - Path to the plan file
+ * @returns {object} - The plan
+ */
+function readPlan(planPath) {
+  if (!fs.existsSync(planPath)) {
+    throw new Error(`Plan file not found at ${planPath}. Run "ssc plan" first.`);
+  }
+  
+  return JSON.parse(fs.readFileSync(planPath, 'utf8'));
+}
+
+/**
+ * Merge resource ids into the stored site config right after each step
+ * The config is re-read every time because the repository step saves it on its own.
+ * @param {string} siteName - Name of the site
+ * @param {string} environment - Environment name (optional)
+ * @param {object} updates - Site config fields to record
+ */
+function saveProgress(siteName, environment, updates) {
+  const siteConfig = config.getEnvironmentConfig(siteName, environment) || {};
+  config.saveEnvironmentConfig(siteName, environment, { ...siteConfig, ...updates });
+}
+
+/**
+ * Determine which site to apply the plan to
+ * @param {object} options - Command options
+ * @returns {Promise<string>} - Site name
+ */
+async function determineSiteName(options) {
+  // If options is a config object with siteName, use it
+  if (options.siteName) {
+    return options.siteName;
+  }
+  
+  // Otherwise, list all sites and let user choose
+  const sites = config.listSites();
+  
+  if (sites.length === 0) {
+    throw new Error('No sites found. Please initialize a site first with `ssc init`.');
+  }
+  
+  if (sites.length === 1) {
+    return sites[0].siteName;
+  }
+  
+  // Multiple sites found, prompt user to choose
+  const { siteName } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'siteName',
+      message: 'Which site would you like to apply the plan to?',
+      choices: sites.map(site => site.siteName)
+    }
+  ]);
+  
+  return siteName;
+}
+
+module.exports = {
+  execute
+};
@@ -0,0 +1,107 @@
+/**
+ * Change the Cache-Control that each file of a Zola site is uploaded with
+ */
+
+const fs = require('fs');
+const path = require('path');
+const inquirer = require('inquirer');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { applyCacheOptions, resolveCacheRules } = require('../utils/cache');
+const githubService = require('../services/github');
+
+/**
+ * Execute the cache command
+ * @param {object} options - Command options (set, unset, reset, list)
+ * @returns {Promise<Array<object>>} - The full cache table, in order
+ */
+async function execute(options = {}) {
+  try {
+    // Determine which site to update
+    const siteName = await determineSiteName(options);
+    
+    const siteConfig = config.getSiteConfig(siteName);
+    if (!siteConfig) {
+      throw new Error(`No configuration found for site "${siteName}". Please initialize the site first.`);
+    }
+    
+    // Cache rules are a site setting, so every environment and the workflow upload the same way
+    const changed = options.reset || (options.set || []).length > 0 || (options.unset || []).length > 0;
+    if (changed) {
+      siteConfig.cacheRules = applyCacheOptions(siteConfig, options);
+      config.saveSiteConfig(siteName, siteConfig);
+      logger.success(siteConfig.cacheRules.length > 0 ?
+        `Saved the cache rules of "${siteName}". They apply from the next deploy.` :
+        `"${siteName}" uses the built-in cache rules from the next deploy.`);
+    }
+    
+    const rules = resolveCacheRules(siteConfig);
+    
+    if (options.list || !changed) {
+      const width = Math.max(...rules.map(rule => rule.pattern.length));
+      const ownRules = (siteConfig.cacheRules || []).length;
+      rules.forEach((rule, index) => {
+        const note = index < ownRules ? '' : '  (built in)';
+        console.log(`${rule.pattern.padEnd(width)}  ${rule.cacheControl}${note}`);
+      });
+    }
+    
+    // The workflow uploads with the same rules
+    const sitePath = path.join(process.cwd(), siteName);
+    if (changed && fs.existsSync(path.join(sitePath, '.github', 'workflows', 'main.yml'))) {
+      const written = await githubService.createWorkflowFile(sitePath, githubService.buildWorkflowConfig(siteConfig));
+      if (written) {
+        logger.info('Commit and push .github/workflows/main.yml so CI uploads with the same rules.');
+      }
+    }
+    
+    return rules;
+  } catch (error) {
+    logger.error(`Cache command failed: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Determine which site to update
+ * @param {object} options - Command options
+ * @returns {Promise<string>} - Site name
+ */
+async function determineSiteName(options) {
+  // If site name is provided in options, use it
+  if (options.name) {
+    return options.name;
+  }
+  
+  // If options is a config object with siteName, use it
+  if (options.siteName) {
+    return options.siteName;
+  }
+  
+  // Otherwise, list all sites and let user choose
+  const sites = config.listSites();
+  
+  if (sites.length === 0) {
+    throw new Error('No sites found. Please initialize a site first with `ssc init`.');
+  }
+  
+  if (sites.length === 1) {
+    return sites[0].siteName;
+  }
+  
+  // Multiple sites found, prompt user to choose
+  const { siteName } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'siteName',
+      message: 'Which site would you like to change the cache rules of?',
+      choices: sites.map(site => site.siteName)
+    }
+  ]);
+  
+  return siteName;
+}
+
+module.exports = {
+  execute
+};
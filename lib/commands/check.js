@@ -0,0 +1,139 @@
+/**
+ * Check the links and assets of a site's built output before it is deployed
+ */
+
+const fs = require('fs');
+const path = require('path');
+const inquirer = require('inquirer');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { getSiteHost } = require('../utils/domains');
+const checkService = require('../services/check');
+const zolaService = require('../services/zola');
+
+/**
+ * Execute the check command
+ * @param {object} options - Command options (env, skipBuild, allowBroken, strict)
+ * @returns {Promise<object>} - { pages, links, results, broken, warnings }
+ */
+async function execute(options = {}) {
+  try {
+    // Determine which site to check
+    const siteName = await determineSiteName(options);
+    
+    // Load site config (or the view of it for one environment)
+    const environment = options.env || null;
+    const siteConfig = config.getEnvironmentConfig(siteName, environment);
+    if (!siteConfig) {
+      throw new Error(`No configuration found for site "${siteName}". Please initialize the site first.`);
+    }
+    
+    const sitePath = path.join(process.cwd(), siteName);
+    if (!fs.existsSync(sitePath)) {
+      throw new Error(`Site directory "${sitePath}" not found. Run this command from the directory that contains the site.`);
+    }
+    
+    // Build the way deploy does, so absolute links carry the URL the site is deployed to
+    const host = environment ? getSiteHost(siteConfig) : null;
+    const baseUrl = host ? `https://${host}` : undefined;
+    if (!options.skipBuild) {
+      const built = await zolaService.buildSite(sitePath, { baseUrl, zolaVersion: siteConfig.zolaVersion });
+      if (!built) {
+        throw new Error(`Failed to build site "${siteName}"`);
+      }
+    }
+    
+    const report = await checkAndReport(sitePath, siteConfig, baseUrl);
+    
+    if (report.broken > 0 && !options.allowBroken) {
+      throw new Error(`Found ${report.broken} broken links. Fix them, or pass --allow-broken to accept them.`);
+    }
+    if (options.strict && report.warnings > 0) {
+      throw new Error(`Found ${report.warnings} missing anchors and orphan pages.`);
+    }
+    
+    return report;
+  } catch (error) {
+    logger.error(`Check command failed: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Check the built site and print what was found
+ * @param {string} sitePath - Path to the site, with the build in public/
+ * @param {object} siteConfig - Site configuration, or the configuration of one environment
+ * @param {string} baseUrl - URL the site was built for (default: the base_url in config.toml)
+ * @returns {Promise<object>} - { pages, links, results, broken, warnings }
+ */
+async function checkAndReport(sitePath, siteConfig, baseUrl) {
+  logger.startSpinner('Checking links in public/...');
+  let checked;
+  try {
+    checked = await checkService.checkBuiltSite(sitePath, siteConfig, baseUrl);
+  } catch (error) {
+    logger.fail('Failed to check links');
+    throw error;
+  }
+  
+  const { pages, links, results } = checked;
+  const broken = results.filter(result => result.severity === 'error').length;
+  const warnings = results.length - broken;
+  
+  const summary = `${pages} pages and ${links} internal links checked: ${broken} broken, ${warnings} warnings`;
+  if (broken > 0) {
+    logger.fail(summary);
+  } else {
+    logger.succeed(summary);
+  }
+  if (results.length > 0) {
+    console.log(checkService.formatResults(results));
+  }
+  
+  return { pages, links, results, broken, warnings };
+}
+
+/**
+ * Determine which site to check
+ * @param {object} options - Command options
+ * @returns {Promise<string>} - Site name
+ */
+async function determineSiteName(options) {
+  // If site name is provided in options, use it
+  if (options.name) {
+    return options.name;
+  }
+  
+  // If options is a config object with siteName, use it
+  if (options.siteName) {
+    return options.siteName;
+  }
+  
+  // Otherwise, list all sites and let user choose
+  const sites = config.listSites();
+  
+  if (sites.length === 0) {
+    throw new Error('No sites found. Please initialize a site first with `ssc init`.');
+  }
+  
+  if (sites.length === 1) {
+    return sites[0].siteName;
+  }
+  
+  // Multiple sites found, prompt user to choose
+  const { siteName } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'siteName',
+      message: 'Which site would you like to check?',
+      choices: sites.map(site => site.siteName)
+    }
+  ]);
+  
+  return siteName;
+}
+
+module.exports = {
+  execute,
+  checkAndReport
+};
@@ -0,0 +1,104 @@
+/**
+ * Choose the pinned ssc package the generated GitHub Actions workflow runs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const inquirer = require('inquirer');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { normalizeCiPackage } = require('../utils/ci');
+const githubService = require('../services/github');
+
+/**
+ * Execute the ci command
+ * @param {object} options - Command options (package, remove)
+ * @returns {Promise<string|null>} - The package the workflow runs ssc from, or null if it does not run ssc
+ */
+async function execute(options = {}) {
+  try {
+    // Determine which site to update
+    const siteName = await determineSiteName(options);
+    
+    const siteConfig = config.getSiteConfig(siteName);
+    if (!siteConfig) {
+      throw new Error(`No configuration found for site "${siteName}". Please initialize the site first.`);
+    }
+    
+    const changed = Boolean(options.package || options.remove);
+    if (options.package) {
+      siteConfig.ciPackage = normalizeCiPackage(options.package);
+    } else if (options.remove) {
+      delete siteConfig.ciPackage;
+    }
+    
+    if (changed) {
+      config.saveSiteConfig(siteName, siteConfig);
+      logger.success(`Saved the CI package of "${siteName}".`);
+    }
+    
+    if (siteConfig.ciPackage) {
+      logger.info(`GitHub Actions lints${siteConfig.optimize ? ' and optimizes' : ''} "${siteName}" with ${siteConfig.ciPackage}`);
+    } else {
+      logger.info(`GitHub Actions does not run ssc for "${siteName}". Set a pinned package with "ssc ci --package <spec>".`);
+    }
+    
+    // The workflow installs ssc from the chosen package
+    const sitePath = path.join(process.cwd(), siteName);
+    if (changed && fs.existsSync(path.join(sitePath, '.github', 'workflows', 'main.yml'))) {
+      const written = await githubService.createWorkflowFile(sitePath, githubService.buildWorkflowConfig(siteConfig));
+      if (written) {
+        logger.info('Commit and push .github/workflows/main.yml so CI uses it.');
+      }
+    }
+    
+    return siteConfig.ciPackage || null;
+  } catch (error) {
+    logger.error(`CI command failed: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Determine which site to update
+ * @param {object} options - Command options
+ * @returns {Promise<string>} - Site name
+ */
+async function determineSiteName(options) {
+  // If site name is provided in options, use it
+  if (options.name) {
+    return options.name;
+  }
+  
+  // If options is a config object with siteName, use it
+  if (options.siteName) {
+    return options.siteName;
+  }
+  
+  // Otherwise, list all sites and let user choose
+  const sites = config.listSites();
+  
+  if (sites.length === 0) {
+    throw new Error('No sites found. Please initialize a site first with `ssc init`.');
+  }
+  
+  if (sites.length === 1) {
+    return sites[0].siteName;
+  }
+  
+  // Multiple sites found, prompt user to choose
+  const { siteName } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'siteName',
+      message: 'Which site would you like to change the CI package of?',
+      choices: sites.map(site => site.siteName)
+    }
+  ]);
+  
+  return siteName;
+}
+
+module.exports = {
+  execute
+};
@@ -6,9 +6,19 @@ const path = require('path');
 const inquirer = require('inquirer');
 const logger = require('../utils/logger');
 const config = require('../utils/config');
+const credentials = require('../utils/credentials');
+const awsService = require('../services/aws');
+const syncService = require('../services/sync');
+const releaseService = require('../services/release');
 const gitService = require('../services/git');
 const zolaService = require('../services/zola');
 const githubService = require('../services/github');
+const lintService = require('../services/lint');
+const { getSiteHost } = require('../utils/domains');
+const { resolveOptimizeSettings } = require('../utils/optimize');
+const { resolveCacheRules } = require('../utils/cache');
+const checkCommand = require('./check');
+const optimizeCommand = require('./optimize');
 
 /**
  * Execute the deploy command
@@ -20,23 +30,70 @@ async function execute(options = {}) {
     // Determine which site to deploy
     const siteName = await determineSiteName(options);
     
-    // Load site config
-    const siteConfig = config.getSiteConfig(siteName);
+    // Load site config (or the view of it for one environment)
+    const environment = options.env || null;
+    const siteConfig = config.getEnvironmentConfig(siteName, environment);
     if (!siteConfig) {
       throw new Error(`No configuration found for site "${siteName}". Please initialize the site first.`);
     }
     
+    if (environment && !siteConfig.s3BucketName) {
+      throw new Error(`Environment "${environment}" is not set up. Please run "ssc setup-aws --env ${environment}" first.`);
+    }
+    
     const sitePath = path.join(process.cwd(), siteName);
     
-    // Build the site
-    logger.info(`Building site "${siteName}"...`);
-    const built = await zolaService.buildSite(sitePath);
+    // Catch broken front matter before Zola does, with the file and line of every problem
+    if (!options.skipLint) {
+      const { results } = lintService.lintSite(sitePath);
+      const errors = results.filter(result => result.severity === 'error').length;
+      if (results.length > 0) {
+        console.log(lintService.formatResults(results));
+      }
+      if (errors > 0) {
+        throw new Error(`Content has ${errors} lint errors. Fix them or deploy with --skip-lint.`);
+      }
+    }
+    
+    // Build the site, for the environment's own URL if it has one
+    const host = environment ? getSiteHost(siteConfig) : null;
+    logger.info(`Building site "${siteName}"${environment ? ` for ${environment}` : ''}...`);
+    const built = await zolaService.buildSite(sitePath, {
+      baseUrl: host ? `https://${host}` : undefined,
+      zolaVersion: siteConfig.zolaVersion
+    });
     if (!built) {
       throw new Error(`Failed to build site "${siteName}"`);
     }
     
+    // The CloudFront function may ask for the compressed copies, so an optimized site is always deployed optimized
+    const optimize = resolveOptimizeSettings(siteConfig);
+    if (optimize.enabled) {
+      await optimizeCommand.optimizeAndReport(sitePath, optimize, host ? `https://${host}` : undefined);
+    }
+    
+    // Direct deploys delete what is not in public/, so check it links up before anything leaves the machine
+    const { broken } = await checkCommand.checkAndReport(sitePath, siteConfig, host ? `https://${host}` : undefined);
+    if (broken > 0) {
+      if (!options.allowBroken) {
+        throw new Error(`The built site has ${broken} broken links. Fix them, or deploy with --allow-broken.`);
+      }
+      logger.warn(`Deploying with ${broken} broken links.`);
+    }
+    
+    // Sites without a GitHub repository can only be deployed directly
+    const hasGithubRepo = siteConfig.githubUsername && siteConfig.repo;
+    if (options.direct || (!hasGithubRepo && siteConfig.s3BucketName)) {
+      if (!options.direct) {
+        logger.info('GitHub repository not set up. Deploying directly to S3.');
+      }
+      
+      await deployDirect(siteName, siteConfig, sitePath, options);
+      return siteConfig;
+    }
+    
     // Check if GitHub repository is set up
-    if (!siteConfig.githubUsername || !siteConfig.repo) {
+    if (!hasGithubRepo) {
       logger.warn('GitHub repository not set up. This site may not deploy automatically.');
       logger.info('Please run "ssc setup-github" to configure GitHub integration.');
     }
@@ -58,13 +115,31 @@ async function execute(options = {}) {
     
     // Push to GitHub
     logger.info('Pushing changes to GitHub...');
-    await gitService.push(sitePath);
+    let pushed = await gitService.push(sitePath);
+    
+    // The workflow only deploys environments like production from version tags
+    if (pushed && environment && githubService.isTagDeployedEnvironment(environment)) {
+      const tag = options.tag || `v${new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '')}`;
+      pushed = await gitService.pushTag(sitePath, tag);
+    }
+    
+    // GitHub Actions publishes the pushed commit as a release
+    const commitSha = pushed ? await gitService.getHeadCommit(sitePath) : null;
+    if (commitSha) {
+      siteConfig.releases = releaseService.addToHistory(siteConfig.releases, {
+        id: commitSha,
+        commit: commitSha,
+        deployedAt: new Date().toISOString(),
+        method: 'github-actions'
+      });
+      config.saveEnvironmentConfig(siteName, environment, siteConfig);
+    }
     
     logger.info('Changes pushed to GitHub.');
     logger.info('If GitHub Actions is configured correctly, your site will be deployed automatically.');
     
     if (siteConfig.domain) {
-      logger.info(`Once deployment is complete, your site will be available at: https://${siteConfig.domain}`);
+      logger.info(`Once deployment is complete, your site will be available at: https://${getSiteHost(siteConfig)}`);
     }
     
     return siteConfig;
@@ -74,6 +149,91 @@ async function execute(options = {}) {
   }
 }
 
+/**
+ * Upload the built site straight to S3 as a new release, then switch CloudFront to it
+ * @param {string} siteName - Name of the site
+ * @param {object} siteConfig - Site configuration, or the configuration of the environment to deploy
+ * @param {string} sitePath - Path to the site
+ * @param {object} options - Command options (AWS credential options)
+ * @returns {Promise<object>} - Sync result
+ */
+async function deployDirect(siteName, siteConfig, sitePath, options) {
+  if (!siteConfig.s3BucketName) {
+    throw new Error('No S3 bucket configured for this site. Please run "ssc setup-aws" first.');
+  }
+  
+  // Get AWS credentials (from a profile, the environment, stored credentials or user input)
+  const awsCreds = await credentials.resolveAwsCredentials(options, siteConfig);
+  const clients = awsService.createAwsClients(awsCreds, siteConfig.awsRegion || 'us-east-1');
+  
+  // Print the account before anything is read or created, so the wrong one is caught early
+  const identity = await awsService.getCallerIdentity(clients.sts);
+  if (!identity) {
+    throw new Error('Could not verify AWS credentials. For SSO profiles, run "aws sso login" first.');
+  }
+  
+  const publicDir = path.join(sitePath, 'public');
+  const cacheRules = resolveCacheRules(siteConfig);
+  
+  // Without a distribution there is nothing to switch, so the bucket root is updated in place
+  if (!siteConfig.cloudfrontDistributionId) {
+    logger.warn('No CloudFront distribution configured. Uploading to the bucket root without a release.');
+    
+    const result = await syncService.syncDirectory(clients.s3, siteConfig.s3BucketName, publicDir, { cacheRules });
+    if (!result) {
+      throw new Error(`Failed to upload site to S3 bucket "${siteConfig.s3BucketName}"`);
+    }
+    return result;
+  }
+  
+  const release = await releaseService.createReleaseId(sitePath);
+  const currentReleaseId = await releaseService.getCurrentReleaseId(
+    clients.cloudfront,
+    siteConfig.cloudfrontDistributionId
+  );
+  
+  // Upload the whole release first; visitors keep seeing the current one until the switch
+  logger.info(`Uploading release ${release.id}...`);
+  const result = await syncService.syncDirectory(clients.s3, siteConfig.s3BucketName, publicDir, {
+    prefix: syncService.getReleasePrefix(release.id),
+    baselinePrefix: currentReleaseId ? syncService.getReleasePrefix(currentReleaseId) : '',
+    cacheRules
+  });
+  if (!result) {
+    throw new Error(`Failed to upload release ${release.id} to S3 bucket "${siteConfig.s3BucketName}"`);
+  }
+  
+  if (currentReleaseId === release.id && result.changed.length === 0) {
+    logger.info(`Release ${release.id} is already live. Nothing changed.`);
+    return result;
+  }
+  
+  const activated = await releaseService.activateRelease(
+    clients,
+    siteConfig.cloudfrontDistributionId,
+    release.id,
+    result.changed.length > 0 ? syncService.buildInvalidationPaths(result.changed) : []
+  );
+  if (!activated) {
+    throw new Error(`Release ${release.id} was uploaded but CloudFront could not be switched to it. The previous release is still live.`);
+  }
+  
+  siteConfig.releases = releaseService.addToHistory(siteConfig.releases, {
+    id: release.id,
+    commit: release.commit,
+    deployedAt: new Date().toISOString(),
+    method: 'direct'
+  });
+  config.saveEnvironmentConfig(siteName, siteConfig.environment, siteConfig);
+  
+  logger.success(`Release ${release.id} is live`);
+  if (siteConfig.domain) {
+    logger.info(`Your site is available at: https://${getSiteHost(siteConfig)}`);
+  }
+  
+  return result;
+}
+
 /**
  * Determine which site to deploy
  * @param {object} options - Command options
@@ -0,0 +1,535 @@
+/**
+ * Tear down every resource created for a Zola site
+ */
+
+const path = require('path');
+const inquirer = require('inquirer');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const credentials = require('../utils/credentials');
+const awsService = require('../services/aws');
+const githubService = require('../services/github');
+
+/**
+ * Execute the destroy command
+ * @param {object} options - Command options
+ * @returns {Promise<boolean>} - Whether every resource was removed
+ */
+async function execute(options = {}) {
+  try {
+    // Determine which site to destroy
+    const siteName = await determineSiteName(options);
+    
+    // Load site config
+    const siteConfig = config.getSiteConfig(siteName);
+    if (!siteConfig) {
+      throw new Error(`No configuration found for site "${siteName}".`);
+    }
+    
+    const environment = options.env || null;
+    if (environment && !(siteConfig.environments || {})[environment]) {
+      throw new Error(`Site "${siteName}" has no environment "${environment}".`);
+    }
+    
+    if (options.keepHostedZone && options.deleteHostedZone) {
+      throw new Error('Use either --keep-hosted-zone or --delete-hosted-zone, not both.');
+    }
+    
+    const label = environment ? `environment "${environment}" of "${siteName}"` : `site "${siteName}"`;
+    
+    // Decide what happens to the GitHub repository before showing the plan
+    const repoAction = environment ? 'keep' : await determineRepoAction(options, siteConfig);
+    
+    const steps = buildDestroyPlan(siteName, siteConfig, options, repoAction);
+    
+    // Show the plan
+    if (steps.length === 0) {
+      logger.info(`No resources recorded for ${label}.`);
+    } else {
+      logger.info(`The following resources will be removed for ${label}:`);
+      steps.forEach((step, i) => {
+        logger.info(`  ${i + 1}. ${step.description}`);
+      });
+    }
+    logger.info(`The configuration entry for ${label} will be removed. Local site files are kept.`);
+    
+    if (!options.yes) {
+      const confirmed = await confirmDestroy(siteName);
+      if (!confirmed) {
+        logger.info('Destroy cancelled. Nothing was removed.');
+        return false;
+      }
+    }
+    
+    // Only ask for AWS credentials when there is something to remove in AWS. Environments can
+    // use their own account and region, so each gets its clients, all checked before anything is removed.
+    const context = { clients: null, detachedPolicyArns: [] };
+    const clientsByTarget = {};
+    for (const step of steps.filter(step => step.aws)) {
+      const key = getClientsKey(step);
+      if (!clientsByTarget[key]) {
+        clientsByTarget[key] = await createCheckedAwsClients(options, step.awsConfig, step.region);
+      }
+    }
+    
+    // Run each step, dropping its config keys as soon as it succeeds so a re-run resumes
+    const failed = [];
+    for (const step of steps) {
+      const blockedBy = (step.requires || []).filter(name => failed.includes(name));
+      if (blockedBy.length > 0) {
+        logger.warn(`Skipping ${step.description} because ${blockedBy.join(', ')} could not be removed.`);
+        failed.push(step.name);
+        continue;
+      }
+      
+      if (step.aws) {
+        context.clients = clientsByTarget[getClientsKey(step)];
+      }
+      
+      const succeeded = await step.run(context);
+      if (!succeeded) {
+        failed.push(step.name);
+        continue;
+      }
+      
+      const target = step.environment ? siteConfig.environments[step.environment] : siteConfig;
+      step.configKeys.forEach(key => {
+        delete target[key];
+      });
+      config.saveSiteConfig(siteName, siteConfig);
+    }
+    
+    if (failed.length > 0) {
+      const command = `ssc destroy --name ${siteName}${environment ? ` --env ${environment}` : ''}`;
+      throw new Error(`Could not remove: ${failed.join(', ')}. Fix the errors above and run "${command}" again.`);
+    }
+    
+    if (environment) {
+      config.deleteEnvironmentConfig(siteName, environment);
+      await updateWorkflow(siteName);
+    } else {
+      config.deleteSiteConfig(siteName);
+    }
+    logger.success(`All resources for ${label} removed`);
+    
+    return true;
+  } catch (error) {
+    logger.error(`Destroy command failed: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the key under which the AWS clients for a step are kept
+ * @param {object} step - Destroy step
+ * @returns {string} - Environment and region of the step
+ */
+function getClientsKey(step) {
+  return `${step.environment || ''}:${step.region}`;
+}
+
+/**
+ * Create AWS clients and print the identity they use
+ * @param {object} options - Command options (AWS credential options)
+ * @param {object} awsConfig - Site or environment configuration recording the credentials to use
+ * @param {string} region - AWS region
+ * @returns {Promise<object>} - AWS clients
+ */
+async function createCheckedAwsClients(options, awsConfig, region) {
+  // Get AWS credentials (from a profile, the environment, stored credentials or user input)
+  const awsCreds = await credentials.resolveAwsCredentials(options, awsConfig);
+  const clients = awsService.createAwsClients(awsCreds, region);
+  
+  const identity = await awsService.getCallerIdentity(clients.sts);
+  if (!identity) {
+    throw new Error('Could not verify AWS credentials. For SSO profiles, run "aws sso login" first.');
+  }
+  
+  return clients;
+}
+
+/**
+ * Regenerate the workflow once an environment is gone so it no longer deploys to it
+ * @param {string} siteName - Name of the site
+ */
+async function updateWorkflow(siteName) {
+  const siteConfig = config.getSiteConfig(siteName);
+  if (!siteConfig.githubUsername || !siteConfig.repo) {
+    return;
+  }
+  
+  const sitePath = path.join(process.cwd(), siteName);
+  const written = await githubService.createWorkflowFile(sitePath, githubService.buildWorkflowConfig(siteConfig));
+  if (written) {
+    logger.info('Commit and push .github/workflows/main.yml so GitHub Actions stops deploying the removed environment.');
+  }
+}
+
+/**
+ * Build the ordered list of teardown steps from what the site config records
+ * Destroying one environment only covers that environment. Destroying the whole site covers
+ * every environment, then the site's own resources and its repository.
+ * @param {string} siteName - Name of the site
+ * @param {object} siteConfig - Site configuration
+ * @param {object} options - Command options
+ * @param {string} repoAction - What to do with the GitHub repository (keep, archive or delete)
+ * @returns {Array<object>} - Steps with name, description, configKeys and run()
+ */
+function buildDestroyPlan(siteName, siteConfig, options, repoAction) {
+  const environments = siteConfig.environments || {};
+  const environmentNames = options.env ? [options.env] : Object.keys(environments);
+  const steps = [];
+  
+  // Environments on subdomains share a hosted zone; it is only removed once
+  const scheduledZoneIds = new Set();
+  
+  environmentNames.forEach(environment => {
+    const resources = {
+      githubUsername: siteConfig.githubUsername,
+      repo: siteConfig.repo,
+      ...environments[environment]
+    };
+    steps.push(...buildResourceSteps(siteName, environment, resources, options, scheduledZoneIds));
+    
+    // An archived or deleted repository takes its environments with it
+    if (resources.githubUsername && resources.repo && repoAction === 'keep') {
+      steps.push({
+        name: `${environment} GitHub environment`,
+        description: `GitHub environment "${environment}" in ${resources.githubUsername}/${resources.repo}`,
+        configKeys: [],
+        run: () => githubService.deleteEnvironment(resources.githubUsername, resources.repo, environment)
+      });
+    }
+  });
+  
+  if (options.env) {
+    return steps;
+  }
+  
+  steps.push(...buildResourceSteps(siteName, null, siteConfig, options, scheduledZoneIds));
+  
+  const hasGithubRepo = siteConfig.githubUsername && siteConfig.repo;
+  if (hasGithubRepo && repoAction !== 'keep') {
+    const fullName = `${siteConfig.githubUsername}/${siteConfig.repo}`;
+    steps.push({
+      name: 'repository',
+      description: `GitHub repository ${fullName} (${repoAction === 'delete' ? 'deleted' : 'archived'})`,
+      configKeys: [],
+      run: () => repoAction === 'delete' ?
+        githubService.deleteRepository(siteConfig.githubUsername, siteConfig.repo) :
+        githubService.archiveRepository(siteConfig.githubUsername, siteConfig.repo)
+    });
+  }
+  
+  return steps;
+}
+
+/**
+ * Build the teardown steps for the AWS resources of the site or one of its environments
+ * @param {string} siteName - Name of the site
+ * @param {string|null} environment - Environment name, or null for the site's own resources
+ * @param {object} resources - Configuration recording the resources
+ * @param {object} options - Command options
+ * @param {Set<string>} scheduledZoneIds - Hosted zones already being deleted by earlier steps
+ * @returns {Array<object>} - Steps with name, description, configKeys and run()
+ */
+function buildResourceSteps(siteName, environment, resources, options, scheduledZoneIds) {
+  const steps = [];
+  const prefix = config.getResourcePrefix(siteName, environment);
+  const region = resources.awsRegion || 'us-east-1';
+  
+  // Step names are referenced by "requires", so they carry the environment to stay unique
+  const stepName = name => environment ? `${environment} ${name}` : name;
+  const addStep = step => steps.push({
+    aws: true,
+    environment,
+    region,
+    awsConfig: resources,
+    ...step,
+    name: stepName(step.name)
+  });
+  
+  // The distribution goes first: the function, policies and certificate cannot be deleted while it uses them
+  if (resources.cloudfrontDistributionId) {
+    addStep({
+      name: 'distribution',
+      description: `CloudFront distribution ${resources.cloudfrontDistributionId} (disabled, then deleted)`,
+      configKeys: ['cloudfrontDistributionId', 'cloudfrontDistributionArn', 'cloudfrontDomain'],
+      run: ({ clients }) => awsService.deleteCloudFrontDistribution(
+        clients.cloudfront,
+        resources.cloudfrontDistributionId
+      )
+    });
+  }
+  
+  if (resources.cloudfrontFunctionArn || resources.cloudfrontFunctionName) {
+    const functionName = resources.cloudfrontFunctionName || `${prefix}-redirect-function`;
+    addStep({
+      name: 'function',
+      requires: [stepName('distribution')],
+      description: `CloudFront function "${functionName}"`,
+      configKeys: ['cloudfrontFunctionName', 'cloudfrontFunctionArn'],
+      run: ({ clients }) => awsService.deleteCloudfrontFunction(clients.cloudfront, functionName)
+    });
+  }
+  
+  if (resources.cloudfrontOriginAccessControlId) {
+    addStep({
+      name: 'origin access control',
+      requires: [stepName('distribution')],
+      description: `CloudFront Origin Access Control ${resources.cloudfrontOriginAccessControlId}`,
+      configKeys: ['cloudfrontOriginAccessControlId'],
+      run: ({ clients }) => awsService.deleteOriginAccessControl(
+        clients.cloudfront,
+        resources.cloudfrontOriginAccessControlId
+      )
+    });
+  }
+  
+  if (resources.cloudfrontResponseHeadersPolicyId) {
+    addStep({
+      name: 'response headers policy',
+      requires: [stepName('distribution')],
+      description: `CloudFront response headers policy ${resources.cloudfrontResponseHeadersPolicyId}`,
+      configKeys: ['cloudfrontResponseHeadersPolicyId'],
+      run: ({ clients }) => awsService.deleteResponseHeadersPolicy(
+        clients.cloudfront,
+        resources.cloudfrontResponseHeadersPolicyId
+      )
+    });
+  }
+  
+  if (resources.s3BucketName) {
+    addStep({
+      name: 'bucket',
+      description: `S3 bucket "${resources.s3BucketName}" and all of its objects`,
+      configKeys: ['s3BucketName', 's3BucketArn'],
+      run: ({ clients }) => awsService.deleteS3Bucket(clients.s3, resources.s3BucketName)
+    });
+  }
+  
+  // Aliases can sit in hosted zones that outlive the site (an old domain, say), so their records go one by one
+  const aliases = resources.aliases || [];
+  if (aliases.length > 0) {
+    addStep({
+      name: 'alias DNS records',
+      description: `DNS records for ${aliases.join(', ')}`,
+      configKeys: ['aliases', 'canonicalDomain'],
+      run: ({ clients }) => deleteAliasDnsRecords(clients.route53, aliases)
+    });
+  }
+  
+  const zoneId = resources.route53HostedZoneId;
+  // A zone that belongs to another domain (a subdomain site in the company's zone) is never deleted,
+  // and an environment keeps the site's zone unless the environment was delegated to its own.
+  // A zone setup did not record creating (one with the owner's mail records, or from a site set up
+  // before ownership was recorded) is only deleted with --delete-hosted-zone.
+  const sharedZone = Boolean(resources.route53HostedZoneName) && resources.route53HostedZoneName !== resources.domain;
+  const foreignZone = resources.route53HostedZoneCreated !== true && !options.deleteHostedZone;
+  const keepZone = options.keepHostedZone || sharedZone || foreignZone || (options.env && !resources.delegateZone);
+  if (zoneId && keepZone && (environment || sharedZone || foreignZone) && resources.domain) {
+    // The zone stays; only this site's or environment's records go
+    const zoneHint = foreignZone && !sharedZone && !options.keepHostedZone ?
+      ' (the zone was not created by ssc setup-aws and is kept; pass --delete-hosted-zone to delete it)' : '';
+    addStep({
+      name: 'DNS records',
+      description: `DNS records for ${resources.domain} in Route53 hosted zone ${zoneId}${zoneHint}`,
+      configKeys: ['route53HostedZoneId', 'route53HostedZoneName', 'route53HostedZoneCreated'],
+      run: ({ clients }) => awsService.deleteCloudFrontDnsRecords(clients.route53, zoneId, resources.domain)
+    });
+  } else if (zoneId && !keepZone && !scheduledZoneIds.has(zoneId)) {
+    scheduledZoneIds.add(zoneId);
+    addStep({
+      name: 'hosted zone',
+      description: `Route53 hosted zone ${zoneId} and its records`,
+      configKeys: ['route53HostedZoneId', 'route53HostedZoneName', 'route53HostedZoneCreated'],
+      run: ({ clients }) => awsService.deleteHostedZone(clients.route53, zoneId)
+    });
+    
+    if (resources.route53ParentHostedZoneId) {
+      addStep({
+        name: 'zone delegation',
+        description: `NS records delegating ${resources.domain} in Route53 hosted zone ${resources.route53ParentHostedZoneId}`,
+        configKeys: ['route53ParentHostedZoneId'],
+        run: ({ clients }) => awsService.deleteZoneDelegation(
+          clients.route53,
+          resources.route53ParentHostedZoneId,
+          resources.domain
+        )
+      });
+    }
+  }
+  
+  if (resources.acmCertificateArn) {
+    addStep({
+      name: 'certificate',
+      requires: [stepName('distribution')],
+      description: `ACM certificate ${resources.acmCertificateArn}`,
+      configKeys: ['acmCertificateArn'],
+      run: ({ clients }) => awsService.deleteCertificate(clients.acm, resources.acmCertificateArn)
+    });
+  }
+  
+  // Sites set up before the IAM names were recorded still use the default names.
+  // Without environments of its own, a site's default role belongs to its single deploy target.
+  const hasGithubRepo = resources.githubUsername && resources.repo;
+  const usesDefaultIamNames = hasGithubRepo && (environment || !resources.environments);
+  if (resources.iamRoleName || usesDefaultIamNames) {
+    const roleName = resources.iamRoleName || `${prefix}-github-actions-role`;
+    addStep({
+      name: 'IAM role',
+      description: `IAM role "${roleName}" (policies detached first)`,
+      configKeys: ['iamRoleName', 'iamRoleArn'],
+      run: async (context) => {
+        const detached = await awsService.deleteIamRole(context.clients.iam, roleName);
+        if (!detached) {
+          return false;
+        }
+        context.detachedPolicyArns = detached;
+        return true;
+      }
+    });
+  }
+  
+  if (resources.iamPolicyArn || usesDefaultIamNames) {
+    const policyName = `${prefix}-deploy-policy`;
+    addStep({
+      name: 'IAM policy',
+      requires: [stepName('IAM role')],
+      description: `IAM policy "${policyName}"`,
+      configKeys: ['iamPolicyArn'],
+      run: async (context) => {
+        const policyArn = resources.iamPolicyArn ||
+          context.detachedPolicyArns.find(arn => arn.endsWith(`:policy/${policyName}`));
+        
+        if (!policyArn) {
+          logger.warn(`IAM policy "${policyName}" was not found. Delete it manually if it still exists.`);
+          return true;
+        }
+        
+        return awsService.deleteIamPolicy(context.clients.iam, policyArn);
+      }
+    });
+  }
+  
+  return steps;
+}
+
+/**
+ * Delete the CloudFront records of each alias from whichever hosted zone holds it
+ * @param {Route53Client} route53Client - AWS Route53 client
+ * @param {Array<string>} aliases - Alias domain names
+ * @returns {Promise<boolean>} - Whether the records are gone
+ */
+async function deleteAliasDnsRecords(route53Client, aliases) {
+  let deleted = true;
+  
+  for (const alias of aliases) {
+    try {
+      const zone = await awsService.findEnclosingHostedZone(route53Client, alias);
+      if (zone) {
+        const removed = await awsService.deleteCloudFrontDnsRecords(route53Client, zone.hostedZoneId, alias);
+        deleted = deleted && removed;
+      }
+    } catch (error) {
+      logger.error(`Failed to look up the hosted zone of ${alias}: ${error.message}`);
+      deleted = false;
+    }
+  }
+  
+  return deleted;
+}
+
+/**
+ * Determine what to do with the site's GitHub repository
+ * @param {object} options - Command options
+ * @param {object} siteConfig - Site configuration
+ * @returns {Promise<string>} - One of keep, archive or delete
+ */
+async function determineRepoAction(options, siteConfig) {
+  if (options.deleteRepo) {
+    return 'delete';
+  }
+  
+  if (options.archiveRepo) {
+    return 'archive';
+  }
+  
+  // Without an explicit flag only ask when someone is there to answer
+  if (!siteConfig.githubUsername || !siteConfig.repo || options.yes) {
+    return 'keep';
+  }
+  
+  const { repoAction } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'repoAction',
+      message: `What should happen to the GitHub repository ${siteConfig.githubUsername}/${siteConfig.repo}?`,
+      default: 'keep',
+      choices: [
+        { name: 'Keep it', value: 'keep' },
+        { name: 'Archive it (read-only)', value: 'archive' },
+        { name: 'Delete it', value: 'delete' }
+      ]
+    }
+  ]);
+  
+  return repoAction;
+}
+
+/**
+ * Ask the user to confirm the teardown by typing the site name
+ * @param {string} siteName - Name of the site
+ * @returns {Promise<boolean>} - Whether the user confirmed
+ */
+async function confirmDestroy(siteName) {
+  const { confirmation } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'confirmation',
+      message: `This cannot be undone. Type the site name ("${siteName}") to confirm:`
+    }
+  ]);
+  
+  return confirmation === siteName;
+}
+
+/**
+ * Determine which site to destroy
+ * @param {object} options - Command options
+ * @returns {Promise<string>} - Site name
+ */
+async function determineSiteName(options) {
+  // If site name is provided in options, use it
+  if (options.name) {
+    return options.name;
+  }
+  
+  // If options is a config object with siteName, use it
+  if (options.siteName) {
+    return options.siteName;
+  }
+  
+  // Otherwise, list all sites and let user choose
+  const sites = config.listSites();
+  
+  if (sites.length === 0) {
+    throw new Error('No sites found.');
+  }
+  
+  // Never pick a site implicitly for a destructive command
+  const { siteName } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'siteName',
+      message: 'Which site would you like to destroy?',
+      choices: sites.map(site => site.siteName)
+    }
+  ]);
+  
+  return siteName;
+}
+
+module.exports = {
+  execute
+};
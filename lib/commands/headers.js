@@ -0,0 +1,138 @@
+/**
+ * Change the security headers CloudFront sends for a Zola site
+ */
+
+const inquirer = require('inquirer');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const credentials = require('../utils/credentials');
+const { applyHeaderOptions, resolveHeaders, listHeaders } = require('../utils/headers');
+const awsService = require('../services/aws');
+
+/**
+ * Execute the headers command
+ * @param {object} options - Command options
+ * @returns {Promise<object>} - Header values now sent, by name
+ */
+async function execute(options = {}) {
+  try {
+    // Determine which site to update
+    const siteName = await determineSiteName(options);
+    
+    // Load site config (or the view of it for one environment)
+    const siteConfig = config.getEnvironmentConfig(siteName, options.env);
+    if (!siteConfig) {
+      throw new Error(`No configuration found for site "${siteName}". Please initialize the site first.`);
+    }
+    
+    // Headers are a site setting, so every environment sends the same ones
+    const changed = options.reset || (options.set || []).length > 0 || (options.unset || []).length > 0;
+    if (changed) {
+      siteConfig.headers = applyHeaderOptions(siteConfig, options);
+      config.saveEnvironmentConfig(siteName, options.env, siteConfig);
+    }
+    
+    const headers = resolveHeaders(siteConfig);
+    
+    if (options.list) {
+      listHeaders(headers).forEach(({ name, value }) => {
+        console.log(`${name}: ${value}`);
+      });
+      if (!changed) {
+        return headers;
+      }
+    }
+    
+    if (!siteConfig.cloudfrontDistributionId) {
+      const setupCommand = options.env ? `ssc setup-aws --env ${options.env}` : 'ssc setup-aws';
+      throw new Error(`No CloudFront distribution recorded for "${siteName}". The headers are saved; run "${setupCommand}" to apply them.`);
+    }
+    
+    // Get AWS credentials (from a profile, the environment, stored credentials or user input)
+    const awsCreds = await credentials.resolveAwsCredentials(options, siteConfig);
+    const clients = awsService.createAwsClients(awsCreds, siteConfig.awsRegion || 'us-east-1');
+    
+    // Print the account before anything is read or created, so the wrong one is caught early
+    const identity = await awsService.getCallerIdentity(clients.sts);
+    if (!identity) {
+      throw new Error('Could not verify AWS credentials. For SSO profiles, run "aws sso login" first.');
+    }
+    
+    const policyName = `${config.getResourcePrefix(siteName, options.env)}-headers`;
+    const policy = await awsService.createOrUpdateResponseHeadersPolicy(
+      clients.cloudfront,
+      policyName,
+      headers,
+      siteConfig.cloudfrontResponseHeadersPolicyId
+    );
+    if (!policy) {
+      throw new Error(`Failed to update CloudFront response headers policy "${policyName}".`);
+    }
+    
+    siteConfig.cloudfrontResponseHeadersPolicyId = policy.responseHeadersPolicyId;
+    config.saveEnvironmentConfig(siteName, options.env, siteConfig);
+    
+    const attached = await awsService.setDistributionResponseHeadersPolicy(
+      clients.cloudfront,
+      siteConfig.cloudfrontDistributionId,
+      policy.responseHeadersPolicyId
+    );
+    if (!attached) {
+      throw new Error(`Failed to attach response headers policy "${policyName}" to distribution ${siteConfig.cloudfrontDistributionId}.`);
+    }
+    
+    const environments = Object.keys(config.getSiteConfig(siteName).environments || {});
+    if (changed && environments.length > 1) {
+      logger.info('The headers are saved for the whole site. Run "ssc headers --env <name>" for the other environments too.');
+    }
+    
+    return headers;
+  } catch (error) {
+    logger.error(`Headers command failed: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Determine which site to update
+ * @param {object} options - Command options
+ * @returns {Promise<string>} - Site name
+ */
+async function determineSiteName(options) {
+  // If site name is provided in options, use it
+  if (options.name) {
+    return options.name;
+  }
+  
+  // If options is a config object with siteName, use it
+  if (options.siteName) {
+    return options.siteName;
+  }
+  
+  // Otherwise, list all sites and let user choose
+  const sites = config.listSites();
+  
+  if (sites.length === 0) {
+    throw new Error('No sites found. Please initialize a site first with `ssc init`.');
+  }
+  
+  if (sites.length === 1) {
+    return sites[0].siteName;
+  }
+  
+  // Multiple sites found, prompt user to choose
+  const { siteName } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'siteName',
+      message: 'Which site would you like to update the headers of?',
+      choices: sites.map(site => site.siteName)
+    }
+  ]);
+  
+  return siteName;
+}
+
+module.exports = {
+  execute
+};
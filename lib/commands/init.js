@@ -7,8 +7,10 @@ const fs = require('fs');
 const inquirer = require('inquirer');
 const logger = require('../utils/logger');
 const config = require('../utils/config');
+const { listCatalogueThemes, resolveThemeSpec } = require('../utils/themes');
 const zolaService = require('../services/zola');
 const gitService = require('../services/git');
+const starterService = require('../services/starter');
 
 /**
  * Execute the init command
@@ -35,15 +37,95 @@ async function execute(options = {}) {
     // Collect site information if not provided in options
     const siteInfo = await collectSiteInfo(options);
     
-    // Create site directory structure manually instead of using Zola init
+    // Catch an unknown theme or starter name before anything is created
+    if (siteInfo.theme) {
+      resolveThemeSpec(siteInfo.theme);
+    }
+    if (siteInfo.starter) {
+      starterService.resolveStarterSpec(siteInfo.starter);
+    }
+    
     const sitePath = path.join(process.cwd(), siteInfo.siteName);
-    fs.mkdirSync(sitePath, { recursive: true });
-    fs.mkdirSync(path.join(sitePath, 'content'), { recursive: true });
-    fs.mkdirSync(path.join(sitePath, 'templates'), { recursive: true });
-    fs.mkdirSync(path.join(sitePath, 'static'), { recursive: true });
+    if (siteInfo.starter) {
+      if (fs.existsSync(sitePath) && fs.readdirSync(sitePath).length > 0) {
+        throw new Error(`Directory "${sitePath}" is not empty.`);
+      }
+      
+      const created = await starterService.createFromStarter(sitePath, siteInfo.starter, {
+        siteName: siteInfo.siteName,
+        title: siteInfo.siteName,
+        description: 'A static site created with Static Site Creator',
+        domain: siteInfo.domain || '',
+        baseUrl: `https://${siteInfo.domain || 'example.com'}`,
+        author: siteInfo.author || await gitService.getUserName() || siteInfo.siteName,
+        year: new Date().getFullYear(),
+        date: new Date().toISOString().slice(0, 10)
+      }, { withTheme: Boolean(siteInfo.theme) });
+      
+      if (!created) {
+        throw new Error(`Failed to create site from starter "${siteInfo.starter}"`);
+      }
+    } else {
+      createBasicSite(sitePath, siteInfo);
+    }
     
-    // Create basic config.toml
-    const configToml = `
+    const initialized = true;
+    
+    // Save site config
+    const siteConfig = config.saveSiteConfig(siteInfo.siteName, {
+      siteName: siteInfo.siteName,
+      theme: siteInfo.theme,
+      repo: siteInfo.repo || siteInfo.siteName,
+      domain: siteInfo.domain,
+      // New sites are pinned, so local builds and the workflow use the same Zola
+      zolaVersion: zolaService.ZOLA_VERSION
+    });
+    
+    // Create .gitignore file
+    createGitignore(sitePath);
+    
+    const repoInitialized = await gitService.initRepo(sitePath);
+    if (!repoInitialized) {
+      logger.warn(`Failed to initialize Git repository in "${sitePath}"`);
+    }
+    
+    // Install theme if specified
+    if (siteInfo.theme) {
+      const theme = await zolaService.installTheme(sitePath, siteInfo.theme);
+      
+      if (theme) {
+        // The repository and ref let later commands update or replace the theme
+        siteConfig.theme = theme.name;
+        siteConfig.themeRepo = theme.repo;
+        siteConfig.themeRef = theme.ref || theme.branch;
+      } else {
+        logger.warn('The site was created without a theme.');
+        siteConfig.theme = null;
+      }
+      config.saveSiteConfig(siteInfo.siteName, siteConfig);
+    }
+    
+    return siteConfig;
+  } catch (error) {
+    logger.error(`Init command failed: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Write the basic site: one config.toml, home page, template and stylesheet
+ * @param {string} sitePath - Path to the site directory
+ * @param {object} siteInfo - Site information
+ */
+function createBasicSite(sitePath, siteInfo) {
+  // Create site directory structure manually instead of using Zola init
+  fs.mkdirSync(sitePath, { recursive: true });
+  fs.mkdirSync(path.join(sitePath, 'content'), { recursive: true });
+  fs.mkdirSync(path.join(sitePath, 'templates'), { recursive: true });
+  fs.mkdirSync(path.join(sitePath, 'static'), { recursive: true });
+  
+  // Create basic config.toml
+  const configToml = `
 # Basic config.toml for ${siteInfo.siteName}
 base_url = "https://${siteInfo.domain || 'example.com'}"
 title = "${siteInfo.siteName}"
@@ -56,11 +138,11 @@ highlight_code = true
 # Optional: Search index
 [search]
 index_pages = true
-    `;
-    fs.writeFileSync(path.join(sitePath, 'config.toml'), configToml);
-    
-    // Create a basic index page
-    const indexMd = `
+  `;
+  fs.writeFileSync(path.join(sitePath, 'config.toml'), configToml);
+  
+  // Create a basic index page
+  const indexMd = `
 +++
 title = "Welcome to ${siteInfo.siteName}"
 template = "index.html"
@@ -69,11 +151,11 @@ template = "index.html"
 # Welcome to ${siteInfo.siteName}
 
 This is your new static site created with Static Site Creator.
-    `;
-    fs.writeFileSync(path.join(sitePath, 'content', '_index.md'), indexMd);
-    
-    // Create a basic template
-    const indexTemplate = `
+  `;
+  fs.writeFileSync(path.join(sitePath, 'content', '_index.md'), indexMd);
+  
+  // Create a basic template
+  const indexTemplate = `
 <!DOCTYPE html>
 <html lang="en">
 <head>
@@ -95,11 +177,11 @@ This is your new static site created with Static Site Creator.
     </footer>
 </body>
 </html>
-    `;
-    fs.writeFileSync(path.join(sitePath, 'templates', 'index.html'), indexTemplate);
-    
-    // Create a basic stylesheet
-    const css = `
+  `;
+  fs.writeFileSync(path.join(sitePath, 'templates', 'index.html'), indexTemplate);
+  
+  // Create a basic stylesheet
+  const css = `
 body {
     font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
     line-height: 1.6;
@@ -123,37 +205,9 @@ footer {
     padding-top: 1rem;
 }
     `;
-    fs.writeFileSync(path.join(sitePath, 'static', 'style.css'), css);
-    
-    logger.succeed(`Basic Zola site structure created for "${siteInfo.siteName}"`);
-    const initialized = true;
-    
-    // Save site config
-    const siteConfig = config.saveSiteConfig(siteInfo.siteName, {
-      siteName: siteInfo.siteName,
-      theme: siteInfo.theme,
-      repo: siteInfo.repo || siteInfo.siteName,
-      domain: siteInfo.domain
-    });
-    
-    // Create .gitignore file
-    createGitignore(sitePath);
-    
-    const repoInitialized = await gitService.initRepo(sitePath);
-    if (!repoInitialized) {
-      logger.warn(`Failed to initialize Git repository in "${sitePath}"`);
-    }
-    
-    // Install theme if specified
-    if (siteInfo.theme) {
-      await zolaService.installTheme(sitePath, siteInfo.theme);
-    }
-    
-    return siteConfig;
-  } catch (error) {
-    logger.error(`Init command failed: ${error.message}`, error);
-    throw error;
-  }
+  fs.writeFileSync(path.join(sitePath, 'static', 'style.css'), css);
+  
+  logger.succeed(`Basic Zola site structure created for "${siteInfo.siteName}"`);
 }
 
 /**
@@ -189,12 +243,31 @@ async function collectSiteInfo(options) {
     });
     
     questions.push({
-      type: 'input',
+      type: 'list',
       name: 'theme',
-      message: 'Enter the theme name (serene is a good option):',
+      message: 'Which theme would you like to use?',
+      choices: [
+        ...listCatalogueThemes().map(theme => ({ name: `${theme.name} - ${theme.description}`, value: theme.name })),
+        { name: 'Another theme (Git URL)', value: null }
+      ],
       default: 'serene',
       when: answers => answers.useTheme
     });
+    
+    questions.push({
+      type: 'input',
+      name: 'themeUrl',
+      message: 'Enter the theme\'s Git URL (add #<ref> for a branch, tag or commit):',
+      when: answers => answers.useTheme && !answers.theme,
+      validate: input => {
+        try {
+          resolveThemeSpec(input);
+          return true;
+        } catch (error) {
+          return error.message;
+        }
+      }
+    });
   }
   
   // Domain (optional at this point)
@@ -213,7 +286,9 @@ async function collectSiteInfo(options) {
   return {
     siteName: options.name || answers.siteName,
     // Set theme to null by default, unless explicitly provided or selected through prompt
-    theme: options.theme || (answers.useTheme ? answers.theme : null),
+    theme: options.theme || (answers.useTheme ? answers.theme || answers.themeUrl : null),
+    starter: options.starter || null,
+    author: options.author || null,
     domain: options.domain || answers.domain,
     repo: options.repo || null
   };
@@ -221,10 +296,21 @@ async function collectSiteInfo(options) {
 
 /**
  * Create .gitignore file in the site directory
+ * A starter repository's own .gitignore is kept, with the entries ssc needs added to it.
  * @param {string} sitePath - Path to the site directory
  */
 function createGitignore(sitePath) {
   const gitignorePath = path.join(sitePath, '.gitignore');
+  if (fs.existsSync(gitignorePath)) {
+    const existing = fs.readFileSync(gitignorePath, 'utf8');
+    const missing = ['public/', '.ssc-plan*.json'].filter(entry => !existing.split(/\r?\n/).includes(entry));
+    if (missing.length > 0) {
+      fs.appendFileSync(gitignorePath, `${existing.endsWith('\n') ? '' : '\n'}\n# Static Site Creator\n${missing.join('\n')}\n`);
+      logger.info('.gitignore file updated');
+    }
+    return;
+  }
+  
   const gitignoreContent = `# Zola output directory
 public/
 
@@ -233,7 +319,7 @@ public/
 .env.*
 
 # Local configuration files
-.ssc-config.json
+.ssc-plan*.json
 
 # Node.js
 node_modules/
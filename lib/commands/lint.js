@@ -0,0 +1,106 @@
+/**
+ * Check a site's content front matter and Markdown before it is built
+ */
+
+const fs = require('fs');
+const path = require('path');
+const inquirer = require('inquirer');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const lintService = require('../services/lint');
+
+/**
+ * Execute the lint command
+ * Results go to stdout in the chosen format; with json or github nothing else is printed there.
+ * @param {object} options - Command options (format, strict, dir)
+ * @returns {Promise<object>} - { files, results, errors, warnings }
+ */
+async function execute(options = {}) {
+  try {
+    const format = options.format || 'text';
+    if (!lintService.FORMATS.includes(format)) {
+      throw new Error(`Unknown format "${format}". Use one of ${lintService.FORMATS.join(', ')}.`);
+    }
+    
+    // In CI the checkout is the site and there is no ssc configuration, so a directory can be given instead
+    const sitePath = options.dir ?
+      path.resolve(options.dir) :
+      path.join(process.cwd(), await determineSiteName(options));
+    if (!fs.existsSync(sitePath)) {
+      throw new Error(`Site directory "${sitePath}" not found. Run this command from the directory that contains the site.`);
+    }
+    
+    const { files, results } = lintService.lintSite(sitePath);
+    const errors = results.filter(result => result.severity === 'error').length;
+    const warnings = results.length - errors;
+    
+    // Annotations need paths from the repository root, which is where workflows run
+    const reported = format === 'github' ?
+      results.map(result => ({ ...result, file: path.relative(process.cwd(), path.join(sitePath, result.file)).split(path.sep).join('/') })) :
+      results;
+    if (format === 'json' || reported.length > 0) {
+      console.log(lintService.formatResults(reported, format));
+    }
+    if (format === 'text') {
+      const summary = `${files} files checked: ${errors} errors, ${warnings} warnings`;
+      if (results.length === 0) {
+        logger.success(summary);
+      } else {
+        logger.info(summary);
+      }
+    }
+    
+    if (errors > 0 || (options.strict && warnings > 0)) {
+      throw new Error(`Lint failed with ${errors} errors and ${warnings} warnings`);
+    }
+    
+    return { files, results, errors, warnings };
+  } catch (error) {
+    logger.error(`Lint command failed: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Determine which site to lint
+ * @param {object} options - Command options
+ * @returns {Promise<string>} - Site name
+ */
+async function determineSiteName(options) {
+  // If site name is provided in options, use it
+  if (options.name) {
+    return options.name;
+  }
+  
+  // If options is a config object with siteName, use it
+  if (options.siteName) {
+    return options.siteName;
+  }
+  
+  // Otherwise, list all sites and let user choose
+  const sites = config.listSites();
+  
+  if (sites.length === 0) {
+    throw new Error('No sites found. Please initialize a site first with `ssc init`.');
+  }
+  
+  if (sites.length === 1) {
+    return sites[0].siteName;
+  }
+  
+  // Multiple sites found, prompt user to choose
+  const { siteName } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'siteName',
+      message: 'Which site would you like to lint?',
+      choices: sites.map(site => site.siteName)
+    }
+  ]);
+  
+  return siteName;
+}
+
+module.exports = {
+  execute
+};
@@ -0,0 +1,317 @@
+/**
+ * Create posts, pages and sections with valid front matter
+ */
+
+const execa = require('execa');
+const fs = require('fs');
+const path = require('path');
+const inquirer = require('inquirer');
+const TOML = require('@iarna/toml');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { CONTENT_DIR, slugify, formatLocalDate, splitFrontMatter, stringifyFrontMatter } = require('../utils/content');
+const { substituteVariables } = require('../services/starter');
+
+const KINDS = ['post', 'page', 'section'];
+
+// Per-site templates for new content: archetypes/post.md, archetypes/page.md and archetypes/section.md
+const ARCHETYPES_DIR = 'archetypes';
+
+// Sections posts go to when --section is not given, in order of preference
+const POST_SECTIONS = ['blog', 'posts'];
+
+/**
+ * Execute the new command
+ * @param {object} options - Command options (kind, title, section, slug, tag, template, draft, bundle, open)
+ * @returns {Promise<object>} - { kind, filePath }
+ */
+async function execute(options = {}) {
+  try {
+    if (!KINDS.includes(options.kind)) {
+      throw new Error(`Unknown content kind "${options.kind}". Use one of ${KINDS.join(', ')}.`);
+    }
+    
+    // Determine which site to add content to
+    const siteName = await determineSiteName(options);
+    
+    const sitePath = path.join(process.cwd(), siteName);
+    if (!fs.existsSync(path.join(sitePath, 'config.toml'))) {
+      throw new Error(`No Zola site found in "${sitePath}". Run this command from the directory that contains the site.`);
+    }
+    
+    const title = options.title || await promptTitle(options.kind);
+    const slug = options.slug ? slugify(options.slug) : slugify(title);
+    if (!slug) {
+      throw new Error(`Cannot make a file name from "${options.slug || title}". Give one with --slug.`);
+    }
+    
+    const contentPath = path.join(sitePath, CONTENT_DIR);
+    const section = normalizeSection(options.section !== undefined ?
+      options.section :
+      (options.kind === 'post' ? findPostSection(contentPath) : ''));
+    
+    const filePath = getContentFilePath(contentPath, section, slug, options);
+    if (fs.existsSync(filePath)) {
+      throw new Error(`${path.relative(sitePath, filePath)} already exists.`);
+    }
+    
+    const date = formatLocalDate(new Date());
+    const archetype = readArchetype(sitePath, options.kind, { title, slug, section, date });
+    const frontMatter = buildFrontMatter(options, archetype.frontMatter, {
+      title,
+      date,
+      hasTags: siteHasTaxonomy(sitePath, 'tags')
+    });
+    
+    // Pages in a directory without _index.md are not part of any section
+    ensureSections(contentPath, section, options.kind);
+    
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    if (options.bundle) {
+      fs.mkdirSync(path.join(path.dirname(filePath), 'assets'), { recursive: true });
+    }
+    fs.writeFileSync(filePath, stringifyFrontMatter(frontMatter, archetype.body));
+    
+    logger.success(`Created ${path.relative(sitePath, filePath)}`);
+    if (options.bundle) {
+      logger.info(`Put images and other files for the ${options.kind} in ${path.relative(sitePath, path.join(path.dirname(filePath), 'assets'))} and link them relative to the page.`);
+    }
+    
+    if (options.open) {
+      await openInEditor(filePath);
+    }
+    
+    return { kind: options.kind, filePath };
+  } catch (error) {
+    logger.error(`New command failed: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Ask for the title of the new content
+ * @param {string} kind - post, page or section
+ * @returns {Promise<string>} - Title
+ */
+async function promptTitle(kind) {
+  const { title } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'title',
+      message: `Title of the new ${kind}:`,
+      validate: input => (input.trim() ? true : 'A title is required')
+    }
+  ]);
+  
+  return title.trim();
+}
+
+/**
+ * Check a section path given on the command line
+ * @param {string} section - Section path inside content/, e.g. blog or docs/guides
+ * @returns {string} - The path with forward slashes and no leading or trailing slash; empty for the root
+ */
+function normalizeSection(section) {
+  const normalized = String(section || '').replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+  if (normalized.split('/').some(part => part === '..' || part === '.')) {
+    throw new Error(`Invalid section "${section}". Use a path inside ${CONTENT_DIR}/, e.g. blog or docs/guides.`);
+  }
+  
+  return normalized;
+}
+
+/**
+ * Pick the section posts go to: the first of blog/ and posts/ the site has, or blog/
+ * @param {string} contentPath - Path to the site's content directory
+ * @returns {string} - Section path
+ */
+function findPostSection(contentPath) {
+  return POST_SECTIONS.find(section => fs.existsSync(path.join(contentPath, section))) || POST_SECTIONS[0];
+}
+
+/**
+ * Work out the file a new post, page or section is written to
+ * @param {string} contentPath - Path to the site's content directory
+ * @param {string} section - Section path the content goes in
+ * @param {string} slug - File or directory name
+ * @param {object} options - Command options (kind, bundle)
+ * @returns {string} - Path of the Markdown file
+ */
+function getContentFilePath(contentPath, section, slug, options) {
+  const directory = path.join(contentPath, ...section.split('/').filter(Boolean));
+  
+  if (options.kind === 'section') {
+    return path.join(directory, slug, '_index.md');
+  }
+  
+  // A page bundle keeps the page and its assets together in one directory
+  return options.bundle ? path.join(directory, slug, 'index.md') : path.join(directory, `${slug}.md`);
+}
+
+/**
+ * Read the site's archetype for a kind of content
+ * The archetype's %%title%%, %%slug%%, %%section%% and %%date%% placeholders are filled in.
+ * @param {string} sitePath - Path to the site
+ * @param {string} kind - post, page or section
+ * @param {object} variables - Values for the placeholders
+ * @returns {object} - { frontMatter, body }; empty without an archetype
+ */
+function readArchetype(sitePath, kind, variables) {
+  const archetypePath = path.join(sitePath, ARCHETYPES_DIR, `${kind}.md`);
+  if (!fs.existsSync(archetypePath)) {
+    return { frontMatter: {}, body: '' };
+  }
+  
+  const relativePath = path.relative(sitePath, archetypePath);
+  const raw = fs.readFileSync(archetypePath, 'utf8');
+  
+  // Values are escaped for TOML in the front matter and go into the body as they are
+  const parts = splitFrontMatter(raw);
+  if (!parts) {
+    return { frontMatter: {}, body: substituteVariables(raw, variables) };
+  }
+  
+  try {
+    return {
+      frontMatter: TOML.parse(substituteVariables(parts.text, variables, true)),
+      body: substituteVariables(parts.body, variables)
+    };
+  } catch (error) {
+    throw new Error(`Could not parse the front matter of ${relativePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Put together the front matter of new content
+ * The archetype's values win over the defaults for the kind; options given on the command line
+ * win over both.
+ * @param {object} options - Command options (kind, tag, template, draft)
+ * @param {object} archetype - Front matter from the archetype
+ * @param {object} values - { title, date, hasTags }
+ * @returns {object} - Front matter
+ */
+function buildFrontMatter(options, archetype, { title, date, hasTags }) {
+  const defaults = { title };
+  if (options.kind === 'post') {
+    // A TOML local date, as Zola expects for a date without a time
+    defaults.date = TOML.parse(`date = ${date}`).date;
+    defaults.draft = true;
+    if (hasTags) {
+      defaults.taxonomies = { tags: [] };
+    }
+  }
+  
+  const frontMatter = { ...defaults, ...archetype, title };
+  
+  if (options.draft !== undefined && options.kind !== 'section') {
+    frontMatter.draft = options.draft;
+  }
+  if (options.template) {
+    frontMatter.template = options.template;
+  }
+  if (options.tag && options.tag.length > 0) {
+    frontMatter.taxonomies = { ...(frontMatter.taxonomies || {}), tags: options.tag };
+  }
+  
+  return frontMatter;
+}
+
+/**
+ * Check whether the site's config.toml defines a taxonomy
+ * @param {string} sitePath - Path to the site
+ * @param {string} name - Taxonomy name
+ * @returns {boolean} - Whether the taxonomy is defined
+ */
+function siteHasTaxonomy(sitePath, name) {
+  try {
+    const siteConfig = TOML.parse(fs.readFileSync(path.join(sitePath, 'config.toml'), 'utf8'));
+    return (siteConfig.taxonomies || []).some(taxonomy => taxonomy.name === name);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Create the _index.md of every section on the path that does not have one
+ * @param {string} contentPath - Path to the site's content directory
+ * @param {string} section - Section path
+ * @param {string} kind - post, page or section; a new post section is sorted by date
+ */
+function ensureSections(contentPath, section, kind) {
+  const parts = section.split('/').filter(Boolean);
+  
+  parts.forEach((part, index) => {
+    const indexPath = path.join(contentPath, ...parts.slice(0, index + 1), '_index.md');
+    if (fs.existsSync(indexPath)) {
+      return;
+    }
+    
+    const frontMatter = { title: part.replace(/[-_]+/g, ' ').replace(/^\w/, letter => letter.toUpperCase()) };
+    if (kind === 'post' && index === parts.length - 1) {
+      frontMatter.sort_by = 'date';
+    }
+    
+    fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+    fs.writeFileSync(indexPath, stringifyFrontMatter(frontMatter));
+    logger.info(`Created section ${path.relative(path.dirname(contentPath), indexPath)}`);
+  });
+}
+
+/**
+ * Open a file in the user's editor and wait for it to close
+ * @param {string} filePath - File to open
+ */
+async function openInEditor(filePath) {
+  const editor = process.env.VISUAL || process.env.EDITOR;
+  if (!editor) {
+    logger.warn('Set $EDITOR (or $VISUAL) to open new content in your editor.');
+    return;
+  }
+  
+  // $EDITOR may carry arguments, e.g. "code --wait"
+  await execa.command(`${editor} ${filePath.replace(/ /g, '\\ ')}`, { stdio: 'inherit' });
+}
+
+/**
+ * Determine which site to add content to
+ * @param {object} options - Command options
+ * @returns {Promise<string>} - Site name
+ */
+async function determineSiteName(options) {
+  // If site name is provided in options, use it
+  if (options.name) {
+    return options.name;
+  }
+  
+  // If options is a config object with siteName, use it
+  if (options.siteName) {
+    return options.siteName;
+  }
+  
+  // Otherwise, list all sites and let user choose
+  const sites = config.listSites();
+  
+  if (sites.length === 0) {
+    throw new Error('No sites found. Please initialize a site first with `ssc init`.');
+  }
+  
+  if (sites.length === 1) {
+    return sites[0].siteName;
+  }
+  
+  // Multiple sites found, prompt user to choose
+  const { siteName } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'siteName',
+      message: 'Which site would you like to add content to?',
+      choices: sites.map(site => site.siteName)
+    }
+  ]);
+  
+  return siteName;
+}
+
+module.exports = {
+  execute
+};
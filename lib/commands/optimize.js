@@ -0,0 +1,181 @@
+/**
+ * Optimize a site's built output: minify it, add responsive image versions and compress it
+ */
+
+const fs = require('fs');
+const path = require('path');
+const inquirer = require('inquirer');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { getSiteHost } = require('../utils/domains');
+const { STAGES, applyOptimizeOptions, resolveOptimizeSettings } = require('../utils/optimize');
+const checkService = require('../services/check');
+const githubService = require('../services/github');
+const optimizeService = require('../services/optimize');
+const zolaService = require('../services/zola');
+
+/**
+ * Execute the optimize command
+ * @param {object} options - Command options (env, dir, baseUrl, skipBuild, enable, disable, minify, images, precompress, fingerprint)
+ * @returns {Promise<object>} - Size report, or the saved settings with --enable or --disable
+ */
+async function execute(options = {}) {
+  try {
+    // In CI the checkout is the site and there is no ssc configuration; the flags choose the stages
+    if (options.dir) {
+      const sitePath = path.resolve(options.dir);
+      const settings = resolveOptimizeSettings({ optimize: applyOptimizeOptions({}, { ...options, enable: true }) });
+      return await optimizeAndReport(sitePath, settings, options.baseUrl);
+    }
+    
+    // Determine which site to optimize
+    const siteName = await determineSiteName(options);
+    
+    if (options.enable || options.disable) {
+      return await saveSettings(siteName, options);
+    }
+    
+    // Load site config (or the view of it for one environment)
+    const environment = options.env || null;
+    const siteConfig = config.getEnvironmentConfig(siteName, environment);
+    if (!siteConfig) {
+      throw new Error(`No configuration found for site "${siteName}". Please initialize the site first.`);
+    }
+    
+    const sitePath = path.join(process.cwd(), siteName);
+    if (!fs.existsSync(sitePath)) {
+      throw new Error(`Site directory "${sitePath}" not found. Run this command from the directory that contains the site.`);
+    }
+    
+    // Build the way deploy does, so the report shows what would be uploaded
+    const host = environment ? getSiteHost(siteConfig) : null;
+    const baseUrl = host ? `https://${host}` : undefined;
+    if (!options.skipBuild) {
+      const built = await zolaService.buildSite(sitePath, { baseUrl, zolaVersion: siteConfig.zolaVersion });
+      if (!built) {
+        throw new Error(`Failed to build site "${siteName}"`);
+      }
+    }
+    
+    // Sites that have not turned optimization on get every stage the flags leave on
+    const settings = resolveOptimizeSettings({ optimize: applyOptimizeOptions(siteConfig, { ...options, enable: true }) });
+    const report = await optimizeAndReport(sitePath, settings, baseUrl);
+    
+    if (!resolveOptimizeSettings(siteConfig).enabled) {
+      logger.info('Deploys upload public/ without these changes. Run "ssc optimize --enable" to optimize on every deploy.');
+    }
+    
+    return report;
+  } catch (error) {
+    logger.error(`Optimize command failed: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Turn optimization on or off for deploys and CI
+ * @param {string} siteName - Name of the site
+ * @param {object} options - Command options (enable, disable, minify, images, precompress, fingerprint)
+ * @returns {Promise<object|null>} - Saved settings
+ */
+async function saveSettings(siteName, options) {
+  const siteConfig = config.getSiteConfig(siteName);
+  if (!siteConfig) {
+    throw new Error(`No configuration found for site "${siteName}". Please initialize the site first.`);
+  }
+  
+  const wasPrecompressed = resolveOptimizeSettings(siteConfig).precompress;
+  siteConfig.optimize = applyOptimizeOptions(siteConfig, options);
+  config.saveSiteConfig(siteName, siteConfig);
+  
+  const settings = resolveOptimizeSettings(siteConfig);
+  if (settings.enabled) {
+    logger.success(`Deploys of "${siteName}" run: ${STAGES.filter(stage => settings[stage]).join(', ') || 'no stages'}`);
+  } else {
+    logger.success(`Deploys of "${siteName}" upload public/ as Zola builds it`);
+  }
+  
+  // The CloudFront function asks for the compressed copies, so it has to change with the setting
+  if (settings.precompress !== wasPrecompressed) {
+    logger.warn(`Run "ssc redirects sync"${siteConfig.environments ? ' for each environment' : ''} before the next deploy, so CloudFront ${settings.precompress ? 'serves' : 'stops asking for'} the compressed copies.`);
+  }
+  
+  // The workflow runs the same stages in CI
+  const sitePath = path.join(process.cwd(), siteName);
+  if (fs.existsSync(path.join(sitePath, '.github', 'workflows', 'main.yml'))) {
+    const written = await githubService.createWorkflowFile(sitePath, githubService.buildWorkflowConfig(siteConfig));
+    if (written) {
+      logger.info('Commit and push .github/workflows/main.yml so CI optimizes the same way.');
+    }
+    if (settings.enabled && !siteConfig.ciPackage) {
+      logger.warn('The workflow cannot optimize the site until it has a pinned ssc package. Run "ssc ci --package <spec>".');
+    }
+  }
+  
+  return siteConfig.optimize;
+}
+
+/**
+ * Optimize the built site and print the size report
+ * @param {string} sitePath - Path to the site, with the build in public/
+ * @param {object} settings - Stages to run (see resolveOptimizeSettings)
+ * @param {string} baseUrl - URL the site was built for (default: the base_url in config.toml)
+ * @returns {Promise<object>} - Size report
+ */
+async function optimizeAndReport(sitePath, settings, baseUrl) {
+  const report = await optimizeService.optimizeSite(path.join(sitePath, 'public'), {
+    ...settings,
+    baseUrl: baseUrl || checkService.readBaseUrl(sitePath)
+  });
+  if (!report) {
+    throw new Error('Failed to optimize the built site');
+  }
+  
+  console.log(optimizeService.formatReport(report));
+  return report;
+}
+
+/**
+ * Determine which site to optimize
+ * @param {object} options - Command options
+ * @returns {Promise<string>} - Site name
+ */
+async function determineSiteName(options) {
+  // If site name is provided in options, use it
+  if (options.name) {
+    return options.name;
+  }
+  
+  // If options is a config object with siteName, use it
+  if (options.siteName) {
+    return options.siteName;
+  }
+  
+  // Otherwise, list all sites and let user choose
+  const sites = config.listSites();
+  
+  if (sites.length === 0) {
+    throw new Error('No sites found. Please initialize a site first with `ssc init`.');
+  }
+  
+  if (sites.length === 1) {
+    return sites[0].siteName;
+  }
+  
+  // Multiple sites found, prompt user to choose
+  const { siteName } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'siteName',
+      message: 'Which site would you like to optimize?',
+      choices: sites.map(site => site.siteName)
+    }
+  ]);
+  
+  return siteName;
+}
+
+module.exports = {
+  execute,
+  optimizeAndReport
+};
@@ -0,0 +1,169 @@
+/**
+ * Compute the infrastructure changes for a Zola site without making them
+ */
+
+const fs = require('fs');
+const path = require('path');
+const inquirer = require('inquirer');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { applyDomainOptions } = require('../utils/domains');
+const { applyErrorPageOptions } = require('../utils/error-pages');
+const { loadRedirects } = require('../utils/redirects');
+const { resolveOptimizeSettings } = require('../utils/optimize');
+const credentials = require('../utils/credentials');
+const awsService = require('../services/aws');
+const planService = require('../services/plan');
+
+/**
+ * Execute the plan command
+ * @param {object} options - Command options
+ * @returns {Promise<object>} - The computed plan
+ */
+async function execute(options = {}) {
+  try {
+    // Determine which site to plan
+    const siteName = await determineSiteName(options);
+    
+    // Environment names end up in bucket, function and IAM names
+    const environment = options.env || null;
+    if (environment && !/^[a-z0-9][a-z0-9-]*$/.test(environment)) {
+      throw new Error(`Invalid environment name "${environment}". Use lowercase letters, numbers and hyphens.`);
+    }
+    
+    // Load site config (or the view of it for one environment)
+    const siteConfig = config.getEnvironmentConfig(siteName, environment);
+    if (!siteConfig) {
+      throw new Error(`No configuration found for site "${siteName}". Please initialize the site first.`);
+    }
+    
+    const region = options.awsRegion || siteConfig.awsRegion || 'us-east-1';
+    
+    // Get AWS credentials (from a profile, the environment, stored credentials or user input)
+    const awsCreds = await credentials.resolveAwsCredentials(options, siteConfig);
+    const clients = awsService.createAwsClients(awsCreds, region);
+    
+    // Print the account before anything is read or created, so the wrong one is caught early
+    const identity = await awsService.getCallerIdentity(clients.sts);
+    if (!identity) {
+      throw new Error('Could not verify AWS credentials. For SSO profiles, run "aws sso login" first.');
+    }
+    
+    const domain = options.domain || siteConfig.domain || null;
+    const inputs = {
+      domain,
+      ...applyDomainOptions(siteConfig, options, domain),
+      delegateZone: options.delegateZone !== undefined ? options.delegateZone : Boolean(siteConfig.delegateZone),
+      region,
+      bucketName: await determineBucketName(siteName, environment, siteConfig, clients),
+      githubUsername: options.githubUsername || siteConfig.githubUsername || null,
+      repo: options.repo || siteConfig.repo || null,
+      environment,
+      ...applyErrorPageOptions(siteConfig, options),
+      headers: siteConfig.headers || {},
+      precompressed: resolveOptimizeSettings(siteConfig).precompress
+    };
+    
+    const sitePath = path.join(process.cwd(), siteName);
+    inputs.redirects = loadRedirects(sitePath);
+    const plan = await planService.computePlan({ siteName, sitePath, siteConfig, inputs, clients });
+    
+    // Save the plan so it can be reviewed and applied exactly as shown
+    const planPath = options.out ? path.resolve(options.out) : path.join(sitePath, getPlanFileName(environment));
+    fs.writeFileSync(planPath, JSON.stringify(plan, null, 2));
+    
+    if (options.json) {
+      console.log(JSON.stringify(plan, null, 2));
+      return plan;
+    }
+    
+    console.log(planService.formatPlan(plan));
+    
+    if (!inputs.githubUsername || !inputs.repo) {
+      logger.info('No GitHub repository configured, so the repository, IAM and workflow changes are not planned.');
+    }
+    
+    logger.info(`Plan saved to ${planPath}`);
+    logger.info(`Run "ssc apply --name ${siteName}${environment ? ` --env ${environment}` : ''}" to make these changes.`);
+    
+    return plan;
+  } catch (error) {
+    logger.error(`Plan command failed: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the file name a plan is saved under by default
+ * @param {string} environment - Environment name (optional)
+ * @returns {string} - Plan file name
+ */
+function getPlanFileName(environment) {
+  return environment ? `.ssc-plan-${environment}.json` : '.ssc-plan.json';
+}
+
+/**
+ * Determine the bucket name up front so the plan names every resource it will create
+ * @param {string} siteName - Name of the site
+ * @param {string} environment - Environment name (optional)
+ * @param {object} siteConfig - Site configuration
+ * @param {object} clients - AWS clients
+ * @returns {Promise<string>} - Bucket name
+ */
+async function determineBucketName(siteName, environment, siteConfig, clients) {
+  if (siteConfig.s3BucketName) {
+    return siteConfig.s3BucketName;
+  }
+  
+  const bucket = await awsService.findSiteBucket(clients.s3, siteName, environment);
+  if (bucket) {
+    return bucket.bucketName;
+  }
+  
+  return `${config.getResourcePrefix(siteName, environment)}-${Date.now().toString().slice(-6)}`;
+}
+
+/**
+ * Determine which site to plan
+ * @param {object} options - Command options
+ * @returns {Promise<string>} - Site name
+ */
+async function determineSiteName(options) {
+  // If site name is provided in options, use it
+  if (options.name) {
+    return options.name;
+  }
+  
+  // If options is a config object with siteName, use it
+  if (options.siteName) {
+    return options.siteName;
+  }
+  
+  // Otherwise, list all sites and let user choose
+  const sites = config.listSites();
+  
+  if (sites.length === 0) {
+    throw new Error('No sites found. Please initialize a site first with `ssc init`.');
+  }
+  
+  if (sites.length === 1) {
+    return sites[0].siteName;
+  }
+  
+  // Multiple sites found, prompt user to choose
+  const { siteName } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'siteName',
+      message: 'Which site would you like to plan?',
+      choices: sites.map(site => site.siteName)
+    }
+  ]);
+  
+  return siteName;
+}
+
+module.exports = {
+  execute,
+  getPlanFileName
+};
@@ -0,0 +1,280 @@
+/**
+ * Manage the redirect rules of a Zola site and publish them to its CloudFront function
+ */
+
+const fs = require('fs');
+const path = require('path');
+const inquirer = require('inquirer');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const credentials = require('../utils/credentials');
+const { resolveDomains } = require('../utils/domains');
+const {
+  REDIRECTS_FILE,
+  normalizeRedirect,
+  readRedirectsFile,
+  writeRedirectsFile,
+  loadRedirects
+} = require('../utils/redirects');
+const { resolveOptimizeSettings } = require('../utils/optimize');
+const awsService = require('../services/aws');
+const edgeService = require('../services/edge');
+
+const ACTIONS = ['add', 'list', 'remove', 'sync', 'test'];
+
+/**
+ * Execute the redirects command
+ * @param {object} options - Command options (action, args, status, type)
+ * @returns {Promise<Array<object>|object>} - Redirect rules, the function published by sync, or test results
+ */
+async function execute(options = {}) {
+  try {
+    if (!ACTIONS.includes(options.action)) {
+      throw new Error(`Unknown redirects action "${options.action}". Use one of ${ACTIONS.join(', ')}.`);
+    }
+    
+    // Determine which site to update
+    const siteName = await determineSiteName(options);
+    
+    // Load site config (or the view of it for one environment)
+    const siteConfig = config.getEnvironmentConfig(siteName, options.env);
+    if (!siteConfig) {
+      throw new Error(`No configuration found for site "${siteName}". Please initialize the site first.`);
+    }
+    
+    const sitePath = path.join(process.cwd(), siteName);
+    const args = options.args || [];
+    
+    switch (options.action) {
+      case 'add':
+        return addRedirect(sitePath, args, options);
+      case 'remove':
+        return removeRedirect(sitePath, args);
+      case 'list':
+        return listRedirects(sitePath);
+      case 'sync':
+        return await syncRedirects(siteName, siteConfig, sitePath, options);
+      default:
+        return await testRedirects(siteConfig, sitePath, args);
+    }
+  } catch (error) {
+    logger.error(`Redirects command failed: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Add a rule to redirects.toml, replacing any rule with the same source
+ * @param {string} sitePath - Path to the site
+ * @param {Array<string>} args - Source and target
+ * @param {object} options - Command options (status, type)
+ * @returns {Array<object>} - Rules in redirects.toml
+ */
+function addRedirect(sitePath, args, options) {
+  const [from, to] = args;
+  if (!from || !to) {
+    throw new Error('Usage: ssc redirects add <from> <to> [--status <code>] [--type prefix]');
+  }
+  requireSiteDirectory(sitePath);
+  
+  const rule = normalizeRedirect({ from, to, status: options.status, type: options.type });
+  const rules = readRedirectsFile(sitePath);
+  const index = rules.findIndex(existing => existing.from === rule.from);
+  if (index === -1) {
+    rules.push(rule);
+  } else {
+    rules[index] = rule;
+  }
+  
+  writeRedirectsFile(sitePath, rules);
+  logger.success(`${index === -1 ? 'Added' : 'Updated'} redirect ${rule.from} -> ${rule.to} (${rule.status})`);
+  logSyncHint();
+  return rules;
+}
+
+/**
+ * Remove a rule from redirects.toml
+ * @param {string} sitePath - Path to the site
+ * @param {Array<string>} args - Source of the rule
+ * @returns {Array<object>} - Rules left in redirects.toml
+ */
+function removeRedirect(sitePath, args) {
+  const [from] = args;
+  if (!from) {
+    throw new Error('Usage: ssc redirects remove <from>');
+  }
+  requireSiteDirectory(sitePath);
+  
+  const rules = readRedirectsFile(sitePath);
+  const remaining = rules.filter(rule => rule.from !== from);
+  if (remaining.length === rules.length) {
+    throw new Error(`No redirect from ${from} in ${REDIRECTS_FILE}. Redirects from page aliases are removed from the page's front matter.`);
+  }
+  
+  writeRedirectsFile(sitePath, remaining);
+  logger.success(`Removed redirect ${from}`);
+  logSyncHint();
+  return remaining;
+}
+
+/**
+ * Print every redirect of the site, in the order the function checks them
+ * @param {string} sitePath - Path to the site
+ * @returns {Array<object>} - Redirect rules
+ */
+function listRedirects(sitePath) {
+  requireSiteDirectory(sitePath);
+  
+  const rules = loadRedirects(sitePath);
+  if (rules.length === 0) {
+    logger.info(`No redirects. Add them with "ssc redirects add", in ${REDIRECTS_FILE} or as aliases in page front matter.`);
+  }
+  
+  rules.forEach(rule => {
+    console.log(`${rule.status} ${rule.from} -> ${rule.to} (${rule.type}, ${rule.source === 'alias' ? 'page alias' : REDIRECTS_FILE})`);
+  });
+  
+  return rules;
+}
+
+/**
+ * Publish the site's redirects to its CloudFront function
+ * @param {string} siteName - Site name
+ * @param {object} siteConfig - Site configuration
+ * @param {string} sitePath - Path to the site
+ * @param {object} options - Command options
+ * @returns {Promise<object>} - Updated CloudFront function
+ */
+async function syncRedirects(siteName, siteConfig, sitePath, options) {
+  requireSiteDirectory(sitePath);
+  
+  if (!siteConfig.cloudfrontFunctionName) {
+    const setupCommand = options.env ? `ssc setup-aws --env ${options.env}` : 'ssc setup-aws';
+    throw new Error(`No CloudFront function recorded for "${siteName}". Run "${setupCommand}" first; it publishes the redirects too.`);
+  }
+  
+  const redirects = loadRedirects(sitePath);
+  
+  // Get AWS credentials (from a profile, the environment, stored credentials or user input)
+  const awsCreds = await credentials.resolveAwsCredentials(options, siteConfig);
+  const clients = awsService.createAwsClients(awsCreds, siteConfig.awsRegion || 'us-east-1');
+  
+  // Print the account before anything is read or created, so the wrong one is caught early
+  const identity = await awsService.getCallerIdentity(clients.sts);
+  if (!identity) {
+    throw new Error('Could not verify AWS credentials. For SSO profiles, run "aws sso login" first.');
+  }
+  
+  const functionResult = await awsService.updateCloudfrontFunction(
+    clients.cloudfront,
+    siteConfig.cloudfrontFunctionName,
+    { ...resolveDomains(siteConfig), redirects, precompressed: resolveOptimizeSettings(siteConfig).precompress }
+  );
+  if (!functionResult) {
+    throw new Error(`Failed to update CloudFront function "${siteConfig.cloudfrontFunctionName}".`);
+  }
+  
+  logger.info(`Published ${redirects.length} redirect${redirects.length === 1 ? '' : 's'}. CloudFront applies them within a few minutes.`);
+  return functionResult;
+}
+
+/**
+ * Run URLs through the function code the site would publish, without calling AWS
+ * @param {object} siteConfig - Site configuration
+ * @param {string} sitePath - Path to the site
+ * @param {Array<string>} urls - URLs or paths to try
+ * @returns {Promise<Array<object>>} - { url, status, location } or { url, uri } for each URL
+ */
+async function testRedirects(siteConfig, sitePath, urls) {
+  if (urls.length === 0) {
+    throw new Error('Usage: ssc redirects test <url...>');
+  }
+  requireSiteDirectory(sitePath);
+  
+  const domains = resolveDomains(siteConfig);
+  const viewerRequest = edgeService.compileViewerRequestFunction(
+    awsService.getCloudfrontFunctionCode({
+      ...domains,
+      redirects: loadRedirects(sitePath),
+      precompressed: resolveOptimizeSettings(siteConfig).precompress
+    })
+  );
+  
+  // Paths are requested on the host the site is served from
+  const host = domains.canonicalDomain || siteConfig.cloudfrontDomain || 'localhost';
+  const results = [];
+  
+  for (const url of urls) {
+    const result = await viewerRequest({ url: new URL(url, `https://${host}`).href });
+    results.push({ url, ...result });
+    
+    if (result.status) {
+      console.log(`${url} -> ${result.status} ${result.location}`);
+    } else {
+      console.log(`${url} -> serves ${result.uri}`);
+    }
+  }
+  
+  return results;
+}
+
+/**
+ * Check that the site's files are in the current directory
+ * @param {string} sitePath - Path to the site
+ */
+function requireSiteDirectory(sitePath) {
+  if (!fs.existsSync(sitePath)) {
+    throw new Error(`Site directory "${sitePath}" not found. Run this command from the directory that contains the site.`);
+  }
+}
+
+/**
+ * Remind the user that rule changes only reach CloudFront through sync or setup-aws
+ */
+function logSyncHint() {
+  logger.info('Run "ssc redirects sync" to publish the change to CloudFront.');
+}
+
+/**
+ * Determine which site to update
+ * @param {object} options - Command options
+ * @returns {Promise<string>} - Site name
+ */
+async function determineSiteName(options) {
+  // If site name is provided in options, use it
+  if (options.name) {
+    return options.name;
+  }
+  
+  // If options is a config object with siteName, use it
+  if (options.siteName) {
+    return options.siteName;
+  }
+  
+  // Otherwise, list all sites and let user choose
+  const sites = config.listSites();
+  
+  if (sites.length === 0) {
+    throw new Error('No sites found. Please initialize a site first with `ssc init`.');
+  }
+  
+  if (sites.length === 1) {
+    return sites[0].siteName;
+  }
+  
+  // Multiple sites found, prompt user to choose
+  const { siteName } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'siteName',
+      message: 'Which site would you like to manage the redirects of?',
+      choices: sites.map(site => site.siteName)
+    }
+  ]);
+  
+  return siteName;
+}
+
+module.exports = {
+  execute
+};
@@ -0,0 +1,172 @@
+/**
+ * Roll a Zola site back to an earlier release
+ */
+
+const inquirer = require('inquirer');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const credentials = require('../utils/credentials');
+const awsService = require('../services/aws');
+const syncService = require('../services/sync');
+const releaseService = require('../services/release');
+
+/**
+ * Execute the rollback command
+ * @param {object} options - Command options
+ * @returns {Promise<string|null>} - ID of the release now live, or null if nothing changed
+ */
+async function execute(options = {}) {
+  try {
+    // Determine which site to roll back
+    const siteName = await determineSiteName(options);
+    
+    // Load site config (or the view of it for one environment)
+    const siteConfig = config.getEnvironmentConfig(siteName, options.env);
+    if (!siteConfig) {
+      throw new Error(`No configuration found for site "${siteName}". Please initialize the site first.`);
+    }
+    
+    if (!siteConfig.s3BucketName || !siteConfig.cloudfrontDistributionId) {
+      const setupCommand = options.env ? `ssc setup-aws --env ${options.env}` : 'ssc setup-aws';
+      throw new Error(`Rollback needs an S3 bucket and CloudFront distribution. Please run "${setupCommand}" first.`);
+    }
+    
+    // Get AWS credentials (from a profile, the environment, stored credentials or user input)
+    const awsCreds = await credentials.resolveAwsCredentials(options, siteConfig);
+    const clients = awsService.createAwsClients(awsCreds, siteConfig.awsRegion || 'us-east-1');
+    
+    // Print the account before anything is read or created, so the wrong one is caught early
+    const identity = await awsService.getCallerIdentity(clients.sts);
+    if (!identity) {
+      throw new Error('Could not verify AWS credentials. For SSO profiles, run "aws sso login" first.');
+    }
+    
+    const history = siteConfig.releases || [];
+    const currentId = await releaseService.getCurrentReleaseId(
+      clients.cloudfront,
+      siteConfig.cloudfrontDistributionId
+    );
+    
+    if (options.list) {
+      listReleases(history, currentId);
+      return currentId;
+    }
+    
+    const targetId = releaseService.resolveRollbackTarget(history, currentId, options.to);
+    if (targetId === currentId) {
+      logger.info(`Release ${targetId} is already live.`);
+      return null;
+    }
+    
+    // Never point the site at a prefix that has nothing in it
+    const exists = await awsService.s3PrefixExists(
+      clients.s3,
+      siteConfig.s3BucketName,
+      syncService.getReleasePrefix(targetId)
+    );
+    if (!exists) {
+      throw new Error(`Release ${targetId} was not found in S3 bucket "${siteConfig.s3BucketName}".`);
+    }
+    
+    logger.info(`Live release: ${currentId || '(bucket root)'}`);
+    logger.info(`Rolling back to: ${targetId}`);
+    
+    if (!options.yes) {
+      const { confirmed } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirmed',
+          message: `Switch "${siteName}"${options.env ? ` (${options.env})` : ''} to release ${targetId}?`,
+          default: true
+        }
+      ]);
+      
+      if (!confirmed) {
+        logger.info('Rollback cancelled. Nothing was changed.');
+        return null;
+      }
+    }
+    
+    // Which files differ between releases is unknown here, so the whole cache is invalidated
+    const activated = await releaseService.activateRelease(
+      clients,
+      siteConfig.cloudfrontDistributionId,
+      targetId,
+      ['/*']
+    );
+    if (!activated) {
+      throw new Error(`Failed to switch CloudFront to release ${targetId}. ${currentId || 'The previous content'} is still live.`);
+    }
+    
+    logger.success(`Release ${targetId} is live`);
+    return targetId;
+  } catch (error) {
+    logger.error(`Rollback command failed: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Print the deploy history, newest first
+ * @param {Array<object>} history - Deploy history, oldest first
+ * @param {string|null} currentId - Release currently served
+ */
+function listReleases(history, currentId) {
+  if (history.length === 0) {
+    logger.info('No releases recorded for this site yet.');
+    return;
+  }
+  
+  [...history].reverse().forEach(entry => {
+    const marker = entry.id === currentId ? '*' : ' ';
+    console.log(`${marker} ${entry.id}  ${entry.deployedAt}  (${entry.method})`);
+  });
+  
+  if (currentId && !history.some(entry => entry.id === currentId)) {
+    logger.info(`Live release ${currentId} is not in the local history.`);
+  }
+}
+
+/**
+ * Determine which site to roll back
+ * @param {object} options - Command options
+ * @returns {Promise<string>} - Site name
+ */
+async function determineSiteName(options) {
+  // If site name is provided in options, use it
+  if (options.name) {
+    return options.name;
+  }
+  
+  // If options is a config object with siteName, use it
+  if (options.siteName) {
+    return options.siteName;
+  }
+  
+  // Otherwise, list all sites and let user choose
+  const sites = config.listSites();
+  
+  if (sites.length === 0) {
+    throw new Error('No sites found. Please initialize a site first with `ssc init`.');
+  }
+  
+  if (sites.length === 1) {
+    return sites[0].siteName;
+  }
+  
+  // Multiple sites found, prompt user to choose
+  const { siteName } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'siteName',
+      message: 'Which site would you like to roll back?',
+      choices: sites.map(site => site.siteName)
+    }
+  ]);
+  
+  return siteName;
+}
+
+module.exports = {
+  execute
+};
@@ -0,0 +1,154 @@
+/**
+ * Preview a Zola site locally, with Zola's live reload or the way CloudFront will serve it
+ */
+
+const fs = require('fs');
+const path = require('path');
+const inquirer = require('inquirer');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { resolveDomains } = require('../utils/domains');
+const { resolveErrorPages } = require('../utils/error-pages');
+const { resolveHeaders } = require('../utils/headers');
+const { loadRedirects } = require('../utils/redirects');
+const { resolveOptimizeSettings } = require('../utils/optimize');
+const awsService = require('../services/aws');
+const edgeService = require('../services/edge');
+const optimizeService = require('../services/optimize');
+const zolaService = require('../services/zola');
+
+/**
+ * Execute the serve command
+ * @param {object} options - Command options
+ * @returns {Promise<object|undefined>} - The listening edge server, or nothing once zola serve stops
+ */
+async function execute(options = {}) {
+  try {
+    // Determine which site to serve
+    const siteName = await determineSiteName(options);
+    
+    // Load site config (or the view of it for one environment)
+    const siteConfig = config.getEnvironmentConfig(siteName, options.env);
+    if (!siteConfig) {
+      throw new Error(`No configuration found for site "${siteName}". Please initialize the site first.`);
+    }
+    
+    const sitePath = path.join(process.cwd(), siteName);
+    if (!fs.existsSync(sitePath)) {
+      throw new Error(`Site directory "${sitePath}" not found. Run this command from the directory that contains the site.`);
+    }
+    
+    const port = Number(options.port || 1111);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      throw new Error(`Invalid port "${options.port}".`);
+    }
+    
+    // Pinned versions are downloaded when they are first used; otherwise check for a zola to run
+    if (!siteConfig.zolaVersion && !await zolaService.isZolaInstalled()) {
+      logger.info('Zola is not installed. Installing now...');
+      const installed = await zolaService.installZola();
+      
+      if (!installed) {
+        throw new Error('Failed to install Zola. Please install it manually and try again.');
+      }
+    }
+    
+    if (!options.edge) {
+      // Runs until zola serve stops (Ctrl+C)
+      await zolaService.serveSite(sitePath, port, siteConfig.zolaVersion);
+      return undefined;
+    }
+    
+    // The edge server serves the built site, so links must point at it rather than the live domain
+    if (!options.skipBuild) {
+      const built = await zolaService.buildSite(sitePath, {
+        baseUrl: `http://127.0.0.1:${port}`,
+        zolaVersion: siteConfig.zolaVersion
+      });
+      if (!built) {
+        throw new Error(`Failed to build site "${siteName}"`);
+      }
+      
+      // Served the way it is deployed, with the compressed copies the function asks for
+      const optimize = resolveOptimizeSettings(siteConfig);
+      if (optimize.enabled && !await optimizeService.optimizeSite(path.join(sitePath, 'public'), { ...optimize, baseUrl: `http://127.0.0.1:${port}` })) {
+        throw new Error(`Failed to optimize site "${siteName}"`);
+      }
+    }
+    
+    const publicDir = path.join(sitePath, 'public');
+    if (!fs.existsSync(publicDir)) {
+      throw new Error(`No built site in "${publicDir}". Run without --skip-build.`);
+    }
+    
+    // The same function code, error pages and headers setup-aws gives the distribution
+    const domains = resolveDomains(siteConfig);
+    const server = await edgeService.startEdgeServer({
+      publicDir,
+      functionCode: awsService.getCloudfrontFunctionCode({
+        ...domains,
+        redirects: loadRedirects(sitePath),
+        precompressed: resolveOptimizeSettings(siteConfig).precompress
+      }),
+      errorPages: resolveErrorPages(siteConfig),
+      headers: resolveHeaders(siteConfig)
+    }, port);
+    if (!server) {
+      throw new Error(`Could not serve "${siteName}" on port ${port}.`);
+    }
+    
+    if (domains.redirectDomains.length > 0) {
+      logger.info(`Requests with a Host header of ${domains.redirectDomains.join(', ')} get the redirect to ${domains.canonicalDomain}.`);
+    }
+    logger.info('The site is not rebuilt on changes. Press Ctrl+C to stop.');
+    
+    return server;
+  } catch (error) {
+    logger.error(`Serve command failed: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Determine which site to serve
+ * @param {object} options - Command options
+ * @returns {Promise<string>} - Site name
+ */
+async function determineSiteName(options) {
+  // If site name is provided in options, use it
+  if (options.name) {
+    return options.name;
+  }
+  
+  // If options is a config object with siteName, use it
+  if (options.siteName) {
+    return options.siteName;
+  }
+  
+  // Otherwise, list all sites and let user choose
+  const sites = config.listSites();
+  
+  if (sites.length === 0) {
+    throw new Error('No sites found. Please initialize a site first with `ssc init`.');
+  }
+  
+  if (sites.length === 1) {
+    return sites[0].siteName;
+  }
+  
+  // Multiple sites found, prompt user to choose
+  const { siteName } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'siteName',
+      message: 'Which site would you like to serve?',
+      choices: sites.map(site => site.siteName)
+    }
+  ]);
+  
+  return siteName;
+}
+
+module.exports = {
+  execute
+};
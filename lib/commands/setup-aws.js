@@ -7,8 +7,14 @@ const inquirer = require('inquirer');
 const logger = require('../utils/logger');
 const config = require('../utils/config');
 const credentials = require('../utils/credentials');
+const { applyDomainOptions, resolveDomains, isValidDomain, getParentDomain } = require('../utils/domains');
+const { applyErrorPageOptions, resolveErrorPages } = require('../utils/error-pages');
+const { resolveHeaders } = require('../utils/headers');
+const { loadRedirects } = require('../utils/redirects');
+const { resolveOptimizeSettings } = require('../utils/optimize');
 const awsService = require('../services/aws');
 const githubService = require('../services/github');
+const verifyService = require('../services/verify');
 
 /**
  * Execute the setup-aws command
@@ -20,236 +26,810 @@ async function execute(options = {}) {
     // Determine which site to set up
     const siteName = await determineSiteName(options);
     
-    // Load site config
-    let siteConfig = config.getSiteConfig(siteName);
+    // Environment names end up in bucket, function and IAM names
+    const environment = options.env || null;
+    if (environment && !/^[a-z0-9][a-z0-9-]*$/.test(environment)) {
+      throw new Error(`Invalid environment name "${environment}". Use lowercase letters, numbers and hyphens.`);
+    }
+    
+    // Load site config (or the view of it for one environment)
+    let siteConfig = config.getEnvironmentConfig(siteName, environment);
     if (!siteConfig) {
       throw new Error(`No configuration found for site "${siteName}". Please initialize the site first.`);
     }
     
+    if (environment) {
+      logger.info(`Setting up the "${environment}" environment of "${siteName}"`);
+    }
+    
     // Collect AWS information
     const awsInfo = await collectAwsInfo(options, siteConfig);
     
-    // Get AWS credentials (from stored credentials or user input)
-    let awsCreds = await credentials.getAwsCredentials();
-    if (!awsCreds) {
-      awsCreds = await credentials.promptForAwsCredentials();
+    // Get AWS credentials (from a profile, the environment, stored credentials or user input)
+    const awsCreds = await credentials.resolveAwsCredentials(options, siteConfig);
+    const clients = awsService.createAwsClients(awsCreds, awsInfo.region);
+    
+    // Print the account before anything is read or created, so the wrong one is caught early
+    const identity = await awsService.getCallerIdentity(clients.sts);
+    if (!identity) {
+      throw new Error('Could not verify AWS credentials. For SSO profiles, run "aws sso login" first.');
     }
     
-    // Create AWS clients
-    const clients = awsService.createAwsClients(awsCreds, awsInfo.region);
+    const context = {
+      siteName,
+      siteConfig,
+      awsInfo,
+      clients,
+      environment,
+      resourcePrefix: config.getResourcePrefix(siteName, environment)
+    };
+    
+    // Record the inputs straight away so an interrupted run resumes with the same values
+    saveProgress(context, {
+      domain: awsInfo.domain,
+      awsRegion: awsInfo.region,
+      awsProfile: options.awsProfile || siteConfig.awsProfile,
+      awsAssumeRoleArn: options.assumeRoleArn || siteConfig.awsAssumeRoleArn,
+      awsExternalId: options.externalId || siteConfig.awsExternalId,
+      ...applyDomainOptions(siteConfig, options, awsInfo.domain),
+      delegateZone: options.delegateZone !== undefined ? options.delegateZone : Boolean(siteConfig.delegateZone),
+      ...applyErrorPageOptions(siteConfig, options)
+    });
     
-    // Create resources
+    // Create resources, reusing whatever a previous run already created
     logger.info('Setting up AWS resources. This process may take several minutes...');
     
-    // 1. Create S3 bucket
-    const bucketName = `${siteName}-${Date.now().toString().slice(-6)}`;
-    const bucketResult = await awsService.createS3Bucket(clients.s3, bucketName);
-    if (!bucketResult) {
-      throw new Error(`Failed to create S3 bucket "${bucketName}"`);
-    }
+    // 1. S3 bucket
+    const bucketResult = await ensureBucket(context);
     
-    // 2. Create Route53 Hosted Zone
-    let hostedZoneResult = null;
-    if (awsInfo.domain) {
-      hostedZoneResult = await awsService.createHostedZone(clients.route53, awsInfo.domain);
-      
-      if (!hostedZoneResult) {
-        logger.warn(`Failed to create Route53 hosted zone for "${awsInfo.domain}". You'll need to set it up manually.`);
-      } else {
-        logger.info(`Please update your domain registrar NS records with the nameservers listed above.`);
-        logger.info(`Once your domain's nameservers are updated, DNS propagation can take up to 48 hours.`);
-      }
-    } else {
-      logger.warn('No domain specified. Skipping Route53 setup.');
-    }
+    // 2. Route53 Hosted Zone
+    const hostedZoneResult = await ensureHostedZone(context);
     
-    // 3. Request ACM certificate
-    let certificateResult = null;
-    if (awsInfo.domain && hostedZoneResult) {
-      certificateResult = await awsService.requestCertificate(clients.acm, awsInfo.domain);
-      
-      if (!certificateResult) {
-        logger.warn(`Failed to request ACM certificate for "${awsInfo.domain}". You'll need to set it up manually.`);
-      } else {
-        // Get the certificate validation records
-        const validationRecords = await awsService.getCertificateValidationRecords(
-          clients.acm, 
-          certificateResult.certificateArn
-        );
-        
-        if (validationRecords) {
-          // Create DNS validation records in Route53
-          const dnsValidationResult = await awsService.createDnsValidationRecords(
-            clients.route53,
-            hostedZoneResult.hostedZoneId,
-            validationRecords
-          );
-          
-          if (dnsValidationResult) {
-            logger.info(`Certificate validation records created in Route53. Validation should complete automatically.`);
-          } else {
-            logger.warn(`Failed to create DNS validation records. You'll need to validate the certificate manually.`);
-          }
-        } else {
-          logger.warn(`Certificate validation records not available yet. You'll need to validate the certificate manually.`);
-        }
-      }
-    } else if (awsInfo.domain) {
-      // Domain provided but no hosted zone
-      certificateResult = await awsService.requestCertificate(clients.acm, awsInfo.domain);
-      
-      if (!certificateResult) {
-        logger.warn(`Failed to request ACM certificate for "${awsInfo.domain}". You'll need to set it up manually.`);
-      } else {
-        logger.info(`Certificate requested. You'll need to validate it through DNS validation before it can be used.`);
-      }
-    } else {
-      logger.warn('No domain specified. Skipping ACM certificate request.');
-    }
+    // 3. ACM certificate
+    const certificateResult = await ensureCertificate(context, hostedZoneResult);
     
-    // 4. Create CloudFront function
-    const functionName = `${siteName}-redirect-function`;
-    const functionResult = await awsService.createCloudfrontFunction(
-      clients.cloudfront, 
-      functionName
-    );
+    // 4. CloudFront function
+    const functionResult = await ensureCloudfrontFunction(context);
     
-    if (!functionResult) {
-      logger.warn(`Failed to create CloudFront function "${functionName}". You'll need to set it up manually.`);
-    }
+    // 5. Origin Access Control, so CloudFront can read the private bucket
+    const originAccessControlResult = await ensureOriginAccessControl(context);
+    
+    // 6. Response headers policy with the site's security headers
+    const headersPolicyResult = await ensureResponseHeadersPolicy(context);
     
-    // 5. Create CloudFront distribution
+    // 7. CloudFront distribution
     let distributionResult = null;
-    if (functionResult) {
-      // If we have a domain and certificate, wait for certificate validation before proceeding
-      let certificateValidated = true; // Default to true if no certificate to validate
-      
-      if (awsInfo.domain && certificateResult && certificateResult.certificateArn) {
-        // Wait for certificate validation to complete
-        certificateValidated = await awsService.waitForCertificateValidation(
-          clients.acm, 
-          certificateResult.certificateArn
-        );
-        
-        if (!certificateValidated) {
-          logger.warn('Proceeding with CloudFront distribution creation, but it may fail due to certificate not being fully validated.');
-          logger.info('If distribution creation fails, you can try again later when the certificate is validated.');
-        }
-      }
+    if (functionResult && originAccessControlResult) {
+      distributionResult = await ensureDistribution(context, bucketResult, certificateResult, functionResult, {
+        originAccessControlResult,
+        headersPolicyResult
+      });
       
-      // Create the CloudFront distribution
-      distributionResult = await awsService.createCloudFrontDistribution(
-        clients.cloudfront,
-        bucketName,
-        awsInfo.domain,
-        certificateResult ? certificateResult.certificateArn : null,
-        functionResult.functionArn
-      );
-      
-      if (!distributionResult) {
-        logger.warn(`Failed to create CloudFront distribution. You'll need to set it up manually.`);
-      } else {
-        logger.info(`CloudFront distribution created. It may take up to 15 minutes to deploy globally.`);
-        
+      if (distributionResult) {
         // Update S3 bucket policy to allow CloudFront access
         await awsService.updateS3BucketPolicy(
           clients.s3,
-          bucketName,
+          bucketResult.bucketName,
           distributionResult.distributionArn
         );
         
-        // Create DNS A record for the CloudFront distribution if we have a hosted zone
+        // Create DNS A records for the CloudFront distribution if we have a hosted zone
         if (hostedZoneResult && awsInfo.domain) {
-          await awsService.createCloudFrontDnsRecords(
-            clients.route53,
-            hostedZoneResult.hostedZoneId,
-            awsInfo.domain,
-            distributionResult.distributionDomain
-          );
+          await ensureDnsRecords(context, hostedZoneResult, distributionResult);
         }
       }
     } else {
-      logger.warn('CloudFront function not created. Skipping CloudFront distribution setup.');
+      logger.warn('CloudFront function or Origin Access Control not created. Skipping CloudFront distribution setup.');
     }
     
-    // 6. Create IAM policy and role for GitHub Actions
+    // 8. IAM policy and role for GitHub Actions
     // This requires GitHub repository information
     if (siteConfig.githubUsername && siteConfig.repo) {
-      const policyName = `${siteName}-deploy-policy`;
-      const roleName = `${siteName}-github-actions-role`;
-      const githubRepo = `${siteConfig.githubUsername}/${siteConfig.repo}`;
-      
-      const s3BucketArn = bucketResult.bucketArn;
-      const cloudfrontDistributionArn = distributionResult ? 
-        distributionResult.distributionArn : 
-        'arn:aws:cloudfront::123456789012:distribution/placeholder';
-      
-      const policyResult = await awsService.createIamPolicy(
-        clients.iam, 
-        policyName, 
-        s3BucketArn, 
-        cloudfrontDistributionArn
-      );
+      const policyResult = await ensureIamPolicy(context, bucketResult, distributionResult);
       
-      if (!policyResult) {
-        logger.warn(`Failed to create IAM policy "${policyName}". You'll need to set it up manually.`);
-      } else {
-        const roleResult = await awsService.createIamRole(
-          clients.iam, 
-          roleName, 
-          policyResult.policyArn, 
-          githubRepo
-        );
+      if (policyResult) {
+        const roleResult = await ensureIamRole(context, policyResult);
         
-        if (!roleResult) {
-          logger.warn(`Failed to create IAM role "${roleName}". You'll need to set it up manually.`);
-        } else {
-          // Update GitHub workflow file
-          const sitePath = path.join(process.cwd(), siteName);
-          await githubService.createWorkflowFile(sitePath, {
-            s3BucketName: bucketName,
-            awsRegion: awsInfo.region,
-            iamRoleArn: roleResult.roleArn,
-            cloudfrontDistributionId: distributionResult ? distributionResult.distributionId : 'YOUR_CLOUDFRONT_DISTRIBUTION_ID'
+        if (roleResult && environment) {
+          // The role only trusts jobs running in this GitHub environment
+          await githubService.createEnvironment(siteConfig.githubUsername, siteConfig.repo, environment, {
+            requireApproval: options.requireApproval
           });
         }
+        
+        if (roleResult) {
+          // Update GitHub workflow file, covering every environment set up so far
+          const sitePath = path.join(process.cwd(), siteName);
+          await githubService.createWorkflowFile(
+            sitePath,
+            githubService.buildWorkflowConfig(config.getSiteConfig(siteName))
+          );
+        }
       }
     } else {
       logger.warn('GitHub repository information not found. Skipping IAM policy and role setup.');
       logger.info('Please run "ssc setup-github" before "ssc setup-aws" for complete integration.');
     }
     
-    // Update site config
-    siteConfig.domain = awsInfo.domain;
-    siteConfig.awsRegion = awsInfo.region;
-    siteConfig.s3BucketName = bucketName;
-    siteConfig.s3BucketArn = bucketResult.bucketArn;
+    // 9. Check that the site is served through CloudFront and the bucket cannot be read directly
+    if (distributionResult) {
+      const verified = await verifyService.verifyOriginAccess(clients, {
+        bucketName: bucketResult.bucketName,
+        region: awsInfo.region,
+        distributionId: distributionResult.distributionId,
+        distributionDomain: distributionResult.distributionDomain
+      });
+      if (!verified) {
+        logger.warn('Origin access could not be verified. Run "ssc verify" to check again once CloudFront has caught up.');
+      }
+    }
     
-    if (hostedZoneResult) {
-      siteConfig.route53HostedZoneId = hostedZoneResult.hostedZoneId;
+    return siteConfig;
+  } catch (error) {
+    logger.error(`Setup AWS command failed: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Check whether a hosted zone can hold the records for a domain
+ * @param {string} zoneName - Hosted zone name
+ * @param {string} domain - Domain name
+ * @returns {boolean} - Whether the domain is the zone apex or inside the zone
+ */
+function isZoneForDomain(zoneName, domain) {
+  return domain === zoneName || domain.endsWith(`.${zoneName}`);
+}
+
+/**
+ * Merge step results into the site config and save it immediately
+ * @param {object} context - Setup context
+ * @param {object} updates - Site config fields to record
+ */
+function saveProgress(context, updates) {
+  Object.assign(context.siteConfig, updates);
+  config.saveEnvironmentConfig(context.siteName, context.environment, context.siteConfig);
+}
+
+/**
+ * Reuse the site's S3 bucket or create it
+ * @param {object} context - Setup context
+ * @returns {Promise<object>} - Bucket data
+ */
+async function ensureBucket(context) {
+  const { siteName, siteConfig, clients, environment, resourcePrefix } = context;
+  
+  let bucketResult = null;
+  if (siteConfig.s3BucketName) {
+    bucketResult = await awsService.findS3Bucket(clients.s3, siteConfig.s3BucketName);
+  }
+  
+  // A run interrupted before the bucket name was saved leaves a tagged bucket behind
+  if (!bucketResult) {
+    bucketResult = await awsService.findSiteBucket(clients.s3, siteName, environment);
+  }
+  
+  if (bucketResult) {
+    logger.succeed(`Using existing S3 bucket "${bucketResult.bucketName}"`);
+  } else {
+    const bucketName = `${resourcePrefix}-${Date.now().toString().slice(-6)}`;
+    const tags = environment ?
+      { 'ssc:site': siteName, 'ssc:environment': environment } :
+      { 'ssc:site': siteName };
+    bucketResult = await awsService.createS3Bucket(clients.s3, bucketName, tags);
+    if (!bucketResult) {
+      throw new Error(`Failed to create S3 bucket "${bucketName}"`);
     }
+  }
+  
+  saveProgress(context, {
+    s3BucketName: bucketResult.bucketName,
+    s3BucketArn: bucketResult.bucketArn
+  });
+  
+  // Applied to existing buckets too, so sites set up earlier get the same protection
+  const secured = await awsService.configureBucketSecurity(clients.s3, bucketResult.bucketName);
+  if (!secured) {
+    logger.warn(`Could not block public access or enable encryption for "${bucketResult.bucketName}". Check the bucket settings manually.`);
+  }
+  
+  return bucketResult;
+}
+
+/**
+ * Reuse the Route53 hosted zone that holds the domain or create it
+ * @param {object} context - Setup context
+ * @returns {Promise<object|null>} - Hosted zone data or null if there is none
+ */
+async function ensureHostedZone(context) {
+  const { siteConfig, awsInfo, clients } = context;
+  
+  if (!awsInfo.domain) {
+    logger.warn('No domain specified. Skipping Route53 setup.');
+    return null;
+  }
+  
+  // A delegated subdomain gets a zone of its own; otherwise any zone that holds the domain will do
+  const fitsDomain = zone => siteConfig.delegateZone ?
+    zone.zoneName === awsInfo.domain :
+    isZoneForDomain(zone.zoneName, awsInfo.domain);
+  
+  let hostedZoneResult = null;
+  if (siteConfig.route53HostedZoneId) {
+    hostedZoneResult = await awsService.getHostedZone(clients.route53, siteConfig.route53HostedZoneId);
+    if (hostedZoneResult && !fitsDomain(hostedZoneResult)) {
+      hostedZoneResult = null;
+    }
+  }
+  
+  // Never create a second zone for a domain: the registrar can only point at one.
+  // A subdomain (docs.example.com) shares the closest zone above it, such as the company's example.com zone.
+  if (!hostedZoneResult) {
+    hostedZoneResult = siteConfig.delegateZone ?
+      await awsService.findHostedZone(clients.route53, awsInfo.domain) :
+      await awsService.findEnclosingHostedZone(clients.route53, awsInfo.domain);
+  }
+  
+  let created = false;
+  if (hostedZoneResult) {
+    logger.succeed(`Using existing Route53 hosted zone "${hostedZoneResult.zoneName}" for "${awsInfo.domain}"`);
+  } else {
+    hostedZoneResult = await awsService.createHostedZone(clients.route53, awsInfo.domain);
     
-    if (certificateResult) {
-      siteConfig.acmCertificateArn = certificateResult.certificateArn;
+    if (!hostedZoneResult) {
+      logger.warn(`Failed to create Route53 hosted zone for "${awsInfo.domain}". You'll need to set it up manually.`);
+      return null;
     }
+    created = true;
+  }
+  
+  // Only a zone ssc created may be deleted with the site; one that was already there can hold other records, like mail
+  const ownsZone = created ||
+    (siteConfig.route53HostedZoneCreated === true && siteConfig.route53HostedZoneId === hostedZoneResult.hostedZoneId);
+  saveProgress(context, {
+    route53HostedZoneId: hostedZoneResult.hostedZoneId,
+    route53HostedZoneName: hostedZoneResult.zoneName,
+    route53HostedZoneCreated: ownsZone
+  });
+  
+  if (siteConfig.delegateZone) {
+    await ensureZoneDelegation(context, hostedZoneResult);
+  } else if (created) {
+    logger.info(`Please update your domain registrar NS records with the nameservers listed above (for a subdomain, add NS records where the parent domain's DNS is hosted).`);
+    logger.info(`Once your domain's nameservers are updated, DNS propagation can take up to 48 hours.`);
+  }
+  
+  return hostedZoneResult;
+}
+
+/**
+ * Point the parent domain's zone at the subdomain's own zone with an NS record
+ * @param {object} context - Setup context
+ * @param {object} hostedZoneResult - Hosted zone data for the subdomain
+ * @returns {Promise<boolean>} - Whether the parent zone delegates to the subdomain's zone
+ */
+async function ensureZoneDelegation(context, hostedZoneResult) {
+  const { awsInfo, clients } = context;
+  
+  const parentDomain = getParentDomain(awsInfo.domain);
+  const parentZone = parentDomain ?
+    await awsService.findEnclosingHostedZone(clients.route53, parentDomain) :
+    null;
+  
+  if (!parentZone) {
+    logger.info(`No Route53 hosted zone holds the parent of "${awsInfo.domain}". Add NS records for it with the name servers listed above wherever the parent domain's DNS is hosted.`);
+    return false;
+  }
+  
+  const delegated = await awsService.createZoneDelegation(
+    clients.route53,
+    parentZone.hostedZoneId,
+    awsInfo.domain,
+    hostedZoneResult.nameServers
+  );
+  if (!delegated) {
+    logger.warn(`Could not delegate "${awsInfo.domain}" from "${parentZone.zoneName}". Add its NS records there manually.`);
+    return false;
+  }
+  
+  saveProgress(context, {
+    route53ParentHostedZoneId: parentZone.hostedZoneId
+  });
+  
+  return true;
+}
+
+/**
+ * Reuse an issued or pending ACM certificate for the domain or request one, then validate it through DNS
+ * @param {object} context - Setup context
+ * @param {object|null} hostedZoneResult - Hosted zone data
+ * @returns {Promise<object|null>} - Certificate data or null if there is none
+ */
+async function ensureCertificate(context, hostedZoneResult) {
+  const { siteConfig, awsInfo, clients } = context;
+  
+  if (!awsInfo.domain) {
+    logger.warn('No domain specified. Skipping ACM certificate request.');
+    return null;
+  }
+  
+  // Every alias goes on the certificate, so adding one means a new certificate
+  const { domainNames } = resolveDomains(siteConfig);
+  const alternativeNames = domainNames.slice(1);
+  
+  let certificateResult = null;
+  if (siteConfig.acmCertificateArn) {
+    certificateResult = await awsService.getCertificate(clients.acm, siteConfig.acmCertificateArn);
     
-    if (functionResult) {
-      siteConfig.cloudfrontFunctionArn = functionResult.functionArn;
+    const usable = certificateResult &&
+      certificateResult.domainName === awsInfo.domain &&
+      awsService.certificateCoversDomains(certificateResult.alternativeNames, domainNames) &&
+      ['ISSUED', 'PENDING_VALIDATION'].includes(certificateResult.status);
+    if (!usable) {
+      certificateResult = null;
     }
+  }
+  
+  if (!certificateResult) {
+    certificateResult = await awsService.findCertificate(clients.acm, awsInfo.domain, alternativeNames);
+  }
+  
+  if (certificateResult) {
+    logger.succeed(`Using existing ACM certificate for "${awsInfo.domain}" (${certificateResult.status})`);
+  } else {
+    certificateResult = await awsService.requestCertificate(clients.acm, awsInfo.domain, alternativeNames);
     
-    if (distributionResult) {
-      siteConfig.cloudfrontDistributionId = distributionResult.distributionId;
-      siteConfig.cloudfrontDistributionArn = distributionResult.distributionArn;
-      siteConfig.cloudfrontDomain = distributionResult.distributionDomain;
+    if (!certificateResult) {
+      logger.warn(`Failed to request ACM certificate for "${awsInfo.domain}". You'll need to set it up manually.`);
+      return null;
+    }
+  }
+  
+  saveProgress(context, {
+    acmCertificateArn: certificateResult.certificateArn
+  });
+  
+  if (certificateResult.status === 'ISSUED') {
+    return certificateResult;
+  }
+  
+  if (!hostedZoneResult) {
+    logger.info(`Certificate requested. You'll need to validate it through DNS validation before it can be used.`);
+    return certificateResult;
+  }
+  
+  // Get the certificate validation records
+  const validationRecords = await awsService.getCertificateValidationRecords(
+    clients.acm,
+    certificateResult.certificateArn
+  );
+  
+  if (validationRecords) {
+    // Create DNS validation records in Route53 (UPSERT, so re-running is safe)
+    const dnsValidationResult = await awsService.createDnsValidationRecordsByZone(
+      clients.route53,
+      validationRecords
+    );
+    
+    if (dnsValidationResult) {
+      logger.info(`Certificate validation records created in Route53. Validation should complete automatically.`);
+    } else {
+      logger.warn(`Failed to create DNS validation records. You'll need to validate the certificate manually.`);
+    }
+  } else {
+    logger.warn(`Certificate validation records not available yet. You'll need to validate the certificate manually.`);
+  }
+  
+  return certificateResult;
+}
+
+/**
+ * Reuse and refresh the site's CloudFront function or create it
+ * @param {object} context - Setup context
+ * @returns {Promise<object|null>} - Function data or null if it could not be created
+ */
+async function ensureCloudfrontFunction(context) {
+  const { siteConfig, clients, resourcePrefix } = context;
+  
+  // The function redirects the aliases to the canonical host and the site's moved pages,
+  // so its code follows the domain settings and the redirect rules
+  const codeOptions = {
+    ...resolveDomains(siteConfig),
+    redirects: loadRedirects(path.join(process.cwd(), context.siteName)),
+    precompressed: resolveOptimizeSettings(siteConfig).precompress
+  };
+  const functionName = siteConfig.cloudfrontFunctionName || `${resourcePrefix}-redirect-function`;
+  let functionResult = await awsService.findCloudfrontFunction(clients.cloudfront, functionName);
+  
+  if (functionResult && !functionResult.published) {
+    // Created by a run that stopped before publishing
+    functionResult = await awsService.publishCloudfrontFunction(clients.cloudfront, functionName);
+  } else if (functionResult) {
+    const code = await awsService.getPublishedCloudfrontFunctionCode(clients.cloudfront, functionName);
+    if (code === awsService.getCloudfrontFunctionCode(codeOptions)) {
+      logger.succeed(`Using existing CloudFront function "${functionName}"`);
+    } else {
+      functionResult = await awsService.updateCloudfrontFunction(clients.cloudfront, functionName, codeOptions);
+    }
+  } else {
+    functionResult = await awsService.createCloudfrontFunction(clients.cloudfront, functionName, codeOptions);
+  }
+  
+  if (!functionResult) {
+    logger.warn(`Failed to create CloudFront function "${functionName}". You'll need to set it up manually.`);
+    return null;
+  }
+  
+  saveProgress(context, {
+    cloudfrontFunctionName: functionResult.functionName,
+    cloudfrontFunctionArn: functionResult.functionArn
+  });
+  
+  return functionResult;
+}
+
+/**
+ * Reuse the site's Origin Access Control or create it
+ * @param {object} context - Setup context
+ * @returns {Promise<object|null>} - Origin Access Control data or null if it could not be created
+ */
+async function ensureOriginAccessControl(context) {
+  const { clients, resourcePrefix } = context;
+  
+  const name = `${resourcePrefix}-oac`;
+  let originAccessControlResult = await awsService.findOriginAccessControl(clients.cloudfront, name);
+  
+  if (originAccessControlResult) {
+    logger.succeed(`Using existing CloudFront Origin Access Control "${name}"`);
+  } else {
+    originAccessControlResult = await awsService.createOriginAccessControl(clients.cloudfront, name);
+  }
+  
+  if (!originAccessControlResult) {
+    logger.warn(`Failed to create CloudFront Origin Access Control "${name}". You'll need to set it up manually.`);
+    return null;
+  }
+  
+  saveProgress(context, {
+    cloudfrontOriginAccessControlId: originAccessControlResult.originAccessControlId
+  });
+  
+  return originAccessControlResult;
+}
+
+/**
+ * Reuse and refresh the site's response headers policy or create it
+ * @param {object} context - Setup context
+ * @returns {Promise<object|null>} - Policy data or null if it could not be created
+ */
+async function ensureResponseHeadersPolicy(context) {
+  const { siteConfig, clients, resourcePrefix } = context;
+  
+  const name = `${resourcePrefix}-headers`;
+  const policyResult = await awsService.createOrUpdateResponseHeadersPolicy(
+    clients.cloudfront,
+    name,
+    resolveHeaders(siteConfig),
+    siteConfig.cloudfrontResponseHeadersPolicyId
+  );
+  
+  if (!policyResult) {
+    logger.warn(`Failed to set up CloudFront response headers policy "${name}". The site will be served without security headers until "ssc headers" succeeds.`);
+    return null;
+  }
+  
+  saveProgress(context, {
+    cloudfrontResponseHeadersPolicyId: policyResult.responseHeadersPolicyId
+  });
+  
+  return policyResult;
+}
+
+/**
+ * Reuse the site's CloudFront distribution or create it once the certificate is valid
+ * @param {object} context - Setup context
+ * @param {object} bucketResult - Bucket data
+ * @param {object|null} certificateResult - Certificate data
+ * @param {object} functionResult - Function data
+ * @param {object} policies - { originAccessControlResult, headersPolicyResult (null if it could not be created) }
+ * @returns {Promise<object|null>} - Distribution data or null if it could not be created
+ */
+async function ensureDistribution(context, bucketResult, certificateResult, functionResult, policies) {
+  const { originAccessControlResult, headersPolicyResult } = policies;
+  const { siteConfig, awsInfo, clients } = context;
+  
+  let distributionResult = await awsService.findCloudFrontDistribution(clients.cloudfront, {
+    distributionId: siteConfig.cloudfrontDistributionId,
+    domainName: awsInfo.domain,
+    bucketName: bucketResult.bucketName
+  });
+  
+  if (distributionResult) {
+    logger.succeed(`Using existing CloudFront distribution ${distributionResult.distributionId}`);
+    
+    // Distributions created before Origin Access Control was used send unsigned requests to S3
+    const attached = await awsService.setDistributionOriginAccessControl(
+      clients.cloudfront,
+      distributionResult.distributionId,
+      originAccessControlResult.originAccessControlId
+    );
+    if (!attached) {
+      logger.warn(`Could not attach the Origin Access Control to distribution ${distributionResult.distributionId}. CloudFront may be unable to read the bucket.`);
     }
     
-    config.saveSiteConfig(siteName, siteConfig);
+    await ensureDomainAliases(context, distributionResult.distributionId, certificateResult);
+    await ensureErrorPages(context, distributionResult.distributionId);
     
-    return siteConfig;
-  } catch (error) {
-    logger.error(`Setup AWS command failed: ${error.message}`, error);
-    throw error;
+    if (headersPolicyResult) {
+      const headersAttached = await awsService.setDistributionResponseHeadersPolicy(
+        clients.cloudfront,
+        distributionResult.distributionId,
+        headersPolicyResult.responseHeadersPolicyId
+      );
+      if (!headersAttached) {
+        logger.warn(`Could not attach the response headers policy to distribution ${distributionResult.distributionId}. Run "ssc headers" to try again.`);
+      }
+    }
+  } else {
+    // If we have a domain and certificate, wait for certificate validation before proceeding
+    if (awsInfo.domain && certificateResult && certificateResult.certificateArn) {
+      const certificateValidated = await awsService.waitForCertificateValidation(
+        clients.acm,
+        certificateResult.certificateArn
+      );
+      
+      if (!certificateValidated) {
+        logger.warn('Proceeding with CloudFront distribution creation, but it may fail due to certificate not being fully validated.');
+        logger.info('If distribution creation fails, run "ssc setup-aws" again later; completed steps will be reused.');
+      }
+    }
+    
+    distributionResult = await awsService.createCloudFrontDistribution(
+      clients.cloudfront,
+      bucketResult.bucketName,
+      awsInfo.domain,
+      certificateResult ? certificateResult.certificateArn : null,
+      functionResult.functionArn,
+      {
+        originAccessControlId: originAccessControlResult.originAccessControlId,
+        errorPages: resolveErrorPages(siteConfig),
+        responseHeadersPolicyId: headersPolicyResult ? headersPolicyResult.responseHeadersPolicyId : undefined,
+        aliases: resolveDomains(siteConfig).domainNames.slice(1)
+      }
+    );
+    
+    if (!distributionResult) {
+      logger.warn(`Failed to create CloudFront distribution. You'll need to set it up manually.`);
+      return null;
+    }
+    
+    logger.info(`CloudFront distribution created. It may take up to 15 minutes to deploy globally.`);
+  }
+  
+  saveProgress(context, {
+    cloudfrontDistributionId: distributionResult.distributionId,
+    cloudfrontDistributionArn: distributionResult.distributionArn,
+    cloudfrontDomain: distributionResult.distributionDomain
+  });
+  
+  return distributionResult;
+}
+
+/**
+ * Bring the aliases of an existing distribution in line with the site config
+ * New aliases come with a new certificate, so the distribution waits for it to be issued.
+ * @param {object} context - Setup context
+ * @param {string} distributionId - Distribution ID
+ * @param {object|null} certificateResult - Certificate data
+ * @returns {Promise<boolean>} - Whether the distribution answers on every site name
+ */
+async function ensureDomainAliases(context, distributionId, certificateResult) {
+  const { siteConfig, clients } = context;
+  
+  const { domainNames } = resolveDomains(siteConfig);
+  if (domainNames.length === 0 || !certificateResult) {
+    return true;
+  }
+  
+  const current = await awsService.getCloudFrontDistributionConfig(clients.cloudfront, distributionId);
+  const currentAliases = ((current && current.Aliases && current.Aliases.Items) || []).slice().sort();
+  const currentCertificateArn = current && current.ViewerCertificate && current.ViewerCertificate.ACMCertificateArn;
+  
+  if (JSON.stringify(currentAliases) === JSON.stringify(domainNames.slice().sort()) &&
+      currentCertificateArn === certificateResult.certificateArn) {
+    return true;
+  }
+  
+  if (certificateResult.status !== 'ISSUED') {
+    const validated = await awsService.waitForCertificateValidation(clients.acm, certificateResult.certificateArn);
+    if (!validated) {
+      logger.warn('The certificate for the new aliases is not issued yet. Run "ssc setup-aws" again once it is validated.');
+      return false;
+    }
+  }
+  
+  const updated = await awsService.updateCloudFrontDistribution(clients.cloudfront, distributionId, {
+    Aliases: {
+      Quantity: domainNames.length,
+      Items: domainNames
+    },
+    ViewerCertificate: {
+      CloudFrontDefaultCertificate: false,
+      ACMCertificateArn: certificateResult.certificateArn,
+      SSLSupportMethod: 'sni-only',
+      MinimumProtocolVersion: 'TLSv1.2_2021'
+    }
+  });
+  if (!updated) {
+    logger.warn(`Could not update the aliases of distribution ${distributionId}.`);
+  }
+  return updated;
+}
+
+/**
+ * Point every site name at the distribution
+ * Aliases on other domains get their records in the hosted zone that holds them, if there is one.
+ * @param {object} context - Setup context
+ * @param {object} hostedZoneResult - Hosted zone data for the main domain
+ * @param {object} distributionResult - Distribution data
+ * @returns {Promise<boolean>} - Whether records were created for every name
+ */
+async function ensureDnsRecords(context, hostedZoneResult, distributionResult) {
+  const { siteConfig, awsInfo, clients } = context;
+  
+  let complete = true;
+  for (const domainName of resolveDomains(siteConfig).domainNames) {
+    const zone = domainName === awsInfo.domain || isZoneForDomain(hostedZoneResult.zoneName, domainName) ?
+      hostedZoneResult :
+      await awsService.findEnclosingHostedZone(clients.route53, domainName);
+    
+    if (!zone) {
+      logger.warn(`No Route53 hosted zone holds "${domainName}". Point it at ${distributionResult.distributionDomain} at its DNS provider.`);
+      complete = false;
+      continue;
+    }
+    
+    const created = await awsService.createCloudFrontDnsRecords(
+      clients.route53,
+      zone.hostedZoneId,
+      domainName,
+      distributionResult.distributionDomain
+    );
+    complete = complete && created;
+  }
+  
+  return complete;
+}
+
+/**
+ * Bring the error pages of an existing distribution in line with the site config
+ * Distributions created by earlier versions answer every 404 with index.html and a 200 status.
+ * @param {object} context - Setup context
+ * @param {string} distributionId - Distribution ID
+ * @returns {Promise<boolean>} - Whether the distribution serves the configured error pages
+ */
+async function ensureErrorPages(context, distributionId) {
+  const { siteConfig, clients } = context;
+  
+  const desired = awsService.buildCustomErrorResponses(resolveErrorPages(siteConfig));
+  const current = await awsService.getCloudFrontDistributionConfig(clients.cloudfront, distributionId);
+  const currentItems = ((current && current.CustomErrorResponses && current.CustomErrorResponses.Items) || [])
+    .map(item => ({
+      ErrorCode: item.ErrorCode,
+      ResponsePagePath: item.ResponsePagePath,
+      ResponseCode: item.ResponseCode,
+      ErrorCachingMinTTL: item.ErrorCachingMinTTL
+    }))
+    .sort((a, b) => a.ErrorCode - b.ErrorCode);
+  
+  if (JSON.stringify(currentItems) === JSON.stringify(desired.Items)) {
+    return true;
+  }
+  
+  const updated = await awsService.updateCloudFrontDistribution(clients.cloudfront, distributionId, {
+    CustomErrorResponses: desired
+  });
+  if (!updated) {
+    logger.warn(`Could not update the error pages of distribution ${distributionId}.`);
   }
+  return updated;
+}
+
+/**
+ * Reuse and refresh the GitHub Actions deploy policy or create it
+ * @param {object} context - Setup context
+ * @param {object} bucketResult - Bucket data
+ * @param {object|null} distributionResult - Distribution data
+ * @returns {Promise<object|null>} - Policy data or null if it could not be created
+ */
+async function ensureIamPolicy(context, bucketResult, distributionResult) {
+  const { clients, resourcePrefix } = context;
+  
+  const policyName = `${resourcePrefix}-deploy-policy`;
+  const cloudfrontDistributionArn = distributionResult ?
+    distributionResult.distributionArn :
+    'arn:aws:cloudfront::123456789012:distribution/placeholder';
+  
+  let policyResult = await awsService.findIamPolicy(clients.iam, policyName);
+  
+  if (policyResult) {
+    // The bucket or distribution may have changed since the policy was written
+    const updated = await awsService.updateIamPolicy(
+      clients.iam,
+      policyResult.policyArn,
+      bucketResult.bucketArn,
+      cloudfrontDistributionArn
+    );
+    if (!updated) {
+      logger.warn(`Could not update IAM policy "${policyName}". Check that it grants access to the current bucket and distribution.`);
+    }
+  } else {
+    policyResult = await awsService.createIamPolicy(
+      clients.iam,
+      policyName,
+      bucketResult.bucketArn,
+      cloudfrontDistributionArn
+    );
+  }
+  
+  if (!policyResult) {
+    logger.warn(`Failed to create IAM policy "${policyName}". You'll need to set it up manually.`);
+    return null;
+  }
+  
+  saveProgress(context, {
+    iamPolicyArn: policyResult.policyArn
+  });
+  
+  return policyResult;
+}
+
+/**
+ * Reuse and refresh the GitHub Actions role or create it
+ * @param {object} context - Setup context
+ * @param {object} policyResult - Policy data
+ * @returns {Promise<object|null>} - Role data or null if it could not be created
+ */
+async function ensureIamRole(context, policyResult) {
+  const { siteConfig, clients, environment, resourcePrefix } = context;
+  
+  const roleName = `${resourcePrefix}-github-actions-role`;
+  const githubRepo = `${siteConfig.githubUsername}/${siteConfig.repo}`;
+  
+  let roleResult = await awsService.findIamRole(clients.iam, roleName);
+  
+  if (roleResult) {
+    const updated = await awsService.updateIamRole(
+      clients.iam,
+      roleName,
+      policyResult.policyArn,
+      githubRepo,
+      environment
+    );
+    if (!updated) {
+      logger.warn(`Could not update IAM role "${roleName}". Check its trust policy and attached policies.`);
+    }
+  } else {
+    roleResult = await awsService.createIamRole(
+      clients.iam,
+      roleName,
+      policyResult.policyArn,
+      githubRepo,
+      environment
+    );
+  }
+  
+  if (!roleResult) {
+    logger.warn(`Failed to create IAM role "${roleName}". You'll need to set it up manually.`);
+    return null;
+  }
+  
+  saveProgress(context, {
+    iamRoleName: roleResult.roleName,
+    iamRoleArn: roleResult.roleArn
+  });
+  
+  return roleResult;
 }
 
 /**
@@ -306,10 +886,12 @@ async function collectAwsInfo(options, siteConfig) {
     questions.push({
       type: 'input',
       name: 'domain',
-      message: 'What domain will you use for your site? (e.g., example.com)',
+      message: options.env ?
+        `What domain will the "${options.env}" environment use? (e.g., ${options.env}.example.com)` :
+        'What domain will you use for your site? (e.g., example.com)',
       validate: input => {
         if (!input) return 'Domain is required for AWS setup';
-        if (!/^[a-zA-Z0-9][a-zA-Z0-9-]{1,61}[a-zA-Z0-9]\.[a-zA-Z]{2,}$/.test(input)) {
+        if (!isValidDomain(input)) {
           return 'Please enter a valid domain name (e.g., example.com)';
         }
         return true;
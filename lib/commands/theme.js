@@ -0,0 +1,356 @@
+/**
+ * Manage a site's Zola themes: list, switch, update, remove, and copy templates out for overriding
+ */
+
+const fs = require('fs');
+const path = require('path');
+const inquirer = require('inquirer');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { listCatalogueThemes, removeThemeName, resolveThemeSpec } = require('../utils/themes');
+const gitService = require('../services/git');
+const zolaService = require('../services/zola');
+
+const ACTIONS = ['list', 'use', 'update', 'remove', 'eject'];
+
+// Longer changelogs are cut short; the total still counts every commit
+const MAX_CHANGELOG_LINES = 30;
+
+/**
+ * Execute the theme command
+ * @param {object} options - Command options (action, target, ref, force)
+ * @returns {Promise<object>} - Result of the action
+ */
+async function execute(options = {}) {
+  try {
+    if (!ACTIONS.includes(options.action)) {
+      throw new Error(`Unknown theme action "${options.action}". Use one of ${ACTIONS.join(', ')}.`);
+    }
+    
+    if (options.action === 'list') {
+      return await listThemes(options);
+    }
+    
+    const siteName = await determineSiteName(options);
+    const siteConfig = config.getSiteConfig(siteName);
+    if (!siteConfig) {
+      throw new Error(`No configuration found for site "${siteName}". Please initialize the site first.`);
+    }
+    
+    const sitePath = path.join(process.cwd(), siteName);
+    if (!fs.existsSync(sitePath)) {
+      throw new Error(`Site directory "${sitePath}" not found. Run this command from the directory that contains the site.`);
+    }
+    
+    const site = { siteName, siteConfig, sitePath };
+    switch (options.action) {
+      case 'use':
+        return await useTheme(site, options);
+      case 'update':
+        return await updateTheme(site, options);
+      case 'remove':
+        return await removeTheme(site, options);
+      default:
+        return ejectTemplate(site, options);
+    }
+  } catch (error) {
+    logger.error(`Theme command failed: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Print the catalogue and the themes installed in the site
+ * Installed themes are only shown for a site given with --name, or when there is one site.
+ * @param {object} options - Command options
+ * @returns {Promise<object>} - { catalogue, installed, current }
+ */
+async function listThemes(options) {
+  const sites = config.listSites();
+  const siteName = options.name || (sites.length === 1 ? sites[0].siteName : null);
+  const siteConfig = siteName ? config.getSiteConfig(siteName) : null;
+  const installed = siteName ? listInstalledThemes(path.join(process.cwd(), siteName)) : [];
+  const current = siteConfig ? siteConfig.theme || null : null;
+  const catalogue = listCatalogueThemes();
+  
+  const label = name => {
+    if (name === current) return ' (in use)';
+    return installed.includes(name) ? ' (installed)' : '';
+  };
+  const width = Math.max(...catalogue.map(theme => theme.name.length), ...installed.map(name => name.length));
+  
+  console.log('Catalogue:');
+  catalogue.forEach(theme => {
+    console.log(`  ${theme.name.padEnd(width)}  ${theme.description}${label(theme.name)}`);
+  });
+  
+  const others = installed.filter(name => !catalogue.some(theme => theme.name === name));
+  if (others.length > 0) {
+    console.log(`Also installed in ${siteName}:`);
+    others.forEach(name => console.log(`  ${name.padEnd(width)}${label(name)}`));
+  }
+  
+  return { catalogue, installed, current };
+}
+
+/**
+ * Switch the site to a theme, installing it first if it is not in themes/ yet
+ * @param {object} site - { siteName, siteConfig, sitePath }
+ * @param {object} options - Command options (target: theme name or Git URL, with an optional #ref)
+ * @returns {Promise<object>} - { name, repo, ref }
+ */
+async function useTheme({ siteName, siteConfig, sitePath }, options) {
+  if (!options.target) {
+    throw new Error('Name the theme to use, e.g. `ssc theme use tabi` or `ssc theme use <git-url>#<ref>`.');
+  }
+  
+  const hashIndex = options.target.lastIndexOf('#');
+  const base = hashIndex === -1 ? options.target : options.target.slice(0, hashIndex);
+  const ref = hashIndex === -1 ? null : options.target.slice(hashIndex + 1) || null;
+  const installed = listInstalledThemes(sitePath);
+  
+  // Themes added from a URL are known by their directory name afterwards
+  const name = installed.includes(base) ? base : resolveThemeSpec(options.target).name;
+  let theme;
+  
+  if (installed.includes(name)) {
+    const themePath = `themes/${name}`;
+    if (ref && !await gitService.updateSubmodule(sitePath, themePath, ref)) {
+      throw new Error(`Could not check out ${ref} in ${themePath}.`);
+    }
+    
+    const known = listCatalogueThemes().find(entry => entry.name === name);
+    zolaService.applyTheme(sitePath, { name, requiredConfig: known ? known.requiredConfig : {} });
+    
+    theme = {
+      name,
+      repo: await gitService.getSubmoduleConfig(sitePath, themePath, 'url'),
+      ref: ref || (name === siteConfig.theme ? siteConfig.themeRef : null) || await gitService.getSubmoduleConfig(sitePath, themePath, 'branch')
+    };
+  } else {
+    const added = await zolaService.installTheme(sitePath, options.target);
+    if (!added) {
+      throw new Error(`Failed to install theme "${options.target}".`);
+    }
+    theme = { name: added.name, repo: added.repo, ref: added.ref || added.branch };
+  }
+  
+  siteConfig.theme = theme.name;
+  siteConfig.themeRepo = theme.repo;
+  siteConfig.themeRef = theme.ref;
+  config.saveSiteConfig(siteName, siteConfig);
+  
+  logger.success(`"${siteName}" now uses the ${theme.name} theme`);
+  logger.info('Check the site with `ssc serve`, then commit config.toml, .gitmodules and the themes directory.');
+  
+  return theme;
+}
+
+/**
+ * Move a theme's submodule to a newer commit and print the commits in between
+ * @param {object} site - { siteName, siteConfig, sitePath }
+ * @param {object} options - Command options (target: theme name, default the theme in use; ref)
+ * @returns {Promise<object>} - { name, from, to, log }
+ */
+async function updateTheme({ siteName, siteConfig, sitePath }, options) {
+  const name = options.target || siteConfig.theme;
+  if (!name) {
+    throw new Error(`"${siteName}" does not use a theme. Name the theme to update.`);
+  }
+  if (!listInstalledThemes(sitePath).includes(name)) {
+    throw new Error(`Theme "${name}" is not installed in ${sitePath}.`);
+  }
+  
+  const update = await gitService.updateSubmodule(sitePath, `themes/${name}`, options.ref || null);
+  if (!update) {
+    throw new Error(`Failed to update theme "${name}".`);
+  }
+  
+  if (update.log.length > 0) {
+    console.log(`Changes in ${name} (${shortCommit(update.from)}..${shortCommit(update.to)}):`);
+    update.log.slice(0, MAX_CHANGELOG_LINES).forEach(line => console.log(`  ${line}`));
+    if (update.log.length > MAX_CHANGELOG_LINES) {
+      console.log(`  ... and ${update.log.length - MAX_CHANGELOG_LINES} more commits`);
+    }
+  } else if (update.from !== update.to) {
+    // Checking out an older ref has no commits in from..to
+    logger.info(`themes/${name} moved from ${shortCommit(update.from)} to ${shortCommit(update.to)}.`);
+  }
+  
+  if (options.ref && name === siteConfig.theme) {
+    siteConfig.themeRef = options.ref;
+    config.saveSiteConfig(siteName, siteConfig);
+  }
+  
+  if (update.from !== update.to) {
+    logger.info(`Check the site with \`ssc serve\`, then commit themes/${name}.`);
+  }
+  
+  return { name, ...update };
+}
+
+/**
+ * Remove a theme's submodule, and take it out of config.toml if the site uses it
+ * @param {object} site - { siteName, siteConfig, sitePath }
+ * @param {object} options - Command options (target: theme name)
+ * @returns {Promise<object>} - { name, wasInUse }
+ */
+async function removeTheme({ siteName, siteConfig, sitePath }, options) {
+  const name = options.target;
+  if (!name) {
+    throw new Error('Name the theme to remove.');
+  }
+  if (!listInstalledThemes(sitePath).includes(name)) {
+    throw new Error(`Theme "${name}" is not installed in ${sitePath}.`);
+  }
+  
+  if (!await gitService.removeSubmodule(sitePath, `themes/${name}`)) {
+    throw new Error(`Failed to remove theme "${name}".`);
+  }
+  
+  const wasInUse = name === siteConfig.theme;
+  if (wasInUse) {
+    const configPath = path.join(sitePath, 'config.toml');
+    fs.writeFileSync(configPath, removeThemeName(fs.readFileSync(configPath, 'utf8')));
+    
+    siteConfig.theme = null;
+    siteConfig.themeRepo = null;
+    siteConfig.themeRef = null;
+    config.saveSiteConfig(siteName, siteConfig);
+    
+    logger.warn(`"${siteName}" no longer has a theme; its own templates/ must cover every page now.`);
+  }
+  
+  logger.success(`Removed the ${name} theme from "${siteName}"`);
+  return { name, wasInUse };
+}
+
+/**
+ * Copy a template of the theme in use into the site's templates/, where it overrides the theme's
+ * Without a template, the theme's templates are listed.
+ * @param {object} site - { siteName, siteConfig, sitePath }
+ * @param {object} options - Command options (target: template path, e.g. page.html; force)
+ * @returns {object} - { template, destination }, or { templates } when listing
+ */
+function ejectTemplate({ siteName, siteConfig, sitePath }, options) {
+  if (!siteConfig.theme) {
+    throw new Error(`"${siteName}" does not use a theme.`);
+  }
+  
+  const themeTemplates = path.join(sitePath, 'themes', siteConfig.theme, 'templates');
+  if (!fs.existsSync(themeTemplates)) {
+    throw new Error(`Theme "${siteConfig.theme}" has no templates directory. Is it installed?`);
+  }
+  
+  if (!options.target) {
+    const templates = listFiles(themeTemplates);
+    console.log(`Templates in ${siteConfig.theme}:`);
+    templates.forEach(template => console.log(`  ${template}`));
+    return { templates };
+  }
+  
+  const template = path.extname(options.target) ? options.target : `${options.target}.html`;
+  const source = path.resolve(themeTemplates, template);
+  if (!source.startsWith(`${themeTemplates}${path.sep}`)) {
+    throw new Error(`Invalid template "${options.target}".`);
+  }
+  if (!fs.existsSync(source) || !fs.statSync(source).isFile()) {
+    throw new Error(`Theme "${siteConfig.theme}" has no template "${template}". Run \`ssc theme eject\` to list its templates.`);
+  }
+  
+  const destination = path.join(sitePath, 'templates', path.relative(themeTemplates, source));
+  if (fs.existsSync(destination) && !options.force) {
+    throw new Error(`${path.relative(sitePath, destination)} already exists. Use --force to overwrite it.`);
+  }
+  
+  fs.mkdirSync(path.dirname(destination), { recursive: true });
+  fs.copyFileSync(source, destination);
+  
+  logger.success(`Copied ${template} to ${path.relative(sitePath, destination)}; the site's copy now overrides the theme's`);
+  return { template, destination };
+}
+
+/**
+ * List the themes in a site's themes/ directory
+ * @param {string} sitePath - Path to the site
+ * @returns {Array<string>} - Theme directory names
+ */
+function listInstalledThemes(sitePath) {
+  const themesDir = path.join(sitePath, 'themes');
+  if (!fs.existsSync(themesDir)) {
+    return [];
+  }
+  
+  return fs.readdirSync(themesDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+}
+
+/**
+ * Shorten a commit SHA for display
+ * @param {string|null} sha - Commit SHA
+ * @returns {string} - The first seven characters, or "nothing" for a submodule that was not checked out
+ */
+function shortCommit(sha) {
+  return sha ? sha.slice(0, 7) : 'nothing';
+}
+
+/**
+ * List the files under a directory
+ * @param {string} directory - Directory to list
+ * @param {string} prefix - Path of the directory relative to the listing root
+ * @returns {Array<string>} - Relative file paths, sorted
+ */
+function listFiles(directory, prefix = '') {
+  return fs.readdirSync(directory, { withFileTypes: true })
+    .flatMap(entry => {
+      const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+      return entry.isDirectory() ? listFiles(path.join(directory, entry.name), relativePath) : [relativePath];
+    })
+    .sort();
+}
+
+/**
+ * Determine which site to manage themes for
+ * @param {object} options - Command options
+ * @returns {Promise<string>} - Site name
+ */
+async function determineSiteName(options) {
+  // If site name is provided in options, use it
+  if (options.name) {
+    return options.name;
+  }
+  
+  // If options is a config object with siteName, use it
+  if (options.siteName) {
+    return options.siteName;
+  }
+  
+  // Otherwise, list all sites and let user choose
+  const sites = config.listSites();
+  
+  if (sites.length === 0) {
+    throw new Error('No sites found. Please initialize a site first with `ssc init`.');
+  }
+  
+  if (sites.length === 1) {
+    return sites[0].siteName;
+  }
+  
+  // Multiple sites found, prompt user to choose
+  const { siteName } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'siteName',
+      message: 'Which site would you like to manage themes for?',
+      choices: sites.map(site => site.siteName)
+    }
+  ]);
+  
+  return siteName;
+}
+
+module.exports = {
+  execute
+};
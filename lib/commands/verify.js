@@ -0,0 +1,116 @@
+/**
+ * Verify that a Zola site is only served through CloudFront
+ */
+
+const inquirer = require('inquirer');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const credentials = require('../utils/credentials');
+const awsService = require('../services/aws');
+const verifyService = require('../services/verify');
+
+/**
+ * Execute the verify command
+ * @param {object} options - Command options
+ * @returns {Promise<boolean>} - Whether the bucket is private and the site is served through CloudFront
+ */
+async function execute(options = {}) {
+  try {
+    // Determine which site to verify
+    const siteName = await determineSiteName(options);
+    
+    // Load site config (or the view of it for one environment)
+    const siteConfig = config.getEnvironmentConfig(siteName, options.env);
+    if (!siteConfig) {
+      throw new Error(`No configuration found for site "${siteName}". Please initialize the site first.`);
+    }
+    
+    if (!siteConfig.s3BucketName || !siteConfig.cloudfrontDistributionId) {
+      const setupCommand = options.env ? `ssc setup-aws --env ${options.env}` : 'ssc setup-aws';
+      throw new Error(`Verify needs an S3 bucket and CloudFront distribution. Please run "${setupCommand}" first.`);
+    }
+    
+    // Get AWS credentials (from a profile, the environment, stored credentials or user input)
+    const awsCreds = await credentials.resolveAwsCredentials(options, siteConfig);
+    const clients = awsService.createAwsClients(awsCreds, siteConfig.awsRegion || 'us-east-1');
+    
+    // Print the account before anything is read or created, so the wrong one is caught early
+    const identity = await awsService.getCallerIdentity(clients.sts);
+    if (!identity) {
+      throw new Error('Could not verify AWS credentials. For SSO profiles, run "aws sso login" first.');
+    }
+    
+    const security = await awsService.getBucketSecurity(clients.s3, siteConfig.s3BucketName);
+    const blocksPublicAccess = Boolean(security.publicAccessBlock) &&
+      Object.values(security.publicAccessBlock).every(Boolean);
+    if (!blocksPublicAccess) {
+      logger.warn(`S3 bucket "${siteConfig.s3BucketName}" does not block all public access. Run "ssc setup-aws" to fix it.`);
+    }
+    if (!security.encrypted) {
+      logger.warn(`S3 bucket "${siteConfig.s3BucketName}" has no default encryption. Run "ssc setup-aws" to fix it.`);
+    }
+    
+    const distribution = await awsService.findCloudFrontDistribution(clients.cloudfront, {
+      distributionId: siteConfig.cloudfrontDistributionId
+    });
+    if (!distribution) {
+      throw new Error(`CloudFront distribution ${siteConfig.cloudfrontDistributionId} was not found.`);
+    }
+    
+    const reachable = await verifyService.verifyOriginAccess(clients, {
+      bucketName: siteConfig.s3BucketName,
+      region: siteConfig.awsRegion || 'us-east-1',
+      distributionId: distribution.distributionId,
+      distributionDomain: distribution.distributionDomain
+    });
+    
+    return reachable && blocksPublicAccess && security.encrypted;
+  } catch (error) {
+    logger.error(`Verify command failed: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Determine which site to verify
+ * @param {object} options - Command options
+ * @returns {Promise<string>} - Site name
+ */
+async function determineSiteName(options) {
+  // If site name is provided in options, use it
+  if (options.name) {
+    return options.name;
+  }
+  
+  // If options is a config object with siteName, use it
+  if (options.siteName) {
+    return options.siteName;
+  }
+  
+  // Otherwise, list all sites and let user choose
+  const sites = config.listSites();
+  
+  if (sites.length === 0) {
+    throw new Error('No sites found. Please initialize a site first with `ssc init`.');
+  }
+  
+  if (sites.length === 1) {
+    return sites[0].siteName;
+  }
+  
+  // Multiple sites found, prompt user to choose
+  const { siteName } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'siteName',
+      message: 'Which site would you like to verify?',
+      choices: sites.map(site => site.siteName)
+    }
+  ]);
+  
+  return siteName;
+}
+
+module.exports = {
+  execute
+};
@@ -0,0 +1,265 @@
+/**
+ * Manage the Zola versions ssc runs and the version a site is pinned to
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const inquirer = require('inquirer');
+const { diffLines } = require('diff');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const githubService = require('../services/github');
+const syncService = require('../services/sync');
+const zolaService = require('../services/zola');
+
+const ACTIONS = ['list', 'install', 'upgrade'];
+
+// Longer reports are cut short; the totals still count every file
+const MAX_REPORTED_FILES = 50;
+
+const TEXT_EXTENSIONS = ['.html', '.xml', '.css', '.js', '.json', '.txt', '.svg'];
+
+/**
+ * Execute the zola command
+ * @param {object} options - Command options (action, version, dryRun)
+ * @returns {Promise<object>} - Result of the action
+ */
+async function execute(options = {}) {
+  try {
+    if (!ACTIONS.includes(options.action)) {
+      throw new Error(`Unknown zola action "${options.action}". Use one of ${ACTIONS.join(', ')}.`);
+    }
+    
+    switch (options.action) {
+      case 'list':
+        return await listVersions(options);
+      case 'install':
+        return await installVersion(options);
+      default:
+        return await upgradeSite(options);
+    }
+  } catch (error) {
+    logger.error(`Zola command failed: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Print the Zola versions ssc has downloaded and the one on the PATH
+ * @param {object} options - Command options
+ * @returns {Promise<object>} - { installed, path, pinned }
+ */
+async function listVersions(options) {
+  const installed = zolaService.listInstalledZolaVersions();
+  const pathVersion = await zolaService.getZolaVersion('zola');
+  const siteConfig = options.name ? config.getSiteConfig(options.name) : null;
+  const pinned = siteConfig ? siteConfig.zolaVersion || null : null;
+  
+  if (installed.length === 0) {
+    logger.info('No Zola versions downloaded by ssc.');
+  }
+  installed.forEach(version => {
+    console.log(`${version}${version === pinned ? ` (pinned by ${options.name})` : ''}`);
+  });
+  
+  console.log(`PATH: ${pathVersion ? `zola ${pathVersion}` : 'no zola'}`);
+  if (siteConfig) {
+    console.log(`${options.name}: ${pinned ? `pinned to ${pinned}` : `not pinned (the workflow uses ${zolaService.ZOLA_VERSION})`}`);
+  }
+  
+  return { installed, path: pathVersion, pinned };
+}
+
+/**
+ * Download a Zola version ahead of time
+ * @param {object} options - Command options (version)
+ * @returns {Promise<object>} - { version, binaryPath }
+ */
+async function installVersion(options) {
+  const version = zolaService.normalizeZolaVersion(options.version || zolaService.ZOLA_VERSION);
+  if (zolaService.listInstalledZolaVersions().includes(version)) {
+    logger.info(`Zola ${version} is already installed.`);
+    return { version, binaryPath: await zolaService.resolveZolaCommand(version) };
+  }
+  
+  const binaryPath = await zolaService.downloadZola(version);
+  if (!binaryPath) {
+    throw new Error(`Failed to install Zola ${version}.`);
+  }
+  
+  return { version, binaryPath };
+}
+
+/**
+ * Pin a site to another Zola version, after building it with both and reporting what changed
+ * @param {object} options - Command options (version, dryRun)
+ * @returns {Promise<object>} - { from, to, changes }
+ */
+async function upgradeSite(options) {
+  const siteName = await determineSiteName(options);
+  const siteConfig = config.getSiteConfig(siteName);
+  if (!siteConfig) {
+    throw new Error(`No configuration found for site "${siteName}". Please initialize the site first.`);
+  }
+  
+  const sitePath = path.join(process.cwd(), siteName);
+  if (!fs.existsSync(sitePath)) {
+    throw new Error(`Site directory "${sitePath}" not found. Run this command from the directory that contains the site.`);
+  }
+  
+  const from = siteConfig.zolaVersion || null;
+  const to = zolaService.normalizeZolaVersion(options.version || await zolaService.getLatestZolaVersion());
+  if (from === to) {
+    logger.info(`"${siteName}" is already pinned to Zola ${to}.`);
+    return { from, to, changes: null };
+  }
+  
+  const fromLabel = from ? `Zola ${from}` : 'the unpinned Zola';
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ssc-zola-'));
+  let changes;
+  
+  try {
+    const beforeDir = path.join(workDir, 'before');
+    const afterDir = path.join(workDir, 'after');
+    
+    if (!await zolaService.buildSite(sitePath, { zolaVersion: from || undefined, outputDir: beforeDir })) {
+      throw new Error(`Failed to build "${siteName}" with ${fromLabel}.`);
+    }
+    if (!await zolaService.buildSite(sitePath, { zolaVersion: to, outputDir: afterDir })) {
+      throw new Error(`Failed to build "${siteName}" with Zola ${to}. The pin is unchanged.`);
+    }
+    
+    changes = compareBuilds(beforeDir, afterDir);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+  
+  reportChanges(changes, fromLabel, `Zola ${to}`);
+  
+  if (options.dryRun) {
+    logger.info(`Dry run: "${siteName}" stays on ${fromLabel}.`);
+    return { from, to, changes };
+  }
+  
+  siteConfig.zolaVersion = to;
+  config.saveSiteConfig(siteName, siteConfig);
+  logger.success(`Pinned "${siteName}" to Zola ${to}`);
+  
+  // The workflow installs the pinned version, so CI builds what was just compared
+  if (fs.existsSync(path.join(sitePath, '.github', 'workflows', 'main.yml'))) {
+    const written = await githubService.createWorkflowFile(sitePath, githubService.buildWorkflowConfig(siteConfig));
+    if (written) {
+      logger.info('Commit and push .github/workflows/main.yml so CI builds with the same version.');
+    }
+  }
+  
+  return { from, to, changes };
+}
+
+/**
+ * Compare two builds of a site file by file
+ * @param {string} beforeDir - Output of the old version
+ * @param {string} afterDir - Output of the new version
+ * @returns {object} - { added, removed, changed, unchanged }; changed entries have line counts for text files
+ */
+function compareBuilds(beforeDir, afterDir) {
+  const before = new Map(syncService.scanDirectory(beforeDir).map(file => [file.key, file]));
+  const after = syncService.scanDirectory(afterDir);
+  const changes = { added: [], removed: [], changed: [], unchanged: 0 };
+  
+  after.forEach(file => {
+    const old = before.get(file.key);
+    before.delete(file.key);
+    
+    if (!old) {
+      changes.added.push(file.key);
+    } else if (old.md5 === file.md5) {
+      changes.unchanged += 1;
+    } else if (TEXT_EXTENSIONS.includes(path.extname(file.key))) {
+      const parts = diffLines(fs.readFileSync(old.filePath, 'utf8'), fs.readFileSync(file.filePath, 'utf8'));
+      changes.changed.push({
+        key: file.key,
+        linesAdded: parts.filter(part => part.added).reduce((sum, part) => sum + part.count, 0),
+        linesRemoved: parts.filter(part => part.removed).reduce((sum, part) => sum + part.count, 0)
+      });
+    } else {
+      changes.changed.push({ key: file.key });
+    }
+  });
+  
+  changes.removed = [...before.keys()];
+  return changes;
+}
+
+/**
+ * Print the differences between two builds
+ * @param {object} changes - Result of compareBuilds
+ * @param {string} fromLabel - Old version, for the heading
+ * @param {string} toLabel - New version, for the heading
+ */
+function reportChanges(changes, fromLabel, toLabel) {
+  const lines = [
+    ...changes.added.map(key => `  + ${key}`),
+    ...changes.removed.map(key => `  - ${key}`),
+    ...changes.changed.map(change => (change.linesAdded !== undefined ?
+      `  ~ ${change.key} (+${change.linesAdded} -${change.linesRemoved} lines)` :
+      `  ~ ${change.key}`))
+  ];
+  
+  if (lines.length === 0) {
+    logger.success(`${toLabel} builds the same output as ${fromLabel}`);
+    return;
+  }
+  
+  console.log(`Output differences from ${fromLabel} to ${toLabel}:`);
+  lines.slice(0, MAX_REPORTED_FILES).forEach(line => console.log(line));
+  if (lines.length > MAX_REPORTED_FILES) {
+    console.log(`  ... and ${lines.length - MAX_REPORTED_FILES} more`);
+  }
+  console.log(`${changes.added.length} added, ${changes.removed.length} removed, ${changes.changed.length} changed, ${changes.unchanged} unchanged`);
+}
+
+/**
+ * Determine which site to upgrade
+ * @param {object} options - Command options
+ * @returns {Promise<string>} - Site name
+ */
+async function determineSiteName(options) {
+  // If site name is provided in options, use it
+  if (options.name) {
+    return options.name;
+  }
+  
+  // If options is a config object with siteName, use it
+  if (options.siteName) {
+    return options.siteName;
+  }
+  
+  // Otherwise, list all sites and let user choose
+  const sites = config.listSites();
+  
+  if (sites.length === 0) {
+    throw new Error('No sites found. Please initialize a site first with `ssc init`.');
+  }
+  
+  if (sites.length === 1) {
+    return sites[0].siteName;
+  }
+  
+  // Multiple sites found, prompt user to choose
+  const { siteName } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'siteName',
+      message: 'Which site would you like to upgrade Zola for?',
+      choices: sites.map(site => site.siteName)
+    }
+  ]);
+  
+  return siteName;
+}
+
+module.exports = {
+  execute
+};
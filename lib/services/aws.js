@@ -5,66 +5,116 @@
 const { 
   S3Client, 
   CreateBucketCommand,
-  PutBucketPolicyCommand
+  PutBucketPolicyCommand,
+  GetBucketPolicyCommand,
+  PutBucketTaggingCommand,
+  GetBucketTaggingCommand,
+  HeadBucketCommand,
+  ListBucketsCommand,
+  ListObjectVersionsCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectsCommand,
+  DeleteBucketCommand,
+  PutPublicAccessBlockCommand,
+  GetPublicAccessBlockCommand,
+  PutBucketEncryptionCommand,
+  GetBucketEncryptionCommand
 } = require('@aws-sdk/client-s3');
 
 const {
   Route53Client,
   CreateHostedZoneCommand,
   GetHostedZoneCommand,
-  ChangeResourceRecordSetsCommand
+  ListHostedZonesByNameCommand,
+  ChangeResourceRecordSetsCommand,
+  ListResourceRecordSetsCommand,
+  DeleteHostedZoneCommand
 } = require('@aws-sdk/client-route-53');
 
 const {
   ACMClient,
   RequestCertificateCommand,
-  DescribeCertificateCommand
+  DescribeCertificateCommand,
+  ListCertificatesCommand,
+  DeleteCertificateCommand
 } = require('@aws-sdk/client-acm');
 
 const {
   CloudFrontClient,
   CreateDistributionCommand,
   CreateFunctionCommand,
+  UpdateFunctionCommand,
+  GetFunctionCommand,
   PublishFunctionCommand,
-  CreateInvalidationCommand
+  CreateInvalidationCommand,
+  GetDistributionCommand,
+  ListDistributionsCommand,
+  GetDistributionConfigCommand,
+  UpdateDistributionCommand,
+  DeleteDistributionCommand,
+  DescribeFunctionCommand,
+  DeleteFunctionCommand,
+  CreateOriginAccessControlCommand,
+  GetOriginAccessControlCommand,
+  UpdateOriginAccessControlCommand,
+  ListOriginAccessControlsCommand,
+  DeleteOriginAccessControlCommand,
+  CreateResponseHeadersPolicyCommand,
+  GetResponseHeadersPolicyCommand,
+  UpdateResponseHeadersPolicyCommand,
+  ListResponseHeadersPoliciesCommand,
+  DeleteResponseHeadersPolicyCommand
 } = require('@aws-sdk/client-cloudfront');
 
 const {
   IAMClient,
   CreatePolicyCommand,
+  CreatePolicyVersionCommand,
+  ListPoliciesCommand,
   CreateRoleCommand,
+  GetRoleCommand,
+  UpdateAssumeRolePolicyCommand,
   AttachRolePolicyCommand,
   ListOpenIDConnectProvidersCommand,
   GetOpenIDConnectProviderCommand,
-  CreateOpenIDConnectProviderCommand
+  CreateOpenIDConnectProviderCommand,
+  GetPolicyCommand,
+  GetPolicyVersionCommand,
+  ListAttachedRolePoliciesCommand,
+  DetachRolePolicyCommand,
+  DeleteRoleCommand,
+  ListPolicyVersionsCommand,
+  DeletePolicyVersionCommand,
+  DeletePolicyCommand
 } = require('@aws-sdk/client-iam');
 
+const { STSClient, GetCallerIdentityCommand } = require('@aws-sdk/client-sts');
+
 const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
+const { resolveErrorPages } = require('../utils/error-pages');
+const { listHeaders } = require('../utils/headers');
+const { PRECOMPRESS_EXTENSIONS } = require('../utils/optimize');
 
 /**
  * Create AWS clients with the provided credentials
- * @param {object} credentials - AWS credentials
+ * @param {object|Function} credentials - Static AWS credentials or a credential provider
  * @param {string} region - AWS region
  * @returns {object} - Object containing AWS clients
  */
 function createAwsClients(credentials, region) {
   const clientConfig = {
     region,
-    credentials: {
-      accessKeyId: credentials.accessKeyId,
-      secretAccessKey: credentials.secretAccessKey
-    }
+    credentials
   };
   
   // Create a separate config for ACM since it needs to be in us-east-1 for CloudFront
   const acmConfig = {
     region: 'us-east-1',
-    credentials: {
-      accessKeyId: credentials.accessKeyId,
-      secretAccessKey: credentials.secretAccessKey
-    }
+    credentials
   };
   
   return {
@@ -72,28 +122,67 @@ function createAwsClients(credentials, region) {
     route53: new Route53Client(clientConfig),
     acm: new ACMClient(acmConfig),
     cloudfront: new CloudFrontClient(clientConfig),
-    iam: new IAMClient(clientConfig)
+    iam: new IAMClient(clientConfig),
+    sts: new STSClient(clientConfig)
   };
 }
 
+/**
+ * Look up and print the AWS identity the credentials resolve to
+ * @param {STSClient} stsClient - AWS STS client
+ * @returns {Promise<object|null>} - Identity data or null if the credentials do not work
+ */
+async function getCallerIdentity(stsClient) {
+  try {
+    logger.startSpinner('Checking AWS credentials...');
+    
+    const response = await stsClient.send(new GetCallerIdentityCommand({}));
+    
+    logger.succeed(`Using AWS account ${response.Account} as ${response.Arn}`);
+    return {
+      account: response.Account,
+      arn: response.Arn,
+      userId: response.UserId
+    };
+  } catch (error) {
+    logger.fail('Failed to verify AWS credentials');
+    logger.error(error.message);
+    return null;
+  }
+}
+
 /**
  * Create an S3 bucket
  * @param {S3Client} s3Client - AWS S3 client
  * @param {string} bucketName - Name of the bucket
+ * @param {object} tags - Tags to apply to the bucket (optional)
  * @returns {Promise<object|null>} - Bucket data or null if creation failed
  */
-async function createS3Bucket(s3Client, bucketName) {
+async function createS3Bucket(s3Client, bucketName, tags = {}) {
   try {
     logger.startSpinner(`Creating S3 bucket "${bucketName}"...`);
     
+    // Buckets outside us-east-1 must name their region explicitly
+    const region = await s3Client.config.region();
+    
     const command = new CreateBucketCommand({
       Bucket: bucketName,
-      // Block all public access by default
-      // CloudFront will access it through Origin Access Control
+      CreateBucketConfiguration: region !== 'us-east-1' ? {
+        LocationConstraint: region
+      } : undefined
     });
     
     const response = await s3Client.send(command);
     
+    // Tag the bucket so an interrupted setup can find it again
+    const tagSet = Object.entries(tags).map(([Key, Value]) => ({ Key, Value }));
+    if (tagSet.length > 0) {
+      await s3Client.send(new PutBucketTaggingCommand({
+        Bucket: bucketName,
+        Tagging: { TagSet: tagSet }
+      }));
+    }
+    
     logger.succeed(`S3 bucket "${bucketName}" created`);
     return {
       bucketName,
@@ -107,6 +196,115 @@ async function createS3Bucket(s3Client, bucketName) {
   }
 }
 
+// Every public access setting is blocked; visitors only reach the bucket through CloudFront
+const PUBLIC_ACCESS_BLOCK = {
+  BlockPublicAcls: true,
+  IgnorePublicAcls: true,
+  BlockPublicPolicy: true,
+  RestrictPublicBuckets: true
+};
+
+/**
+ * Block all public access to a bucket and make sure new objects are encrypted at rest
+ * Existing encryption settings (such as SSE-KMS) are kept; buckets without any get SSE-S3.
+ * @param {S3Client} s3Client - AWS S3 client
+ * @param {string} bucketName - Bucket name
+ * @returns {Promise<boolean>} - Whether the bucket is configured
+ */
+async function configureBucketSecurity(s3Client, bucketName) {
+  try {
+    logger.startSpinner(`Blocking public access and enabling encryption for "${bucketName}"...`);
+    
+    await s3Client.send(new PutPublicAccessBlockCommand({
+      Bucket: bucketName,
+      PublicAccessBlockConfiguration: PUBLIC_ACCESS_BLOCK
+    }));
+    
+    const security = await getBucketSecurity(s3Client, bucketName);
+    if (!security.encrypted) {
+      await s3Client.send(new PutBucketEncryptionCommand({
+        Bucket: bucketName,
+        ServerSideEncryptionConfiguration: {
+          Rules: [
+            {
+              ApplyServerSideEncryptionByDefault: { SSEAlgorithm: 'AES256' },
+              BucketKeyEnabled: true
+            }
+          ]
+        }
+      }));
+    }
+    
+    logger.succeed(`Public access blocked and encryption enabled for "${bucketName}"`);
+    return true;
+  } catch (error) {
+    logger.fail(`Failed to secure S3 bucket "${bucketName}"`);
+    logger.error(error.message);
+    return false;
+  }
+}
+
+/**
+ * Get the public access block and default encryption of a bucket
+ * @param {S3Client} s3Client - AWS S3 client
+ * @param {string} bucketName - Bucket name
+ * @returns {Promise<object>} - { publicAccessBlock, encrypted }
+ */
+async function getBucketSecurity(s3Client, bucketName) {
+  let publicAccessBlock = null;
+  try {
+    const response = await s3Client.send(new GetPublicAccessBlockCommand({ Bucket: bucketName }));
+    publicAccessBlock = response.PublicAccessBlockConfiguration;
+  } catch (error) {
+    if (error.name !== 'NoSuchPublicAccessBlockConfiguration') {
+      throw error;
+    }
+  }
+  
+  let encrypted = false;
+  try {
+    const response = await s3Client.send(new GetBucketEncryptionCommand({ Bucket: bucketName }));
+    encrypted = (response.ServerSideEncryptionConfiguration.Rules || []).some(rule =>
+      Boolean(rule.ApplyServerSideEncryptionByDefault && rule.ApplyServerSideEncryptionByDefault.SSEAlgorithm)
+    );
+  } catch (error) {
+    if (error.name !== 'ServerSideEncryptionConfigurationNotFoundError') {
+      throw error;
+    }
+  }
+  
+  return { publicAccessBlock, encrypted };
+}
+
+/**
+ * Build the S3 bucket policy that lets a CloudFront distribution read the bucket
+ * @param {string} bucketName - Name of the bucket
+ * @param {string} cloudFrontDistributionArn - CloudFront distribution ARN
+ * @returns {object} - S3 bucket policy document
+ */
+function buildBucketPolicy(bucketName, cloudFrontDistributionArn) {
+  return {
+    Version: '2008-10-17',
+    Id: 'PolicyForCloudFrontPrivateContent',
+    Statement: [
+      {
+        Sid: 'AllowCloudFrontServicePrincipal',
+        Effect: 'Allow',
+        Principal: {
+          Service: 'cloudfront.amazonaws.com'
+        },
+        Action: 's3:GetObject',
+        Resource: `arn:aws:s3:::${bucketName}/*`,
+        Condition: {
+          StringEquals: {
+            'AWS:SourceArn': cloudFrontDistributionArn
+          }
+        }
+      }
+    ]
+  };
+}
+
 /**
  * Update S3 bucket policy to allow CloudFront access
  * @param {S3Client} s3Client - AWS S3 client
@@ -118,26 +316,7 @@ async function updateS3BucketPolicy(s3Client, bucketName, cloudFrontDistribution
   try {
     logger.startSpinner(`Updating S3 bucket policy for "${bucketName}"...`);
     
-    const policy = {
-      Version: '2008-10-17',
-      Id: 'PolicyForCloudFrontPrivateContent',
-      Statement: [
-        {
-          Sid: 'AllowCloudFrontServicePrincipal',
-          Effect: 'Allow',
-          Principal: {
-            Service: 'cloudfront.amazonaws.com'
-          },
-          Action: 's3:GetObject',
-          Resource: `arn:aws:s3:::${bucketName}/*`,
-          Condition: {
-            StringEquals: {
-              'AWS:SourceArn': cloudFrontDistributionArn
-            }
-          }
-        }
-      ]
-    };
+    const policy = buildBucketPolicy(bucketName, cloudFrontDistributionArn);
     
     const command = new PutBucketPolicyCommand({
       Bucket: bucketName,
@@ -173,7 +352,7 @@ async function createHostedZone(route53Client, domainName) {
     const response = await route53Client.send(command);
     
     logger.succeed(`Route53 hosted zone created for "${domainName}"`);
-    logger.info('Please update your domain registrar NS records with the following name servers:');
+    logger.info('The zone uses the following name servers:');
     
     response.DelegationSet.NameServers.forEach((ns, i) => {
       logger.info(`  ${i + 1}. ${ns}`);
@@ -181,6 +360,7 @@ async function createHostedZone(route53Client, domainName) {
     
     return {
       hostedZoneId: response.HostedZone.Id,
+      zoneName: domainName,
       nameServers: response.DelegationSet.NameServers
     };
   } catch (error) {
@@ -190,18 +370,115 @@ async function createHostedZone(route53Client, domainName) {
   }
 }
 
+/**
+ * Get the NS record that delegates a subdomain from its parent zone
+ * @param {Route53Client} route53Client - AWS Route53 client
+ * @param {string} parentZoneId - Hosted zone ID of the parent domain
+ * @param {string} domainName - Delegated subdomain
+ * @returns {Promise<object|null>} - Route53 resource record set or null if the subdomain is not delegated
+ */
+async function getZoneDelegation(route53Client, parentZoneId, domainName) {
+  const response = await route53Client.send(new ListResourceRecordSetsCommand({
+    HostedZoneId: parentZoneId.replace(/^\/hostedzone\//, ''),
+    StartRecordName: domainName,
+    StartRecordType: 'NS',
+    MaxItems: 1
+  }));
+  
+  const record = (response.ResourceRecordSets || [])
+    .find(item => item.Name.replace(/\.$/, '') === domainName && item.Type === 'NS');
+  return record || null;
+}
+
+/**
+ * Delegate a subdomain to its own hosted zone with an NS record in the parent zone
+ * @param {Route53Client} route53Client - AWS Route53 client
+ * @param {string} parentZoneId - Hosted zone ID of the parent domain
+ * @param {string} domainName - Subdomain to delegate
+ * @param {Array<string>} nameServers - Name servers of the subdomain's zone
+ * @returns {Promise<boolean>} - Whether the delegation was created
+ */
+async function createZoneDelegation(route53Client, parentZoneId, domainName, nameServers) {
+  try {
+    logger.startSpinner(`Delegating ${domainName} from its parent zone...`);
+    
+    await route53Client.send(new ChangeResourceRecordSetsCommand({
+      HostedZoneId: parentZoneId.replace(/^\/hostedzone\//, ''),
+      ChangeBatch: {
+        Comment: 'Delegate subdomain to its own hosted zone',
+        Changes: [{
+          Action: 'UPSERT',
+          ResourceRecordSet: {
+            Name: domainName,
+            Type: 'NS',
+            TTL: 172800,
+            ResourceRecords: nameServers.map(nameServer => ({ Value: nameServer }))
+          }
+        }]
+      }
+    }));
+    
+    logger.succeed(`${domainName} delegated to its own hosted zone`);
+    return true;
+  } catch (error) {
+    logger.fail(`Failed to delegate ${domainName}`);
+    logger.error(error.message);
+    return false;
+  }
+}
+
+/**
+ * Remove the NS record that delegates a subdomain from its parent zone
+ * @param {Route53Client} route53Client - AWS Route53 client
+ * @param {string} parentZoneId - Hosted zone ID of the parent domain
+ * @param {string} domainName - Delegated subdomain
+ * @returns {Promise<boolean>} - Whether the delegation is gone
+ */
+async function deleteZoneDelegation(route53Client, parentZoneId, domainName) {
+  const zoneId = parentZoneId.replace(/^\/hostedzone\//, '');
+  
+  try {
+    logger.startSpinner(`Removing the delegation of ${domainName}...`);
+    
+    const record = await getZoneDelegation(route53Client, zoneId, domainName);
+    if (record) {
+      await route53Client.send(new ChangeResourceRecordSetsCommand({
+        HostedZoneId: zoneId,
+        ChangeBatch: {
+          Comment: 'Remove subdomain delegation',
+          Changes: [{ Action: 'DELETE', ResourceRecordSet: record }]
+        }
+      }));
+    }
+    
+    logger.succeed(`Delegation of ${domainName} removed`);
+    return true;
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      logger.succeed(`Route53 hosted zone "${zoneId}" already deleted`);
+      return true;
+    }
+    logger.fail(`Failed to remove the delegation of ${domainName}`);
+    logger.error(error.message);
+    return false;
+  }
+}
+
 /**
  * Request ACM certificate
  * @param {ACMClient} acmClient - AWS ACM client
  * @param {string} domainName - Domain name
+ * @param {Array<string>} alternativeNames - Other names the certificate covers, e.g. www.example.com
  * @returns {Promise<object|null>} - Certificate data or null if request failed
  */
-async function requestCertificate(acmClient, domainName) {
+async function requestCertificate(acmClient, domainName, alternativeNames = []) {
   try {
     logger.startSpinner(`Requesting ACM certificate for "${domainName}"...`);
     
     const command = new RequestCertificateCommand({
       DomainName: domainName,
+      // The main domain is listed too; ACM expects every name the certificate covers here
+      SubjectAlternativeNames: alternativeNames.length > 0 ? [domainName, ...alternativeNames] : undefined,
       ValidationMethod: 'DNS'
     });
     
@@ -246,14 +523,15 @@ async function getCertificateValidationRecords(acmClient, certificateArn) {
         const response = await acmClient.send(command);
         const certificate = response.Certificate;
         
-        // Check if validation records are available
+        // Check if validation records are available (for every name, when there are several)
         if (certificate.DomainValidationOptions && 
             certificate.DomainValidationOptions.length > 0 && 
-            certificate.DomainValidationOptions[0].ResourceRecord) {
+            certificate.DomainValidationOptions.every(option => option.ResourceRecord)) {
           
           validationRecords = certificate.DomainValidationOptions.map(option => {
             if (option.ResourceRecord) {
               return {
+                domainName: option.DomainName,
                 name: option.ResourceRecord.Name,
                 type: option.ResourceRecord.Type,
                 value: option.ResourceRecord.Value
@@ -403,6 +681,61 @@ async function createDnsValidationRecords(route53Client, hostedZoneId, validatio
   }
 }
 
+/**
+ * Create DNS validation records in whichever Route53 hosted zone holds each certificate name
+ * A certificate that also covers a legacy domain needs records in that domain's zone too.
+ * @param {Route53Client} route53Client - AWS Route53 client
+ * @param {Array} validationRecords - Validation records from getCertificateValidationRecords
+ * @returns {Promise<boolean>} - Whether every record was created
+ */
+async function createDnsValidationRecordsByZone(route53Client, validationRecords) {
+  const recordsByZone = new Map();
+  let complete = true;
+  
+  for (const record of validationRecords) {
+    const zone = await findEnclosingHostedZone(route53Client, record.domainName);
+    if (!zone) {
+      logger.warn(`No Route53 hosted zone holds "${record.domainName}". Add this record at its DNS provider: ${record.name} ${record.type} ${record.value}`);
+      complete = false;
+      continue;
+    }
+    
+    // Names can share a validation record, and Route53 rejects the same change twice in a batch
+    const records = recordsByZone.get(zone.hostedZoneId) || [];
+    if (!records.some(item => item.name === record.name)) {
+      records.push(record);
+    }
+    recordsByZone.set(zone.hostedZoneId, records);
+  }
+  
+  for (const [hostedZoneId, records] of recordsByZone) {
+    const created = await createDnsValidationRecords(route53Client, hostedZoneId, records);
+    complete = complete && created;
+  }
+  
+  return complete;
+}
+
+/**
+ * Build the A and AAAA alias records that point a domain at a CloudFront distribution
+ * @param {string} domainName - Domain name
+ * @param {string} distributionDomain - CloudFront distribution domain name
+ * @returns {Array<object>} - Route53 resource record sets
+ */
+function buildCloudFrontDnsRecords(domainName, distributionDomain) {
+  // Create both A (IPv4) and AAAA (IPv6) records as aliases to the CloudFront distribution
+  // CloudFront has a fixed hosted zone ID of Z2FDTNDATAQYW2
+  return ['A', 'AAAA'].map(type => ({
+    Name: domainName,
+    Type: type,
+    AliasTarget: {
+      HostedZoneId: 'Z2FDTNDATAQYW2', // CloudFront always uses this hosted zone ID
+      DNSName: distributionDomain,
+      EvaluateTargetHealth: false
+    }
+  }));
+}
+
 /**
  * Create DNS A and AAAA records for CloudFront distribution
  * @param {Route53Client} route53Client - AWS Route53 client
@@ -418,36 +751,10 @@ async function createCloudFrontDnsRecords(route53Client, hostedZoneId, domainNam
     // Extract the hosted zone ID from the ARN if needed
     const zoneId = hostedZoneId.replace(/^\/hostedzone\//, '');
     
-    // Create both A (IPv4) and AAAA (IPv6) records as aliases to the CloudFront distribution
-    // CloudFront has a fixed hosted zone ID of Z2FDTNDATAQYW2
-    const changes = [
-      // A record for IPv4
-      {
-        Action: 'UPSERT',
-        ResourceRecordSet: {
-          Name: domainName,
-          Type: 'A',
-          AliasTarget: {
-            HostedZoneId: 'Z2FDTNDATAQYW2', // CloudFront always uses this hosted zone ID
-            DNSName: distributionDomain,
-            EvaluateTargetHealth: false
-          }
-        }
-      },
-      // AAAA record for IPv6
-      {
-        Action: 'UPSERT',
-        ResourceRecordSet: {
-          Name: domainName,
-          Type: 'AAAA',
-          AliasTarget: {
-            HostedZoneId: 'Z2FDTNDATAQYW2', // CloudFront always uses this hosted zone ID
-            DNSName: distributionDomain,
-            EvaluateTargetHealth: false
-          }
-        }
-      }
-    ];
+    const changes = buildCloudFrontDnsRecords(domainName, distributionDomain).map(record => ({
+      Action: 'UPSERT',
+      ResourceRecordSet: record
+    }));
     
     const command = new ChangeResourceRecordSetsCommand({
       HostedZoneId: zoneId,
@@ -470,16 +777,84 @@ async function createCloudFrontDnsRecords(route53Client, hostedZoneId, domainNam
   }
 }
 
+// CloudFront rejects function code larger than this
+const MAX_FUNCTION_CODE_SIZE = 10240;
+
 /**
  * Get CloudFront function code
+ * @param {object} options - Redirect settings
+ * @param {string} options.canonicalDomain - Host every other site name redirects to
+ * @param {Array<string>} options.redirectDomains - Site names that redirect to the canonical host
+ * @param {Array<object>} options.redirects - Path redirects ({ type, from, to, status }), first match wins
+ * @param {boolean} options.precompressed - Serve the Brotli and gzip copies ssc optimize writes
  * @returns {string} - CloudFront function code
  */
-function getCloudfrontFunctionCode() {
+function getCloudfrontFunctionCode(options = {}) {
+  const { canonicalDomain, redirectDomains = [], redirects = [], precompressed = false } = options;
+  const redirectsHost = Boolean(canonicalDomain) && redirectDomains.length > 0;
+  
+  const helpers = redirectsHost || redirects.length > 0 ? `${buildRedirectRules(redirects)}
+function getQueryString(querystring) {
+    var query = Object.keys(querystring).map(function (key) {
+        var param = querystring[key];
+        var values = param.multiValue ? param.multiValue : [param];
+        return values.map(function (item) {
+            return item.value === '' ? key : key + '=' + item.value;
+        }).join('&');
+    }).join('&');
+    return query ? '?' + query : '';
+}
+
+function redirectTo(status, location) {
+    return {
+        statusCode: status,
+        statusDescription: STATUS_TEXT[status],
+        headers: {
+            location: { value: location }
+        }
+    };
+}
+
+` : '';
+  
+  // Only the listed names redirect, so the cloudfront.net domain keeps serving the site directly
+  const hostRedirect = redirectsHost ? `
+    // Send the other names of the site to the canonical host
+    var host = request.headers.host ? request.headers.host.value.toLowerCase() : '';
+    if (${JSON.stringify(redirectDomains)}.indexOf(host) !== -1) {
+        return redirectTo(301, 'https://${canonicalDomain}' + uri + getQueryString(request.querystring));
+    }
+` : '';
+  
+  const pathRedirect = redirects.length > 0 ? `
+    // Send moved pages to their new address
+    var redirect = findRedirect(uri);
+    if (redirect) {
+        var location = redirect.location.indexOf('?') === -1 ?
+            redirect.location + getQueryString(request.querystring) :
+            redirect.location;
+        return redirectTo(redirect.status, location);
+    }
+` : '';
+  
+  // Every text file of these types has a .br and a .gz copy next to it, so the rewrite never misses
+  const compressedCopy = precompressed ? `
+    // Serve the compressed copy of text files to browsers that accept it
+    var encoding = request.headers['accept-encoding'] ? request.headers['accept-encoding'].value : '';
+    if (/\\.(${PRECOMPRESS_EXTENSIONS.map(extension => extension.slice(1)).join('|')})$/.test(request.uri)) {
+        if (/\\bbr\\b/.test(encoding)) {
+            request.uri += '.br';
+        } else if (/\\bgzip\\b/.test(encoding)) {
+            request.uri += '.gz';
+        }
+    }
+` : '';
+  
   return `
-async function handler(event) {
+${helpers}async function handler(event) {
     var request = event.request;
     var uri = request.uri;
-    
+    ${hostRedirect}${pathRedirect}
     // Check whether the URI is missing a file name.
     if (uri.endsWith('/')) {
         request.uri += 'index.html';
@@ -488,23 +863,87 @@ async function handler(event) {
     else if (!uri.includes('.')) {
         request.uri += '/index.html';
     }
-
+${compressedCopy}
     return request;
 }
 `;
 }
 
+/**
+ * Build the redirect table and lookup of the CloudFront function
+ * Exact rules ignore a trailing slash, prefix rules match whole path segments and keep the rest of
+ * the path, and each * in a wildcard rule is available to the target as $1, $2 and so on.
+ * @param {Array<object>} redirects - Path redirects ({ type, from, to, status })
+ * @returns {string} - Function code declaring REDIRECTS, STATUS_TEXT and findRedirect
+ */
+function buildRedirectRules(redirects) {
+  const rules = redirects.map(rule => {
+    const target = `to: ${JSON.stringify(rule.to)}, status: ${rule.status}`;
+    if (rule.type === 'wildcard') {
+      const source = rule.from
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&'))
+        .join('(.*)');
+      return `    { type: 'wildcard', pattern: /^${source}$/, ${target} }`;
+    }
+    const from = rule.type === 'exact' && rule.from.length > 1 ? rule.from.replace(/\/$/, '') : rule.from;
+    return `    { type: '${rule.type}', from: ${JSON.stringify(from)}, ${target} }`;
+  });
+  
+  return `var REDIRECTS = [${rules.length > 0 ? `\n${rules.join(',\n')}\n` : ''}];
+
+var STATUS_TEXT = { 301: 'Moved Permanently', 302: 'Found', 307: 'Temporary Redirect', 308: 'Permanent Redirect' };
+
+function findRedirect(uri) {
+    var path = uri.length > 1 ? uri.replace(/\\/$/, '') : uri;
+    for (var i = 0; i < REDIRECTS.length; i++) {
+        var rule = REDIRECTS[i];
+        if (rule.type === 'exact' && rule.from === path) {
+            return { location: rule.to, status: rule.status };
+        }
+        // A prefix only matches whole path segments: /docs covers /docs and /docs/a, not /docsy
+        if (rule.type === 'prefix' && (uri === rule.from || uri.indexOf(rule.from.slice(-1) === '/' ? rule.from : rule.from + '/') === 0)) {
+            return { location: rule.to + uri.slice(rule.from.length), status: rule.status };
+        }
+        if (rule.type === 'wildcard') {
+            var match = rule.pattern.exec(uri);
+            if (match) {
+                var location = rule.to.replace(/\\$(\\d)/g, function (all, index) {
+                    return match[index] || '';
+                });
+                return { location: location, status: rule.status };
+            }
+        }
+    }
+    return null;
+}
+`;
+}
+
+/**
+ * Check that generated function code fits in a CloudFront function
+ * @param {string} code - Function code
+ */
+function checkCloudfrontFunctionSize(code) {
+  const size = Buffer.byteLength(code);
+  if (size > MAX_FUNCTION_CODE_SIZE) {
+    throw new Error(`The CloudFront function code is ${size} bytes, over the ${MAX_FUNCTION_CODE_SIZE}-byte limit. Combine redirects into prefix or wildcard rules.`);
+  }
+}
+
 /**
  * Create CloudFront function
  * @param {CloudFrontClient} cloudfrontClient - AWS CloudFront client
  * @param {string} functionName - Function name
+ * @param {object} codeOptions - Redirect settings for the generated code (see getCloudfrontFunctionCode)
  * @returns {Promise<object|null>} - Function data or null if creation failed
  */
-async function createCloudfrontFunction(cloudfrontClient, functionName) {
+async function createCloudfrontFunction(cloudfrontClient, functionName, codeOptions = {}) {
   try {
     logger.startSpinner(`Creating CloudFront function "${functionName}"...`);
     
-    const functionCode = getCloudfrontFunctionCode();
+    const functionCode = getCloudfrontFunctionCode(codeOptions);
+    checkCloudfrontFunctionSize(functionCode);
     
     const createCommand = new CreateFunctionCommand({
       Name: functionName,
@@ -520,19 +959,13 @@ async function createCloudfrontFunction(cloudfrontClient, functionName) {
     // Wait a moment before publishing
     await new Promise(resolve => setTimeout(resolve, 1000));
     
-    // Publish the function
-    const publishCommand = new PublishFunctionCommand({
-      Name: functionName,
-      IfMatch: createResponse.ETag
-    });
-    
-    const publishResponse = await cloudfrontClient.send(publishCommand);
+    const functionArn = await publishCloudfrontFunctionCode(cloudfrontClient, functionName, createResponse.ETag);
     
     logger.succeed(`CloudFront function "${functionName}" created and published`);
     
     return {
       functionName,
-      functionArn: publishResponse.FunctionSummary.FunctionMetadata.FunctionARN
+      functionArn
     };
   } catch (error) {
     logger.fail(`Failed to create CloudFront function "${functionName}"`);
@@ -541,6 +974,86 @@ async function createCloudfrontFunction(cloudfrontClient, functionName) {
   }
 }
 
+/**
+ * Publish the development stage of a CloudFront function to the live stage
+ * @param {CloudFrontClient} cloudfrontClient - AWS CloudFront client
+ * @param {string} functionName - Function name
+ * @param {string} etag - ETag of the development stage
+ * @returns {Promise<string>} - ARN of the published function
+ */
+async function publishCloudfrontFunctionCode(cloudfrontClient, functionName, etag) {
+  const publishCommand = new PublishFunctionCommand({
+    Name: functionName,
+    IfMatch: etag
+  });
+  
+  const publishResponse = await cloudfrontClient.send(publishCommand);
+  return publishResponse.FunctionSummary.FunctionMetadata.FunctionARN;
+}
+
+/**
+ * Publish a CloudFront function that was created but never published
+ * @param {CloudFrontClient} cloudfrontClient - AWS CloudFront client
+ * @param {string} functionName - Function name
+ * @returns {Promise<object|null>} - Function data or null if publishing failed
+ */
+async function publishCloudfrontFunction(cloudfrontClient, functionName) {
+  try {
+    logger.startSpinner(`Publishing CloudFront function "${functionName}"...`);
+    
+    const describeResponse = await cloudfrontClient.send(new DescribeFunctionCommand({
+      Name: functionName,
+      Stage: 'DEVELOPMENT'
+    }));
+    
+    const functionArn = await publishCloudfrontFunctionCode(cloudfrontClient, functionName, describeResponse.ETag);
+    
+    logger.succeed(`CloudFront function "${functionName}" published`);
+    
+    return {
+      functionName,
+      functionArn
+    };
+  } catch (error) {
+    logger.fail(`Failed to publish CloudFront function "${functionName}"`);
+    logger.error(error.message);
+    return null;
+  }
+}
+
+/**
+ * Build the IAM policy document that lets GitHub Actions deploy the site
+ * @param {string} s3BucketArn - S3 bucket ARN
+ * @param {string} cloudFrontDistributionArn - CloudFront distribution ARN
+ * @returns {object} - IAM policy document
+ */
+function buildDeployPolicyDocument(s3BucketArn, cloudFrontDistributionArn) {
+  return {
+    Version: '2012-10-17',
+    Statement: [
+      {
+        Sid: 'Statement0',
+        Effect: 'Allow',
+        Action: [
+          's3:PutObject',
+          's3:GetObject',
+          's3:ListBucket',
+          's3:DeleteObject',
+          'cloudfront:CreateInvalidation',
+          'cloudfront:GetDistribution',
+          'cloudfront:GetDistributionConfig',
+          'cloudfront:UpdateDistribution'
+        ],
+        Resource: [
+          `${s3BucketArn}/*`,
+          s3BucketArn,
+          cloudFrontDistributionArn
+        ]
+      }
+    ]
+  };
+}
+
 /**
  * Create IAM policy for GitHub Actions
  * @param {IAMClient} iamClient - AWS IAM client
@@ -553,27 +1066,7 @@ async function createIamPolicy(iamClient, policyName, s3BucketArn, cloudFrontDis
   try {
     logger.startSpinner(`Creating IAM policy "${policyName}"...`);
     
-    const policyDocument = {
-      Version: '2012-10-17',
-      Statement: [
-        {
-          Sid: 'Statement0',
-          Effect: 'Allow',
-          Action: [
-            's3:PutObject',
-            's3:GetObject',
-            's3:ListBucket',
-            's3:DeleteObject',
-            'cloudfront:CreateInvalidation'
-          ],
-          Resource: [
-            `${s3BucketArn}/*`,
-            s3BucketArn,
-            cloudFrontDistributionArn
-          ]
-        }
-      ]
-    };
+    const policyDocument = buildDeployPolicyDocument(s3BucketArn, cloudFrontDistributionArn);
     
     const command = new CreatePolicyCommand({
       PolicyName: policyName,
@@ -706,15 +1199,49 @@ async function createOrGetGithubOidcProvider(iamClient) {
   }
 }
 
+/**
+ * Build the trust policy that lets GitHub Actions in a repository assume a role
+ * @param {string} providerArn - GitHub OIDC provider ARN
+ * @param {string} githubRepo - GitHub repository (format: owner/repo)
+ * @param {string} environment - GitHub environment the role is limited to (optional)
+ * @returns {object} - IAM trust policy document
+ */
+function buildGithubTrustPolicyDocument(providerArn, githubRepo, environment) {
+  return {
+    Version: '2012-10-17',
+    Statement: [
+      {
+        Effect: 'Allow',
+        Principal: {
+          Federated: providerArn
+        },
+        Action: 'sts:AssumeRoleWithWebIdentity',
+        Condition: {
+          StringEquals: {
+            'token.actions.githubusercontent.com:aud': 'sts.amazonaws.com'
+          },
+          StringLike: {
+            // Jobs that run in a GitHub environment get a token for that environment only
+            'token.actions.githubusercontent.com:sub': environment ?
+              `repo:${githubRepo}:environment:${environment}` :
+              `repo:${githubRepo}:*`
+          }
+        }
+      }
+    ]
+  };
+}
+
 /**
  * Create IAM role for GitHub Actions
  * @param {IAMClient} iamClient - AWS IAM client
  * @param {string} roleName - Role name
  * @param {string} policyArn - Policy ARN
  * @param {string} githubRepo - GitHub repository (format: owner/repo)
+ * @param {string} environment - GitHub environment allowed to assume the role (optional)
  * @returns {Promise<object|null>} - Role data or null if creation failed
  */
-async function createIamRole(iamClient, roleName, policyArn, githubRepo) {
+async function createIamRole(iamClient, roleName, policyArn, githubRepo, environment) {
   try {
     logger.startSpinner(`Creating IAM role "${roleName}"...`);
     
@@ -725,26 +1252,7 @@ async function createIamRole(iamClient, roleName, policyArn, githubRepo) {
     }
     
     // Trust relationship for GitHub Actions
-    const assumeRolePolicyDocument = {
-      Version: '2012-10-17',
-      Statement: [
-        {
-          Effect: 'Allow',
-          Principal: {
-            Federated: providerArn
-          },
-          Action: 'sts:AssumeRoleWithWebIdentity',
-          Condition: {
-            StringEquals: {
-              'token.actions.githubusercontent.com:aud': 'sts.amazonaws.com'
-            },
-            StringLike: {
-              'token.actions.githubusercontent.com:sub': `repo:${githubRepo}:*`
-            }
-          }
-        }
-      ]
-    };
+    const assumeRolePolicyDocument = buildGithubTrustPolicyDocument(providerArn, githubRepo, environment);
     
     // Create the role
     const createRoleCommand = new CreateRoleCommand({
@@ -776,137 +1284,2019 @@ async function createIamRole(iamClient, roleName, policyArn, githubRepo) {
 }
 
 /**
- * Create CloudFront distribution
- * @param {CloudFrontClient} cloudfrontClient - AWS CloudFront client
+ * Build the CloudFront distribution config for a site
  * @param {string} bucketName - S3 bucket name
  * @param {string} domainName - Domain name (optional)
  * @param {string} certificateArn - ACM certificate ARN (required if domainName is provided)
  * @param {string} functionArn - CloudFront function ARN
- * @returns {Promise<object|null>} - Distribution data or null if creation failed
+ * @param {object} options - Optional settings
+ * @param {string} options.originPath - Bucket prefix to serve, e.g. /releases/<id> (default: bucket root)
+ * @param {string} options.originAccessControlId - Origin Access Control CloudFront signs bucket requests with
+ * @param {object} options.errorPages - Error pages by status code (default: Zola's 404.html)
+ * @param {string} options.responseHeadersPolicyId - Response headers policy added to every response
+ * @param {Array<string>} options.aliases - Other names the site answers on, e.g. www.example.com
+ * @returns {object} - Distribution config without a caller reference
  */
-async function createCloudFrontDistribution(cloudfrontClient, bucketName, domainName, certificateArn, functionArn) {
+function buildDistributionConfig(bucketName, domainName, certificateArn, functionArn, options = {}) {
+  const {
+    originPath = '',
+    originAccessControlId = '',
+    errorPages = resolveErrorPages(),
+    responseHeadersPolicyId,
+    aliases = []
+  } = options;
+  const domainNames = domainName ? [domainName, ...aliases] : [];
+  
+  const cacheBehavior = {
+    ViewerProtocolPolicy: 'redirect-to-https',
+    AllowedMethods: {
+      Quantity: 2,
+      Items: ['GET', 'HEAD'],
+      CachedMethods: {
+        Quantity: 2,
+        Items: ['GET', 'HEAD']
+      }
+    },
+    Compress: true,
+    ...(responseHeadersPolicyId ? { ResponseHeadersPolicyId: responseHeadersPolicyId } : {}),
+    DefaultTTL: 86400,
+    MinTTL: 0,
+    MaxTTL: 31536000,
+    ForwardedValues: {
+      QueryString: false,
+      Cookies: {
+        Forward: 'none'
+      },
+      Headers: {
+        Quantity: 0
+      },
+      QueryStringCacheKeys: {
+        Quantity: 0
+      }
+    },
+    
+    // Add the CloudFront function if provided
+    FunctionAssociations: functionArn ? {
+      Quantity: 1,
+      Items: [
+        {
+          FunctionARN: functionArn,
+          EventType: 'viewer-request'
+        }
+      ]
+    } : { Quantity: 0 }
+  };
+  
+  return {
+    Comment: `Distribution for ${bucketName}`,
+    DefaultRootObject: 'index.html',
+    Enabled: true,
+    
+    // Origin configuration for S3 bucket
+    Origins: {
+      Quantity: 2,
+      Items: [
+        {
+          Id: 'S3Origin',
+          DomainName: `${bucketName}.s3.amazonaws.com`,
+          OriginPath: originPath,
+          OriginAccessControlId: originAccessControlId,
+          S3OriginConfig: {
+            OriginAccessIdentity: ''
+          }
+        },
+        // Pull request previews live at previews/pr-<number>/ in the bucket root, outside any release
+        {
+          Id: 'PreviewOrigin',
+          DomainName: `${bucketName}.s3.amazonaws.com`,
+          OriginPath: '',
+          OriginAccessControlId: originAccessControlId,
+          S3OriginConfig: {
+            OriginAccessIdentity: ''
+          }
+        }
+      ]
+    },
+    
+    // Default cache behavior
+    DefaultCacheBehavior: {
+      TargetOriginId: 'S3Origin',
+      ...cacheBehavior
+    },
+    
+    // Previews change with every push, so they are never cached
+    CacheBehaviors: {
+      Quantity: 1,
+      Items: [
+        {
+          PathPattern: 'previews/*',
+          TargetOriginId: 'PreviewOrigin',
+          ...cacheBehavior,
+          DefaultTTL: 0,
+          MinTTL: 0,
+          MaxTTL: 0
+        }
+      ]
+    },
+    
+    // Custom error responses
+    CustomErrorResponses: buildCustomErrorResponses(errorPages),
+    
+    // Price class
+    PriceClass: 'PriceClass_100', // Use only US, Canada and Europe
+    
+    // Enabled, Logging, etc.
+    Enabled: true,
+    Logging: {
+      Enabled: false,
+      IncludeCookies: false,
+      Bucket: '',
+      Prefix: ''
+    },
+    
+    // Aliases and viewer certificate for custom domain
+    Aliases: { 
+      Quantity: domainNames.length,
+      Items: domainNames
+    },
+    
+    // Certificate configuration
+    ViewerCertificate: domainName && certificateArn ? {
+      ACMCertificateArn: certificateArn,
+      SSLSupportMethod: 'sni-only',
+      MinimumProtocolVersion: 'TLSv1.2_2021'
+    } : {
+      CloudFrontDefaultCertificate: true
+    }
+  };
+}
+
+/**
+ * Build the CloudFront custom error responses for a site's error pages
+ * @param {object} errorPages - Error pages by status code, as resolved from the site config
+ * @returns {object} - CustomErrorResponses config
+ */
+function buildCustomErrorResponses(errorPages) {
+  const items = Object.keys(errorPages)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map(code => ({
+      ErrorCode: code,
+      ResponsePagePath: errorPages[code].page,
+      ResponseCode: String(errorPages[code].responseCode),
+      ErrorCachingMinTTL: errorPages[code].ttl
+    }));
+  
+  return {
+    Quantity: items.length,
+    Items: items
+  };
+}
+
+/**
+ * Build the configuration of the Origin Access Control CloudFront signs S3 requests with
+ * @param {string} name - Origin Access Control name
+ * @returns {object} - Origin Access Control configuration
+ */
+function buildOriginAccessControlConfig(name) {
+  return {
+    Name: name,
+    Description: 'Lets CloudFront read the private S3 bucket',
+    SigningProtocol: 'sigv4',
+    SigningBehavior: 'always',
+    OriginAccessControlOriginType: 's3'
+  };
+}
+
+/**
+ * Find an Origin Access Control by name
+ * @param {CloudFrontClient} cloudfrontClient - AWS CloudFront client
+ * @param {string} name - Origin Access Control name
+ * @returns {Promise<object|null>} - Origin Access Control data or null if it does not exist
+ */
+async function findOriginAccessControl(cloudfrontClient, name) {
+  let marker;
+  do {
+    const response = await cloudfrontClient.send(new ListOriginAccessControlsCommand({ Marker: marker }));
+    const list = response.OriginAccessControlList || {};
+    
+    const match = (list.Items || []).find(item => item.Name === name);
+    if (match) {
+      return {
+        originAccessControlId: match.Id,
+        name: match.Name,
+        signingProtocol: match.SigningProtocol,
+        signingBehavior: match.SigningBehavior,
+        originType: match.OriginAccessControlOriginType
+      };
+    }
+    
+    marker = list.IsTruncated ? list.NextMarker : null;
+  } while (marker);
+  
+  return null;
+}
+
+/**
+ * Create an Origin Access Control for an S3 origin
+ * @param {CloudFrontClient} cloudfrontClient - AWS CloudFront client
+ * @param {string} name - Origin Access Control name
+ * @returns {Promise<object|null>} - Origin Access Control data or null if creation failed
+ */
+async function createOriginAccessControl(cloudfrontClient, name) {
+  try {
+    logger.startSpinner(`Creating CloudFront Origin Access Control "${name}"...`);
+    
+    const response = await cloudfrontClient.send(new CreateOriginAccessControlCommand({
+      OriginAccessControlConfig: buildOriginAccessControlConfig(name)
+    }));
+    
+    logger.succeed(`CloudFront Origin Access Control "${name}" created`);
+    return {
+      originAccessControlId: response.OriginAccessControl.Id,
+      name
+    };
+  } catch (error) {
+    logger.fail(`Failed to create CloudFront Origin Access Control "${name}"`);
+    logger.error(error.message);
+    return null;
+  }
+}
+
+/**
+ * Reset an Origin Access Control to the settings this tool uses
+ * @param {CloudFrontClient} cloudfrontClient - AWS CloudFront client
+ * @param {string} originAccessControlId - Origin Access Control ID
+ * @param {string} name - Origin Access Control name
+ * @returns {Promise<boolean>} - Whether the update succeeded
+ */
+async function updateOriginAccessControl(cloudfrontClient, originAccessControlId, name) {
+  try {
+    logger.startSpinner(`Updating CloudFront Origin Access Control "${name}"...`);
+    
+    const current = await cloudfrontClient.send(new GetOriginAccessControlCommand({ Id: originAccessControlId }));
+    await cloudfrontClient.send(new UpdateOriginAccessControlCommand({
+      Id: originAccessControlId,
+      IfMatch: current.ETag,
+      OriginAccessControlConfig: buildOriginAccessControlConfig(name)
+    }));
+    
+    logger.succeed(`CloudFront Origin Access Control "${name}" updated`);
+    return true;
+  } catch (error) {
+    logger.fail(`Failed to update CloudFront Origin Access Control "${name}"`);
+    logger.error(error.message);
+    return false;
+  }
+}
+
+/**
+ * Attach an Origin Access Control to every S3 origin of a distribution
+ * @param {CloudFrontClient} cloudfrontClient - AWS CloudFront client
+ * @param {string} distributionId - Distribution ID
+ * @param {string} originAccessControlId - Origin Access Control ID
+ * @returns {Promise<boolean>} - Whether every S3 origin uses the Origin Access Control
+ */
+async function setDistributionOriginAccessControl(cloudfrontClient, distributionId, originAccessControlId) {
+  try {
+    logger.startSpinner(`Attaching Origin Access Control to CloudFront distribution ${distributionId}...`);
+    
+    const configResponse = await cloudfrontClient.send(new GetDistributionConfigCommand({
+      Id: distributionId
+    }));
+    
+    const distributionConfig = configResponse.DistributionConfig;
+    const s3Origins = distributionConfig.Origins.Items.filter(item => item.S3OriginConfig);
+    if (s3Origins.every(item => item.OriginAccessControlId === originAccessControlId)) {
+      logger.succeed(`CloudFront distribution ${distributionId} already uses the Origin Access Control`);
+      return true;
+    }
+    
+    // An origin cannot use both a legacy Origin Access Identity and an Origin Access Control
+    distributionConfig.Origins.Items = distributionConfig.Origins.Items.map(item => item.S3OriginConfig ? {
+      ...item,
+      OriginAccessControlId: originAccessControlId,
+      S3OriginConfig: { ...item.S3OriginConfig, OriginAccessIdentity: '' }
+    } : item);
+    
+    await cloudfrontClient.send(new UpdateDistributionCommand({
+      Id: distributionId,
+      IfMatch: configResponse.ETag,
+      DistributionConfig: distributionConfig
+    }));
+    
+    logger.succeed(`Origin Access Control attached to CloudFront distribution ${distributionId}`);
+    return true;
+  } catch (error) {
+    logger.fail(`Failed to attach Origin Access Control to CloudFront distribution ${distributionId}`);
+    logger.error(error.message);
+    return false;
+  }
+}
+
+/**
+ * Delete an Origin Access Control
+ * @param {CloudFrontClient} cloudfrontClient - AWS CloudFront client
+ * @param {string} originAccessControlId - Origin Access Control ID
+ * @returns {Promise<boolean>} - Whether the Origin Access Control is gone
+ */
+async function deleteOriginAccessControl(cloudfrontClient, originAccessControlId) {
+  try {
+    logger.startSpinner(`Deleting CloudFront Origin Access Control ${originAccessControlId}...`);
+    
+    const current = await cloudfrontClient.send(new GetOriginAccessControlCommand({ Id: originAccessControlId }));
+    await cloudfrontClient.send(new DeleteOriginAccessControlCommand({
+      Id: originAccessControlId,
+      IfMatch: current.ETag
+    }));
+    
+    logger.succeed(`CloudFront Origin Access Control ${originAccessControlId} deleted`);
+    return true;
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      logger.succeed(`CloudFront Origin Access Control ${originAccessControlId} already deleted`);
+      return true;
+    }
+    logger.fail(`Failed to delete CloudFront Origin Access Control ${originAccessControlId}`);
+    logger.error(error.message);
+    return false;
+  }
+}
+
+/**
+ * Build a CloudFront response headers policy config from header values
+ * Headers CloudFront knows as security headers go into SecurityHeadersConfig, the rest are custom headers.
+ * @param {string} name - Policy name
+ * @param {object} headers - Header values by name, as resolved from the site config
+ * @returns {object} - Response headers policy config
+ */
+function buildResponseHeadersPolicyConfig(name, headers) {
+  const security = {};
+  const custom = [];
+  
+  Object.entries(headers).forEach(([header, value]) => {
+    switch (header) {
+      case 'Strict-Transport-Security':
+        security.StrictTransportSecurity = {
+          Override: true,
+          AccessControlMaxAgeSec: Number(/max-age=(\d+)/i.exec(value)[1]),
+          IncludeSubdomains: /includeSubDomains/i.test(value),
+          Preload: /preload/i.test(value)
+        };
+        break;
+      case 'Content-Security-Policy':
+        security.ContentSecurityPolicy = { Override: true, ContentSecurityPolicy: value };
+        break;
+      case 'X-Content-Type-Options':
+        security.ContentTypeOptions = { Override: true };
+        break;
+      case 'X-Frame-Options':
+        security.FrameOptions = { Override: true, FrameOption: value.toUpperCase() };
+        break;
+      case 'Referrer-Policy':
+        security.ReferrerPolicy = { Override: true, ReferrerPolicy: value };
+        break;
+      case 'X-XSS-Protection': {
+        const reportUri = /report=(\S+)/.exec(value);
+        security.XSSProtection = {
+          Override: true,
+          Protection: value !== '0',
+          ModeBlock: /mode=block/.test(value),
+          ...(reportUri ? { ReportUri: reportUri[1] } : {})
+        };
+        break;
+      }
+      default:
+        custom.push({ Header: header, Value: value, Override: true });
+    }
+  });
+  
+  return {
+    Name: name,
+    Comment: 'Security headers for a static site',
+    SecurityHeadersConfig: security,
+    CustomHeadersConfig: {
+      Quantity: custom.length,
+      Items: custom
+    }
+  };
+}
+
+/**
+ * Read the header values a response headers policy config sends
+ * @param {object} policyConfig - Response headers policy config
+ * @returns {object} - Header values by name
+ */
+function readResponseHeadersPolicyHeaders(policyConfig) {
+  const security = policyConfig.SecurityHeadersConfig || {};
+  const headers = {};
+  
+  if (security.StrictTransportSecurity) {
+    const hsts = security.StrictTransportSecurity;
+    headers['Strict-Transport-Security'] = `max-age=${hsts.AccessControlMaxAgeSec}` +
+      (hsts.IncludeSubdomains ? '; includeSubDomains' : '') +
+      (hsts.Preload ? '; preload' : '');
+  }
+  if (security.ContentSecurityPolicy) {
+    headers['Content-Security-Policy'] = security.ContentSecurityPolicy.ContentSecurityPolicy;
+  }
+  if (security.ContentTypeOptions) {
+    headers['X-Content-Type-Options'] = 'nosniff';
+  }
+  if (security.FrameOptions) {
+    headers['X-Frame-Options'] = security.FrameOptions.FrameOption;
+  }
+  if (security.ReferrerPolicy) {
+    headers['Referrer-Policy'] = security.ReferrerPolicy.ReferrerPolicy;
+  }
+  if (security.XSSProtection) {
+    const xss = security.XSSProtection;
+    headers['X-XSS-Protection'] = !xss.Protection ? '0' :
+      '1' + (xss.ModeBlock ? '; mode=block' : '') + (xss.ReportUri ? `; report=${xss.ReportUri}` : '');
+  }
+  
+  ((policyConfig.CustomHeadersConfig && policyConfig.CustomHeadersConfig.Items) || []).forEach(item => {
+    headers[item.Header] = item.Value;
+  });
+  
+  return headers;
+}
+
+/**
+ * Find a custom response headers policy by name
+ * @param {CloudFrontClient} cloudfrontClient - AWS CloudFront client
+ * @param {string} name - Policy name
+ * @returns {Promise<object|null>} - Policy data or null if it does not exist
+ */
+async function findResponseHeadersPolicy(cloudfrontClient, name) {
+  let marker;
+  do {
+    const response = await cloudfrontClient.send(new ListResponseHeadersPoliciesCommand({
+      Type: 'custom',
+      Marker: marker
+    }));
+    const list = response.ResponseHeadersPolicyList || {};
+    
+    const match = (list.Items || []).find(item =>
+      item.ResponseHeadersPolicy.ResponseHeadersPolicyConfig.Name === name
+    );
+    if (match) {
+      return {
+        responseHeadersPolicyId: match.ResponseHeadersPolicy.Id,
+        config: match.ResponseHeadersPolicy.ResponseHeadersPolicyConfig
+      };
+    }
+    
+    marker = list.NextMarker;
+  } while (marker);
+  
+  return null;
+}
+
+/**
+ * Get a response headers policy by ID
+ * @param {CloudFrontClient} cloudfrontClient - AWS CloudFront client
+ * @param {string} responseHeadersPolicyId - Policy ID
+ * @returns {Promise<object|null>} - Policy data or null if it does not exist
+ */
+async function getResponseHeadersPolicy(cloudfrontClient, responseHeadersPolicyId) {
+  try {
+    const response = await cloudfrontClient.send(new GetResponseHeadersPolicyCommand({
+      Id: responseHeadersPolicyId
+    }));
+    return {
+      responseHeadersPolicyId: response.ResponseHeadersPolicy.Id,
+      config: response.ResponseHeadersPolicy.ResponseHeadersPolicyConfig
+    };
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create a response headers policy
+ * @param {CloudFrontClient} cloudfrontClient - AWS CloudFront client
+ * @param {string} name - Policy name
+ * @param {object} headers - Header values by name
+ * @returns {Promise<object|null>} - Policy data or null if creation failed
+ */
+async function createResponseHeadersPolicy(cloudfrontClient, name, headers) {
+  try {
+    logger.startSpinner(`Creating CloudFront response headers policy "${name}"...`);
+    
+    const response = await cloudfrontClient.send(new CreateResponseHeadersPolicyCommand({
+      ResponseHeadersPolicyConfig: buildResponseHeadersPolicyConfig(name, headers)
+    }));
+    
+    logger.succeed(`CloudFront response headers policy "${name}" created`);
+    return {
+      responseHeadersPolicyId: response.ResponseHeadersPolicy.Id,
+      name
+    };
+  } catch (error) {
+    logger.fail(`Failed to create CloudFront response headers policy "${name}"`);
+    logger.error(error.message);
+    return null;
+  }
+}
+
+/**
+ * Replace the headers a response headers policy sends
+ * @param {CloudFrontClient} cloudfrontClient - AWS CloudFront client
+ * @param {string} responseHeadersPolicyId - Policy ID
+ * @param {string} name - Policy name
+ * @param {object} headers - Header values by name
+ * @returns {Promise<boolean>} - Whether the update succeeded
+ */
+async function updateResponseHeadersPolicy(cloudfrontClient, responseHeadersPolicyId, name, headers) {
+  try {
+    logger.startSpinner(`Updating CloudFront response headers policy "${name}"...`);
+    
+    const current = await cloudfrontClient.send(new GetResponseHeadersPolicyCommand({
+      Id: responseHeadersPolicyId
+    }));
+    await cloudfrontClient.send(new UpdateResponseHeadersPolicyCommand({
+      Id: responseHeadersPolicyId,
+      IfMatch: current.ETag,
+      ResponseHeadersPolicyConfig: buildResponseHeadersPolicyConfig(name, headers)
+    }));
+    
+    logger.succeed(`CloudFront response headers policy "${name}" updated. Changes may take a few minutes to reach every edge location.`);
+    return true;
+  } catch (error) {
+    logger.fail(`Failed to update CloudFront response headers policy "${name}"`);
+    logger.error(error.message);
+    return false;
+  }
+}
+
+/**
+ * Make sure a response headers policy exists and sends the given headers
+ * The recorded policy ID is tried first, then the policy name, so an interrupted run does not create a second one.
+ * @param {CloudFrontClient} cloudfrontClient - AWS CloudFront client
+ * @param {string} name - Policy name
+ * @param {object} headers - Header values by name
+ * @param {string} responseHeadersPolicyId - Policy ID recorded for the site (optional)
+ * @returns {Promise<object|null>} - Policy data or null if it could not be created or updated
+ */
+async function createOrUpdateResponseHeadersPolicy(cloudfrontClient, name, headers, responseHeadersPolicyId) {
+  try {
+    let policy = responseHeadersPolicyId ?
+      await getResponseHeadersPolicy(cloudfrontClient, responseHeadersPolicyId) :
+      null;
+    if (!policy) {
+      policy = await findResponseHeadersPolicy(cloudfrontClient, name);
+    }
+    
+    if (!policy) {
+      return await createResponseHeadersPolicy(cloudfrontClient, name, headers);
+    }
+    
+    // Compare through the policy format, which is how CloudFront spells the values back
+    const current = readResponseHeadersPolicyHeaders(policy.config);
+    const desired = readResponseHeadersPolicyHeaders(buildResponseHeadersPolicyConfig(name, headers));
+    if (JSON.stringify(listHeaders(current)) === JSON.stringify(listHeaders(desired))) {
+      logger.succeed(`Using existing CloudFront response headers policy "${policy.config.Name}"`);
+      return { responseHeadersPolicyId: policy.responseHeadersPolicyId, name: policy.config.Name };
+    }
+    
+    const updated = await updateResponseHeadersPolicy(
+      cloudfrontClient,
+      policy.responseHeadersPolicyId,
+      policy.config.Name,
+      headers
+    );
+    return updated ? { responseHeadersPolicyId: policy.responseHeadersPolicyId, name: policy.config.Name } : null;
+  } catch (error) {
+    logger.fail(`Failed to set up CloudFront response headers policy "${name}"`);
+    logger.error(error.message);
+    return null;
+  }
+}
+
+/**
+ * Attach a response headers policy to every cache behavior of a distribution
+ * @param {CloudFrontClient} cloudfrontClient - AWS CloudFront client
+ * @param {string} distributionId - Distribution ID
+ * @param {string} responseHeadersPolicyId - Policy ID
+ * @returns {Promise<boolean>} - Whether every cache behavior uses the policy
+ */
+async function setDistributionResponseHeadersPolicy(cloudfrontClient, distributionId, responseHeadersPolicyId) {
+  try {
+    logger.startSpinner(`Attaching response headers policy to CloudFront distribution ${distributionId}...`);
+    
+    const configResponse = await cloudfrontClient.send(new GetDistributionConfigCommand({
+      Id: distributionId
+    }));
+    
+    const distributionConfig = configResponse.DistributionConfig;
+    const cacheBehaviors = (distributionConfig.CacheBehaviors && distributionConfig.CacheBehaviors.Items) || [];
+    const behaviors = [distributionConfig.DefaultCacheBehavior, ...cacheBehaviors];
+    if (behaviors.every(behavior => behavior.ResponseHeadersPolicyId === responseHeadersPolicyId)) {
+      logger.succeed(`CloudFront distribution ${distributionId} already uses the response headers policy`);
+      return true;
+    }
+    
+    distributionConfig.DefaultCacheBehavior = {
+      ...distributionConfig.DefaultCacheBehavior,
+      ResponseHeadersPolicyId: responseHeadersPolicyId
+    };
+    if (cacheBehaviors.length > 0) {
+      distributionConfig.CacheBehaviors.Items = cacheBehaviors.map(behavior => ({
+        ...behavior,
+        ResponseHeadersPolicyId: responseHeadersPolicyId
+      }));
+    }
+    
+    await cloudfrontClient.send(new UpdateDistributionCommand({
+      Id: distributionId,
+      IfMatch: configResponse.ETag,
+      DistributionConfig: distributionConfig
+    }));
+    
+    logger.succeed(`Response headers policy attached to CloudFront distribution ${distributionId}`);
+    return true;
+  } catch (error) {
+    logger.fail(`Failed to attach response headers policy to CloudFront distribution ${distributionId}`);
+    logger.error(error.message);
+    return false;
+  }
+}
+
+/**
+ * Delete a response headers policy
+ * @param {CloudFrontClient} cloudfrontClient - AWS CloudFront client
+ * @param {string} responseHeadersPolicyId - Policy ID
+ * @returns {Promise<boolean>} - Whether the policy is gone
+ */
+async function deleteResponseHeadersPolicy(cloudfrontClient, responseHeadersPolicyId) {
+  try {
+    logger.startSpinner(`Deleting CloudFront response headers policy ${responseHeadersPolicyId}...`);
+    
+    const current = await cloudfrontClient.send(new GetResponseHeadersPolicyCommand({
+      Id: responseHeadersPolicyId
+    }));
+    await cloudfrontClient.send(new DeleteResponseHeadersPolicyCommand({
+      Id: responseHeadersPolicyId,
+      IfMatch: current.ETag
+    }));
+    
+    logger.succeed(`CloudFront response headers policy ${responseHeadersPolicyId} deleted`);
+    return true;
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      logger.succeed(`CloudFront response headers policy ${responseHeadersPolicyId} already deleted`);
+      return true;
+    }
+    logger.fail(`Failed to delete CloudFront response headers policy ${responseHeadersPolicyId}`);
+    logger.error(error.message);
+    return false;
+  }
+}
+
+/**
+ * Create CloudFront distribution
+ * @param {CloudFrontClient} cloudfrontClient - AWS CloudFront client
+ * @param {string} bucketName - S3 bucket name
+ * @param {string} domainName - Domain name (optional)
+ * @param {string} certificateArn - ACM certificate ARN (required if domainName is provided)
+ * @param {string} functionArn - CloudFront function ARN
+ * @param {object} options - Optional settings, as for buildDistributionConfig
+ * @returns {Promise<object|null>} - Distribution data or null if creation failed
+ */
+async function createCloudFrontDistribution(cloudfrontClient, bucketName, domainName, certificateArn, functionArn, options = {}) {
+  try {
+    logger.startSpinner(`Creating CloudFront distribution for "${bucketName}"...`);
+    
+    const distributionConfig = {
+      CallerReference: Date.now().toString(),
+      ...buildDistributionConfig(bucketName, domainName, certificateArn, functionArn, options)
+    };
+    
+    const command = new CreateDistributionCommand({
+      DistributionConfig: distributionConfig
+    });
+    
+    const response = await cloudfrontClient.send(command);
+    
+    logger.succeed(`CloudFront distribution created with ID: ${response.Distribution.Id}`);
+    logger.info(`Distribution domain name: ${response.Distribution.DomainName}`);
+    
+    return {
+      distributionId: response.Distribution.Id,
+      distributionArn: response.Distribution.ARN,
+      distributionDomain: response.Distribution.DomainName
+    };
+  } catch (error) {
+    logger.fail(`Failed to create CloudFront distribution`);
+    logger.error(error.message);
+    return null;
+  }
+}
+
+/**
+ * Find an S3 bucket by name
+ * @param {S3Client} s3Client - AWS S3 client
+ * @param {string} bucketName - Name of the bucket
+ * @returns {Promise<object|null>} - Bucket data or null if the bucket does not exist
+ */
+async function findS3Bucket(s3Client, bucketName) {
+  try {
+    await s3Client.send(new HeadBucketCommand({ Bucket: bucketName }));
+    
+    return {
+      bucketName,
+      bucketArn: `arn:aws:s3:::${bucketName}`
+    };
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Find the bucket created for a site by its name prefix and "ssc:site" and "ssc:environment" tags
+ * @param {S3Client} s3Client - AWS S3 client
+ * @param {string} siteName - Name of the site
+ * @param {string} environment - Environment name (optional)
+ * @returns {Promise<object|null>} - Bucket data or null if no tagged bucket exists
+ */
+async function findSiteBucket(s3Client, siteName, environment) {
+  const namePrefix = environment ? `${siteName}-${environment}-` : `${siteName}-`;
+  const listResponse = await s3Client.send(new ListBucketsCommand({}));
+  const candidates = (listResponse.Buckets || [])
+    .map(bucket => bucket.Name)
+    .filter(name => name.startsWith(namePrefix));
+  
+  for (const bucketName of candidates) {
+    try {
+      const tagging = await s3Client.send(new GetBucketTaggingCommand({ Bucket: bucketName }));
+      const tags = tagging.TagSet || [];
+      const siteTag = tags.find(tag => tag.Key === 'ssc:site');
+      const environmentTag = tags.find(tag => tag.Key === 'ssc:environment');
+      
+      // A site without environments must not pick up the bucket of one of its environments
+      const sameEnvironment = environment ?
+        environmentTag && environmentTag.Value === environment :
+        !environmentTag;
+      
+      if (siteTag && siteTag.Value === siteName && sameEnvironment) {
+        return {
+          bucketName,
+          bucketArn: `arn:aws:s3:::${bucketName}`
+        };
+      }
+    } catch (error) {
+      // Untagged buckets and buckets in other regions are not ours to reuse
+      continue;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Find a public Route53 hosted zone by domain name
+ * @param {Route53Client} route53Client - AWS Route53 client
+ * @param {string} domainName - Domain name
+ * @returns {Promise<object|null>} - Hosted zone data or null if no zone exists
+ */
+async function findHostedZone(route53Client, domainName) {
+  const zoneName = `${domainName.replace(/\.$/, '')}.`;
+  
+  const listResponse = await route53Client.send(new ListHostedZonesByNameCommand({
+    DNSName: zoneName
+  }));
+  
+  const zones = (listResponse.HostedZones || []).filter(zone =>
+    zone.Name === zoneName && !(zone.Config && zone.Config.PrivateZone)
+  );
+  
+  if (zones.length === 0) {
+    return null;
+  }
+  
+  if (zones.length > 1) {
+    logger.warn(`Found ${zones.length} public hosted zones for "${domainName}". Using ${zones[0].Id}; the others should be removed.`);
+  }
+  
+  return getHostedZone(route53Client, zones[0].Id);
+}
+
+/**
+ * Find the public Route53 hosted zone that holds a domain: its own zone or the closest parent's
+ * @param {Route53Client} route53Client - AWS Route53 client
+ * @param {string} domainName - Domain name, e.g. staging.example.com
+ * @returns {Promise<object|null>} - Hosted zone data or null if no zone holds the domain
+ */
+async function findEnclosingHostedZone(route53Client, domainName) {
+  const labels = domainName.replace(/\.$/, '').split('.');
+  
+  // Stop before the bare TLD
+  for (let i = 0; i < labels.length - 1; i++) {
+    const zone = await findHostedZone(route53Client, labels.slice(i).join('.'));
+    if (zone) {
+      return zone;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Get a Route53 hosted zone by ID
+ * @param {Route53Client} route53Client - AWS Route53 client
+ * @param {string} hostedZoneId - Hosted zone ID
+ * @returns {Promise<object|null>} - Hosted zone data or null if the zone does not exist
+ */
+async function getHostedZone(route53Client, hostedZoneId) {
+  try {
+    const response = await route53Client.send(new GetHostedZoneCommand({
+      Id: hostedZoneId.replace(/^\/hostedzone\//, '')
+    }));
+    
+    return {
+      hostedZoneId: response.HostedZone.Id,
+      zoneName: response.HostedZone.Name.replace(/\.$/, ''),
+      nameServers: response.DelegationSet ? response.DelegationSet.NameServers : []
+    };
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get the status of an ACM certificate
+ * @param {ACMClient} acmClient - AWS ACM client
+ * @param {string} certificateArn - Certificate ARN
+ * @returns {Promise<object|null>} - Certificate data or null if the certificate does not exist
+ */
+async function getCertificate(acmClient, certificateArn) {
+  try {
+    const response = await acmClient.send(new DescribeCertificateCommand({
+      CertificateArn: certificateArn
+    }));
+    
+    return {
+      certificateArn,
+      domainName: response.Certificate.DomainName,
+      alternativeNames: response.Certificate.SubjectAlternativeNames || [response.Certificate.DomainName],
+      status: response.Certificate.Status
+    };
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check whether a certificate covers every name a site answers on
+ * @param {Array<string>} certificateNames - Names on the certificate (wildcards included)
+ * @param {Array<string>} domainNames - Names the site answers on
+ * @returns {boolean} - Whether the certificate can be used for all of them
+ */
+function certificateCoversDomains(certificateNames, domainNames) {
+  return domainNames.every(domainName => certificateNames.some(name =>
+    name === domainName ||
+    // A wildcard matches exactly one label
+    (name.startsWith('*.') && domainName.split('.').slice(1).join('.') === name.slice(2))
+  ));
+}
+
+/**
+ * Find an issued or pending ACM certificate for a domain
+ * @param {ACMClient} acmClient - AWS ACM client
+ * @param {string} domainName - Domain name
+ * @param {Array<string>} alternativeNames - Other names the certificate must cover
+ * @returns {Promise<object|null>} - Certificate data or null if no usable certificate exists
+ */
+async function findCertificate(acmClient, domainName, alternativeNames = []) {
+  const certificates = [];
+  let nextToken;
+  
+  do {
+    const response = await acmClient.send(new ListCertificatesCommand({
+      CertificateStatuses: ['ISSUED', 'PENDING_VALIDATION'],
+      NextToken: nextToken
+    }));
+    
+    certificates.push(...(response.CertificateSummaryList || []));
+    nextToken = response.NextToken;
+  } while (nextToken);
+  
+  const matches = certificates.filter(certificate => certificate.DomainName === domainName &&
+    certificateCoversDomains(
+      certificate.SubjectAlternativeNameSummaries || [certificate.DomainName],
+      [domainName, ...alternativeNames]
+    ));
+  if (matches.length === 0) {
+    return null;
+  }
+  
+  // Prefer a certificate that is already issued over one still waiting for validation
+  const certificate = matches.find(match => match.Status === 'ISSUED') || matches[0];
+  
+  return {
+    certificateArn: certificate.CertificateArn,
+    domainName: certificate.DomainName,
+    alternativeNames: certificate.SubjectAlternativeNameSummaries || [certificate.DomainName],
+    status: certificate.Status
+  };
+}
+
+/**
+ * Find a CloudFront function by name
+ * @param {CloudFrontClient} cloudfrontClient - AWS CloudFront client
+ * @param {string} functionName - Function name
+ * @returns {Promise<object|null>} - Function data (with whether it is published) or null if it does not exist
+ */
+async function findCloudfrontFunction(cloudfrontClient, functionName) {
+  for (const stage of ['LIVE', 'DEVELOPMENT']) {
+    try {
+      const response = await cloudfrontClient.send(new DescribeFunctionCommand({
+        Name: functionName,
+        Stage: stage
+      }));
+      
+      return {
+        functionName,
+        functionArn: response.FunctionSummary.FunctionMetadata.FunctionARN,
+        published: stage === 'LIVE'
+      };
+    } catch (error) {
+      if (!isNotFoundError(error)) {
+        throw error;
+      }
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Find a CloudFront distribution by ID, alias or comment
+ * @param {CloudFrontClient} cloudfrontClient - AWS CloudFront client
+ * @param {object} criteria - Lookup criteria
+ * @param {string} criteria.distributionId - Distribution ID recorded in the site config (optional)
+ * @param {string} criteria.domainName - Domain name used as an alias (optional)
+ * @param {string} criteria.bucketName - S3 bucket the distribution serves (optional)
+ * @returns {Promise<object|null>} - Distribution data or null if no distribution matches
+ */
+async function findCloudFrontDistribution(cloudfrontClient, { distributionId, domainName, bucketName }) {
+  if (distributionId) {
+    try {
+      const response = await cloudfrontClient.send(new GetDistributionCommand({ Id: distributionId }));
+      return {
+        distributionId: response.Distribution.Id,
+        distributionArn: response.Distribution.ARN,
+        distributionDomain: response.Distribution.DomainName
+      };
+    } catch (error) {
+      if (!isNotFoundError(error)) {
+        throw error;
+      }
+    }
+  }
+  
+  let marker;
+  do {
+    const response = await cloudfrontClient.send(new ListDistributionsCommand({ Marker: marker }));
+    const list = response.DistributionList || {};
+    
+    const match = (list.Items || []).find(distribution => {
+      const aliases = (distribution.Aliases && distribution.Aliases.Items) || [];
+      return (domainName && aliases.includes(domainName)) ||
+        (bucketName && distribution.Comment === `Distribution for ${bucketName}`);
+    });
+    
+    if (match) {
+      return {
+        distributionId: match.Id,
+        distributionArn: match.ARN,
+        distributionDomain: match.DomainName
+      };
+    }
+    
+    marker = list.IsTruncated ? list.NextMarker : null;
+  } while (marker);
+  
+  return null;
+}
+
+/**
+ * Find a customer managed IAM policy by name
+ * @param {IAMClient} iamClient - AWS IAM client
+ * @param {string} policyName - Policy name
+ * @returns {Promise<object|null>} - Policy data or null if the policy does not exist
+ */
+async function findIamPolicy(iamClient, policyName) {
+  let marker;
+  
+  do {
+    const response = await iamClient.send(new ListPoliciesCommand({
+      Scope: 'Local',
+      Marker: marker
+    }));
+    
+    const policy = (response.Policies || []).find(item => item.PolicyName === policyName);
+    if (policy) {
+      return {
+        policyName,
+        policyArn: policy.Arn
+      };
+    }
+    
+    marker = response.IsTruncated ? response.Marker : null;
+  } while (marker);
+  
+  return null;
+}
+
+/**
+ * Find an IAM role by name
+ * @param {IAMClient} iamClient - AWS IAM client
+ * @param {string} roleName - Role name
+ * @returns {Promise<object|null>} - Role data (with its trust policy and attached policies) or null if the role does not exist
+ */
+async function findIamRole(iamClient, roleName) {
+  try {
+    const response = await iamClient.send(new GetRoleCommand({ RoleName: roleName }));
+    const attachedResponse = await iamClient.send(new ListAttachedRolePoliciesCommand({
+      RoleName: roleName
+    }));
+    
+    return {
+      roleName,
+      roleArn: response.Role.Arn,
+      // IAM returns policy documents URL-encoded
+      trustPolicy: JSON.parse(decodeURIComponent(response.Role.AssumeRolePolicyDocument)),
+      policyArns: (attachedResponse.AttachedPolicies || []).map(policy => policy.PolicyArn)
+    };
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get the policy attached to an S3 bucket
+ * @param {S3Client} s3Client - AWS S3 client
+ * @param {string} bucketName - Name of the bucket
+ * @returns {Promise<object|null>} - Bucket policy document or null if the bucket has none
+ */
+async function getS3BucketPolicy(s3Client, bucketName) {
+  try {
+    const response = await s3Client.send(new GetBucketPolicyCommand({ Bucket: bucketName }));
+    return JSON.parse(response.Policy);
+  } catch (error) {
+    if (error.name === 'NoSuchBucketPolicy' || isNotFoundError(error)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get the A and AAAA records for a name in a hosted zone
+ * @param {Route53Client} route53Client - AWS Route53 client
+ * @param {string} hostedZoneId - Hosted zone ID
+ * @param {string} domainName - Record name
+ * @returns {Promise<Array<object>>} - Route53 resource record sets, without trailing dots
+ */
+async function getDnsRecords(route53Client, hostedZoneId, domainName) {
+  const response = await route53Client.send(new ListResourceRecordSetsCommand({
+    HostedZoneId: hostedZoneId.replace(/^\/hostedzone\//, ''),
+    StartRecordName: domainName,
+    StartRecordType: 'A',
+    MaxItems: 2
+  }));
+  
+  const stripDot = name => name.replace(/\.$/, '');
+  
+  return (response.ResourceRecordSets || [])
+    .filter(record => stripDot(record.Name) === domainName && ['A', 'AAAA'].includes(record.Type))
+    .map(record => ({
+      ...record,
+      Name: stripDot(record.Name),
+      AliasTarget: record.AliasTarget ? {
+        ...record.AliasTarget,
+        DNSName: stripDot(record.AliasTarget.DNSName)
+      } : undefined
+    }));
+}
+
+/**
+ * Get the code of the published (LIVE) stage of a CloudFront function
+ * @param {CloudFrontClient} cloudfrontClient - AWS CloudFront client
+ * @param {string} functionName - Function name
+ * @returns {Promise<string|null>} - Function code or null if the function is not published
+ */
+async function getPublishedCloudfrontFunctionCode(cloudfrontClient, functionName) {
+  try {
+    const response = await cloudfrontClient.send(new GetFunctionCommand({
+      Name: functionName,
+      Stage: 'LIVE'
+    }));
+    return Buffer.from(response.FunctionCode).toString('utf8');
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Replace the code of a CloudFront function with the current generated code and publish it
+ * @param {CloudFrontClient} cloudfrontClient - AWS CloudFront client
+ * @param {string} functionName - Function name
+ * @param {object} codeOptions - Redirect settings for the generated code (see getCloudfrontFunctionCode)
+ * @returns {Promise<object|null>} - Function data or null if the update failed
+ */
+async function updateCloudfrontFunction(cloudfrontClient, functionName, codeOptions = {}) {
+  try {
+    logger.startSpinner(`Updating CloudFront function "${functionName}"...`);
+    
+    const functionCode = getCloudfrontFunctionCode(codeOptions);
+    checkCloudfrontFunctionSize(functionCode);
+    
+    const describeResponse = await cloudfrontClient.send(new DescribeFunctionCommand({
+      Name: functionName,
+      Stage: 'DEVELOPMENT'
+    }));
+    
+    const updateResponse = await cloudfrontClient.send(new UpdateFunctionCommand({
+      Name: functionName,
+      IfMatch: describeResponse.ETag,
+      FunctionConfig: describeResponse.FunctionSummary.FunctionConfig,
+      FunctionCode: Buffer.from(functionCode)
+    }));
+    
+    const functionArn = await publishCloudfrontFunctionCode(cloudfrontClient, functionName, updateResponse.ETag);
+    
+    logger.succeed(`CloudFront function "${functionName}" updated and published`);
+    
+    return {
+      functionName,
+      functionArn
+    };
+  } catch (error) {
+    logger.fail(`Failed to update CloudFront function "${functionName}"`);
+    logger.error(error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the current config of a CloudFront distribution
+ * @param {CloudFrontClient} cloudfrontClient - AWS CloudFront client
+ * @param {string} distributionId - Distribution ID
+ * @returns {Promise<object|null>} - Distribution config or null if the distribution does not exist
+ */
+async function getCloudFrontDistributionConfig(cloudfrontClient, distributionId) {
+  try {
+    const response = await cloudfrontClient.send(new GetDistributionConfigCommand({
+      Id: distributionId
+    }));
+    return response.DistributionConfig;
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Merge changes into the config of an existing CloudFront distribution
+ * Objects are merged recursively; arrays and other values replace what is there.
+ * @param {CloudFrontClient} cloudfrontClient - AWS CloudFront client
+ * @param {string} distributionId - Distribution ID
+ * @param {object} changes - Partial distribution config
+ * @returns {Promise<boolean>} - Whether the update was successful
+ */
+async function updateCloudFrontDistribution(cloudfrontClient, distributionId, changes) {
+  try {
+    logger.startSpinner(`Updating CloudFront distribution ${distributionId}...`);
+    
+    const configResponse = await cloudfrontClient.send(new GetDistributionConfigCommand({
+      Id: distributionId
+    }));
+    
+    await cloudfrontClient.send(new UpdateDistributionCommand({
+      Id: distributionId,
+      IfMatch: configResponse.ETag,
+      DistributionConfig: mergeConfig(configResponse.DistributionConfig, changes)
+    }));
+    
+    logger.succeed(`CloudFront distribution ${distributionId} updated. Changes may take up to 15 minutes to deploy globally.`);
+    return true;
+  } catch (error) {
+    logger.fail(`Failed to update CloudFront distribution ${distributionId}`);
+    logger.error(error.message);
+    return false;
+  }
+}
+
+/**
+ * Recursively merge a partial config into a full one
+ * @param {object} target - Full config
+ * @param {object} changes - Partial config
+ * @returns {object} - Merged config
+ */
+function mergeConfig(target, changes) {
+  const merged = { ...target };
+  
+  Object.entries(changes).forEach(([key, value]) => {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    const targetIsObject = merged[key] && typeof merged[key] === 'object' && !Array.isArray(merged[key]);
+    
+    merged[key] = isObject && targetIsObject ? mergeConfig(merged[key], value) : value;
+  });
+  
+  return merged;
+}
+
+/**
+ * Get the default version of a customer managed IAM policy
+ * @param {IAMClient} iamClient - AWS IAM client
+ * @param {string} policyArn - Policy ARN
+ * @returns {Promise<object|null>} - Policy document or null if the policy does not exist
+ */
+async function getIamPolicyDocument(iamClient, policyArn) {
+  try {
+    const policyResponse = await iamClient.send(new GetPolicyCommand({ PolicyArn: policyArn }));
+    const versionResponse = await iamClient.send(new GetPolicyVersionCommand({
+      PolicyArn: policyArn,
+      VersionId: policyResponse.Policy.DefaultVersionId
+    }));
+    
+    // IAM returns policy documents URL-encoded
+    return JSON.parse(decodeURIComponent(versionResponse.PolicyVersion.Document));
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Find the GitHub Actions OpenID Connect provider without creating it
+ * @param {IAMClient} iamClient - AWS IAM client
+ * @returns {Promise<string|null>} - OIDC Provider ARN or null if it does not exist
+ */
+async function findGithubOidcProvider(iamClient) {
+  const listResponse = await iamClient.send(new ListOpenIDConnectProvidersCommand({}));
+  
+  for (const provider of listResponse.OpenIDConnectProviderList || []) {
+    const getResponse = await iamClient.send(new GetOpenIDConnectProviderCommand({
+      OpenIDConnectProviderArn: provider.Arn
+    }));
+    
+    if (getResponse.Url === 'token.actions.githubusercontent.com') {
+      return provider.Arn;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Replace the document of an existing IAM deploy policy with a new default version
+ * @param {IAMClient} iamClient - AWS IAM client
+ * @param {string} policyArn - Policy ARN
+ * @param {string} s3BucketArn - S3 bucket ARN
+ * @param {string} cloudFrontDistributionArn - CloudFront distribution ARN
+ * @returns {Promise<boolean>} - Whether the update was successful
+ */
+async function updateIamPolicy(iamClient, policyArn, s3BucketArn, cloudFrontDistributionArn) {
+  try {
+    logger.startSpinner(`Updating IAM policy "${policyArn}"...`);
+    
+    // IAM keeps at most five versions, so make room before adding a new one
+    const versionsResponse = await iamClient.send(new ListPolicyVersionsCommand({
+      PolicyArn: policyArn
+    }));
+    
+    const oldVersions = (versionsResponse.Versions || [])
+      .filter(version => !version.IsDefaultVersion)
+      .sort((a, b) => new Date(a.CreateDate) - new Date(b.CreateDate));
+    
+    if (oldVersions.length >= 4) {
+      await iamClient.send(new DeletePolicyVersionCommand({
+        PolicyArn: policyArn,
+        VersionId: oldVersions[0].VersionId
+      }));
+    }
+    
+    await iamClient.send(new CreatePolicyVersionCommand({
+      PolicyArn: policyArn,
+      PolicyDocument: JSON.stringify(buildDeployPolicyDocument(s3BucketArn, cloudFrontDistributionArn)),
+      SetAsDefault: true
+    }));
+    
+    logger.succeed(`IAM policy "${policyArn}" updated`);
+    return true;
+  } catch (error) {
+    logger.fail(`Failed to update IAM policy "${policyArn}"`);
+    logger.error(error.message);
+    return false;
+  }
+}
+
+/**
+ * Refresh the trust policy of an existing GitHub Actions role and make sure the deploy policy is attached
+ * @param {IAMClient} iamClient - AWS IAM client
+ * @param {string} roleName - Role name
+ * @param {string} policyArn - Policy ARN
+ * @param {string} githubRepo - GitHub repository (format: owner/repo)
+ * @param {string} environment - GitHub environment allowed to assume the role (optional)
+ * @returns {Promise<boolean>} - Whether the update was successful
+ */
+async function updateIamRole(iamClient, roleName, policyArn, githubRepo, environment) {
+  try {
+    const providerArn = await createOrGetGithubOidcProvider(iamClient);
+    if (!providerArn) {
+      throw new Error('GitHub OIDC provider not available. IAM role update aborted.');
+    }
+    
+    logger.startSpinner(`Updating IAM role "${roleName}"...`);
+    
+    await iamClient.send(new UpdateAssumeRolePolicyCommand({
+      RoleName: roleName,
+      PolicyDocument: JSON.stringify(buildGithubTrustPolicyDocument(providerArn, githubRepo, environment))
+    }));
+    
+    // Attaching an already attached policy is a no-op
+    await iamClient.send(new AttachRolePolicyCommand({
+      RoleName: roleName,
+      PolicyArn: policyArn
+    }));
+    
+    logger.succeed(`IAM role "${roleName}" updated`);
+    return true;
+  } catch (error) {
+    logger.fail(`Failed to update IAM role "${roleName}"`);
+    logger.error(error.message);
+    return false;
+  }
+}
+
+/**
+ * Check whether an AWS error means the resource no longer exists
+ * @param {Error} error - Error thrown by an AWS client
+ * @returns {boolean} - Whether the resource is already gone
+ */
+function isNotFoundError(error) {
+  return [
+    'NoSuchBucket',
+    'NotFound',
+    'NoSuchDistribution',
+    'NoSuchFunctionExists',
+    'NoSuchOriginAccessControl',
+    'NoSuchResponseHeadersPolicy',
+    'NoSuchHostedZone',
+    'NoSuchEntity',
+    'NoSuchEntityException',
+    'ResourceNotFoundException'
+  ].includes(error.name);
+}
+
+/**
+ * Delete every object (and object version) in an S3 bucket
+ * @param {S3Client} s3Client - AWS S3 client
+ * @param {string} bucketName - Name of the bucket
+ * @returns {Promise<boolean>} - Whether the bucket was emptied
+ */
+async function emptyS3Bucket(s3Client, bucketName) {
+  try {
+    logger.startSpinner(`Emptying S3 bucket "${bucketName}"...`);
+    
+    let deletedCount = 0;
+    let keyMarker;
+    let versionIdMarker;
+    let isTruncated = true;
+    
+    while (isTruncated) {
+      const listResponse = await s3Client.send(new ListObjectVersionsCommand({
+        Bucket: bucketName,
+        KeyMarker: keyMarker,
+        VersionIdMarker: versionIdMarker
+      }));
+      
+      // Versions and delete markers both have to go before the bucket can be deleted
+      const objects = [
+        ...(listResponse.Versions || []),
+        ...(listResponse.DeleteMarkers || [])
+      ].map(item => ({ Key: item.Key, VersionId: item.VersionId }));
+      
+      if (objects.length > 0) {
+        await s3Client.send(new DeleteObjectsCommand({
+          Bucket: bucketName,
+          Delete: { Objects: objects, Quiet: true }
+        }));
+        deletedCount += objects.length;
+        logger.updateSpinner(`Emptying S3 bucket "${bucketName}"... (${deletedCount} objects deleted)`);
+      }
+      
+      isTruncated = listResponse.IsTruncated;
+      keyMarker = listResponse.NextKeyMarker;
+      versionIdMarker = listResponse.NextVersionIdMarker;
+    }
+    
+    logger.succeed(`S3 bucket "${bucketName}" emptied (${deletedCount} objects deleted)`);
+    return true;
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      logger.succeed(`S3 bucket "${bucketName}" no longer exists`);
+      return true;
+    }
+    logger.fail(`Failed to empty S3 bucket "${bucketName}"`);
+    logger.error(error.message);
+    return false;
+  }
+}
+
+/**
+ * Empty and delete an S3 bucket
+ * @param {S3Client} s3Client - AWS S3 client
+ * @param {string} bucketName - Name of the bucket
+ * @returns {Promise<boolean>} - Whether the bucket was deleted
+ */
+async function deleteS3Bucket(s3Client, bucketName) {
+  const emptied = await emptyS3Bucket(s3Client, bucketName);
+  if (!emptied) {
+    return false;
+  }
+  
+  try {
+    logger.startSpinner(`Deleting S3 bucket "${bucketName}"...`);
+    
+    await s3Client.send(new DeleteBucketCommand({ Bucket: bucketName }));
+    
+    logger.succeed(`S3 bucket "${bucketName}" deleted`);
+    return true;
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      logger.succeed(`S3 bucket "${bucketName}" already deleted`);
+      return true;
+    }
+    logger.fail(`Failed to delete S3 bucket "${bucketName}"`);
+    logger.error(error.message);
+    return false;
+  }
+}
+
+/**
+ * Delete a Route53 hosted zone, removing its records first
+ * @param {Route53Client} route53Client - AWS Route53 client
+ * @param {string} hostedZoneId - Hosted zone ID
+ * @returns {Promise<boolean>} - Whether the hosted zone was deleted
+ */
+async function deleteHostedZone(route53Client, hostedZoneId) {
+  // Extract the hosted zone ID from the ARN if needed
+  const zoneId = hostedZoneId.replace(/^\/hostedzone\//, '');
+  
+  try {
+    logger.startSpinner(`Deleting Route53 hosted zone "${zoneId}"...`);
+    
+    const zoneResponse = await route53Client.send(new GetHostedZoneCommand({ Id: zoneId }));
+    const zoneName = zoneResponse.HostedZone.Name;
+    
+    // Collect every record except the apex NS and SOA records, which Route53 manages itself
+    const records = [];
+    let startName;
+    let startType;
+    let isTruncated = true;
+    
+    while (isTruncated) {
+      const listResponse = await route53Client.send(new ListResourceRecordSetsCommand({
+        HostedZoneId: zoneId,
+        StartRecordName: startName,
+        StartRecordType: startType
+      }));
+      
+      listResponse.ResourceRecordSets.forEach(record => {
+        const isApexRecord = record.Name === zoneName && ['NS', 'SOA'].includes(record.Type);
+        if (!isApexRecord) {
+          records.push(record);
+        }
+      });
+      
+      isTruncated = listResponse.IsTruncated;
+      startName = listResponse.NextRecordName;
+      startType = listResponse.NextRecordType;
+    }
+    
+    if (records.length > 0) {
+      await route53Client.send(new ChangeResourceRecordSetsCommand({
+        HostedZoneId: zoneId,
+        ChangeBatch: {
+          Comment: 'Remove records before deleting hosted zone',
+          Changes: records.map(record => ({
+            Action: 'DELETE',
+            ResourceRecordSet: record
+          }))
+        }
+      }));
+    }
+    
+    await route53Client.send(new DeleteHostedZoneCommand({ Id: zoneId }));
+    
+    logger.succeed(`Route53 hosted zone "${zoneName}" deleted (${records.length} records removed)`);
+    return true;
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      logger.succeed(`Route53 hosted zone "${zoneId}" already deleted`);
+      return true;
+    }
+    logger.fail(`Failed to delete Route53 hosted zone "${zoneId}"`);
+    logger.error(error.message);
+    return false;
+  }
+}
+
+/**
+ * Delete the A and AAAA alias records that point a domain at CloudFront, keeping the rest of the zone
+ * @param {Route53Client} route53Client - AWS Route53 client
+ * @param {string} hostedZoneId - Hosted zone ID
+ * @param {string} domainName - Domain name
+ * @returns {Promise<boolean>} - Whether the records are gone
+ */
+async function deleteCloudFrontDnsRecords(route53Client, hostedZoneId, domainName) {
+  const zoneId = hostedZoneId.replace(/^\/hostedzone\//, '');
+  
   try {
-    logger.startSpinner(`Creating CloudFront distribution for "${bucketName}"...`);
+    logger.startSpinner(`Deleting DNS records for ${domainName}...`);
+    
+    const records = (await getDnsRecords(route53Client, zoneId, domainName))
+      .filter(record => record.AliasTarget && record.AliasTarget.HostedZoneId === 'Z2FDTNDATAQYW2');
+    
+    if (records.length > 0) {
+      await route53Client.send(new ChangeResourceRecordSetsCommand({
+        HostedZoneId: zoneId,
+        ChangeBatch: {
+          Comment: 'Remove CloudFront DNS A and AAAA records',
+          Changes: records.map(record => ({
+            Action: 'DELETE',
+            ResourceRecordSet: record
+          }))
+        }
+      }));
+    }
     
-    // Create distribution config
-    const distributionConfig = {
-      CallerReference: Date.now().toString(),
-      Comment: `Distribution for ${bucketName}`,
-      DefaultRootObject: 'index.html',
-      Enabled: true,
-      
-      // Origin configuration for S3 bucket
-      Origins: {
-        Quantity: 1,
-        Items: [
-          {
-            Id: 'S3Origin',
-            DomainName: `${bucketName}.s3.amazonaws.com`,
-            S3OriginConfig: {
-              OriginAccessIdentity: ''
-            }
-          }
-        ]
-      },
-      
-      // Default cache behavior
-      DefaultCacheBehavior: {
-        TargetOriginId: 'S3Origin',
-        ViewerProtocolPolicy: 'redirect-to-https',
-        AllowedMethods: {
-          Quantity: 2,
-          Items: ['GET', 'HEAD'],
-          CachedMethods: {
-            Quantity: 2,
-            Items: ['GET', 'HEAD']
-          }
-        },
-        Compress: true,
-        DefaultTTL: 86400,
-        MinTTL: 0,
-        MaxTTL: 31536000,
-        ForwardedValues: {
-          QueryString: false,
-          Cookies: {
-            Forward: 'none'
-          },
-          Headers: {
-            Quantity: 0
-          },
-          QueryStringCacheKeys: {
-            Quantity: 0
-          }
-        },
-        
-        // Add the CloudFront function if provided
-        FunctionAssociations: functionArn ? {
-          Quantity: 1,
-          Items: [
-            {
-              FunctionARN: functionArn,
-              EventType: 'viewer-request'
-            }
-          ]
-        } : { Quantity: 0 }
-      },
-      
-      // Custom error responses
-      CustomErrorResponses: {
-        Quantity: 1,
-        Items: [
-          {
-            ErrorCode: 404,
-            ResponsePagePath: '/index.html',
-            ResponseCode: '200',
-            ErrorCachingMinTTL: 300
-          }
-        ]
-      },
+    logger.succeed(`DNS records for ${domainName} deleted (${records.length} records removed)`);
+    return true;
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      logger.succeed(`Route53 hosted zone "${zoneId}" already deleted`);
+      return true;
+    }
+    logger.fail(`Failed to delete DNS records for ${domainName}`);
+    logger.error(error.message);
+    return false;
+  }
+}
+
+/**
+ * Delete an ACM certificate
+ * @param {ACMClient} acmClient - AWS ACM client
+ * @param {string} certificateArn - Certificate ARN
+ * @returns {Promise<boolean>} - Whether the certificate was deleted
+ */
+async function deleteCertificate(acmClient, certificateArn) {
+  try {
+    logger.startSpinner('Deleting ACM certificate...');
+    
+    await acmClient.send(new DeleteCertificateCommand({
+      CertificateArn: certificateArn
+    }));
+    
+    logger.succeed(`ACM certificate deleted: ${certificateArn}`);
+    return true;
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      logger.succeed('ACM certificate already deleted');
+      return true;
+    }
+    logger.fail('Failed to delete ACM certificate');
+    logger.error(error.message);
+    return false;
+  }
+}
+
+/**
+ * Wait for a CloudFront distribution to finish deploying its latest change
+ * @param {CloudFrontClient} cloudfrontClient - AWS CloudFront client
+ * @param {string} distributionId - Distribution ID
+ * @param {number} maxWaitMinutes - Maximum time to wait in minutes (default: 30)
+ * @returns {Promise<boolean>} - Whether the distribution reached the Deployed state
+ */
+async function waitForDistributionDeployed(cloudfrontClient, distributionId, maxWaitMinutes = 30) {
+  try {
+    logger.startSpinner(`Waiting for CloudFront distribution ${distributionId} to deploy...`);
+    logger.info(`This process may take up to ${maxWaitMinutes} minutes.`);
+    
+    const maxAttempts = maxWaitMinutes * 2; // Check every 30 seconds
+    
+    for (let attempts = 0; attempts < maxAttempts; attempts++) {
+      const response = await cloudfrontClient.send(new GetDistributionCommand({
+        Id: distributionId
+      }));
       
-      // Price class
-      PriceClass: 'PriceClass_100', // Use only US, Canada and Europe
+      if (response.Distribution.Status === 'Deployed') {
+        logger.succeed(`CloudFront distribution ${distributionId} is deployed`);
+        return true;
+      }
       
-      // Enabled, Logging, etc.
-      Enabled: true,
-      Logging: {
-        Enabled: false,
-        IncludeCookies: false,
-        Bucket: '',
-        Prefix: ''
-      },
+      if (attempts % 4 === 0) { // Only log every 2 minutes
+        logger.info(`Distribution status: ${response.Distribution.Status}. Continuing to wait... (${Math.floor(attempts / 2)} minutes elapsed)`);
+      }
       
-      // Aliases and viewer certificate for custom domain
-      Aliases: { 
-        Quantity: domainName ? 1 : 0,
-        Items: domainName ? [domainName] : []
-      },
+      await new Promise(resolve => setTimeout(resolve, 30000));
+    }
+    
+    logger.warn(`CloudFront distribution ${distributionId} did not finish deploying within ${maxWaitMinutes} minutes.`);
+    return false;
+  } catch (error) {
+    logger.fail(`Failed to check status of CloudFront distribution ${distributionId}`);
+    logger.error(error.message);
+    return false;
+  }
+}
+
+/**
+ * Disable, wait for and delete a CloudFront distribution
+ * @param {CloudFrontClient} cloudfrontClient - AWS CloudFront client
+ * @param {string} distributionId - Distribution ID
+ * @returns {Promise<boolean>} - Whether the distribution was deleted
+ */
+async function deleteCloudFrontDistribution(cloudfrontClient, distributionId) {
+  try {
+    logger.startSpinner(`Disabling CloudFront distribution ${distributionId}...`);
+    
+    const configResponse = await cloudfrontClient.send(new GetDistributionConfigCommand({
+      Id: distributionId
+    }));
+    
+    let etag = configResponse.ETag;
+    
+    // A distribution has to be disabled (and fully deployed) before CloudFront allows deleting it
+    if (configResponse.DistributionConfig.Enabled) {
+      const updateResponse = await cloudfrontClient.send(new UpdateDistributionCommand({
+        Id: distributionId,
+        IfMatch: etag,
+        DistributionConfig: {
+          ...configResponse.DistributionConfig,
+          Enabled: false
+        }
+      }));
       
-      // Certificate configuration
-      ViewerCertificate: domainName && certificateArn ? {
-        ACMCertificateArn: certificateArn,
-        SSLSupportMethod: 'sni-only',
-        MinimumProtocolVersion: 'TLSv1.2_2021'
-      } : {
-        CloudFrontDefaultCertificate: true
+      etag = updateResponse.ETag;
+      logger.succeed(`CloudFront distribution ${distributionId} disabled`);
+    } else {
+      logger.succeed(`CloudFront distribution ${distributionId} is already disabled`);
+    }
+    
+    const deployed = await waitForDistributionDeployed(cloudfrontClient, distributionId);
+    if (!deployed) {
+      logger.info('Run "ssc destroy" again once the distribution has finished deploying.');
+      return false;
+    }
+    
+    logger.startSpinner(`Deleting CloudFront distribution ${distributionId}...`);
+    
+    await cloudfrontClient.send(new DeleteDistributionCommand({
+      Id: distributionId,
+      IfMatch: etag
+    }));
+    
+    logger.succeed(`CloudFront distribution ${distributionId} deleted`);
+    return true;
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      logger.succeed(`CloudFront distribution ${distributionId} already deleted`);
+      return true;
+    }
+    logger.fail(`Failed to delete CloudFront distribution ${distributionId}`);
+    logger.error(error.message);
+    return false;
+  }
+}
+
+/**
+ * Delete a CloudFront function
+ * @param {CloudFrontClient} cloudfrontClient - AWS CloudFront client
+ * @param {string} functionName - Function name
+ * @returns {Promise<boolean>} - Whether the function was deleted
+ */
+async function deleteCloudfrontFunction(cloudfrontClient, functionName) {
+  try {
+    logger.startSpinner(`Deleting CloudFront function "${functionName}"...`);
+    
+    const describeResponse = await cloudfrontClient.send(new DescribeFunctionCommand({
+      Name: functionName
+    }));
+    
+    await cloudfrontClient.send(new DeleteFunctionCommand({
+      Name: functionName,
+      IfMatch: describeResponse.ETag
+    }));
+    
+    logger.succeed(`CloudFront function "${functionName}" deleted`);
+    return true;
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      logger.succeed(`CloudFront function "${functionName}" already deleted`);
+      return true;
+    }
+    logger.fail(`Failed to delete CloudFront function "${functionName}"`);
+    logger.error(error.message);
+    return false;
+  }
+}
+
+/**
+ * Detach all managed policies from an IAM role and delete it
+ * @param {IAMClient} iamClient - AWS IAM client
+ * @param {string} roleName - Role name
+ * @returns {Promise<Array<string>|null>} - ARNs of the policies that were detached, or null if deletion failed
+ */
+async function deleteIamRole(iamClient, roleName) {
+  try {
+    logger.startSpinner(`Deleting IAM role "${roleName}"...`);
+    
+    const listResponse = await iamClient.send(new ListAttachedRolePoliciesCommand({
+      RoleName: roleName
+    }));
+    
+    const policyArns = (listResponse.AttachedPolicies || []).map(policy => policy.PolicyArn);
+    
+    for (const policyArn of policyArns) {
+      await iamClient.send(new DetachRolePolicyCommand({
+        RoleName: roleName,
+        PolicyArn: policyArn
+      }));
+    }
+    
+    await iamClient.send(new DeleteRoleCommand({ RoleName: roleName }));
+    
+    logger.succeed(`IAM role "${roleName}" deleted`);
+    return policyArns;
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      logger.succeed(`IAM role "${roleName}" already deleted`);
+      return [];
+    }
+    logger.fail(`Failed to delete IAM role "${roleName}"`);
+    logger.error(error.message);
+    return null;
+  }
+}
+
+/**
+ * Delete a customer managed IAM policy and all of its versions
+ * @param {IAMClient} iamClient - AWS IAM client
+ * @param {string} policyArn - Policy ARN
+ * @returns {Promise<boolean>} - Whether the policy was deleted
+ */
+async function deleteIamPolicy(iamClient, policyArn) {
+  try {
+    logger.startSpinner(`Deleting IAM policy "${policyArn}"...`);
+    
+    // Non-default versions must be removed before the policy itself
+    const versionsResponse = await iamClient.send(new ListPolicyVersionsCommand({
+      PolicyArn: policyArn
+    }));
+    
+    for (const version of versionsResponse.Versions || []) {
+      if (!version.IsDefaultVersion) {
+        await iamClient.send(new DeletePolicyVersionCommand({
+          PolicyArn: policyArn,
+          VersionId: version.VersionId
+        }));
       }
-    };
+    }
     
-    const command = new CreateDistributionCommand({
-      DistributionConfig: distributionConfig
+    await iamClient.send(new DeletePolicyCommand({ PolicyArn: policyArn }));
+    
+    logger.succeed(`IAM policy "${policyArn}" deleted`);
+    return true;
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      logger.succeed(`IAM policy "${policyArn}" already deleted`);
+      return true;
+    }
+    logger.fail(`Failed to delete IAM policy "${policyArn}"`);
+    logger.error(error.message);
+    return false;
+  }
+}
+
+/**
+ * List the objects in an S3 bucket with their ETags
+ * @param {S3Client} s3Client - AWS S3 client
+ * @param {string} bucketName - Bucket name
+ * @param {string} prefix - Only list keys starting with this prefix (optional)
+ * @returns {Promise<Map<string, object>>} - Map of key to { etag, size }
+ */
+async function listS3Objects(s3Client, bucketName, prefix = '') {
+  const objects = new Map();
+  let continuationToken;
+  
+  do {
+    const response = await s3Client.send(new ListObjectsV2Command({
+      Bucket: bucketName,
+      Prefix: prefix || undefined,
+      ContinuationToken: continuationToken
+    }));
+    
+    (response.Contents || []).forEach(object => {
+      objects.set(object.Key, {
+        etag: object.ETag.replace(/"/g, ''),
+        size: object.Size
+      });
     });
     
-    const response = await cloudfrontClient.send(command);
+    continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+  } while (continuationToken);
+  
+  return objects;
+}
+
+/**
+ * Upload a single object to an S3 bucket
+ * @param {S3Client} s3Client - AWS S3 client
+ * @param {string} bucketName - Bucket name
+ * @param {string} key - Object key
+ * @param {Buffer|string} body - Object content
+ * @param {object} params - Extra PutObject parameters (ContentType, CacheControl, ...)
+ * @returns {Promise<string>} - ETag of the uploaded object
+ */
+async function putS3Object(s3Client, bucketName, key, body, params = {}) {
+  const response = await s3Client.send(new PutObjectCommand({
+    Bucket: bucketName,
+    Key: key,
+    Body: body,
+    ...params
+  }));
+  
+  return response.ETag.replace(/"/g, '');
+}
+
+/**
+ * Delete objects from an S3 bucket
+ * @param {S3Client} s3Client - AWS S3 client
+ * @param {string} bucketName - Bucket name
+ * @param {Array<string>} keys - Object keys
+ * @returns {Promise<void>}
+ */
+async function deleteS3Objects(s3Client, bucketName, keys) {
+  // DeleteObjects accepts at most 1000 keys per request
+  for (let i = 0; i < keys.length; i += 1000) {
+    const response = await s3Client.send(new DeleteObjectsCommand({
+      Bucket: bucketName,
+      Delete: {
+        Objects: keys.slice(i, i + 1000).map(key => ({ Key: key })),
+        Quiet: true
+      }
+    }));
     
-    logger.succeed(`CloudFront distribution created with ID: ${response.Distribution.Id}`);
-    logger.info(`Distribution domain name: ${response.Distribution.DomainName}`);
+    if (response.Errors && response.Errors.length > 0) {
+      throw new Error(`Failed to delete ${response.Errors.length} objects, e.g. "${response.Errors[0].Key}": ${response.Errors[0].Message}`);
+    }
+  }
+}
+
+/**
+ * Copy an object within an S3 bucket, keeping its metadata unless new metadata is given
+ * @param {S3Client} s3Client - AWS S3 client
+ * @param {string} bucketName - Bucket name
+ * @param {string} sourceKey - Key to copy from
+ * @param {string} key - Key to copy to
+ * @param {object} metadata - Headers to store the copy with, e.g. ContentType and CacheControl (optional)
+ * @returns {Promise<void>}
+ */
+async function copyS3Object(s3Client, bucketName, sourceKey, key, metadata) {
+  await s3Client.send(new CopyObjectCommand({
+    Bucket: bucketName,
+    Key: key,
+    CopySource: encodeURI(`${bucketName}/${sourceKey}`),
+    ...(metadata ? { ...metadata, MetadataDirective: 'REPLACE' } : {})
+  }));
+}
+
+/**
+ * Check whether any object exists under a prefix
+ * @param {S3Client} s3Client - AWS S3 client
+ * @param {string} bucketName - Bucket name
+ * @param {string} prefix - Key prefix
+ * @returns {Promise<boolean>} - Whether the prefix has objects
+ */
+async function s3PrefixExists(s3Client, bucketName, prefix) {
+  const response = await s3Client.send(new ListObjectsV2Command({
+    Bucket: bucketName,
+    Prefix: prefix,
+    MaxKeys: 1
+  }));
+  
+  return (response.KeyCount || 0) > 0;
+}
+
+/**
+ * Get the origin path a CloudFront distribution serves the site's bucket from
+ * @param {CloudFrontClient} cloudfrontClient - AWS CloudFront client
+ * @param {string} distributionId - Distribution ID
+ * @returns {Promise<string>} - Origin path ('' for the bucket root)
+ */
+async function getDistributionOriginPath(cloudfrontClient, distributionId) {
+  const response = await cloudfrontClient.send(new GetDistributionConfigCommand({
+    Id: distributionId
+  }));
+  
+  const origin = response.DistributionConfig.Origins.Items.find(item => item.Id === 'S3Origin') ||
+    response.DistributionConfig.Origins.Items[0];
+  return origin.OriginPath || '';
+}
+
+/**
+ * Point a CloudFront distribution's S3 origin at a different bucket prefix
+ * @param {CloudFrontClient} cloudfrontClient - AWS CloudFront client
+ * @param {string} distributionId - Distribution ID
+ * @param {string} originPath - New origin path, e.g. /releases/<id>
+ * @returns {Promise<boolean>} - Whether the update was successful
+ */
+async function setDistributionOriginPath(cloudfrontClient, distributionId, originPath) {
+  try {
+    logger.startSpinner(`Switching CloudFront distribution ${distributionId} to ${originPath || '/'}...`);
     
-    return {
-      distributionId: response.Distribution.Id,
-      distributionArn: response.Distribution.ARN,
-      distributionDomain: response.Distribution.DomainName
-    };
+    const configResponse = await cloudfrontClient.send(new GetDistributionConfigCommand({
+      Id: distributionId
+    }));
+    
+    const distributionConfig = configResponse.DistributionConfig;
+    const originId = distributionConfig.Origins.Items.some(item => item.Id === 'S3Origin') ?
+      'S3Origin' :
+      distributionConfig.Origins.Items[0].Id;
+    
+    distributionConfig.Origins.Items = distributionConfig.Origins.Items.map(item =>
+      item.Id === originId ? { ...item, OriginPath: originPath } : item
+    );
+    
+    await cloudfrontClient.send(new UpdateDistributionCommand({
+      Id: distributionId,
+      IfMatch: configResponse.ETag,
+      DistributionConfig: distributionConfig
+    }));
+    
+    logger.succeed(`CloudFront distribution ${distributionId} now serves ${originPath || '/'}`);
+    return true;
   } catch (error) {
-    logger.fail(`Failed to create CloudFront distribution`);
+    logger.fail(`Failed to switch CloudFront distribution ${distributionId}`);
+    logger.error(error.message);
+    return false;
+  }
+}
+
+/**
+ * Invalidate paths in a CloudFront distribution's cache
+ * @param {CloudFrontClient} cloudfrontClient - AWS CloudFront client
+ * @param {string} distributionId - Distribution ID
+ * @param {Array<string>} paths - Paths to invalidate
+ * @returns {Promise<string|null>} - Invalidation ID or null if it failed
+ */
+async function createInvalidation(cloudfrontClient, distributionId, paths) {
+  try {
+    logger.startSpinner(`Invalidating ${paths.length} paths in CloudFront distribution ${distributionId}...`);
+    
+    const response = await cloudfrontClient.send(new CreateInvalidationCommand({
+      DistributionId: distributionId,
+      InvalidationBatch: {
+        CallerReference: Date.now().toString(),
+        Paths: {
+          Quantity: paths.length,
+          Items: paths
+        }
+      }
+    }));
+    
+    logger.succeed(`CloudFront invalidation ${response.Invalidation.Id} created`);
+    return response.Invalidation.Id;
+  } catch (error) {
+    logger.fail(`Failed to invalidate CloudFront distribution ${distributionId}`);
     logger.error(error.message);
     return null;
   }
@@ -914,17 +3304,87 @@ async function createCloudFrontDistribution(cloudfrontClient, bucketName, domain
 
 module.exports = {
   createAwsClients,
+  getCallerIdentity,
   createS3Bucket,
+  findS3Bucket,
+  findSiteBucket,
+  configureBucketSecurity,
+  getBucketSecurity,
+  buildBucketPolicy,
+  getS3BucketPolicy,
   updateS3BucketPolicy,
+  listS3Objects,
+  putS3Object,
+  copyS3Object,
+  deleteS3Objects,
+  s3PrefixExists,
   createHostedZone,
+  getZoneDelegation,
+  createZoneDelegation,
+  deleteZoneDelegation,
+  findHostedZone,
+  findEnclosingHostedZone,
+  getHostedZone,
   requestCertificate,
+  getCertificate,
+  findCertificate,
+  certificateCoversDomains,
   getCertificateValidationRecords,
   waitForCertificateValidation,
   createDnsValidationRecords,
+  createDnsValidationRecordsByZone,
+  buildCloudFrontDnsRecords,
+  getDnsRecords,
   createCloudFrontDnsRecords,
+  getCloudfrontFunctionCode,
   createCloudfrontFunction,
+  publishCloudfrontFunction,
+  findCloudfrontFunction,
+  getPublishedCloudfrontFunctionCode,
+  updateCloudfrontFunction,
+  buildOriginAccessControlConfig,
+  findOriginAccessControl,
+  createOriginAccessControl,
+  updateOriginAccessControl,
+  deleteOriginAccessControl,
+  buildResponseHeadersPolicyConfig,
+  readResponseHeadersPolicyHeaders,
+  findResponseHeadersPolicy,
+  getResponseHeadersPolicy,
+  createResponseHeadersPolicy,
+  updateResponseHeadersPolicy,
+  createOrUpdateResponseHeadersPolicy,
+  setDistributionResponseHeadersPolicy,
+  deleteResponseHeadersPolicy,
+  buildCustomErrorResponses,
+  buildDistributionConfig,
   createCloudFrontDistribution,
+  findCloudFrontDistribution,
+  getCloudFrontDistributionConfig,
+  updateCloudFrontDistribution,
+  getDistributionOriginPath,
+  setDistributionOriginPath,
+  setDistributionOriginAccessControl,
+  createInvalidation,
+  buildDeployPolicyDocument,
   createIamPolicy,
+  findIamPolicy,
+  getIamPolicyDocument,
+  updateIamPolicy,
+  findGithubOidcProvider,
   createOrGetGithubOidcProvider,
-  createIamRole
+  buildGithubTrustPolicyDocument,
+  createIamRole,
+  findIamRole,
+  updateIamRole,
+  emptyS3Bucket,
+  deleteS3Bucket,
+  deleteHostedZone,
+  deleteCloudFrontDnsRecords,
+  deleteCertificate,
+  waitForDistributionDeployed,
+  deleteCloudFrontDistribution,
+  deleteCloudfrontFunction,
+  deleteIamRole,
+  deleteIamPolicy
 };
\ No newline at end of file
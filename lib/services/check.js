@@ -0,0 +1,293 @@
+/**
+ * Check service: crawls the built site offline and checks that every internal link and asset
+ * resolves the way the site's CloudFront distribution would serve it
+ */
+
+const fs = require('fs');
+const path = require('path');
+const TOML = require('@iarna/toml');
+const { resolveDomains } = require('../utils/domains');
+const { resolveErrorPages } = require('../utils/error-pages');
+const { loadRedirects } = require('../utils/redirects');
+const { resolveOptimizeSettings } = require('../utils/optimize');
+const awsService = require('./aws');
+const { compileViewerRequestFunction, findObject } = require('./edge');
+const { scanDirectory } = require('./sync');
+
+// A redirect chain longer than this is reported as broken; browsers give up around 20
+const MAX_REDIRECTS = 10;
+
+// Schemes that never point into the built site
+const SKIPPED_SCHEMES = /^(mailto|tel|sms|javascript|data|blob|about):/i;
+
+const ENTITIES = { amp: '&', quot: '"', apos: '\'', lt: '<', gt: '>', nbsp: ' ' };
+
+/**
+ * Read the base_url from a site's config.toml
+ * @param {string} sitePath - Path to the site
+ * @returns {string} - The base_url
+ */
+function readBaseUrl(sitePath) {
+  const siteToml = TOML.parse(fs.readFileSync(path.join(sitePath, 'config.toml'), 'utf8'));
+  if (typeof siteToml.base_url !== 'string' || !siteToml.base_url) {
+    throw new Error('config.toml has no base_url.');
+  }
+  
+  return siteToml.base_url;
+}
+
+/**
+ * Decode the character references Zola and Tera produce in attribute values
+ * @param {string} value - Attribute value as written in the HTML
+ * @returns {string} - Decoded value
+ */
+function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (reference, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return Number.isNaN(code) ? reference : String.fromCodePoint(code);
+    }
+    return ENTITIES[name.toLowerCase()] !== undefined ? ENTITIES[name.toLowerCase()] : reference;
+  });
+}
+
+/**
+ * Find the links, assets and anchors of an HTML page
+ * Comments and the contents of script and style elements are left out.
+ * @param {string} html - Page HTML
+ * @returns {object} - { links, ids, refresh } with the href, src and srcset URLs, the fragment targets
+ * on the page, and whether it is a meta refresh redirect (as Zola writes for aliases)
+ */
+function parseHtml(html) {
+  const markup = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, '');
+  
+  const links = [];
+  const ids = new Set();
+  let refresh = false;
+  
+  (markup.match(/<[a-z][^\s/>]*\b[^>]*>/gi) || []).forEach(tag => {
+    const attributes = {};
+    const pattern = /\s([a-z-:]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+    let match;
+    while ((match = pattern.exec(tag)) !== null) {
+      const value = match[3] !== undefined ? match[3] : (match[4] !== undefined ? match[4] : match[5]);
+      attributes[match[1].toLowerCase()] = decodeEntities(value);
+    }
+    
+    ['href', 'src'].forEach(name => {
+      if (attributes[name] !== undefined && attributes[name].trim()) {
+        links.push(attributes[name].trim());
+      }
+    });
+    if (attributes.srcset) {
+      // Candidates are "url [descriptor]", separated by commas
+      attributes.srcset.split(/,\s+/).forEach(candidate => {
+        const url = candidate.trim().split(/\s+/)[0];
+        if (url) {
+          links.push(url);
+        }
+      });
+    }
+    
+    if (attributes.id) {
+      ids.add(attributes.id);
+    }
+    if (/^<a\b/i.test(tag) && attributes.name) {
+      ids.add(attributes.name);
+    }
+    if (/^<meta\b/i.test(tag) && (attributes['http-equiv'] || '').toLowerCase() === 'refresh') {
+      refresh = true;
+    }
+  });
+  
+  return { links, ids, refresh };
+}
+
+/**
+ * Work out the URL a file in the built site is served at
+ * @param {URL} base - The site's base URL
+ * @param {string} key - Path of the file inside public/, e.g. blog/index.html
+ * @returns {string} - URL of the page
+ */
+function getPageUrl(base, key) {
+  const basePath = base.pathname.replace(/\/+$/, '');
+  const pagePath = key.replace(/(^|\/)index\.html$/, '$1');
+  return `${base.origin}${basePath}/${pagePath}`;
+}
+
+/**
+ * Check the built site in public/
+ * @param {object} options - Check settings
+ * @param {string} options.publicDir - Directory of the built site
+ * @param {string} options.baseUrl - URL the site was built for
+ * @param {string} options.functionCode - Viewer-request function code, for redirects and index.html rewriting
+ * @param {Array<string>} options.hosts - Other names of the site; links to them are internal too
+ * @param {object} options.errorPages - Error pages by status code (see resolveErrorPages)
+ * @returns {Promise<object>} - { pages, links, results } where results are { page, severity, rule, message }
+ */
+async function checkSite({ publicDir, baseUrl, functionCode, hosts = [], errorPages = {} }) {
+  const base = new URL(baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`);
+  const basePath = base.pathname.replace(/\/+$/, '');
+  const internalHosts = new Set([base.host, ...hosts].map(host => host.toLowerCase()));
+  const viewerRequest = compileViewerRequestFunction(functionCode);
+  
+  // A missing object only breaks a link if the distribution answers it with an error status
+  const missingPage = errorPages[403] && errorPages[403].responseCode === 200 ? errorPages[403].page : null;
+  
+  const pages = new Map();
+  scanDirectory(publicDir)
+    .filter(file => /\.html?$/i.test(file.key))
+    .forEach(file => {
+      pages.set(file.key, { url: getPageUrl(base, file.key), ...parseHtml(fs.readFileSync(file.filePath, 'utf8')) });
+    });
+  
+  // Follow one internal URL through the viewer-request function to the object it ends at
+  const resolved = new Map();
+  const resolve = async (url) => {
+    if (resolved.has(url)) {
+      return resolved.get(url);
+    }
+    
+    let current = new URL(url);
+    let result = null;
+    for (let hops = 0; hops <= MAX_REDIRECTS && !result; hops++) {
+      if (!internalHosts.has(current.host.toLowerCase())) {
+        result = { external: true };
+        break;
+      }
+      
+      // Paths under the base URL's path map to the root of public/
+      const pathname = basePath && current.pathname.startsWith(`${basePath}/`) ?
+        current.pathname.slice(basePath.length) :
+        current.pathname;
+      const response = await viewerRequest({ url: `${current.protocol}//${current.host}${pathname}${current.search}` });
+      if (response.status) {
+        if (!response.location) {
+          result = { error: `answers with ${response.status}` };
+        } else {
+          current = new URL(response.location, current);
+        }
+        continue;
+      }
+      
+      const filePath = findObject(publicDir, response.uri) || (missingPage ? findObject(publicDir, missingPage) : null);
+      result = filePath ?
+        { key: path.relative(publicDir, filePath).split(path.sep).join('/') } :
+        { error: 'does not exist in public/' };
+    }
+    
+    result = result || { error: `redirects more than ${MAX_REDIRECTS} times` };
+    resolved.set(url, result);
+    return result;
+  };
+  
+  const results = [];
+  const linkedFrom = new Map();
+  let links = 0;
+  
+  for (const [key, page] of pages) {
+    for (const link of page.links) {
+      if (SKIPPED_SCHEMES.test(link)) {
+        continue;
+      }
+      
+      let target;
+      try {
+        target = new URL(link, page.url);
+      } catch (error) {
+        results.push({ page: key, severity: 'error', rule: 'broken-link', message: `${link} is not a valid URL.` });
+        continue;
+      }
+      if (!['http:', 'https:'].includes(target.protocol) || !internalHosts.has(target.host.toLowerCase())) {
+        continue;
+      }
+      
+      links += 1;
+      const fragment = target.hash.slice(1);
+      target.hash = '';
+      const result = await resolve(target.href);
+      if (result.external) {
+        continue;
+      }
+      if (result.error) {
+        results.push({ page: key, severity: 'error', rule: 'broken-link', message: `${link} ${result.error}.` });
+        continue;
+      }
+      
+      if (result.key !== key) {
+        linkedFrom.set(result.key, (linkedFrom.get(result.key) || 0) + 1);
+      }
+      
+      let anchor;
+      try {
+        anchor = decodeURIComponent(fragment);
+      } catch (error) {
+        anchor = fragment;
+      }
+      const targetPage = pages.get(result.key);
+      if (anchor && anchor !== 'top' && targetPage && !targetPage.ids.has(anchor)) {
+        results.push({ page: key, severity: 'warning', rule: 'missing-anchor', message: `${link} points to #${anchor}, which ${result.key} does not have.` });
+      }
+    }
+  }
+  
+  // The home page, error pages and alias redirect pages are reached without a link
+  const errorPageKeys = Object.values(errorPages).map(entry => entry.page.replace(/^\/+/, ''));
+  pages.forEach((page, key) => {
+    if (key === 'index.html' || page.refresh || errorPageKeys.includes(key) || linkedFrom.has(key)) {
+      return;
+    }
+    results.push({ page: key, severity: 'warning', rule: 'orphan', message: `No page links to ${page.url}.` });
+  });
+  
+  return { pages: pages.size, links, results };
+}
+
+/**
+ * Check a site's built output with the redirects, domains and error pages its distribution has
+ * @param {string} sitePath - Path to the site, with the build in public/
+ * @param {object} siteConfig - Site configuration, or the configuration of one environment
+ * @param {string} baseUrl - URL the site was built for (default: the base_url in config.toml)
+ * @returns {Promise<object>} - { pages, links, results } (see checkSite)
+ */
+async function checkBuiltSite(sitePath, siteConfig, baseUrl) {
+  const publicDir = path.join(sitePath, 'public');
+  if (!fs.existsSync(publicDir)) {
+    throw new Error(`No built site in "${publicDir}".`);
+  }
+  
+  const domains = resolveDomains(siteConfig);
+  return checkSite({
+    publicDir,
+    baseUrl: baseUrl || readBaseUrl(sitePath),
+    functionCode: awsService.getCloudfrontFunctionCode({
+      ...domains,
+      redirects: loadRedirects(sitePath),
+      precompressed: resolveOptimizeSettings(siteConfig).precompress
+    }),
+    hosts: [...domains.domainNames, siteConfig.cloudfrontDomain].filter(Boolean),
+    errorPages: resolveErrorPages(siteConfig)
+  });
+}
+
+/**
+ * Format check results, one per line
+ * @param {Array<object>} results - Check results
+ * @returns {string} - Formatted results
+ */
+function formatResults(results) {
+  return results
+    .map(result => `public/${result.page}  ${result.severity.padEnd(7)}  ${result.message}  (${result.rule})`)
+    .join('\n');
+}
+
+module.exports = {
+  readBaseUrl,
+  parseHtml,
+  getPageUrl,
+  checkSite,
+  checkBuiltSite,
+  formatResults
+};
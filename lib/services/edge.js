@@ -0,0 +1,187 @@
+/**
+ * Edge service: a local HTTP server that answers requests the way the site's CloudFront distribution
+ * does, running the same viewer-request function, error pages and response headers
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const vm = require('vm');
+const logger = require('../utils/logger');
+const { getContentEncoding } = require('../utils/optimize');
+const { getContentType } = require('./sync');
+
+// The distribution only allows these methods; CloudFront refuses the others with 403
+const ALLOWED_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Load CloudFront function code so it can run viewer requests
+ * @param {string} code - CloudFront function code
+ * @returns {Function} - async ({ method, url, headers }) => { status, location } for a redirect, or { uri } for the object requested
+ */
+function compileViewerRequestFunction(code) {
+  const context = vm.createContext({});
+  vm.runInContext(code, context, { timeout: 1000 });
+  
+  return async ({ method = 'GET', url, headers = {} }) => {
+    const parsed = new URL(url, 'https://localhost');
+    
+    const querystring = {};
+    parsed.searchParams.forEach((value, key) => {
+      if (querystring[key]) {
+        querystring[key].multiValue = [...(querystring[key].multiValue || [{ value: querystring[key].value }]), { value }];
+      } else {
+        querystring[key] = { value };
+      }
+    });
+    
+    // CloudFront functions see header names in lowercase
+    const requestHeaders = { host: { value: parsed.host } };
+    Object.entries(headers).forEach(([name, value]) => {
+      requestHeaders[name.toLowerCase()] = { value: Array.isArray(value) ? value.join(',') : String(value) };
+    });
+    
+    const result = await context.handler({
+      version: '1.0',
+      context: { eventType: 'viewer-request' },
+      viewer: { ip: '127.0.0.1' },
+      request: {
+        method,
+        uri: parsed.pathname,
+        querystring,
+        headers: requestHeaders,
+        cookies: {}
+      }
+    });
+    
+    if (result.statusCode) {
+      return { status: result.statusCode, location: result.headers && result.headers.location ? result.headers.location.value : undefined };
+    }
+    return { uri: result.uri };
+  };
+}
+
+/**
+ * Find the file in the built site that an S3 key points to
+ * @param {string} publicDir - Directory of the built site
+ * @param {string} uri - Request URI after the viewer-request function, e.g. /blog/index.html
+ * @returns {string|null} - File path or null if there is no such object
+ */
+function findObject(publicDir, uri) {
+  let key;
+  try {
+    key = decodeURIComponent(uri);
+  } catch (error) {
+    return null;
+  }
+  
+  // Keys never leave the bucket, so neither may paths
+  const root = path.resolve(publicDir);
+  const filePath = path.resolve(root, `.${key}`);
+  if (!filePath.startsWith(`${root}${path.sep}`)) {
+    return null;
+  }
+  
+  return fs.existsSync(filePath) && fs.statSync(filePath).isFile() ? filePath : null;
+}
+
+/**
+ * Create a server that answers like the distribution
+ * @param {object} options - Server settings
+ * @param {string} options.publicDir - Directory of the built site, standing in for the bucket
+ * @param {string} options.functionCode - Viewer-request function code
+ * @param {object} options.errorPages - Error pages by status code (see resolveErrorPages)
+ * @param {object} options.headers - Response header values by name (see resolveHeaders)
+ * @returns {http.Server} - HTTP server, not yet listening
+ */
+function createEdgeServer({ publicDir, functionCode, errorPages = {}, headers = {} }) {
+  const viewerRequest = compileViewerRequestFunction(functionCode);
+  
+  // Responses carry the distribution's response headers, whatever their status
+  const send = (req, res, status, extraHeaders, body) => {
+    res.writeHead(status, { ...headers, ...extraHeaders, 'Content-Length': Buffer.byteLength(body) });
+    res.end(req.method === 'HEAD' ? undefined : body);
+    console.log(`${req.method} ${req.url} ${status}${extraHeaders.Location ? ` -> ${extraHeaders.Location}` : ''}`);
+  };
+  
+  const sendFile = (req, res, status, filePath) => {
+    // Previews are rebuilt all the time, so nothing is cached, unlike at the edge
+    send(req, res, status, {
+      'Content-Type': getContentType(filePath),
+      'Cache-Control': 'no-cache',
+      ...(getContentEncoding(filePath) ? { 'Content-Encoding': getContentEncoding(filePath) } : {})
+    }, fs.readFileSync(filePath));
+  };
+  
+  const handle = async (req, res) => {
+    if (!ALLOWED_METHODS.includes(req.method)) {
+      send(req, res, 403, { 'Content-Type': 'text/plain' }, 'This distribution is not configured to allow the HTTP request method that was used for this request.');
+      return;
+    }
+    
+    const result = await viewerRequest({
+      method: req.method,
+      url: `http://${req.headers.host || 'localhost'}${req.url}`,
+      headers: req.headers
+    });
+    
+    if (result.status) {
+      send(req, res, result.status, result.location ? { Location: result.location } : {}, '');
+      return;
+    }
+    
+    const filePath = findObject(publicDir, result.uri);
+    if (filePath) {
+      sendFile(req, res, 200, filePath);
+      return;
+    }
+    
+    // The bucket does not allow listing, so a missing object is a 403 from S3
+    const errorPage = errorPages[403];
+    const errorPagePath = errorPage ? findObject(publicDir, errorPage.page) : null;
+    if (errorPagePath) {
+      sendFile(req, res, errorPage.responseCode, errorPagePath);
+      return;
+    }
+    
+    send(req, res, 403, { 'Content-Type': 'application/xml' }, '<?xml version="1.0" encoding="UTF-8"?>\n<Error><Code>AccessDenied</Code><Message>Access Denied</Message></Error>');
+  };
+  
+  return http.createServer((req, res) => {
+    handle(req, res).catch(error => {
+      logger.error(`CloudFront function failed for ${req.url}: ${error.message}`);
+      send(req, res, 503, { 'Content-Type': 'text/plain' }, 'The CloudFront function associated with this distribution failed.');
+    });
+  });
+}
+
+/**
+ * Start serving a built site the way its distribution would
+ * @param {object} options - Server settings (see createEdgeServer)
+ * @param {number} port - Port to serve on
+ * @returns {Promise<http.Server|null>} - Listening server or null if it could not start
+ */
+async function startEdgeServer(options, port) {
+  try {
+    const server = createEdgeServer(options);
+    
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, '127.0.0.1', resolve);
+    });
+    
+    logger.success(`Serving ${options.publicDir} like CloudFront on http://127.0.0.1:${port}`);
+    return server;
+  } catch (error) {
+    logger.fail(`Failed to start the edge server on port ${port}`);
+    logger.error(error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  compileViewerRequestFunction,
+  findObject,
+  createEdgeServer,
+  startEdgeServer
+};
@@ -230,6 +230,174 @@ async function cloneRepo(url, targetDir) {
   }
 }
 
+/**
+ * Create a tag on the current commit and push it
+ * @param {string} repoPath - Path to the repository
+ * @param {string} tag - Tag name
+ * @returns {Promise<boolean>} - Whether the tag was pushed
+ */
+async function pushTag(repoPath, tag) {
+  try {
+    logger.startSpinner(`Pushing tag ${tag}...`);
+    
+    await execa('git', ['tag', tag], {
+      cwd: repoPath
+    });
+    await execa('git', ['push', 'origin', tag], {
+      cwd: repoPath,
+      env: {
+        // Disable interactive prompts
+        GIT_TERMINAL_PROMPT: '0',
+        GCM_INTERACTIVE: 'never'
+      }
+    });
+    
+    logger.succeed(`Tag ${tag} pushed`);
+    return true;
+  } catch (error) {
+    logger.fail(`Failed to push tag ${tag}`);
+    logger.error(error.message);
+    return false;
+  }
+}
+
+/**
+ * Get the commit SHA checked out in a repository
+ * @param {string} repoPath - Path to the repository
+ * @returns {Promise<string|null>} - Full commit SHA or null if there is no commit
+ */
+async function getHeadCommit(repoPath) {
+  try {
+    const { stdout } = await execa('git', ['rev-parse', 'HEAD'], {
+      cwd: repoPath
+    });
+    return stdout.trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether a repository has uncommitted changes
+ * @param {string} repoPath - Path to the repository
+ * @returns {Promise<boolean>} - Whether the working tree differs from HEAD
+ */
+async function hasUncommittedChanges(repoPath) {
+  try {
+    const { stdout } = await execa('git', ['status', '--porcelain'], {
+      cwd: repoPath
+    });
+    return stdout.trim().length > 0;
+  } catch (error) {
+    return true;
+  }
+}
+
+/**
+ * Get the name Git commits are made under
+ * @returns {Promise<string|null>} - user.name from the Git configuration, or null if it is not set
+ */
+async function getUserName() {
+  try {
+    const { stdout } = await execa('git', ['config', 'user.name']);
+    return stdout.trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read a setting of a submodule from .gitmodules
+ * @param {string} repoPath - Path to the repository
+ * @param {string} submodulePath - Path of the submodule inside the repository
+ * @param {string} key - Setting, e.g. url or branch
+ * @returns {Promise<string|null>} - The value or null if it is not set
+ */
+async function getSubmoduleConfig(repoPath, submodulePath, key) {
+  try {
+    const { stdout } = await execa('git', ['config', '-f', '.gitmodules', `submodule.${submodulePath}.${key}`], {
+      cwd: repoPath
+    });
+    return stdout.trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Move a submodule to a newer commit and stage the change
+ * Without a ref the submodule follows its tracked branch (or the remote's default branch).
+ * @param {string} repoPath - Path to the repository
+ * @param {string} submodulePath - Path of the submodule inside the repository
+ * @param {string} ref - Branch, tag or commit to check out (optional)
+ * @returns {Promise<object|null>} - { from, to, log } with the one-line log of the new commits, or null on failure
+ */
+async function updateSubmodule(repoPath, submodulePath, ref = null) {
+  try {
+    logger.startSpinner(`Updating ${submodulePath}...`);
+    
+    const modulePath = path.join(repoPath, submodulePath);
+    const from = await getHeadCommit(modulePath);
+    
+    if (ref) {
+      await execa('git', ['fetch', '--tags', 'origin'], { cwd: modulePath });
+      
+      // A branch name means the remote branch, not a stale local copy of it
+      let target = ref;
+      try {
+        await execa('git', ['rev-parse', '--verify', '--quiet', `origin/${ref}`], { cwd: modulePath });
+        target = `origin/${ref}`;
+      } catch (error) {
+        // Not a branch; check out the tag or commit as given
+      }
+      await execa('git', ['checkout', '--quiet', target], { cwd: modulePath });
+    } else {
+      await execa('git', ['submodule', 'update', '--init', '--remote', '--', submodulePath], { cwd: repoPath });
+    }
+    
+    await execa('git', ['add', submodulePath], { cwd: repoPath });
+    
+    const to = await getHeadCommit(modulePath);
+    let log = [];
+    if (from && to && from !== to) {
+      const { stdout } = await execa('git', ['log', '--oneline', '--no-decorate', `${from}..${to}`], { cwd: modulePath });
+      log = stdout.split('\n').filter(Boolean);
+    }
+    
+    logger.succeed(from === to ? `${submodulePath} is already up to date` : `Updated ${submodulePath}`);
+    return { from, to, log };
+  } catch (error) {
+    logger.fail(`Failed to update ${submodulePath}`);
+    logger.error(error.message);
+    return null;
+  }
+}
+
+/**
+ * Remove a submodule, its checkout and its entry in .gitmodules
+ * @param {string} repoPath - Path to the repository
+ * @param {string} submodulePath - Path of the submodule inside the repository
+ * @returns {Promise<boolean>} - Whether the submodule was removed
+ */
+async function removeSubmodule(repoPath, submodulePath) {
+  try {
+    logger.startSpinner(`Removing ${submodulePath}...`);
+    
+    await execa('git', ['submodule', 'deinit', '--force', '--', submodulePath], { cwd: repoPath });
+    await execa('git', ['rm', '--force', '--', submodulePath], { cwd: repoPath });
+    
+    // git rm leaves the submodule's object store behind, which would be reused by a later add
+    fs.rmSync(path.join(repoPath, '.git', 'modules', submodulePath), { recursive: true, force: true });
+    
+    logger.succeed(`Removed ${submodulePath}`);
+    return true;
+  } catch (error) {
+    logger.fail(`Failed to remove ${submodulePath}`);
+    logger.error(error.message);
+    return false;
+  }
+}
+
 module.exports = {
   isGitInstalled,
   initRepo,
@@ -237,6 +405,13 @@ module.exports = {
   stageAll,
   commit,
   push,
+  pushTag,
   createBranch,
-  cloneRepo
+  cloneRepo,
+  getHeadCommit,
+  hasUncommittedChanges,
+  getUserName,
+  getSubmoduleConfig,
+  updateSubmodule,
+  removeSubmodule
 };
\ No newline at end of file
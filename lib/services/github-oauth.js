@@ -9,7 +9,7 @@ const logger = require('../utils/logger');
 
 // GitHub OAuth configuration
 const OAUTH_CONFIG = {
-  clientId: process.env.GITHUB_CLIENT_ID  
+  clientId: process.env.GITHUB_CLIENT_ID,
   tokenUrl: 'https://github.com/login/oauth/access_token',
   deviceUrl: 'https://github.com/login/device/code',
   scope: 'repo workflow',
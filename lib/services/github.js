@@ -6,6 +6,12 @@ const { Octokit } = require('octokit');
 const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
+const mime = require('mime-types');
+const { getSiteHost } = require('../utils/domains');
+const { STAGES, OPT_IN_STAGES, PRECOMPRESS_EXTENSIONS, ENCODING_EXTENSIONS, resolveOptimizeSettings } = require('../utils/optimize');
+const { resolveCacheRules, splitCachePattern, restrictCachePattern } = require('../utils/cache');
+const { getCiCommand } = require('../utils/ci');
+const { ZOLA_VERSION } = require('./zola');
 const githubOAuth = require('./github-oauth');
 
 /**
@@ -161,63 +167,302 @@ async function createRepository(username, repoName, description = '', isPrivate
   }
 }
 
+// Previews change with every push, so browsers always revalidate them
+const PREVIEW_CACHE_RULES = [{ pattern: '*', cacheControl: 'no-cache' }];
+
+// Environments deployed from version tags (or a manual run) instead of every push to main
+const TAG_DEPLOYED_ENVIRONMENTS = ['production'];
+
 /**
- * Create or update a GitHub workflow file
- * @param {string} repoPath - Path to the repository
- * @param {object} config - Workflow configuration
- * @returns {Promise<boolean>} - Whether operation was successful
+ * Check whether the workflow deploys an environment from version tags
+ * @param {string} envName - Environment name
+ * @returns {boolean} - Whether the environment is deployed from tags
  */
-async function createWorkflowFile(repoPath, config) {
-  try {
-    logger.startSpinner('Creating GitHub workflow file...');
+function isTagDeployedEnvironment(envName) {
+  return TAG_DEPLOYED_ENVIRONMENTS.includes(envName);
+}
+
+/**
+ * Collect the workflow configuration from a site configuration
+ * @param {object} siteConfig - Site configuration
+ * @returns {object} - Workflow configuration, with one entry per environment if the site has any
+ */
+function buildWorkflowConfig(siteConfig) {
+  const toTarget = (fields, name) => {
+    const host = getSiteHost(fields);
+    return {
+      name,
+      s3BucketName: fields.s3BucketName,
+      awsRegion: fields.awsRegion,
+      iamRoleArn: fields.iamRoleArn,
+      cloudfrontDistributionId: fields.cloudfrontDistributionId,
+      siteUrl: host ? `https://${host}` : undefined
+    };
+  };
+  
+  const environments = siteConfig.environments || {};
+  const names = Object.keys(environments);
+  if (names.length === 0) {
+    return {
+      ...toTarget(siteConfig, null),
+      zolaVersion: siteConfig.zolaVersion,
+      optimize: resolveOptimizeSettings(siteConfig),
+      cacheRules: resolveCacheRules(siteConfig),
+      ciPackage: siteConfig.ciPackage
+    };
+  }
+  
+  return {
+    environments: names.map(name => toTarget(environments[name], name)),
+    zolaVersion: siteConfig.zolaVersion,
+    optimize: resolveOptimizeSettings(siteConfig),
+    cacheRules: resolveCacheRules(siteConfig),
+    ciPackage: siteConfig.ciPackage
+  };
+}
+
+/**
+ * Build the content of the GitHub Actions workflow that deploys the site
+ * @param {object} config - Workflow configuration (see buildWorkflowConfig)
+ * @returns {string} - Workflow YAML
+ */
+function buildWorkflowContent(config) {
+  const targets = config.environments || [{ ...config, name: null }];
+  const deploysOnTags = target => isTagDeployedEnvironment(target.name);
+  const hasTagTargets = targets.some(deploysOnTags);
+  
+  // Previews go to the environment that receives main, as that is what pull requests merge into
+  const previewTarget = targets.find(target => !deploysOnTags(target)) || targets[0];
+  
+  const setupSteps = `      - uses: actions/checkout@v3
+        with:
+          submodules: recursive
+      
+      - name: Setup Zola
+        uses: taiki-e/install-action@v2
+        with:
+          tool: zola@${config.zolaVersion || ZOLA_VERSION}`;
+  
+  // Content pushed by any editor is linted before it is built; the github format annotates the changed files.
+  // ssc only runs in CI from the pinned package the site chose with "ssc ci".
+  const nodeStep = `
+      
+      - name: Setup Node.js
+        uses: actions/setup-node@v4
+        with:
+          node-version: 20`;
+  const lintSteps = config.ciPackage ? `${nodeStep}
+      
+      - name: Lint content
+        run: ${getCiCommand(config.ciPackage, 'lint --dir . --format github')}` : '';
+  
+  // ssc runs the site's optimization stages on public/ between the build and the upload
+  const optimize = config.optimize || resolveOptimizeSettings();
+  // The CloudFront function serves the precompressed copies, so without a pinned package the job fails
+  // instead of uploading a site that lacks them. Node.js is already set up for the lint step.
+  const optimizeSteps = baseUrl => {
+    if (!optimize.enabled) {
+      return '';
+    }
+    if (!config.ciPackage) {
+      return `
+      
+      - name: Optimize assets
+        run: echo "::error::Optimization needs a pinned ssc package. Run ssc ci --package <spec> and push the workflow it writes." && exit 1`;
+    }
+    const stageFlags = STAGES
+      .filter(stage => optimize[stage] === OPT_IN_STAGES.includes(stage))
+      .map(stage => (optimize[stage] ? ` --${stage}` : ` --no-${stage}`))
+      .join('');
+    return `
+      
+      - name: Optimize assets
+        run: ${getCiCommand(config.ciPackage, `optimize --dir .${baseUrl ? ` --base-url "${baseUrl}"` : ''}${stageFlags}`)}`;
+  };
+  
+  // Each cache rule uploads the files it is the first rule to match, with its Cache-Control.
+  // Compressed copies are uploaded on their own, with the encoding and the type of the file they were made from.
+  const cacheRules = config.cacheRules || resolveCacheRules();
+  const uploadCommands = (destination, rules) => {
+    const copyTypes = optimize.precompress ?
+      PRECOMPRESS_EXTENSIONS.flatMap(extension => Object.keys(ENCODING_EXTENSIONS).map(suffix => ({
+        extension,
+        suffix,
+        encoding: ENCODING_EXTENSIONS[suffix],
+        type: mime.contentType(extension)
+      }))) :
+      [];
+    const filters = (includes, excludes) => [
+      ...(includes.includes('*') ? [] : ['--exclude "*"', ...includes.map(pattern => `--include "${pattern}"`)]),
+      ...excludes.map(pattern => `--exclude "${pattern}"`)
+    ].map(filter => ` ${filter}`).join('');
     
-    // Ensure .github/workflows directory exists
-    const workflowsDir = path.join(repoPath, '.github', 'workflows');
-    fs.mkdirSync(workflowsDir, { recursive: true });
+    const syncs = rules.map((rule, index) => {
+      const excludes = [
+        ...rules.slice(0, index).flatMap(earlier => splitCachePattern(earlier.pattern)),
+        ...copyTypes.map(copy => `*${copy.extension}${copy.suffix}`)
+      ];
+      return `aws s3 sync public/ ${destination} --delete${filters(splitCachePattern(rule.pattern), excludes)} --cache-control "${rule.cacheControl}"`;
+    });
+    const copies = copyTypes.flatMap(copy => {
+      const copyPatterns = rule => restrictCachePattern(rule.pattern, copy.extension).map(pattern => `${pattern}${copy.suffix}`);
+      return rules
+        .map((rule, index) => ({ rule, includes: copyPatterns(rule), excludes: rules.slice(0, index).flatMap(copyPatterns) }))
+        .filter(({ includes, excludes }) => includes.some(pattern => !excludes.includes(pattern)))
+        .map(({ rule, includes, excludes }) => `aws s3 cp public/ ${destination} --recursive${filters(includes, excludes)} --content-encoding ${copy.encoding} --content-type "${copy.type}" --cache-control "${rule.cacheControl}"`);
+    });
     
-    // Create workflow file from template
-    const workflowPath = path.join(workflowsDir, 'main.yml');
+    const commands = [...syncs, ...copies];
+    return commands.length === 1 ? ` ${commands[0]}` : ` |\n${commands.map(command => `          ${command}`).join('\n')}`;
+  };
+  
+  const awsCredentialsStep = target => `      - name: Configure AWS credentials
+        uses: aws-actions/configure-aws-credentials@v4
+        with:
+          role-to-assume: ${target.iamRoleArn || 'YOUR_IAM_ROLE_ARN'}
+          aws-region: ${target.awsRegion || 'us-east-1'}`;
+  
+  // Each environment's role only trusts jobs running in that GitHub environment
+  const environmentLine = target => target.name ? `\n    environment: ${target.name}` : '';
+  
+  // Updates a single marked comment on the pull request instead of adding one per push
+  const commentStep = (name, message) => `      - name: ${name}
+        uses: actions/github-script@v7
+        with:
+          script: |
+            const marker = '<!-- ssc-preview -->';
+            const body = marker + '\\n' + ${message};
+            const { data: comments } = await github.rest.issues.listComments({ ...context.repo, issue_number: context.issue.number });
+            const existing = comments.find(comment => comment.body.includes(marker));
+            if (existing) {
+              await github.rest.issues.updateComment({ ...context.repo, comment_id: existing.id, body });
+            } else {
+              await github.rest.issues.createComment({ ...context.repo, issue_number: context.issue.number, body });
+            }`;
+  
+  const deployCondition = target => {
+    if (!target.name) {
+      return `github.event_name == 'push'`;
+    }
+    if (deploysOnTags(target)) {
+      return `(github.event_name == 'push' && startsWith(github.ref, 'refs/tags/v')) || github.event_name == 'workflow_dispatch'`;
+    }
+    return `github.event_name == 'push' && github.ref == 'refs/heads/main'`;
+  };
+  
+  const deployJob = target => {
+    const bucketName = target.s3BucketName || 'YOUR_S3_BUCKET_NAME';
+    const distributionId = target.cloudfrontDistributionId || 'YOUR_CLOUDFRONT_DISTRIBUTION_ID';
     
-    // Generate workflow file content
-    const workflowContent = `name: Build and Deploy
+    // Environments share config.toml, so each one is built for its own URL
+    const buildCommand = target.name && target.siteUrl ? `zola build --base-url "${target.siteUrl}"` : 'zola build';
+    
+    return `  ${target.name ? `deploy-${target.name}` : 'deploy'}:
+    if: ${deployCondition(target)}
+    runs-on: ubuntu-latest${environmentLine(target)}
+    permissions:
+      id-token: write
+      contents: read
+    
+    steps:
+${setupSteps}${lintSteps}
+      
+      - name: Build site
+        run: ${buildCommand}${optimizeSteps(target.name && target.siteUrl)}
+      
+${awsCredentialsStep(target)}
+      
+      # Each commit is uploaded as its own release; CloudFront only switches once it is complete
+      - name: Upload release to S3
+        run:${uploadCommands(`s3://${bucketName}/releases/\${{ github.sha }}/`, cacheRules)}
+      
+      - name: Switch CloudFront to the release and invalidate
+        run: |
+          aws cloudfront get-distribution-config --id ${distributionId} > distribution.json
+          jq --arg path "/releases/\${{ github.sha }}" '.DistributionConfig | .Origins.Items |= map(if .Id == "S3Origin" then .OriginPath = $path else . end)' distribution.json > distribution-config.json
+          aws cloudfront update-distribution --id ${distributionId} --if-match "$(jq -r .ETag distribution.json)" --distribution-config file://distribution-config.json > /dev/null
+          aws cloudfront wait distribution-deployed --id ${distributionId}
+          aws cloudfront create-invalidation --distribution-id ${distributionId} --paths '/*'
+`;
+  };
+  
+  const previewBucketName = previewTarget.s3BucketName || 'YOUR_S3_BUCKET_NAME';
+  const siteUrl = previewTarget.siteUrl || 'https://YOUR_SITE_DOMAIN';
+  
+  return `name: Build and Deploy
 
 on:
   push:
-    branches: [ main ]
+    branches: [ main ]${hasTagTargets ? `\n    tags: [ 'v*' ]` : ''}
   pull_request:
     branches: [ main ]
+    types: [ opened, synchronize, reopened, closed ]${hasTagTargets ? '\n  workflow_dispatch:' : ''}
 
 jobs:
-  build:
-    runs-on: ubuntu-latest
+${targets.map(deployJob).join('  \n')}  
+  # Pull requests are built into their own folder and never touch the live site.
+  # Forks get no AWS credentials, so only branches of this repository are previewed.
+  preview:
+    if: github.event_name == 'pull_request' && github.event.action != 'closed' && github.event.pull_request.head.repo.full_name == github.repository
+    runs-on: ubuntu-latest${environmentLine(previewTarget)}
     permissions:
       id-token: write
       contents: read
+      pull-requests: write
+    env:
+      PREVIEW_PATH: previews/pr-\${{ github.event.pull_request.number }}
+      PREVIEW_URL: ${siteUrl}/previews/pr-\${{ github.event.pull_request.number }}/
     
     steps:
-      - uses: actions/checkout@v3
-        with:
-          submodules: recursive
-      
-      - name: Setup Zola
-        uses: taiki-e/install-action@v2
-        with:
-          tool: zola@0.17.1
+${setupSteps}${lintSteps}
       
       - name: Build site
-        run: zola build
+        run: zola build --base-url "$PREVIEW_URL"${optimizeSteps('$PREVIEW_URL')}
       
-      - name: Configure AWS credentials
-        uses: aws-actions/configure-aws-credentials@v4
-        with:
-          role-to-assume: ${config.iamRoleArn || 'YOUR_IAM_ROLE_ARN'}
-          aws-region: ${config.awsRegion || 'us-east-1'}
+${awsCredentialsStep(previewTarget)}
       
-      - name: Sync files to S3 and invalidate CloudFront
-        run: |
-          aws s3 sync public/ s3://${config.s3BucketName || 'YOUR_S3_BUCKET_NAME'} --delete --cache-control max-age=86400
-          aws cloudfront create-invalidation --distribution-id ${config.cloudfrontDistributionId || 'YOUR_CLOUDFRONT_DISTRIBUTION_ID'} --paths '/*'
+      - name: Upload preview to S3
+        run:${uploadCommands(`s3://${previewBucketName}/$PREVIEW_PATH/`, PREVIEW_CACHE_RULES)}
+      
+${commentStep('Comment with the preview URL', "'Preview of ' + context.payload.pull_request.head.sha.slice(0, 7) + ' is ready: ' + process.env.PREVIEW_URL")}
+  
+  cleanup-preview:
+    if: github.event_name == 'pull_request' && github.event.action == 'closed' && github.event.pull_request.head.repo.full_name == github.repository
+    runs-on: ubuntu-latest${environmentLine(previewTarget)}
+    permissions:
+      id-token: write
+      pull-requests: write
+    env:
+      PREVIEW_PATH: previews/pr-\${{ github.event.pull_request.number }}
+    
+    steps:
+${awsCredentialsStep(previewTarget)}
+      
+      - name: Remove preview from S3
+        run: aws s3 rm s3://${previewBucketName}/$PREVIEW_PATH/ --recursive
+      
+${commentStep('Update the preview comment', "'The preview was removed because this pull request was closed.'")}
 `;
+}
+
+/**
+ * Create or update a GitHub workflow file
+ * @param {string} repoPath - Path to the repository
+ * @param {object} config - Workflow configuration
+ * @returns {Promise<boolean>} - Whether operation was successful
+ */
+async function createWorkflowFile(repoPath, config) {
+  try {
+    logger.startSpinner('Creating GitHub workflow file...');
+    
+    // Ensure .github/workflows directory exists
+    const workflowsDir = path.join(repoPath, '.github', 'workflows');
+    fs.mkdirSync(workflowsDir, { recursive: true });
+    
+    // Create workflow file from template
+    const workflowPath = path.join(workflowsDir, 'main.yml');
+    
+    const workflowContent = buildWorkflowContent(config);
     
     fs.writeFileSync(workflowPath, workflowContent);
     
@@ -232,6 +477,190 @@ jobs:
   }
 }
 
+/**
+ * Get a GitHub repository
+ * @param {string} username - GitHub username (repository owner)
+ * @param {string} repoName - Repository name
+ * @returns {Promise<object|null>} - Repository data or null if it does not exist
+ */
+async function getRepository(username, repoName) {
+  const octokit = await getAuthenticatedOctokit(username);
+  
+  try {
+    const response = await octokit.rest.repos.get({
+      owner: username,
+      repo: repoName
+    });
+    return response.data;
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Archive a GitHub repository so it becomes read-only
+ * @param {string} username - GitHub username (repository owner)
+ * @param {string} repoName - Repository name
+ * @returns {Promise<boolean>} - Whether the repository was archived
+ */
+async function archiveRepository(username, repoName) {
+  try {
+    logger.startSpinner(`Archiving GitHub repository "${username}/${repoName}"...`);
+    
+    const octokit = await getAuthenticatedOctokit(username);
+    await octokit.rest.repos.update({
+      owner: username,
+      repo: repoName,
+      archived: true
+    });
+    
+    logger.succeed(`GitHub repository "${username}/${repoName}" archived`);
+    return true;
+  } catch (error) {
+    logger.fail(`Failed to archive GitHub repository "${username}/${repoName}"`);
+    logger.error(error.message);
+    return false;
+  }
+}
+
+/**
+ * Delete a GitHub repository
+ * @param {string} username - GitHub username (repository owner)
+ * @param {string} repoName - Repository name
+ * @returns {Promise<boolean>} - Whether the repository was deleted
+ */
+async function deleteRepository(username, repoName) {
+  try {
+    logger.startSpinner(`Deleting GitHub repository "${username}/${repoName}"...`);
+    
+    const octokit = await getAuthenticatedOctokit(username);
+    await octokit.rest.repos.delete({
+      owner: username,
+      repo: repoName
+    });
+    
+    logger.succeed(`GitHub repository "${username}/${repoName}" deleted`);
+    return true;
+  } catch (error) {
+    if (error.status === 404) {
+      logger.succeed(`GitHub repository "${username}/${repoName}" no longer exists`);
+      return true;
+    }
+    
+    logger.fail(`Failed to delete GitHub repository "${username}/${repoName}"`);
+    logger.error(error.message);
+    
+    if (error.status === 403) {
+      // The device flow only requests the "repo workflow" scopes
+      logger.info('Deleting repositories requires the "delete_repo" scope. Delete it from the GitHub settings page or archive it instead.');
+    }
+    
+    return false;
+  }
+}
+
+/**
+ * Get a GitHub deployment environment
+ * @param {string} username - GitHub username (repository owner)
+ * @param {string} repoName - Repository name
+ * @param {string} envName - Environment name
+ * @returns {Promise<object|null>} - Environment data or null if it does not exist
+ */
+async function getEnvironment(username, repoName, envName) {
+  const octokit = await getAuthenticatedOctokit(username);
+  
+  try {
+    const response = await octokit.rest.repos.getEnvironment({
+      owner: username,
+      repo: repoName,
+      environment_name: envName
+    });
+    return response.data;
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create or update a GitHub deployment environment
+ * @param {string} username - GitHub username (repository owner)
+ * @param {string} repoName - Repository name
+ * @param {string} envName - Environment name
+ * @param {object} options - Environment options
+ * @param {boolean} options.requireApproval - Whether deployments wait for the authenticated user to approve them
+ * @returns {Promise<boolean>} - Whether the environment was created or updated
+ */
+async function createEnvironment(username, repoName, envName, options = {}) {
+  try {
+    logger.startSpinner(`Configuring GitHub environment "${envName}"...`);
+    
+    const octokit = await getAuthenticatedOctokit(username);
+    const params = {
+      owner: username,
+      repo: repoName,
+      environment_name: envName
+    };
+    
+    if (options.requireApproval) {
+      const { data: user } = await octokit.rest.users.getAuthenticated();
+      params.reviewers = [{ type: 'User', id: user.id }];
+    }
+    
+    await octokit.rest.repos.createOrUpdateEnvironment(params);
+    
+    logger.succeed(`GitHub environment "${envName}" configured${options.requireApproval ? ' (deployments need approval)' : ''}`);
+    return true;
+  } catch (error) {
+    logger.fail(`Failed to configure GitHub environment "${envName}"`);
+    logger.error(error.message);
+    
+    if (options.requireApproval && error.status === 422) {
+      // Required reviewers are only available on public repositories unless the account has a paid plan
+      logger.info('Required reviewers are not available for this repository. Add protection rules from the GitHub settings page instead.');
+    }
+    
+    return false;
+  }
+}
+
+/**
+ * Delete a GitHub deployment environment
+ * @param {string} username - GitHub username (repository owner)
+ * @param {string} repoName - Repository name
+ * @param {string} envName - Environment name
+ * @returns {Promise<boolean>} - Whether the environment is gone
+ */
+async function deleteEnvironment(username, repoName, envName) {
+  try {
+    logger.startSpinner(`Deleting GitHub environment "${envName}"...`);
+    
+    const octokit = await getAuthenticatedOctokit(username);
+    await octokit.rest.repos.deleteAnEnvironment({
+      owner: username,
+      repo: repoName,
+      environment_name: envName
+    });
+    
+    logger.succeed(`GitHub environment "${envName}" deleted`);
+    return true;
+  } catch (error) {
+    if (error.status === 404) {
+      logger.succeed(`GitHub environment "${envName}" no longer exists`);
+      return true;
+    }
+    
+    logger.fail(`Failed to delete GitHub environment "${envName}"`);
+    logger.error(error.message);
+    return false;
+  }
+}
+
 /**
  * Get authenticated user information
  * @param {string} username - GitHub username (optional)
@@ -250,7 +679,16 @@ async function getAuthenticatedUser(username) {
 
 module.exports = {
   createRepository,
+  getRepository,
+  isTagDeployedEnvironment,
+  buildWorkflowConfig,
+  buildWorkflowContent,
   createWorkflowFile,
+  archiveRepository,
+  deleteRepository,
+  getEnvironment,
+  createEnvironment,
+  deleteEnvironment,
   getAuthenticatedUser,
   getAuthToken
 };
\ No newline at end of file
@@ -0,0 +1,351 @@
+/**
+ * Lint service: checks the front matter and Markdown of a site's content before Zola builds it
+ */
+
+const fs = require('fs');
+const path = require('path');
+const TOML = require('@iarna/toml');
+const { CONTENT_DIR, listContentFiles, splitFrontMatter } = require('../utils/content');
+
+// Front matter keys Zola reads; anything else belongs under [extra]
+const PAGE_KEYS = [
+  'title', 'description', 'date', 'updated', 'weight', 'draft', 'slug', 'path', 'aliases',
+  'authors', 'in_search_index', 'template', 'taxonomies', 'extra'
+];
+const SECTION_KEYS = [
+  'title', 'description', 'draft', 'sort_by', 'weight', 'template', 'page_template', 'paginate_by',
+  'paginate_path', 'paginate_reversed', 'insert_anchor_links', 'in_search_index', 'render',
+  'redirect_to', 'transparent', 'aliases', 'generate_feeds', 'extra'
+];
+
+const DATE_KEYS = ['date', 'updated'];
+
+// Dates Zola accepts as strings: a day, or a day and time with an optional offset
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+const SCHEMA_TYPES = ['string', 'integer', 'float', 'boolean', 'date', 'array', 'table'];
+
+// Schemas for every section, under [extra.ssc.schema] in config.toml; "*" applies to all content
+const SCHEMA_WILDCARD = '*';
+
+const FORMATS = ['text', 'json', 'github'];
+
+/**
+ * Check whether a parsed TOML value is a table
+ * @param {*} value - Parsed value
+ * @returns {boolean} - True for tables
+ */
+function isTable(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+/**
+ * Check whether a value is a date Zola can read
+ * @param {*} value - Front matter value
+ * @returns {boolean} - True for TOML dates and date strings
+ */
+function isValidDate(value) {
+  if (value instanceof Date) {
+    return !Number.isNaN(value.getTime());
+  }
+  return typeof value === 'string' && DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value.replace(' ', 'T')));
+}
+
+/**
+ * Check a front matter value against a schema type
+ * @param {*} value - Front matter value
+ * @param {string} type - One of SCHEMA_TYPES
+ * @returns {boolean} - Whether the value has the type
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'integer':
+      return Number.isInteger(value);
+    case 'float':
+      return typeof value === 'number';
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'date':
+      return isValidDate(value);
+    case 'array':
+      return Array.isArray(value);
+    default:
+      return isTable(value);
+  }
+}
+
+/**
+ * Look up a dotted key such as extra.cover in parsed front matter
+ * @param {object} frontMatter - Parsed front matter
+ * @param {string} key - Dotted key
+ * @returns {*} - The value, or undefined if it is not set
+ */
+function getValue(frontMatter, key) {
+  return key.split('.').reduce((value, part) => (isTable(value) ? value[part] : undefined), frontMatter);
+}
+
+/**
+ * Read and check the content schemas in a site's config.toml
+ * @param {object} siteToml - Parsed config.toml
+ * @returns {object} - Schemas by section path, each { required, fields, taxonomies }
+ */
+function loadContentSchemas(siteToml) {
+  const extra = isTable(siteToml.extra) ? siteToml.extra : {};
+  const schemas = isTable(extra.ssc) && isTable(extra.ssc.schema) ? extra.ssc.schema : {};
+  
+  return Object.keys(schemas).reduce((result, section) => {
+    const schema = schemas[section];
+    const where = `[extra.ssc.schema.${JSON.stringify(section)}]`;
+    if (!isTable(schema)) {
+      throw new Error(`${where} in config.toml must be a table.`);
+    }
+    
+    const required = schema.required || [];
+    if (!Array.isArray(required) || required.some(key => typeof key !== 'string')) {
+      throw new Error(`"required" in ${where} must be a list of front matter keys.`);
+    }
+    
+    const fields = schema.fields || {};
+    Object.keys(fields).forEach(key => {
+      if (!SCHEMA_TYPES.includes(fields[key])) {
+        throw new Error(`Unknown type "${fields[key]}" for ${key} in ${where}. Use one of ${SCHEMA_TYPES.join(', ')}.`);
+      }
+    });
+    
+    const taxonomies = schema.taxonomies || {};
+    Object.keys(taxonomies).forEach(name => {
+      if (!Array.isArray(taxonomies[name])) {
+        throw new Error(`The allowed ${name} in ${where} must be a list.`);
+      }
+    });
+    
+    const key = section === SCHEMA_WILDCARD ? section : section.replace(/^\/+|\/+$/g, '');
+    return { ...result, [key]: { required, fields, taxonomies } };
+  }, {});
+}
+
+/**
+ * Combine the schemas that apply to a content file
+ * The "*" schema applies everywhere, then the schema of the closest enclosing section.
+ * @param {object} schemas - Schemas by section path
+ * @param {string} section - Section path of the file, e.g. blog/2024 ('' for the root)
+ * @returns {object} - { required, fields, taxonomies }
+ */
+function getSchemaFor(schemas, section) {
+  const parts = section ? section.split('/') : [];
+  const closest = parts
+    .map((part, index) => parts.slice(0, parts.length - index).join('/'))
+    .find(candidate => schemas[candidate]);
+  
+  const applied = [schemas[SCHEMA_WILDCARD], closest ? schemas[closest] : null].filter(Boolean);
+  return applied.reduce((schema, next) => ({
+    required: [...new Set([...schema.required, ...next.required])],
+    fields: { ...schema.fields, ...next.fields },
+    taxonomies: { ...schema.taxonomies, ...next.taxonomies }
+  }), { required: [], fields: {}, taxonomies: {} });
+}
+
+/**
+ * Find the line a front matter key is set on
+ * @param {Array<string>} lines - Lines of the front matter
+ * @param {string} key - Dotted key
+ * @returns {number} - Line number in the file (the front matter starts on line 2), or 1 if not found
+ */
+function findKeyLine(lines, key) {
+  const name = key.split('.').pop();
+  const index = lines.findIndex(line => new RegExp(`^\\s*"?${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}"?\\s*=`).test(line));
+  return index === -1 ? 1 : index + 2;
+}
+
+/**
+ * Blank out code blocks and inline code, keeping the line numbers, so examples are not linted
+ * @param {string} body - Markdown body
+ * @returns {Array<string>} - Lines of the body without code
+ */
+function stripCode(body) {
+  let fence = null;
+  return body.split(/\r?\n/).map(line => {
+    const marker = /^\s*(```+|~~~+)/.exec(line);
+    if (fence) {
+      if (marker && marker[1][0] === fence[0] && marker[1].length >= fence.length) {
+        fence = null;
+      }
+      return '';
+    }
+    if (marker) {
+      fence = marker[1];
+      return '';
+    }
+    return line.replace(/`[^`]*`/g, '');
+  });
+}
+
+/**
+ * Lint one content file
+ * @param {string} filePath - Path to the Markdown file
+ * @param {object} context - { sitePath, schemas, taxonomies } where taxonomies are the names config.toml defines
+ * @returns {Array<object>} - Results as { file, line, severity, rule, message }
+ */
+function lintFile(filePath, { sitePath, schemas, taxonomies }) {
+  const file = path.relative(sitePath, filePath).split(path.sep).join('/');
+  const results = [];
+  const report = (line, severity, rule, message) => results.push({ file, line, severity, rule, message });
+  
+  const content = fs.readFileSync(filePath, 'utf8');
+  const parts = splitFrontMatter(content);
+  if (!parts) {
+    report(1, 'error', 'front-matter', 'Missing TOML front matter between +++ lines.');
+    return results;
+  }
+  
+  const lines = parts.text.split(/\r?\n/);
+  let frontMatter;
+  try {
+    frontMatter = TOML.parse(parts.text);
+  } catch (error) {
+    const line = error.line !== undefined ? error.line + 2 : 1;
+    report(line, 'error', 'front-matter', `Invalid TOML front matter: ${error.message.split('\n')[0].replace(/:$/, '')}`);
+    return results;
+  }
+  
+  const isSection = path.basename(filePath) === '_index.md';
+  const relativeDir = path.relative(path.join(sitePath, CONTENT_DIR), path.dirname(filePath)).split(path.sep).join('/');
+  // A page bundle belongs to the section its directory is in
+  const section = path.basename(filePath) === 'index.md' ? path.posix.dirname(relativeDir).replace(/^\.$/, '') : relativeDir;
+  
+  Object.keys(frontMatter)
+    .filter(key => !(isSection ? SECTION_KEYS : PAGE_KEYS).includes(key))
+    .forEach(key => {
+      report(findKeyLine(lines, key), 'warning', 'unknown-key', `Zola does not read "${key}" in ${isSection ? 'section' : 'page'} front matter; put custom values under [extra].`);
+    });
+  
+  if (frontMatter.title === undefined) {
+    if (!isSection) {
+      report(1, 'warning', 'title', 'The page has no title.');
+    }
+  } else if (typeof frontMatter.title !== 'string' || !frontMatter.title.trim()) {
+    report(findKeyLine(lines, 'title'), 'warning', 'title', 'The title is empty.');
+  }
+  
+  DATE_KEYS.forEach(key => {
+    if (frontMatter[key] !== undefined && !isValidDate(frontMatter[key])) {
+      report(findKeyLine(lines, key), 'error', 'date', `"${key}" is not a date Zola can read; use a TOML date such as 2024-05-01 or 2024-05-01T09:00:00Z.`);
+    }
+  });
+  
+  const pageTaxonomies = isTable(frontMatter.taxonomies) ? frontMatter.taxonomies : {};
+  Object.keys(pageTaxonomies)
+    .filter(name => !taxonomies.includes(name))
+    .forEach(name => {
+      report(findKeyLine(lines, `taxonomies.${name}`), 'error', 'taxonomy', `Taxonomy "${name}" is not defined in config.toml.`);
+    });
+  
+  const schema = getSchemaFor(schemas, section);
+  const where = section ? `the ${section} section` : 'the site root';
+  
+  // Sections only have to follow the schema's types; the required keys are for pages
+  if (!isSection) {
+    schema.required
+      .filter(key => getValue(frontMatter, key) === undefined)
+      .forEach(key => report(1, 'error', 'schema-required', `"${key}" is required for pages in ${where}.`));
+  }
+  
+  Object.keys(schema.fields).forEach(key => {
+    const value = getValue(frontMatter, key);
+    if (value !== undefined && !hasType(value, schema.fields[key])) {
+      report(findKeyLine(lines, key), 'error', 'schema-type', `"${key}" must be a ${schema.fields[key]} in ${where}.`);
+    }
+  });
+  
+  Object.keys(schema.taxonomies).forEach(name => {
+    const values = Array.isArray(pageTaxonomies[name]) ? pageTaxonomies[name] : [];
+    values
+      .filter(value => !schema.taxonomies[name].includes(value))
+      .forEach(value => {
+        report(findKeyLine(lines, `taxonomies.${name}`), 'error', 'schema-taxonomy', `"${value}" is not an allowed ${name} value in ${where}. Allowed: ${schema.taxonomies[name].join(', ')}.`);
+      });
+  });
+  
+  // Body lines start after the closing +++
+  const bodyOffset = content.slice(0, content.length - parts.body.length).split('\n').length - 1;
+  stripCode(parts.body).forEach((line, index) => {
+    const lineNumber = bodyOffset + index + 1;
+    
+    const markdownImages = line.match(/!\[([^\]]*)\]\([^)]*\)/g) || [];
+    markdownImages
+      .filter(image => !/^!\[([^\]]*)\]/.exec(image)[1].trim())
+      .forEach(image => report(lineNumber, 'warning', 'image-alt', `Image ${image} has no alt text.`));
+    
+    const htmlImages = line.match(/<img\b[^>]*>/gi) || [];
+    htmlImages
+      .filter(image => !/\salt\s*=/i.test(image))
+      .forEach(image => report(lineNumber, 'warning', 'image-alt', `Image ${image} has no alt attribute.`));
+  });
+  
+  return results;
+}
+
+/**
+ * Lint every Markdown file under a site's content directory
+ * @param {string} sitePath - Path to the site
+ * @returns {object} - { files, results } with the number of files checked and every result
+ * @throws {Error} - If config.toml or the schemas in it cannot be read
+ */
+function lintSite(sitePath) {
+  let siteToml;
+  try {
+    siteToml = TOML.parse(fs.readFileSync(path.join(sitePath, 'config.toml'), 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read config.toml: ${error.message}`);
+  }
+  
+  const context = {
+    sitePath,
+    schemas: loadContentSchemas(siteToml),
+    taxonomies: (siteToml.taxonomies || []).map(taxonomy => taxonomy.name)
+  };
+  
+  const contentPath = path.join(sitePath, CONTENT_DIR);
+  const files = fs.existsSync(contentPath) ? listContentFiles(contentPath).sort() : [];
+  
+  return {
+    files: files.length,
+    results: files.flatMap(filePath => lintFile(filePath, context))
+  };
+}
+
+/**
+ * Format lint results for people or for CI
+ * github prints workflow commands, which GitHub Actions shows as annotations on the changed lines.
+ * @param {Array<object>} results - Lint results
+ * @param {string} format - text, json or github
+ * @returns {string} - Formatted results
+ */
+function formatResults(results, format = 'text') {
+  if (format === 'json') {
+    return JSON.stringify(results, null, 2);
+  }
+  
+  if (format === 'github') {
+    // Workflow command values escape %, CR and LF; properties also escape : and ,
+    const escapeData = value => value.replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+    const escapeProperty = value => escapeData(value).replace(/:/g, '%3A').replace(/,/g, '%2C');
+    return results
+      .map(result => `::${result.severity} file=${escapeProperty(result.file)},line=${result.line},title=${escapeProperty(result.rule)}::${escapeData(result.message)}`)
+      .join('\n');
+  }
+  
+  return results
+    .map(result => `${result.file}:${result.line}  ${result.severity.padEnd(7)}  ${result.message}  (${result.rule})`)
+    .join('\n');
+}
+
+module.exports = {
+  FORMATS,
+  loadContentSchemas,
+  lintFile,
+  lintSite,
+  formatResults
+};
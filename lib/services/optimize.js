@@ -0,0 +1,467 @@
+/**
+ * Optimize service: minifies the built site, adds AVIF and WebP versions of its images, fingerprints
+ * its static assets and writes compressed copies of its text files, before public/ is uploaded
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const CleanCSS = require('clean-css');
+const { minify: minifyHtml } = require('html-minifier-terser');
+const { minify: minifyJs } = require('terser');
+const logger = require('../utils/logger');
+const { PRECOMPRESS_EXTENSIONS, ENCODING_EXTENSIONS, getContentEncoding } = require('../utils/optimize');
+const { getPageUrl } = require('./check');
+const { scanDirectory } = require('./sync');
+
+const RASTER_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+// Widths of the responsive versions; an image also gets a version at its own width
+const IMAGE_WIDTHS = [480, 960, 1600];
+
+// In order of preference: browsers pick the first <source> whose type they support
+const IMAGE_FORMATS = [
+  { format: 'avif', type: 'image/avif', options: { quality: 50 } },
+  { format: 'webp', type: 'image/webp', options: { quality: 75 } }
+];
+
+// Static assets that get a copy named after their content; pages, feeds and other files keep only their names
+const FINGERPRINT_EXTENSIONS = [
+  '.css', '.js', '.mjs',
+  '.jpg', '.jpeg', '.png', '.gif', '.webp', '.avif', '.svg', '.ico',
+  '.woff', '.woff2', '.ttf', '.otf', '.eot'
+];
+
+// Fingerprinted copies are named like style.1a2b3c4d.css, which the cache rule for them matches
+const FINGERPRINTED_NAME = /\.[0-9a-f]{8}\.[^./]+$/;
+
+const HTML_MINIFY_OPTIONS = {
+  collapseWhitespace: true,
+  conservativeCollapse: true,
+  removeComments: true,
+  removeRedundantAttributes: true,
+  removeScriptTypeAttributes: true,
+  removeStyleLinkTypeAttributes: true,
+  minifyCSS: true,
+  minifyJS: true
+};
+
+/**
+ * Find an attribute of an HTML tag
+ * @param {string} tag - Opening tag
+ * @param {string} name - Attribute name
+ * @returns {string|undefined} - Attribute value as written, or undefined if the tag does not have it
+ */
+function getAttribute(tag, name) {
+  const match = new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)'|([^\\s"'>]+))`, 'i').exec(tag);
+  if (!match) {
+    return undefined;
+  }
+  
+  return match[2] !== undefined ? match[2] : (match[3] !== undefined ? match[3] : match[4]);
+}
+
+/**
+ * Find the file in the built site a link points to
+ * @param {string} link - URL as written in the page or stylesheet
+ * @param {string} fromUrl - URL of the page or stylesheet
+ * @param {URL} base - The site's base URL
+ * @returns {string|null} - Path of the file inside public/, or null for other sites and invalid URLs
+ */
+function getLinkedKey(link, fromUrl, base) {
+  const basePath = base.pathname.replace(/\/+$/, '');
+  
+  let url;
+  try {
+    url = new URL(link.replace(/&amp;/g, '&'), fromUrl);
+  } catch (error) {
+    return null;
+  }
+  if (url.origin !== base.origin) {
+    return null;
+  }
+  
+  try {
+    return decodeURIComponent(basePath && url.pathname.startsWith(`${basePath}/`) ? url.pathname.slice(basePath.length) : url.pathname).replace(/^\/+/, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Insert a content hash before the extension of a link or key, keeping its query and fragment
+ * @param {string} link - URL as written, or a path inside public/
+ * @param {string} hash - Content hash
+ * @returns {string} - Link to the fingerprinted copy
+ */
+function addFingerprint(link, hash) {
+  const end = link.search(/[?#]/);
+  const linkPath = end === -1 ? link : link.slice(0, end);
+  const dot = linkPath.lastIndexOf('.');
+  if (dot <= linkPath.lastIndexOf('/')) {
+    return link;
+  }
+  
+  return `${linkPath.slice(0, dot)}.${hash}${linkPath.slice(dot)}${end === -1 ? '' : link.slice(end)}`;
+}
+
+/**
+ * Point the url() references of a stylesheet at fingerprinted copies
+ * @param {string} css - Stylesheet
+ * @param {string} cssUrl - URL of the stylesheet
+ * @param {URL} base - The site's base URL
+ * @param {Map<string, string>} fingerprints - Content hash by file key
+ * @returns {string} - Stylesheet
+ */
+function rewriteCssLinks(css, cssUrl, base, fingerprints) {
+  return css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/gi, (match, quote, link) => {
+    const hash = fingerprints.get(getLinkedKey(link, cssUrl, base));
+    return hash ? `url(${quote}${addFingerprint(link, hash)}${quote})` : match;
+  });
+}
+
+/**
+ * Point the href, src, srcset and poster attributes of a page at fingerprinted copies
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - URL of the page
+ * @param {URL} base - The site's base URL
+ * @param {Map<string, string>} fingerprints - Content hash by file key
+ * @returns {string} - Page HTML
+ */
+function rewriteHtmlLinks(html, pageUrl, base, fingerprints) {
+  const rewrite = link => {
+    const hash = fingerprints.get(getLinkedKey(link, pageUrl, base));
+    return hash ? addFingerprint(link, hash) : link;
+  };
+  
+  return html.replace(/<[a-z][^>]*>/gi, tag => tag.replace(
+    /(\s(href|src|srcset|poster)\s*=\s*)("[^"]*"|'[^']*'|[^\s"'>]+)/gi,
+    (match, prefix, name, value) => {
+      const quote = /^["']/.test(value) ? value[0] : '';
+      const link = quote ? value.slice(1, -1) : value;
+      
+      // srcset holds candidates separated by commas, each a URL and an optional width or density
+      const rewritten = name.toLowerCase() === 'srcset' ?
+        link.split(',').map(candidate => candidate.replace(/^(\s*)(\S+)/, (whole, space, url) => `${space}${rewrite(url)}`)).join(',') :
+        rewrite(link);
+      return `${prefix}${quote}${rewritten}${quote}`;
+    }
+  ));
+}
+
+/**
+ * Write a copy of every static asset named after its content and link the pages to the copies
+ * The originals stay, so links from other sites and from scripts keep working.
+ * @param {string} publicDir - Directory of the built site
+ * @param {URL} base - The site's base URL
+ * @returns {number} - Number of fingerprinted assets
+ */
+function fingerprintAssets(publicDir, base) {
+  const assets = scanDirectory(publicDir).filter(file =>
+    FINGERPRINT_EXTENSIONS.includes(path.extname(file.key).toLowerCase()) && !FINGERPRINTED_NAME.test(file.key)
+  );
+  const fingerprints = new Map();
+  const writeCopy = (file, content) => {
+    const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, 8);
+    fs.writeFileSync(path.join(publicDir, addFingerprint(file.key, hash)), content);
+    fingerprints.set(file.key, hash);
+  };
+  
+  // Stylesheets link to fonts and images, so they are hashed with those links already rewritten
+  const isCss = file => path.extname(file.key).toLowerCase() === '.css';
+  assets.filter(file => !isCss(file)).forEach(file => writeCopy(file, fs.readFileSync(file.filePath)));
+  assets.filter(isCss).forEach(file => {
+    const css = fs.readFileSync(file.filePath, 'utf8');
+    writeCopy(file, rewriteCssLinks(css, getPageUrl(base, file.key), base, fingerprints));
+  });
+  
+  scanDirectory(publicDir)
+    .filter(file => path.extname(file.key).toLowerCase() === '.html')
+    .forEach(file => {
+      const html = fs.readFileSync(file.filePath, 'utf8');
+      fs.writeFileSync(file.filePath, rewriteHtmlLinks(html, getPageUrl(base, file.key), base, fingerprints));
+    });
+  
+  return fingerprints.size;
+}
+
+/**
+ * Write the AVIF and WebP versions of one image
+ * @param {Function} sharp - The sharp module
+ * @param {string} publicDir - Directory of the built site
+ * @param {object} file - Image from scanDirectory
+ * @returns {Promise<object>} - Versions by format, each a list of { key, width } from narrow to wide
+ */
+async function createImageVersions(sharp, publicDir, file) {
+  const { width } = await sharp(file.filePath).metadata();
+  const widths = [...IMAGE_WIDTHS.filter(candidate => candidate < width), width];
+  const base = file.key.slice(0, -path.extname(file.key).length);
+  
+  const versions = {};
+  for (const { format, options } of IMAGE_FORMATS) {
+    versions[format] = [];
+    for (const versionWidth of widths) {
+      const key = `${base}-${versionWidth}w.${format}`;
+      await sharp(file.filePath)
+        .resize({ width: versionWidth, withoutEnlargement: true })
+        .toFormat(format, options)
+        .toFile(path.join(publicDir, key));
+      versions[format].push({ key, width: versionWidth });
+    }
+  }
+  
+  return versions;
+}
+
+/**
+ * Wrap the images of a page that have AVIF and WebP versions in a <picture> with a srcset per format
+ * Images that already have a srcset or sit in a <picture> are left as the templates wrote them.
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - URL of the page
+ * @param {URL} base - The site's base URL
+ * @param {Map<string, object>} images - Versions by image key (see createImageVersions)
+ * @returns {string} - Page HTML
+ */
+function rewriteImages(html, pageUrl, base, images) {
+  return html.replace(/<picture\b[\s\S]*?<\/picture\s*>|<img\b[^>]*>/gi, tag => {
+    if (/^<picture/i.test(tag) || getAttribute(tag, 'srcset') !== undefined) {
+      return tag;
+    }
+    
+    const src = getAttribute(tag, 'src');
+    if (!src) {
+      return tag;
+    }
+    
+    const versions = images.get(getLinkedKey(src, pageUrl, base));
+    if (!versions) {
+      return tag;
+    }
+    
+    // Versions are linked the way the original was: with the full URL, or from the root.
+    // Commas separate srcset candidates, so they cannot stay in the URL as they are.
+    const url = new URL(src.replace(/&amp;/g, '&'), pageUrl);
+    const absolute = /^[a-z][a-z0-9+.-]*:/i.test(src) || src.startsWith('//');
+    const link = version => {
+      const versionUrl = new URL(path.posix.basename(version.key), url);
+      return (absolute ? versionUrl.href : versionUrl.pathname).replace(/,/g, '%2C');
+    };
+    const sizes = getAttribute(tag, 'sizes');
+    const sources = IMAGE_FORMATS.map(({ format, type }) => {
+      const srcset = versions[format].map(version => `${link(version)} ${version.width}w`).join(', ');
+      return `<source type="${type}" srcset="${srcset}"${sizes !== undefined ? ` sizes="${sizes}"` : ''}>`;
+    });
+    
+    return `<picture>${sources.join('')}${tag}</picture>`;
+  });
+}
+
+/**
+ * Minify one CSS or JavaScript file
+ * @param {string} key - Path of the file inside public/
+ * @param {string} content - File contents
+ * @returns {Promise<string>} - Minified contents
+ */
+async function minifyAsset(key, content) {
+  if (path.extname(key) === '.css') {
+    const output = new CleanCSS({ level: 2 }).minify(content);
+    if (output.errors.length > 0) {
+      throw new Error(output.errors[0]);
+    }
+    return output.styles;
+  }
+  
+  const output = await minifyJs(content, { module: path.extname(key) === '.mjs' });
+  return output.code;
+}
+
+/**
+ * Add up file sizes by type
+ * @param {Array<object>} files - Files from scanDirectory
+ * @returns {Map<string, object>} - { files, size } by extension, without the compressed and fingerprinted copies
+ */
+function totalsByType(files) {
+  const totals = new Map();
+  files
+    .filter(file => !getContentEncoding(file.key) && !FINGERPRINTED_NAME.test(file.key))
+    .forEach(file => {
+      const type = path.extname(file.key).slice(1).toLowerCase() || '(none)';
+      const total = totals.get(type) || { files: 0, size: 0 };
+      totals.set(type, { files: total.files + 1, size: total.size + file.size });
+    });
+  
+  return totals;
+}
+
+/**
+ * Run the optimization stages on a built site
+ * Files that cannot be optimized are left as they are, with a warning.
+ * @param {string} publicDir - Directory of the built site
+ * @param {object} options - { baseUrl, minify, images, precompress, fingerprint }
+ * @returns {Promise<object|null>} - { rows, compressed, fingerprinted } for the size report, or null if optimization failed
+ */
+async function optimizeSite(publicDir, options) {
+  const base = new URL(options.baseUrl.endsWith('/') ? options.baseUrl : `${options.baseUrl}/`);
+  const warnings = [];
+  
+  try {
+    if (!fs.existsSync(publicDir)) {
+      throw new Error(`Directory ${publicDir} does not exist. Build the site first.`);
+    }
+    
+    const built = scanDirectory(publicDir);
+    const before = totalsByType(built);
+    const files = built.filter(file => !getContentEncoding(file.key));
+    
+    const images = new Map();
+    if (options.images) {
+      const rasters = files.filter(file => RASTER_EXTENSIONS.includes(path.extname(file.key).toLowerCase()));
+      logger.startSpinner(`Creating AVIF and WebP versions of ${rasters.length} images...`);
+      // sharp ships a native binary, so it is only loaded when there are images to convert
+      const sharp = rasters.length > 0 ? require('sharp') : null;
+      for (const file of rasters) {
+        try {
+          images.set(file.key, await createImageVersions(sharp, publicDir, file));
+        } catch (error) {
+          warnings.push(`${file.key}: ${error.message}`);
+        }
+      }
+      logger.succeed(`Created AVIF and WebP versions of ${images.size} images`);
+    }
+    
+    if (options.images || options.minify) {
+      logger.startSpinner(options.minify ? 'Minifying HTML, CSS and JavaScript...' : 'Adding image versions to pages...');
+      for (const file of files) {
+        const extension = path.extname(file.key).toLowerCase();
+        const isHtml = extension === '.html';
+        const isAsset = options.minify && ['.css', '.js', '.mjs'].includes(extension) && !/\.min\.m?js$/.test(file.key);
+        if (!isHtml && !isAsset) {
+          continue;
+        }
+        
+        try {
+          let content = fs.readFileSync(file.filePath, 'utf8');
+          if (isHtml && images.size > 0) {
+            content = rewriteImages(content, getPageUrl(base, file.key), base, images);
+          }
+          if (isHtml && options.minify) {
+            content = await minifyHtml(content, HTML_MINIFY_OPTIONS);
+          }
+          if (isAsset) {
+            content = await minifyAsset(file.key, content);
+          }
+          fs.writeFileSync(file.filePath, content);
+        } catch (error) {
+          warnings.push(`${file.key}: ${error.message}`);
+        }
+      }
+      logger.succeed(options.minify ? 'Minified HTML, CSS and JavaScript' : 'Added image versions to pages');
+    }
+    
+    // After minifying, so the hashes are of what is uploaded, and before compressing, so the copies get compressed too
+    let fingerprinted = 0;
+    if (options.fingerprint) {
+      logger.startSpinner('Fingerprinting static assets...');
+      fingerprinted = fingerprintAssets(publicDir, base);
+      logger.succeed(`Fingerprinted ${fingerprinted} static assets`);
+    }
+    
+    // Every file of these types needs its copies, as the CloudFront function asks for them without checking
+    const compressed = { br: 0, gzip: 0 };
+    if (options.precompress) {
+      const textFiles = scanDirectory(publicDir)
+        .filter(file => PRECOMPRESS_EXTENSIONS.includes(path.extname(file.key).toLowerCase()));
+      logger.startSpinner(`Compressing ${textFiles.length} text files...`);
+      textFiles.forEach(file => {
+        const content = fs.readFileSync(file.filePath);
+        const copies = {
+          '.br': zlib.brotliCompressSync(content, {
+            params: {
+              [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT,
+              [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+              [zlib.constants.BROTLI_PARAM_SIZE_HINT]: content.length
+            }
+          }),
+          '.gz': zlib.gzipSync(content, { level: zlib.constants.Z_BEST_COMPRESSION })
+        };
+        Object.keys(copies).forEach(suffix => {
+          fs.writeFileSync(`${file.filePath}${suffix}`, copies[suffix]);
+          compressed[ENCODING_EXTENSIONS[suffix]] += copies[suffix].length;
+        });
+      });
+      logger.succeed(`Compressed ${textFiles.length} text files`);
+    }
+    
+    warnings.forEach(warning => logger.warn(`Left as it is: ${warning}`));
+    
+    const after = totalsByType(scanDirectory(publicDir));
+    const types = [...new Set([...before.keys(), ...after.keys()])].sort();
+    const rows = types.map(type => ({
+      type,
+      files: (after.get(type) || before.get(type)).files,
+      before: (before.get(type) || { size: 0 }).size,
+      after: (after.get(type) || { size: 0 }).size
+    }));
+    
+    return { rows, compressed, fingerprinted, warnings };
+  } catch (error) {
+    logger.fail('Failed to optimize the built site');
+    logger.error(error.message);
+    return null;
+  }
+}
+
+/**
+ * Format a size in bytes for the report
+ * @param {number} bytes - Size
+ * @returns {string} - Size in B, KB or MB
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Format the size report: before and after totals per file type
+ * @param {object} report - Result of optimizeSite
+ * @returns {string} - Report table
+ */
+function formatReport({ rows, compressed, fingerprinted }) {
+  const change = row => {
+    if (row.before === 0) {
+      return 'new';
+    }
+    const percent = Math.round(((row.after - row.before) / row.before) * 100);
+    return `${percent > 0 ? '+' : ''}${percent}%`;
+  };
+  
+  const total = rows.reduce((sum, row) => ({ before: sum.before + row.before, after: sum.after + row.after }), { before: 0, after: 0 });
+  const lines = [
+    ['Type', 'Files', 'Before', 'After', 'Change'],
+    ...rows.map(row => [row.type, String(row.files), formatSize(row.before), formatSize(row.after), change(row)]),
+    ['total', String(rows.reduce((sum, row) => sum + row.files, 0)), formatSize(total.before), formatSize(total.after), change(total)]
+  ];
+  
+  const widths = lines[0].map((heading, column) => Math.max(...lines.map(line => line[column].length)));
+  const table = lines.map(line => line.map((cell, column) => (column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column]))).join('  '));
+  
+  const notes = [];
+  if (fingerprinted > 0) {
+    notes.push(`Fingerprinted copies of ${fingerprinted} static assets, linked from every page`);
+  }
+  if (compressed.br > 0) {
+    notes.push(`Compressed copies of text files: ${formatSize(compressed.br)} Brotli, ${formatSize(compressed.gzip)} gzip`);
+  }
+  
+  return [...table, ...(notes.length > 0 ? ['', ...notes] : [])].join('\n');
+}
+
+module.exports = {
+  rewriteImages,
+  rewriteHtmlLinks,
+  optimizeSite,
+  formatReport
+};
@@ -0,0 +1,1030 @@
+/**
+ * Plan service for computing, diffing and applying a site's infrastructure
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { structuredPatch } = require('diff');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { resolveDomains, getParentDomain } = require('../utils/domains');
+const { resolveErrorPages } = require('../utils/error-pages');
+const { resolveHeaders, listHeaders } = require('../utils/headers');
+const awsService = require('./aws');
+const githubService = require('./github');
+
+// Stands in for values that only exist once an earlier step of the plan has been applied
+const KNOWN_AFTER_APPLY = '(known after apply)';
+
+const PLAN_VERSION = 1;
+
+/**
+ * Resource definitions, in the order they are planned and applied.
+ * Each definition looks up the current state (read-only), builds the desired state from the
+ * plan inputs and the ids gathered so far, and knows how to create or update the resource.
+ */
+const RESOURCES = [
+  {
+    type: 'github-repository',
+    enabled: ({ inputs }) => Boolean(inputs.githubUsername && inputs.repo),
+    name: ({ inputs }) => `${inputs.githubUsername}/${inputs.repo}`,
+    lookup: async ({ inputs }) => {
+      const repo = await githubService.getRepository(inputs.githubUsername, inputs.repo);
+      return repo ? { fullName: repo.full_name, htmlUrl: repo.html_url } : null;
+    },
+    desired: ({ inputs }) => ({
+      fullName: `${inputs.githubUsername}/${inputs.repo}`
+    }),
+    state: () => ({}),
+    // Creating the repository also pushes the site, which is what setup-github does
+    apply: async (context) => {
+      const siteConfig = await context.setupGithub({
+        name: context.siteName,
+        githubUsername: context.inputs.githubUsername,
+        repo: context.inputs.repo
+      });
+      return siteConfig ? {} : null;
+    }
+  },
+  {
+    type: 's3-bucket',
+    enabled: () => true,
+    name: ({ inputs }) => inputs.bucketName,
+    lookup: ({ inputs, clients }) => awsService.findS3Bucket(clients.s3, inputs.bucketName),
+    desired: ({ inputs }) => ({
+      bucketName: inputs.bucketName
+    }),
+    state: current => ({ bucketArn: current.bucketArn }),
+    apply: async ({ siteName, inputs, clients }) => {
+      const tags = inputs.environment ?
+        { 'ssc:site': siteName, 'ssc:environment': inputs.environment } :
+        { 'ssc:site': siteName };
+      const bucket = await awsService.createS3Bucket(clients.s3, inputs.bucketName, tags);
+      return bucket ? { bucketArn: bucket.bucketArn } : null;
+    },
+    record: (state, { inputs }) => ({
+      s3BucketName: inputs.bucketName,
+      s3BucketArn: state.bucketArn
+    })
+  },
+  {
+    type: 's3-bucket-security',
+    enabled: () => true,
+    name: ({ inputs }) => inputs.bucketName,
+    lookup: async ({ inputs, clients }, state) => {
+      if (!state.bucketArn) {
+        return null;
+      }
+      return awsService.getBucketSecurity(clients.s3, inputs.bucketName);
+    },
+    desired: () => ({
+      publicAccessBlock: {
+        BlockPublicAcls: true,
+        IgnorePublicAcls: true,
+        BlockPublicPolicy: true,
+        RestrictPublicBuckets: true
+      },
+      encrypted: true
+    }),
+    state: () => ({}),
+    apply: async ({ inputs, clients }) => {
+      const secured = await awsService.configureBucketSecurity(clients.s3, inputs.bucketName);
+      return secured ? {} : null;
+    }
+  },
+  {
+    type: 'route53-hosted-zone',
+    enabled: ({ inputs }) => Boolean(inputs.domain),
+    name: ({ inputs }) => inputs.domain,
+    lookup: async ({ siteConfig, inputs, clients }) => {
+      // A delegated subdomain needs a zone of its own; otherwise any zone that holds the domain will do
+      const fitsDomain = zone => inputs.delegateZone ?
+        inputs.domain === zone.zoneName :
+        inputs.domain === zone.zoneName || inputs.domain.endsWith(`.${zone.zoneName}`);
+      
+      if (siteConfig.route53HostedZoneId) {
+        const zone = await awsService.getHostedZone(clients.route53, siteConfig.route53HostedZoneId);
+        if (zone && fitsDomain(zone)) {
+          return zone;
+        }
+      }
+      // A subdomain shares the closest zone above it, unless it is delegated to its own
+      return inputs.delegateZone ?
+        awsService.findHostedZone(clients.route53, inputs.domain) :
+        awsService.findEnclosingHostedZone(clients.route53, inputs.domain);
+    },
+    desired: ({ inputs }, state) => ({
+      zoneName: state.zoneName || inputs.domain
+    }),
+    state: current => ({
+      hostedZoneId: current.hostedZoneId,
+      zoneName: current.zoneName,
+      nameServers: current.nameServers
+    }),
+    apply: async ({ inputs, clients }) => {
+      const zone = await awsService.createHostedZone(clients.route53, inputs.domain);
+      if (zone && !inputs.delegateZone) {
+        logger.info('Please update your domain registrar NS records with the nameservers listed above (for a subdomain, add NS records where the parent domain\'s DNS is hosted).');
+      }
+      return zone ? {
+        hostedZoneId: zone.hostedZoneId,
+        zoneName: zone.zoneName,
+        nameServers: zone.nameServers,
+        hostedZoneCreated: true
+      } : null;
+    },
+    // destroy only deletes a zone the site owns: one created here, or one already recorded as created
+    record: (state, { siteConfig }) => ({
+      route53HostedZoneId: state.hostedZoneId,
+      route53HostedZoneName: state.zoneName,
+      route53HostedZoneCreated: Boolean(state.hostedZoneCreated) ||
+        (siteConfig.route53HostedZoneCreated === true && siteConfig.route53HostedZoneId === state.hostedZoneId)
+    })
+  },
+  {
+    type: 'route53-zone-delegation',
+    enabled: ({ inputs }) => Boolean(inputs.domain && inputs.delegateZone),
+    name: ({ inputs }) => inputs.domain,
+    lookup: async (context, state) => {
+      state.parentHostedZoneId = await findParentZoneId(context);
+      if (!state.parentHostedZoneId) {
+        // Delegated by hand where the parent domain is hosted, so there is nothing to plan
+        logger.warn(`No Route53 hosted zone holds the parent of "${context.inputs.domain}". Add its NS records where the parent domain's DNS is hosted.`);
+        return {};
+      }
+      
+      const record = await awsService.getZoneDelegation(
+        context.clients.route53,
+        state.parentHostedZoneId,
+        context.inputs.domain
+      );
+      return record ? {
+        parentHostedZoneId: state.parentHostedZoneId,
+        nameServers: listNameServers(record.ResourceRecords.map(item => item.Value))
+      } : null;
+    },
+    prepare: async (context, state) => {
+      state.parentHostedZoneId = await findParentZoneId(context);
+    },
+    desired: (context, state) => (state.parentHostedZoneId ? {
+      nameServers: state.nameServers ? listNameServers(state.nameServers) : KNOWN_AFTER_APPLY
+    } : {}),
+    state: current => ({ parentHostedZoneId: current.parentHostedZoneId }),
+    apply: async ({ inputs, clients }, state) => {
+      const delegated = await awsService.createZoneDelegation(
+        clients.route53,
+        state.parentHostedZoneId,
+        inputs.domain,
+        state.nameServers
+      );
+      return delegated ? {} : null;
+    },
+    record: state => ({
+      route53ParentHostedZoneId: state.parentHostedZoneId
+    })
+  },
+  {
+    type: 'acm-certificate',
+    enabled: ({ inputs }) => Boolean(inputs.domain),
+    name: ({ inputs }) => inputs.domain,
+    lookup: async ({ siteConfig, inputs, clients }) => {
+      if (siteConfig.acmCertificateArn) {
+        const certificate = await awsService.getCertificate(clients.acm, siteConfig.acmCertificateArn);
+        const usable = certificate &&
+          certificate.domainName === inputs.domain &&
+          awsService.certificateCoversDomains(certificate.alternativeNames, resolveDomains(inputs).domainNames) &&
+          ['ISSUED', 'PENDING_VALIDATION'].includes(certificate.status);
+        if (usable) {
+          return certificate;
+        }
+      }
+      // A certificate that misses one of the aliases is replaced by a new one
+      return awsService.findCertificate(clients.acm, inputs.domain, resolveDomains(inputs).domainNames.slice(1));
+    },
+    desired: ({ inputs }) => ({
+      domainName: inputs.domain,
+      status: 'ISSUED'
+    }),
+    state: current => ({ certificateArn: current.certificateArn }),
+    // Request the certificate if needed, then validate it through DNS and wait for it to be issued
+    apply: async ({ inputs, clients }, state) => {
+      let certificateArn = state.certificateArn;
+      if (!certificateArn) {
+        const certificate = await awsService.requestCertificate(
+          clients.acm,
+          inputs.domain,
+          resolveDomains(inputs).domainNames.slice(1)
+        );
+        if (!certificate) {
+          return null;
+        }
+        certificateArn = certificate.certificateArn;
+      }
+      
+      if (state.hostedZoneId) {
+        const validationRecords = await awsService.getCertificateValidationRecords(clients.acm, certificateArn);
+        if (validationRecords) {
+          await awsService.createDnsValidationRecordsByZone(clients.route53, validationRecords);
+        }
+      }
+      
+      const validated = await awsService.waitForCertificateValidation(clients.acm, certificateArn);
+      if (!validated) {
+        logger.warn('The certificate is not issued yet. Run "ssc plan" again once it is validated.');
+        return null;
+      }
+      
+      return { certificateArn };
+    },
+    record: state => ({
+      acmCertificateArn: state.certificateArn
+    })
+  },
+  {
+    type: 'cloudfront-function',
+    enabled: () => true,
+    name: context => context.siteConfig.cloudfrontFunctionName || `${getResourcePrefix(context)}-redirect-function`,
+    lookup: async (context) => {
+      const functionName = context.resourceName;
+      const fn = await awsService.findCloudfrontFunction(context.clients.cloudfront, functionName);
+      if (!fn) {
+        return null;
+      }
+      
+      const code = fn.published ?
+        await awsService.getPublishedCloudfrontFunctionCode(context.clients.cloudfront, functionName) :
+        null;
+      return { ...fn, code };
+    },
+    desired: context => ({
+      functionName: context.resourceName,
+      published: true,
+      code: awsService.getCloudfrontFunctionCode(getFunctionCodeOptions(context.inputs))
+    }),
+    state: current => ({ functionArn: current.functionArn }),
+    apply: async ({ resourceName, inputs, clients }, state, resource) => {
+      const fn = resource.action === 'create' ?
+        await awsService.createCloudfrontFunction(clients.cloudfront, resourceName, getFunctionCodeOptions(inputs)) :
+        await awsService.updateCloudfrontFunction(clients.cloudfront, resourceName, getFunctionCodeOptions(inputs));
+      return fn ? { functionArn: fn.functionArn } : null;
+    },
+    record: (state, { resourceName }) => ({
+      cloudfrontFunctionName: resourceName,
+      cloudfrontFunctionArn: state.functionArn
+    })
+  },
+  {
+    type: 'cloudfront-origin-access-control',
+    enabled: () => true,
+    name: context => `${getResourcePrefix(context)}-oac`,
+    lookup: ({ resourceName, clients }) => awsService.findOriginAccessControl(clients.cloudfront, resourceName),
+    desired: ({ resourceName }) => ({
+      name: resourceName,
+      signingProtocol: 'sigv4',
+      signingBehavior: 'always',
+      originType: 's3'
+    }),
+    state: current => ({ originAccessControlId: current.originAccessControlId }),
+    apply: async ({ resourceName, clients }, state, resource) => {
+      if (resource.action === 'update') {
+        const updated = await awsService.updateOriginAccessControl(
+          clients.cloudfront,
+          state.originAccessControlId,
+          resourceName
+        );
+        return updated ? {} : null;
+      }
+      
+      const originAccessControl = await awsService.createOriginAccessControl(clients.cloudfront, resourceName);
+      return originAccessControl ? { originAccessControlId: originAccessControl.originAccessControlId } : null;
+    },
+    record: state => ({
+      cloudfrontOriginAccessControlId: state.originAccessControlId
+    })
+  },
+  {
+    type: 'cloudfront-response-headers-policy',
+    enabled: () => true,
+    name: context => `${getResourcePrefix(context)}-headers`,
+    lookup: async ({ siteConfig, resourceName, clients }) => {
+      let policy = siteConfig.cloudfrontResponseHeadersPolicyId ?
+        await awsService.getResponseHeadersPolicy(clients.cloudfront, siteConfig.cloudfrontResponseHeadersPolicyId) :
+        null;
+      if (!policy) {
+        policy = await awsService.findResponseHeadersPolicy(clients.cloudfront, resourceName);
+      }
+      return policy ? {
+        responseHeadersPolicyId: policy.responseHeadersPolicyId,
+        headers: listHeaders(awsService.readResponseHeadersPolicyHeaders(policy.config))
+      } : null;
+    },
+    // Built through the policy format so values are spelled the way CloudFront reports them
+    desired: ({ resourceName, inputs }) => ({
+      headers: listHeaders(awsService.readResponseHeadersPolicyHeaders(
+        awsService.buildResponseHeadersPolicyConfig(resourceName, resolveHeaders(inputs))
+      ))
+    }),
+    state: current => ({ responseHeadersPolicyId: current.responseHeadersPolicyId }),
+    apply: async ({ resourceName, inputs, clients }, state, resource) => {
+      if (resource.action === 'update') {
+        const updated = await awsService.updateResponseHeadersPolicy(
+          clients.cloudfront,
+          state.responseHeadersPolicyId,
+          resourceName,
+          resolveHeaders(inputs)
+        );
+        return updated ? {} : null;
+      }
+      
+      const policy = await awsService.createResponseHeadersPolicy(clients.cloudfront, resourceName, resolveHeaders(inputs));
+      return policy ? { responseHeadersPolicyId: policy.responseHeadersPolicyId } : null;
+    },
+    record: state => ({
+      cloudfrontResponseHeadersPolicyId: state.responseHeadersPolicyId
+    })
+  },
+  {
+    type: 'cloudfront-distribution',
+    enabled: () => true,
+    name: ({ inputs }) => inputs.domain || inputs.bucketName,
+    lookup: async ({ siteConfig, inputs, clients }) => {
+      const distribution = await awsService.findCloudFrontDistribution(clients.cloudfront, {
+        distributionId: siteConfig.cloudfrontDistributionId,
+        domainName: inputs.domain,
+        bucketName: inputs.bucketName
+      });
+      if (!distribution) {
+        return null;
+      }
+      
+      const distributionConfig = await awsService.getCloudFrontDistributionConfig(
+        clients.cloudfront,
+        distribution.distributionId
+      );
+      return { ...distribution, config: distributionConfig };
+    },
+    desired: ({ inputs }, state) => ({
+      config: awsService.buildDistributionConfig(
+        inputs.bucketName,
+        inputs.domain,
+        inputs.domain ? state.certificateArn || KNOWN_AFTER_APPLY : null,
+        state.functionArn || KNOWN_AFTER_APPLY,
+        {
+          // Deploys and rollbacks move the origin path; the plan keeps whatever is live
+          originPath: state.originPath || '',
+          originAccessControlId: state.originAccessControlId || KNOWN_AFTER_APPLY,
+          errorPages: resolveErrorPages(inputs),
+          responseHeadersPolicyId: state.responseHeadersPolicyId || KNOWN_AFTER_APPLY,
+          aliases: resolveDomains(inputs).domainNames.slice(1)
+        }
+      )
+    }),
+    state: current => ({
+      distributionId: current.distributionId,
+      distributionArn: current.distributionArn,
+      distributionDomain: current.distributionDomain,
+      originPath: current.config.Origins.Items[0].OriginPath || ''
+    }),
+    apply: async ({ inputs, clients }, state, resource, desired) => {
+      if (resource.action === 'update') {
+        const updated = await awsService.updateCloudFrontDistribution(
+          clients.cloudfront,
+          state.distributionId,
+          desired.config
+        );
+        return updated ? {} : null;
+      }
+      
+      const distribution = await awsService.createCloudFrontDistribution(
+        clients.cloudfront,
+        inputs.bucketName,
+        inputs.domain,
+        inputs.domain ? state.certificateArn : null,
+        state.functionArn,
+        {
+          originAccessControlId: state.originAccessControlId,
+          errorPages: resolveErrorPages(inputs),
+          responseHeadersPolicyId: state.responseHeadersPolicyId,
+          aliases: resolveDomains(inputs).domainNames.slice(1)
+        }
+      );
+      return distribution ? {
+        distributionId: distribution.distributionId,
+        distributionArn: distribution.distributionArn,
+        distributionDomain: distribution.distributionDomain
+      } : null;
+    },
+    record: state => ({
+      cloudfrontDistributionId: state.distributionId,
+      cloudfrontDistributionArn: state.distributionArn,
+      cloudfrontDomain: state.distributionDomain
+    })
+  },
+  {
+    type: 's3-bucket-policy',
+    enabled: () => true,
+    name: ({ inputs }) => inputs.bucketName,
+    lookup: async ({ inputs, clients }) => {
+      const policy = await awsService.getS3BucketPolicy(clients.s3, inputs.bucketName);
+      return policy ? { policy } : null;
+    },
+    desired: ({ inputs }, state) => ({
+      policy: awsService.buildBucketPolicy(inputs.bucketName, state.distributionArn || KNOWN_AFTER_APPLY)
+    }),
+    state: () => ({}),
+    apply: async ({ inputs, clients }, state) => {
+      const updated = await awsService.updateS3BucketPolicy(clients.s3, inputs.bucketName, state.distributionArn);
+      return updated ? {} : null;
+    }
+  },
+  {
+    type: 'route53-records',
+    enabled: ({ inputs }) => Boolean(inputs.domain),
+    name: ({ inputs }) => resolveDomains(inputs).domainNames.join(', '),
+    lookup: async (context, state) => {
+      state.recordZoneIds = await findRecordZoneIds(context, state);
+      
+      const records = [];
+      for (const [domainName, zoneId] of Object.entries(state.recordZoneIds)) {
+        if (zoneId && zoneId !== KNOWN_AFTER_APPLY) {
+          records.push(...await awsService.getDnsRecords(context.clients.route53, zoneId, domainName));
+        }
+      }
+      return records.length > 0 ? { records } : null;
+    },
+    // The site's hosted zone may only exist once the plan has been applied
+    prepare: async (context, state) => {
+      state.recordZoneIds = await findRecordZoneIds(context, state);
+    },
+    desired: (context, state) => ({
+      records: Object.keys(state.recordZoneIds)
+        .filter(domainName => state.recordZoneIds[domainName])
+        .flatMap(domainName => awsService.buildCloudFrontDnsRecords(
+          domainName,
+          state.distributionDomain || KNOWN_AFTER_APPLY
+        ))
+    }),
+    state: () => ({}),
+    apply: async ({ clients }, state) => {
+      for (const [domainName, zoneId] of Object.entries(state.recordZoneIds)) {
+        if (!zoneId) {
+          continue;
+        }
+        const created = await awsService.createCloudFrontDnsRecords(
+          clients.route53,
+          zoneId,
+          domainName,
+          state.distributionDomain
+        );
+        if (!created) {
+          return null;
+        }
+      }
+      return {};
+    }
+  },
+  {
+    type: 'iam-policy',
+    enabled: ({ inputs }) => Boolean(inputs.githubUsername && inputs.repo),
+    name: context => `${getResourcePrefix(context)}-deploy-policy`,
+    lookup: async ({ resourceName, clients }) => {
+      const policy = await awsService.findIamPolicy(clients.iam, resourceName);
+      if (!policy) {
+        return null;
+      }
+      const document = await awsService.getIamPolicyDocument(clients.iam, policy.policyArn);
+      return { ...policy, document };
+    },
+    desired: ({ inputs }, state) => ({
+      document: awsService.buildDeployPolicyDocument(
+        `arn:aws:s3:::${inputs.bucketName}`,
+        state.distributionArn || KNOWN_AFTER_APPLY
+      )
+    }),
+    state: current => ({ policyArn: current.policyArn }),
+    apply: async ({ resourceName, inputs, clients }, state, resource) => {
+      const bucketArn = `arn:aws:s3:::${inputs.bucketName}`;
+      
+      if (resource.action === 'update') {
+        const updated = await awsService.updateIamPolicy(clients.iam, state.policyArn, bucketArn, state.distributionArn);
+        return updated ? {} : null;
+      }
+      
+      const policy = await awsService.createIamPolicy(clients.iam, resourceName, bucketArn, state.distributionArn);
+      return policy ? { policyArn: policy.policyArn } : null;
+    },
+    record: state => ({
+      iamPolicyArn: state.policyArn
+    })
+  },
+  {
+    type: 'iam-role',
+    enabled: ({ inputs }) => Boolean(inputs.githubUsername && inputs.repo),
+    name: context => `${getResourcePrefix(context)}-github-actions-role`,
+    lookup: async ({ resourceName, clients }, state) => {
+      state.providerArn = await awsService.findGithubOidcProvider(clients.iam);
+      
+      const role = await awsService.findIamRole(clients.iam, resourceName);
+      if (!role) {
+        return null;
+      }
+      return {
+        roleArn: role.roleArn,
+        trustPolicy: role.trustPolicy,
+        attachedPolicyArn: state.policyArn && role.policyArns.includes(state.policyArn) ? state.policyArn : null
+      };
+    },
+    // The trust policy names the OIDC provider, which apply creates if it is missing
+    prepare: async ({ clients }, state) => {
+      state.providerArn = await awsService.createOrGetGithubOidcProvider(clients.iam);
+    },
+    desired: ({ inputs }, state) => ({
+      trustPolicy: awsService.buildGithubTrustPolicyDocument(
+        state.providerArn || KNOWN_AFTER_APPLY,
+        `${inputs.githubUsername}/${inputs.repo}`,
+        inputs.environment
+      ),
+      attachedPolicyArn: state.policyArn || KNOWN_AFTER_APPLY
+    }),
+    state: current => ({ roleArn: current.roleArn }),
+    apply: async ({ resourceName, inputs, clients }, state, resource) => {
+      const githubRepo = `${inputs.githubUsername}/${inputs.repo}`;
+      
+      if (resource.action === 'update') {
+        const updated = await awsService.updateIamRole(
+          clients.iam,
+          resourceName,
+          state.policyArn,
+          githubRepo,
+          inputs.environment
+        );
+        return updated ? {} : null;
+      }
+      
+      const role = await awsService.createIamRole(
+        clients.iam,
+        resourceName,
+        state.policyArn,
+        githubRepo,
+        inputs.environment
+      );
+      return role ? { roleArn: role.roleArn } : null;
+    },
+    record: (state, { resourceName }) => ({
+      iamRoleName: resourceName,
+      iamRoleArn: state.roleArn
+    })
+  },
+  {
+    type: 'github-environment',
+    enabled: ({ inputs }) => Boolean(inputs.githubUsername && inputs.repo && inputs.environment),
+    name: ({ inputs }) => inputs.environment,
+    lookup: async ({ inputs }) => {
+      const environment = await githubService.getEnvironment(inputs.githubUsername, inputs.repo, inputs.environment);
+      return environment ? { name: environment.name } : null;
+    },
+    desired: ({ inputs }) => ({
+      name: inputs.environment
+    }),
+    state: () => ({}),
+    apply: async ({ inputs }) => {
+      const created = await githubService.createEnvironment(inputs.githubUsername, inputs.repo, inputs.environment);
+      return created ? {} : null;
+    }
+  },
+  {
+    type: 'github-workflow',
+    enabled: ({ inputs }) => Boolean(inputs.githubUsername && inputs.repo),
+    name: () => '.github/workflows/main.yml',
+    lookup: async ({ sitePath, resourceName }) => {
+      const workflowPath = path.join(sitePath, resourceName);
+      return fs.existsSync(workflowPath) ?
+        { content: fs.readFileSync(workflowPath, 'utf8') } :
+        null;
+    },
+    desired: (context, state) => ({
+      content: githubService.buildWorkflowContent(buildWorkflowConfig(context, state))
+    }),
+    state: () => ({}),
+    apply: async (context, state) => {
+      const written = await githubService.createWorkflowFile(context.sitePath, buildWorkflowConfig(context, state));
+      return written ? {} : null;
+    }
+  }
+];
+
+/**
+ * Get the prefix used to name the planned resources
+ * @param {object} context - Plan context
+ * @returns {string} - Resource name prefix
+ */
+function getResourcePrefix({ siteName, inputs }) {
+  return config.getResourcePrefix(siteName, inputs.environment);
+}
+
+/**
+ * Get the settings the CloudFront function code is generated from
+ * @param {object} inputs - Plan inputs
+ * @returns {object} - Host redirects of the domain settings, the site's path redirects and whether
+ * compressed copies are served
+ */
+function getFunctionCodeOptions(inputs) {
+  return {
+    ...resolveDomains(inputs),
+    redirects: inputs.redirects || [],
+    precompressed: Boolean(inputs.precompressed)
+  };
+}
+
+/**
+ * Find the hosted zone of the parent domain, which holds the delegation of a subdomain's own zone
+ * @param {object} context - Plan context
+ * @returns {Promise<string|null>} - Hosted zone ID or null if Route53 does not hold the parent domain
+ */
+async function findParentZoneId({ inputs, clients }) {
+  const parentDomain = getParentDomain(inputs.domain);
+  const zone = parentDomain ? await awsService.findEnclosingHostedZone(clients.route53, parentDomain) : null;
+  return zone ? zone.hostedZoneId : null;
+}
+
+/**
+ * List name servers in a stable order and spelling, for comparing them
+ * @param {Array<string>} nameServers - Name servers
+ * @returns {Array<string>} - Sorted name servers without trailing dots
+ */
+function listNameServers(nameServers) {
+  return nameServers.map(nameServer => nameServer.replace(/\.$/, '').toLowerCase()).sort();
+}
+
+/**
+ * Find the hosted zone that holds the records of each name the site answers on
+ * Names inside the site's own zone use it; aliases on other domains use the zone that holds them.
+ * @param {object} context - Plan context
+ * @param {object} state - Resource ids gathered so far
+ * @returns {Promise<object>} - Hosted zone ID by name; null when Route53 does not hold the name
+ */
+async function findRecordZoneIds({ inputs, clients }, state) {
+  const zoneName = state.zoneName || inputs.domain;
+  const zoneIds = {};
+  
+  for (const domainName of resolveDomains(inputs).domainNames) {
+    if (domainName === zoneName || domainName.endsWith(`.${zoneName}`)) {
+      zoneIds[domainName] = state.hostedZoneId || KNOWN_AFTER_APPLY;
+      continue;
+    }
+    
+    const zone = await awsService.findEnclosingHostedZone(clients.route53, domainName);
+    if (!zone) {
+      logger.warn(`No Route53 hosted zone holds "${domainName}". Point it at the CloudFront distribution at its DNS provider.`);
+    }
+    zoneIds[domainName] = zone ? zone.hostedZoneId : null;
+  }
+  
+  return zoneIds;
+}
+
+/**
+ * Build the workflow configuration from the plan inputs and resource ids
+ * The workflow deploys every environment, so the planned one is merged into the others.
+ * @param {object} context - Plan context
+ * @param {object} state - Resource ids gathered so far
+ * @returns {object} - Workflow configuration
+ */
+function buildWorkflowConfig({ siteName, siteConfig, inputs }, state) {
+  const planned = {
+    s3BucketName: inputs.bucketName,
+    awsRegion: inputs.region,
+    iamRoleArn: state.roleArn || KNOWN_AFTER_APPLY,
+    cloudfrontDistributionId: state.distributionId || KNOWN_AFTER_APPLY
+  };
+  
+  if (!inputs.environment) {
+    return {
+      ...planned,
+      siteUrl: `https://${resolveDomains(inputs).canonicalDomain || state.distributionDomain || KNOWN_AFTER_APPLY}`,
+      zolaVersion: siteConfig.zolaVersion
+    };
+  }
+  
+  const environments = (config.getSiteConfig(siteName) || {}).environments || {};
+  return githubService.buildWorkflowConfig({
+    zolaVersion: siteConfig.zolaVersion,
+    environments: {
+      ...environments,
+      [inputs.environment]: {
+        ...planned,
+        domain: inputs.domain,
+        aliases: inputs.aliases,
+        canonicalDomain: inputs.canonicalDomain,
+        cloudfrontDomain: state.distributionDomain || KNOWN_AFTER_APPLY
+      }
+    }
+  });
+}
+
+/**
+ * Compute the plan for a site: the desired state of every resource, diffed against what exists
+ * @param {object} context - Plan context
+ * @param {string} context.siteName - Name of the site
+ * @param {string} context.sitePath - Path to the site
+ * @param {object} context.siteConfig - Site configuration
+ * @param {object} context.inputs - Plan inputs (domain, aliases, canonicalDomain, delegateZone, region, bucketName, githubUsername, repo, environment, spa, errorPages, headers)
+ * @param {object} context.clients - AWS clients
+ * @returns {Promise<object>} - The plan
+ */
+async function computePlan(context) {
+  const state = {};
+  const resources = [];
+  
+  for (const definition of RESOURCES) {
+    if (!definition.enabled(context)) {
+      continue;
+    }
+    
+    const resourceContext = { ...context, resourceName: definition.name(context) };
+    logger.startSpinner(`Reading ${definition.type} "${resourceContext.resourceName}"...`);
+    
+    const current = await definition.lookup(resourceContext, state);
+    if (current) {
+      Object.assign(state, definition.state(current));
+    }
+    
+    const desired = definition.desired(resourceContext, state);
+    const changes = diffValues(current || undefined, desired);
+    
+    let action = 'noop';
+    if (!current) {
+      action = 'create';
+    } else if (changes.length > 0) {
+      action = 'update';
+    }
+    
+    resources.push({
+      type: definition.type,
+      name: resourceContext.resourceName,
+      action,
+      current: current || null,
+      desired,
+      changes: action === 'update' ? changes : []
+    });
+  }
+  
+  logger.succeed(`Read ${resources.length} resources`);
+  
+  return {
+    version: PLAN_VERSION,
+    siteName: context.siteName,
+    createdAt: new Date().toISOString(),
+    inputs: context.inputs,
+    resources,
+    summary: summarize(resources)
+  };
+}
+
+/**
+ * Apply a plan, refusing to run if the infrastructure has changed since it was computed
+ * @param {object} plan - Plan produced by computePlan
+ * @param {object} context - Plan context (as for computePlan)
+ * @param {Function} context.setupGithub - Runs the setup-github command for the repository step
+ * @param {Function} context.saveProgress - Records resource ids in the site config
+ * @returns {Promise<object>} - Resource ids after applying
+ */
+async function applyPlan(plan, context) {
+  if (plan.version !== PLAN_VERSION) {
+    throw new Error(`Plan file version ${plan.version} is not supported. Run "ssc plan" again.`);
+  }
+  
+  if (plan.siteName !== context.siteName) {
+    throw new Error(`This plan was created for site "${plan.siteName}", not "${context.siteName}".`);
+  }
+  
+  // Recompute with the same inputs; anything that moved since planning makes the plan stale
+  const freshPlan = await computePlan({ ...context, inputs: plan.inputs });
+  if (fingerprint(freshPlan) !== fingerprint(plan)) {
+    throw new Error('The infrastructure changed since this plan was created. Run "ssc plan" again and review the new plan.');
+  }
+  
+  const applyContext = { ...context, inputs: plan.inputs };
+  const state = {};
+  
+  for (const resource of plan.resources) {
+    const definition = RESOURCES.find(item => item.type === resource.type);
+    const resourceContext = { ...applyContext, resourceName: resource.name };
+    
+    // Resources that need no change are recorded too, so ids found by lookup end up in the config
+    if (resource.action === 'noop') {
+      Object.assign(state, definition.state(resource.current));
+      if (definition.record) {
+        context.saveProgress(definition.record(state, resourceContext));
+      }
+      continue;
+    }
+    
+    if (resource.current) {
+      Object.assign(state, definition.state(resource.current));
+    }
+    
+    if (definition.prepare) {
+      await definition.prepare(resourceContext, state);
+    }
+    
+    // Values that were unknown at plan time are filled in now; everything else must be unchanged
+    const desired = definition.desired(resourceContext, state);
+    if (!matchesPlanned(resource.desired, desired)) {
+      throw new Error(`${resource.type} "${resource.name}" no longer matches the plan. Run "ssc plan" again.`);
+    }
+    
+    const result = await definition.apply(resourceContext, state, resource, desired);
+    if (!result) {
+      throw new Error(`Failed to ${resource.action} ${resource.type} "${resource.name}". Resources applied so far are saved; run "ssc plan" again to continue.`);
+    }
+    
+    Object.assign(state, result);
+    
+    if (definition.record) {
+      context.saveProgress(definition.record(state, resourceContext));
+    }
+  }
+  
+  return state;
+}
+
+/**
+ * Diff a desired value against the current one
+ * Only the keys present in the desired value are compared, so fields the provider adds are ignored.
+ * @param {*} current - Current value
+ * @param {*} desired - Desired value
+ * @param {string} prefix - Path of the value (used when recursing)
+ * @returns {Array<object>} - Changes as { path, before, after }
+ */
+function diffValues(current, desired, prefix = '') {
+  if (isPlainObject(desired)) {
+    const source = isPlainObject(current) ? current : {};
+    return Object.keys(desired).flatMap(key =>
+      diffValues(source[key], desired[key], prefix ? `${prefix}.${key}` : key)
+    );
+  }
+  
+  if (Array.isArray(desired) && Array.isArray(current) && desired.length === current.length) {
+    return desired.flatMap((item, i) => diffValues(current[i], item, `${prefix}[${i}]`));
+  }
+  
+  // Providers omit empty lists and unset values
+  const isEmpty = value => value === undefined || value === null || (Array.isArray(value) && value.length === 0);
+  if (isEmpty(current) && isEmpty(desired)) {
+    return [];
+  }
+  
+  if (JSON.stringify(current) === JSON.stringify(desired)) {
+    return [];
+  }
+  
+  return [{
+    path: prefix,
+    before: current === undefined ? null : current,
+    after: desired
+  }];
+}
+
+/**
+ * Check that a freshly built desired value matches the planned one, allowing placeholders to be filled in
+ * @param {*} planned - Desired value from the plan
+ * @param {*} actual - Desired value built at apply time
+ * @returns {boolean} - Whether the values match
+ */
+function matchesPlanned(planned, actual) {
+  if (planned === KNOWN_AFTER_APPLY) {
+    return true;
+  }
+  
+  if (isPlainObject(planned) && isPlainObject(actual)) {
+    const keys = new Set([...Object.keys(planned), ...Object.keys(actual)]);
+    return [...keys].every(key => matchesPlanned(planned[key], actual[key]));
+  }
+  
+  if (Array.isArray(planned) && Array.isArray(actual)) {
+    return planned.length === actual.length &&
+      planned.every((item, i) => matchesPlanned(item, actual[i]));
+  }
+  
+  // Placeholders can also be embedded in strings such as the workflow file
+  if (typeof planned === 'string' && typeof actual === 'string' && planned.includes(KNOWN_AFTER_APPLY)) {
+    const pattern = planned
+      .split(KNOWN_AFTER_APPLY)
+      .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[\\s\\S]*');
+    return new RegExp(`^${pattern}$`).test(actual);
+  }
+  
+  return JSON.stringify(planned) === JSON.stringify(actual);
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether the value is a plain object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Count the actions in a plan
+ * @param {Array<object>} resources - Planned resources
+ * @returns {object} - Number of resources to create, update and leave unchanged
+ */
+function summarize(resources) {
+  return {
+    create: resources.filter(resource => resource.action === 'create').length,
+    update: resources.filter(resource => resource.action === 'update').length,
+    noop: resources.filter(resource => resource.action === 'noop').length
+  };
+}
+
+/**
+ * Reduce a plan to the parts that must not change between planning and applying
+ * @param {object} plan - Plan
+ * @returns {string} - Stable fingerprint
+ */
+function fingerprint(plan) {
+  return JSON.stringify(plan.resources.map(({ type, name, action, desired, changes }) => ({
+    type,
+    name,
+    action,
+    desired,
+    changes
+  })));
+}
+
+/**
+ * Format a plan for the terminal
+ * @param {object} plan - Plan
+ * @returns {string} - Human-readable plan
+ */
+function formatPlan(plan) {
+  const symbols = {
+    create: chalk.green('+'),
+    update: chalk.yellow('~'),
+    noop: chalk.gray('=')
+  };
+  const labels = {
+    create: chalk.green('create'),
+    update: chalk.yellow('update'),
+    noop: chalk.gray('no changes')
+  };
+  
+  const lines = [`Plan for site "${plan.siteName}":`, ''];
+  
+  plan.resources.forEach(resource => {
+    lines.push(`${symbols[resource.action]} ${resource.type} "${resource.name}" (${labels[resource.action]})`);
+    
+    resource.changes.forEach(change => {
+      lines.push(...formatChange(change).map(line => `    ${line}`));
+    });
+  });
+  
+  const { create, update, noop } = plan.summary;
+  lines.push('', `Plan: ${create} to create, ${update} to update, ${noop} unchanged.`);
+  
+  return lines.join('\n');
+}
+
+/**
+ * Format a single change, using a line diff for multi-line text
+ * @param {object} change - Change as { path, before, after }
+ * @returns {Array<string>} - Formatted lines
+ */
+function formatChange(change) {
+  const isText = value => typeof value === 'string' && value.includes('\n');
+  
+  if (isText(change.before) || isText(change.after)) {
+    const patch = structuredPatch('current', 'planned', change.before || '', change.after || '');
+    const lines = [`${change.path}:`];
+    
+    patch.hunks.forEach(hunk => {
+      lines.push(chalk.cyan(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`));
+      hunk.lines.forEach(line => {
+        if (line.startsWith('+')) {
+          lines.push(chalk.green(line));
+        } else if (line.startsWith('-')) {
+          lines.push(chalk.red(line));
+        } else {
+          lines.push(line);
+        }
+      });
+    });
+    
+    return lines;
+  }
+  
+  return [`${change.path}: ${chalk.red(JSON.stringify(change.before))} → ${chalk.green(JSON.stringify(change.after))}`];
+}
+
+module.exports = {
+  KNOWN_AFTER_APPLY,
+  computePlan,
+  applyPlan,
+  diffValues,
+  formatPlan
+};
@@ -0,0 +1,140 @@
+/**
+ * Release service for versioned deploys: naming releases, switching CloudFront between them
+ * and keeping the deploy history
+ */
+
+const logger = require('../utils/logger');
+const awsService = require('./aws');
+const gitService = require('./git');
+const syncService = require('./sync');
+
+// Oldest entries are dropped from the site config past this many; their files stay in the bucket
+const MAX_HISTORY = 50;
+
+/**
+ * Name a release after the commit it was built from
+ * Builds with uncommitted changes get a timestamp suffix so they never overwrite the clean release.
+ * @param {string} sitePath - Path to the site
+ * @returns {Promise<object>} - { id, commit }
+ */
+async function createReleaseId(sitePath) {
+  const commit = await gitService.getHeadCommit(sitePath);
+  const dirty = await gitService.hasUncommittedChanges(sitePath);
+  
+  if (commit && !dirty) {
+    return { id: commit, commit };
+  }
+  
+  const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+  return {
+    id: `${commit ? commit.slice(0, 12) : 'local'}-${timestamp}`,
+    commit
+  };
+}
+
+/**
+ * Get the origin path that serves a release
+ * @param {string} releaseId - Release ID
+ * @returns {string} - Origin path
+ */
+function getReleaseOriginPath(releaseId) {
+  return `/${syncService.getReleasePrefix(releaseId).slice(0, -1)}`;
+}
+
+/**
+ * Get the release a distribution currently serves
+ * @param {CloudFrontClient} cloudfrontClient - AWS CloudFront client
+ * @param {string} distributionId - Distribution ID
+ * @returns {Promise<string|null>} - Release ID or null if the bucket root is served
+ */
+async function getCurrentReleaseId(cloudfrontClient, distributionId) {
+  const originPath = await awsService.getDistributionOriginPath(cloudfrontClient, distributionId);
+  const match = originPath.match(/^\/releases\/([^/]+)$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Switch the distribution to a release and invalidate the paths that changed
+ * @param {object} clients - AWS clients
+ * @param {string} distributionId - Distribution ID
+ * @param {string} releaseId - Release ID to serve
+ * @param {Array<string>} invalidationPaths - Paths to invalidate once the switch is live
+ * @returns {Promise<boolean>} - Whether the switch succeeded
+ */
+async function activateRelease(clients, distributionId, releaseId, invalidationPaths) {
+  const switched = await awsService.setDistributionOriginPath(
+    clients.cloudfront,
+    distributionId,
+    getReleaseOriginPath(releaseId)
+  );
+  if (!switched) {
+    return false;
+  }
+  
+  if (invalidationPaths.length === 0) {
+    return true;
+  }
+  
+  // Invalidating before every edge uses the new origin path would let them re-cache the old files
+  const deployed = await awsService.waitForDistributionDeployed(clients.cloudfront, distributionId);
+  if (!deployed) {
+    logger.warn('The release is switched but still propagating. Invalidating now; some edges may briefly keep old files.');
+  }
+  
+  const invalidationId = await awsService.createInvalidation(clients.cloudfront, distributionId, invalidationPaths);
+  if (!invalidationId) {
+    logger.warn('The release is live but the CloudFront cache was not invalidated. Old content may be served until it expires.');
+  }
+  
+  return true;
+}
+
+/**
+ * Add a release to the deploy history
+ * @param {Array<object>} history - Existing history, oldest first
+ * @param {object} release - Release entry
+ * @returns {Array<object>} - New history
+ */
+function addToHistory(history = [], release) {
+  const updated = [...history.filter(entry => entry.id !== release.id), release];
+  return updated.slice(-MAX_HISTORY);
+}
+
+/**
+ * Find the release to roll back to
+ * @param {Array<object>} history - Deploy history, oldest first
+ * @param {string|null} currentId - Release currently served
+ * @param {string} to - Release ID or unique prefix of one (optional, defaults to the previous release)
+ * @returns {string} - Release ID
+ */
+function resolveRollbackTarget(history = [], currentId, to) {
+  if (to) {
+    const matches = history.filter(entry => entry.id.startsWith(to));
+    if (matches.length > 1) {
+      throw new Error(`"${to}" matches several releases: ${matches.map(entry => entry.id).join(', ')}`);
+    }
+    
+    // Releases deployed by GitHub Actions are not always in the local history
+    return matches.length === 1 ? matches[0].id : to;
+  }
+  
+  const currentIndex = history.findIndex(entry => entry.id === currentId);
+  const candidates = currentIndex === -1 ?
+    history.filter(entry => entry.id !== currentId) :
+    history.slice(0, currentIndex);
+  
+  if (candidates.length === 0) {
+    throw new Error('There is no earlier release to roll back to.');
+  }
+  
+  return candidates[candidates.length - 1].id;
+}
+
+module.exports = {
+  createReleaseId,
+  getReleaseOriginPath,
+  getCurrentReleaseId,
+  activateRelease,
+  addToHistory,
+  resolveRollbackTarget
+};
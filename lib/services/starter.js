@@ -0,0 +1,155 @@
+/**
+ * Starter service for scaffolding a new site from a bundled starter or a starter repository
+ */
+
+const execa = require('execa');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../utils/logger');
+const gitService = require('./git');
+const { isGitUrl } = require('../utils/themes');
+
+// Starters bundled with ssc, each a directory under lib/starters
+const STARTERS = ['blog', 'docs', 'portfolio', 'landing'];
+
+const STARTERS_DIR = path.join(__dirname, '..', 'starters');
+
+// Files whose contents get %%variable%% substitution; everything else is copied as it is
+const TEXT_EXTENSIONS = ['.toml', '.md', '.html', '.css', '.scss', '.js', '.json', '.txt', '.xml', '.yml', '.yaml', '.svg'];
+
+/**
+ * Check a starter spec
+ * @param {string} spec - Bundled starter name or Git URL with an optional #ref
+ * @returns {object} - { name, repo, ref }; repo is null for bundled starters
+ */
+function resolveStarterSpec(spec) {
+  const hashIndex = spec.lastIndexOf('#');
+  const base = hashIndex === -1 ? spec : spec.slice(0, hashIndex);
+  const ref = hashIndex === -1 ? null : spec.slice(hashIndex + 1) || null;
+  
+  if (isGitUrl(base)) {
+    return { name: path.basename(base.replace(/\/+$/, '')).replace(/\.git$/, ''), repo: base, ref };
+  }
+  if (!STARTERS.includes(spec)) {
+    throw new Error(`Unknown starter "${spec}". Use one of ${STARTERS.join(', ')}, or the Git URL of a starter repository.`);
+  }
+  
+  return { name: spec, repo: null, ref: null };
+}
+
+/**
+ * Replace the %%variable%% placeholders in a starter file
+ * TOML files get the values escaped for a basic string, since that is where starters put them.
+ * @param {string} content - File contents
+ * @param {object} variables - Values by placeholder name
+ * @param {boolean} toml - Whether the file is TOML
+ * @returns {string} - Contents with the known placeholders filled in
+ */
+function substituteVariables(content, variables, toml = false) {
+  return content.replace(/%%(\w+)%%/g, (placeholder, name) => {
+    if (variables[name] === undefined || variables[name] === null) {
+      return placeholder;
+    }
+    const value = String(variables[name]);
+    return toml ? JSON.stringify(value).slice(1, -1) : value;
+  });
+}
+
+/**
+ * Copy a starter into the site directory, filling in the placeholders
+ * @param {string} sourceDir - Starter directory
+ * @param {string} targetDir - Site directory
+ * @param {object} variables - Values by placeholder name
+ * @param {Array<string>} skip - Top-level entries not to copy
+ * @returns {number} - Number of files copied
+ */
+function copyStarter(sourceDir, targetDir, variables, skip = []) {
+  let copied = 0;
+  fs.mkdirSync(targetDir, { recursive: true });
+  
+  fs.readdirSync(sourceDir, { withFileTypes: true }).forEach(entry => {
+    if (entry.name === '.git' || skip.includes(entry.name)) {
+      return;
+    }
+    
+    const sourcePath = path.join(sourceDir, entry.name);
+    const targetPath = path.join(targetDir, entry.name);
+    if (entry.isDirectory()) {
+      copied += copyStarter(sourcePath, targetPath, variables);
+      return;
+    }
+    
+    const extension = path.extname(entry.name).toLowerCase();
+    if (TEXT_EXTENSIONS.includes(extension)) {
+      const content = fs.readFileSync(sourcePath, 'utf8');
+      fs.writeFileSync(targetPath, substituteVariables(content, variables, extension === '.toml'));
+    } else {
+      fs.copyFileSync(sourcePath, targetPath);
+    }
+    copied += 1;
+  });
+  
+  return copied;
+}
+
+/**
+ * Scaffold a site from a starter
+ * With a theme, a bundled starter's templates and stylesheet are left out so the theme's are used.
+ * @param {string} sitePath - Path to the new site directory
+ * @param {string} spec - Bundled starter name or Git URL with an optional #ref
+ * @param {object} variables - Values for the placeholders (siteName, title, domain, baseUrl, author, ...)
+ * @param {object} options - { withTheme }
+ * @returns {Promise<boolean>} - Whether the site was created
+ */
+async function createFromStarter(sitePath, spec, variables, options = {}) {
+  const starter = resolveStarterSpec(spec);
+  
+  if (!starter.repo) {
+    try {
+      logger.startSpinner(`Creating site from the ${starter.name} starter...`);
+      const skip = options.withTheme ? ['templates', 'static'] : [];
+      copyStarter(path.join(STARTERS_DIR, starter.name), sitePath, variables, skip);
+      logger.succeed(`Site created from the ${starter.name} starter`);
+      return true;
+    } catch (error) {
+      logger.fail(`Failed to create site from the ${starter.name} starter`);
+      logger.error(error.message);
+      return false;
+    }
+  }
+  
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ssc-starter-'));
+  try {
+    const checkout = path.join(workDir, starter.name);
+    if (!await gitService.cloneRepo(starter.repo, checkout)) {
+      return false;
+    }
+    
+    logger.startSpinner(`Creating site from ${starter.repo}...`);
+    if (starter.ref) {
+      await execa('git', ['checkout', '--quiet', starter.ref], { cwd: checkout });
+    }
+    
+    if (!fs.existsSync(path.join(checkout, 'config.toml'))) {
+      throw new Error('The starter repository has no config.toml at its root');
+    }
+    
+    copyStarter(checkout, sitePath, variables);
+    logger.succeed(`Site created from ${starter.repo}${starter.ref ? ` at ${starter.ref}` : ''}`);
+    return true;
+  } catch (error) {
+    logger.fail(`Failed to create site from ${starter.repo}`);
+    logger.error(error.message);
+    return false;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  STARTERS,
+  resolveStarterSpec,
+  substituteVariables,
+  createFromStarter
+};
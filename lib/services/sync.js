@@ -0,0 +1,278 @@
+/**
+ * Sync service for uploading a built site straight to its S3 bucket
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const mime = require('mime-types');
+const logger = require('../utils/logger');
+const { getContentEncoding } = require('../utils/optimize');
+const { resolveCacheRules, getCacheControl } = require('../utils/cache');
+const awsService = require('./aws');
+
+// Past this many paths a single wildcard invalidation is cheaper
+const MAX_INVALIDATION_PATHS = 50;
+
+const UPLOAD_CONCURRENCY = 8;
+
+// Versioned deploys and pull request previews live under these prefixes, next to (never inside) a root deploy
+const RELEASES_PREFIX = 'releases/';
+const PREVIEWS_PREFIX = 'previews/';
+
+/**
+ * List every file in a directory with its S3 key and content hash
+ * @param {string} dir - Directory to scan
+ * @returns {Array<object>} - Files as { key, filePath, md5, size }
+ */
+function scanDirectory(dir) {
+  const files = [];
+  
+  const walk = (current) => {
+    fs.readdirSync(current, { withFileTypes: true }).forEach(entry => {
+      const filePath = path.join(current, entry.name);
+      
+      if (entry.isDirectory()) {
+        walk(filePath);
+      } else if (entry.isFile()) {
+        const content = fs.readFileSync(filePath);
+        files.push({
+          key: path.relative(dir, filePath).split(path.sep).join('/'),
+          filePath,
+          md5: crypto.createHash('md5').update(content).digest('hex'),
+          size: content.length
+        });
+      }
+    });
+  };
+  
+  walk(dir);
+  return files;
+}
+
+/**
+ * Compare local files against the objects in the bucket
+ * Single-part uploads have the MD5 of their content as ETag. Multipart ETags contain a dash
+ * and never match, so those objects are uploaded again.
+ * @param {Array<object>} localFiles - Files from scanDirectory
+ * @param {Map<string, object>} remoteObjects - Objects from listS3Objects
+ * @returns {object} - { uploads, deletes, unchanged }
+ */
+function diffManifest(localFiles, remoteObjects) {
+  const uploads = [];
+  const unchanged = [];
+  
+  localFiles.forEach(file => {
+    const remote = remoteObjects.get(file.key);
+    if (remote && remote.etag === file.md5) {
+      unchanged.push(file.key);
+    } else {
+      uploads.push(file);
+    }
+  });
+  
+  const localKeys = new Set(localFiles.map(file => file.key));
+  const deletes = [...remoteObjects.keys()].filter(key => !localKeys.has(key));
+  
+  return { uploads, deletes, unchanged };
+}
+
+/**
+ * Work out which CloudFront paths serve the given keys
+ * @param {Array<string>} keys - Changed or deleted object keys
+ * @returns {Array<string>} - Paths to invalidate
+ */
+function buildInvalidationPaths(keys) {
+  const paths = new Set();
+  
+  keys.forEach(key => {
+    const urlPath = `/${key.split('/').map(encodeURIComponent).join('/')}`;
+    paths.add(urlPath);
+    
+    // Pretty URLs are served from index.html by the CloudFront function
+    if (urlPath.endsWith('/index.html')) {
+      const dirPath = urlPath.slice(0, -'index.html'.length);
+      paths.add(dirPath);
+      if (dirPath !== '/') {
+        paths.add(dirPath.slice(0, -1));
+      }
+    }
+  });
+  
+  if (paths.size > MAX_INVALIDATION_PATHS) {
+    return ['/*'];
+  }
+  
+  return [...paths].sort();
+}
+
+/**
+ * Get the Content-Type for an object key
+ * Compressed copies such as style.css.br have the type of the file they were made from.
+ * @param {string} key - Object key
+ * @returns {string} - Content-Type header value
+ */
+function getContentType(key) {
+  const source = getContentEncoding(key) ? key.slice(0, -path.extname(key).length) : key;
+  return mime.contentType(path.extname(source)) || 'application/octet-stream';
+}
+
+/**
+ * Get the headers an uploaded or copied file is stored with
+ * @param {string} key - Object key, relative to the site root
+ * @param {Array<object>} cacheRules - Cache table (see resolveCacheRules)
+ * @returns {object} - ContentType, CacheControl and, for compressed copies, ContentEncoding
+ */
+function getObjectMetadata(key, cacheRules) {
+  return {
+    ContentType: getContentType(key),
+    CacheControl: getCacheControl(key, cacheRules),
+    ...(getContentEncoding(key) ? { ContentEncoding: getContentEncoding(key) } : {})
+  };
+}
+
+/**
+ * Get the bucket key prefix for a release
+ * @param {string} releaseId - Release ID
+ * @returns {string} - Key prefix, e.g. releases/<id>/
+ */
+function getReleasePrefix(releaseId) {
+  return `${RELEASES_PREFIX}${releaseId}/`;
+}
+
+/**
+ * List the objects under a prefix, keyed relative to it
+ * @param {S3Client} s3Client - AWS S3 client
+ * @param {string} bucketName - Bucket name
+ * @param {string} prefix - Key prefix ('' for the bucket root)
+ * @returns {Promise<Map<string, object>>} - Map of relative key to { etag, size }
+ */
+async function listObjectsUnder(s3Client, bucketName, prefix) {
+  const objects = await awsService.listS3Objects(s3Client, bucketName, prefix);
+  const relative = new Map();
+  
+  objects.forEach((object, key) => {
+    // A root deploy must not see (or delete) the releases and previews stored beside it
+    if (!prefix && (key.startsWith(RELEASES_PREFIX) || key.startsWith(PREVIEWS_PREFIX))) {
+      return;
+    }
+    relative.set(key.slice(prefix.length), object);
+  });
+  
+  return relative;
+}
+
+/**
+ * Upload changed files from a directory to a bucket and delete objects that no longer exist locally
+ * When a baseline prefix is given (the release currently being served), files it already has are
+ * copied within the bucket instead of uploaded, and the changed keys are reported relative to it.
+ * @param {S3Client} s3Client - AWS S3 client
+ * @param {string} bucketName - Bucket name
+ * @param {string} dir - Directory to upload (usually the site's public/ folder)
+ * @param {object} options - Sync options
+ * @param {string} options.prefix - Key prefix to upload under (default: bucket root)
+ * @param {string} options.baselinePrefix - Key prefix of the content currently served (optional)
+ * @param {Array<object>} options.cacheRules - Cache table (default: the built-in rules)
+ * @returns {Promise<object|null>} - { uploaded, copied, deleted, unchanged, changed } keys or null if the sync failed
+ */
+async function syncDirectory(s3Client, bucketName, dir, options = {}) {
+  const prefix = options.prefix || '';
+  const cacheRules = options.cacheRules || resolveCacheRules();
+  const target = `s3://${bucketName}/${prefix}`;
+  
+  try {
+    logger.startSpinner(`Comparing ${dir} with ${target}...`);
+    
+    if (!fs.existsSync(dir)) {
+      throw new Error(`Directory ${dir} does not exist. Build the site first.`);
+    }
+    
+    const localFiles = scanDirectory(dir);
+    const remoteObjects = await listObjectsUnder(s3Client, bucketName, prefix);
+    const { uploads, deletes, unchanged } = diffManifest(localFiles, remoteObjects);
+    
+    const hasBaseline = typeof options.baselinePrefix === 'string' && options.baselinePrefix !== prefix;
+    const baselineObjects = hasBaseline ?
+      await listObjectsUnder(s3Client, bucketName, options.baselinePrefix) :
+      remoteObjects;
+    
+    const copies = hasBaseline ?
+      uploads.filter(file => (baselineObjects.get(file.key) || {}).etag === file.md5) :
+      [];
+    const transfers = uploads.filter(file => !copies.includes(file));
+    
+    logger.succeed(`${transfers.length} files to upload, ${copies.length} to copy, ${deletes.length} to delete, ${unchanged.length} unchanged`);
+    
+    // Copies are stored with the current headers, so changed cache rules reach unchanged files too
+    if (copies.length > 0) {
+      logger.startSpinner(`Copying ${copies.length} unchanged files...`);
+      
+      for (let i = 0; i < copies.length; i += UPLOAD_CONCURRENCY) {
+        await Promise.all(copies.slice(i, i + UPLOAD_CONCURRENCY).map(file =>
+          awsService.copyS3Object(
+            s3Client,
+            bucketName,
+            `${options.baselinePrefix}${file.key}`,
+            `${prefix}${file.key}`,
+            getObjectMetadata(file.key, cacheRules)
+          )
+        ));
+      }
+      
+      logger.succeed(`Copied ${copies.length} unchanged files`);
+    }
+    
+    if (transfers.length > 0) {
+      logger.startSpinner(`Uploading ${transfers.length} files...`);
+      
+      for (let i = 0; i < transfers.length; i += UPLOAD_CONCURRENCY) {
+        await Promise.all(transfers.slice(i, i + UPLOAD_CONCURRENCY).map(file =>
+          awsService.putS3Object(s3Client, bucketName, `${prefix}${file.key}`, fs.readFileSync(file.filePath), {
+            ...getObjectMetadata(file.key, cacheRules),
+            ContentMD5: Buffer.from(file.md5, 'hex').toString('base64')
+          })
+        ));
+        logger.updateSpinner(`Uploaded ${Math.min(i + UPLOAD_CONCURRENCY, transfers.length)} of ${transfers.length} files...`);
+      }
+      
+      logger.succeed(`Uploaded ${transfers.length} files`);
+    }
+    
+    if (deletes.length > 0) {
+      logger.startSpinner(`Deleting ${deletes.length} removed files...`);
+      await awsService.deleteS3Objects(s3Client, bucketName, deletes.map(key => `${prefix}${key}`));
+      logger.succeed(`Deleted ${deletes.length} removed files`);
+    }
+    
+    // What visitors will see change, compared with what is served now
+    const localKeys = new Set(localFiles.map(file => file.key));
+    const changed = [
+      ...localFiles
+        .filter(file => (baselineObjects.get(file.key) || {}).etag !== file.md5)
+        .map(file => file.key),
+      ...[...baselineObjects.keys()].filter(key => !localKeys.has(key))
+    ];
+    
+    return {
+      uploaded: transfers.map(file => file.key),
+      copied: copies.map(file => file.key),
+      deleted: deletes,
+      unchanged,
+      changed
+    };
+  } catch (error) {
+    logger.fail(`Failed to sync ${dir} to ${target}`);
+    logger.error(error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  scanDirectory,
+  diffManifest,
+  buildInvalidationPaths,
+  getContentType,
+  getObjectMetadata,
+  getReleasePrefix,
+  syncDirectory
+};
@@ -0,0 +1,124 @@
+/**
+ * Verify service: checks that a site's files are served through CloudFront
+ * and that the S3 bucket behind it cannot be read directly
+ */
+
+const fetch = require('node-fetch');
+const logger = require('../utils/logger');
+const awsService = require('./aws');
+
+// CloudFront can take a little while to start signing requests after a configuration change
+const FETCH_ATTEMPTS = 6;
+const FETCH_DELAY_MS = 10000;
+
+/**
+ * Build the key of the test object inside the live release
+ * @param {string} originPath - Origin path of the distribution ('' for the bucket root)
+ * @param {string} fileName - Test file name
+ * @returns {string} - Object key
+ */
+function getTestObjectKey(originPath, fileName) {
+  const prefix = originPath.replace(/^\/+|\/+$/g, '');
+  return prefix ? `${prefix}/${fileName}` : fileName;
+}
+
+/**
+ * Request a URL without throwing on network errors
+ * @param {string} url - URL to request
+ * @returns {Promise<object>} - { status, body }, with status 0 if the request failed
+ */
+async function request(url) {
+  try {
+    const response = await fetch(url, { redirect: 'manual' });
+    return { status: response.status, body: await response.text() };
+  } catch (error) {
+    return { status: 0, body: error.message };
+  }
+}
+
+/**
+ * Fetch the test object through CloudFront, retrying while the distribution catches up
+ * @param {string} url - CloudFront URL of the test object
+ * @param {string} token - Content the test object was uploaded with
+ * @returns {Promise<object>} - Last response
+ */
+async function fetchThroughCloudFront(url, token) {
+  let response = null;
+  for (let attempt = 1; attempt <= FETCH_ATTEMPTS; attempt++) {
+    response = await request(url);
+    if (response.status === 200 && response.body.trim() === token) {
+      return response;
+    }
+    
+    if (attempt < FETCH_ATTEMPTS) {
+      await new Promise(resolve => setTimeout(resolve, FETCH_DELAY_MS));
+    }
+  }
+  
+  return response;
+}
+
+/**
+ * Upload a test object, then check that it can be read through CloudFront but not from S3 directly
+ * @param {object} clients - AWS clients
+ * @param {object} target - { bucketName, region, distributionId, distributionDomain }
+ * @returns {Promise<boolean>} - Whether both checks passed
+ */
+async function verifyOriginAccess(clients, target) {
+  const { bucketName, region, distributionId, distributionDomain } = target;
+  let key = null;
+  
+  try {
+    const originPath = await awsService.getDistributionOriginPath(clients.cloudfront, distributionId);
+    const fileName = `ssc-verify-${Date.now()}.txt`;
+    const token = `ssc-verify ${Math.random().toString(36).slice(2)}`;
+    key = getTestObjectKey(originPath, fileName);
+    
+    await awsService.putS3Object(clients.s3, bucketName, key, token, {
+      ContentType: 'text/plain; charset=utf-8',
+      CacheControl: 'no-store'
+    });
+    
+    const deployed = await awsService.waitForDistributionDeployed(clients.cloudfront, distributionId);
+    if (!deployed) {
+      logger.warn('Checking access before the CloudFront distribution has finished deploying.');
+    }
+    
+    logger.startSpinner(`Reading a test object through CloudFront (${distributionDomain})...`);
+    const viaCloudFront = await fetchThroughCloudFront(`https://${distributionDomain}/${fileName}`, token);
+    const servedByCloudFront = viaCloudFront.status === 200 && viaCloudFront.body.trim() === token;
+    if (servedByCloudFront) {
+      logger.succeed('Test object is readable through CloudFront');
+    } else {
+      logger.fail(`Test object is not readable through CloudFront (HTTP ${viaCloudFront.status || 'request failed'})`);
+      logger.info('Check that the distribution uses the Origin Access Control and that the bucket policy allows it.');
+    }
+    
+    logger.startSpinner('Reading the test object directly from S3...');
+    const direct = await request(`https://${bucketName}.s3.${region}.amazonaws.com/${key}`);
+    const blockedOnS3 = direct.status === 403;
+    if (blockedOnS3) {
+      logger.succeed('Direct S3 access is denied');
+    } else {
+      logger.fail(`Direct S3 access returned HTTP ${direct.status || 'no response'} instead of 403`);
+      logger.info('Check the bucket\'s Block Public Access settings and bucket policy.');
+    }
+    
+    return servedByCloudFront && blockedOnS3;
+  } catch (error) {
+    logger.fail('Failed to verify origin access');
+    logger.error(error.message);
+    return false;
+  } finally {
+    if (key) {
+      await awsService.deleteS3Objects(clients.s3, bucketName, [key]).catch(error => {
+        logger.warn(`Could not delete test object "${key}": ${error.message}`);
+      });
+    }
+  }
+}
+
+module.exports = {
+  getTestObjectKey,
+  verifyOriginAccess
+};
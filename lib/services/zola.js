@@ -2,10 +2,144 @@
  * Zola service for managing Zola static site operations
  */
 
+const crypto = require('crypto');
 const execa = require('execa');
+const envPaths = require('env-paths');
+const fetch = require('node-fetch');
 const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
+const { mergeThemeConfig, readThemeSampleConfig, resolveThemeSpec, setThemeName } = require('../utils/themes');
+
+// Zola release ssc downloads when it installs Zola itself
+const ZOLA_VERSION = '0.19.2';
+
+// {version} and {target} are filled in; SSC_ZOLA_DOWNLOAD_URL replaces this to use a mirror
+const ZOLA_DOWNLOAD_URL = 'https://github.com/getzola/zola/releases/download/v{version}/zola-v{version}-{target}.tar.gz';
+
+const ZOLA_RELEASES_API = 'https://api.github.com/repos/getzola/zola/releases/tags/v{version}';
+
+const ZOLA_LATEST_RELEASE_API = 'https://api.github.com/repos/getzola/zola/releases/latest';
+
+// SHA-256 of the release archives, by version and target, copied from the Zola release pages.
+// A checksum is only trusted from a source other than the server the archive comes from, so a
+// compromised download or mirror cannot vouch for itself.
+const ZOLA_CHECKSUMS = {};
+
+// Release archives Zola publishes, by platform and architecture
+const ZOLA_TARGETS = {
+  'linux-x64': 'x86_64-unknown-linux-gnu',
+  'linux-arm64': 'aarch64-unknown-linux-gnu',
+  'darwin-x64': 'x86_64-apple-darwin',
+  'darwin-arm64': 'aarch64-apple-darwin'
+};
+
+/**
+ * Get the directory ssc keeps a downloaded Zola release in
+ * @param {string} version - Zola version
+ * @returns {string} - Directory under the user's data directory
+ */
+function getZolaCacheDir(version = ZOLA_VERSION) {
+  return path.join(envPaths('static-site-creator', { suffix: '' }).data, 'zola', version);
+}
+
+/**
+ * Check that a string is a Zola release version
+ * @param {string} version - Version, e.g. 0.19.2 (a leading v is dropped)
+ * @returns {string} - Version without the v
+ */
+function normalizeZolaVersion(version) {
+  const normalized = String(version).trim().replace(/^v/, '');
+  if (!/^\d+\.\d+\.\d+$/.test(normalized)) {
+    throw new Error(`Invalid Zola version "${version}". Use a release number, e.g. ${ZOLA_VERSION}.`);
+  }
+  return normalized;
+}
+
+/**
+ * Get the path of the Zola binary ssc downloads
+ * @param {string} version - Zola version
+ * @returns {string} - Binary path (which may not exist yet)
+ */
+function getManagedZolaPath(version = ZOLA_VERSION) {
+  return path.join(getZolaCacheDir(version), 'zola');
+}
+
+/**
+ * Get the Zola command to run: the binary ssc downloaded, or zola from the PATH
+ * @returns {string} - Command
+ */
+function getZolaCommand() {
+  const managedPath = getManagedZolaPath();
+  return fs.existsSync(managedPath) ? managedPath : 'zola';
+}
+
+/**
+ * Get the version of a Zola binary
+ * @param {string} command - Zola command or binary path
+ * @returns {Promise<string|null>} - Version, or null if the command does not run
+ */
+async function getZolaVersion(command = getZolaCommand()) {
+  try {
+    const { stdout } = await execa(command, ['--version']);
+    const match = /(\d+\.\d+\.\d+)/.exec(stdout);
+    return match ? match[1] : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * List the Zola versions ssc has downloaded
+ * @returns {Array<string>} - Versions, oldest first
+ */
+function listInstalledZolaVersions() {
+  const root = path.dirname(getZolaCacheDir());
+  if (!fs.existsSync(root)) {
+    return [];
+  }
+  
+  return fs.readdirSync(root)
+    .filter(version => fs.existsSync(getManagedZolaPath(version)))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+/**
+ * Get the Zola command for a site, downloading its pinned version when needed
+ * @param {string} version - Pinned Zola version, or nothing to use the default binary
+ * @returns {Promise<string|null>} - Command or binary path, or null if the version could not be installed
+ */
+async function resolveZolaCommand(version) {
+  if (!version) {
+    return getZolaCommand();
+  }
+  
+  if (fs.existsSync(getManagedZolaPath(version))) {
+    return getManagedZolaPath(version);
+  }
+  
+  // A zola on the PATH at the pinned version (from Homebrew, say) does just as well
+  if (await getZolaVersion('zola') === version) {
+    return 'zola';
+  }
+  
+  return downloadZola(version);
+}
+
+/**
+ * Find the newest Zola release
+ * @returns {Promise<string>} - Version, e.g. 0.19.2
+ */
+async function getLatestZolaVersion() {
+  const response = await fetch(ZOLA_LATEST_RELEASE_API, {
+    headers: { Accept: 'application/vnd.github+json' }
+  });
+  if (!response.ok) {
+    throw new Error(`Could not find the latest Zola release on GitHub (HTTP ${response.status}).`);
+  }
+  
+  return normalizeZolaVersion((await response.json()).tag_name);
+}
 
 /**
  * Check if Zola is installed
@@ -13,7 +147,7 @@ const logger = require('../utils/logger');
  */
 async function isZolaInstalled() {
   try {
-    await execa('zola', ['--version']);
+    await execa(getZolaCommand(), ['--version']);
     return true;
   } catch (error) {
     return false;
@@ -25,6 +159,11 @@ async function isZolaInstalled() {
  * @returns {Promise<boolean>} - Whether installation was successful
  */
 async function installZola() {
+  // Linux distributions package Zola unevenly, so ssc keeps its own copy of the release binary
+  if (process.platform === 'linux') {
+    return Boolean(await downloadZola());
+  }
+  
   try {
     logger.startSpinner('Installing Zola...');
     
@@ -32,12 +171,6 @@ async function installZola() {
     if (process.platform === 'darwin') {
       // macOS
       await execa('brew', ['install', 'zola']);
-    } else if (process.platform === 'linux') {
-      // Linux - this is a simplistic approach
-      // In a real implementation, you'd want to check the distro
-      logger.fail('Automatic Zola installation on Linux is not supported');
-      logger.info('Please install Zola manually: https://www.getzola.org/documentation/getting-started/installation/');
-      return false;
     } else if (process.platform === 'win32') {
       // Windows
       logger.fail('Automatic Zola installation on Windows is not supported');
@@ -55,6 +188,120 @@ async function installZola() {
   }
 }
 
+/**
+ * Get the URL of the Zola release archive for this machine
+ * @param {string} version - Zola version
+ * @param {string} target - Release target, e.g. x86_64-unknown-linux-gnu
+ * @returns {string} - Download URL
+ */
+function getZolaDownloadUrl(version, target) {
+  return (process.env.SSC_ZOLA_DOWNLOAD_URL || ZOLA_DOWNLOAD_URL)
+    .replace(/\{version\}/g, version)
+    .replace(/\{target\}/g, target);
+}
+
+/**
+ * Find the SHA-256 checksum a Zola archive must have
+ * SSC_ZOLA_SHA256 wins, then the checksums shipped with ssc. Other releases use the digest GitHub
+ * records for the official release asset, which the GitHub API serves apart from the archive.
+ * @param {string} url - Download URL
+ * @param {string} version - Zola version
+ * @param {string} target - Release target, e.g. x86_64-unknown-linux-gnu
+ * @returns {Promise<string|null>} - Lowercase hex checksum or null if none could be found
+ */
+async function getZolaChecksum(url, version, target) {
+  if (process.env.SSC_ZOLA_SHA256) {
+    return process.env.SSC_ZOLA_SHA256.trim().toLowerCase();
+  }
+  
+  const known = (ZOLA_CHECKSUMS[version] || {})[target];
+  if (known) {
+    return known;
+  }
+  
+  const releaseUrl = ZOLA_RELEASES_API.replace('{version}', version);
+  if (new URL(url).host === new URL(releaseUrl).host) {
+    return null;
+  }
+  
+  const response = await fetch(releaseUrl, {
+    headers: { Accept: 'application/vnd.github+json' }
+  });
+  if (!response.ok) {
+    throw new Error(`Could not read Zola release v${version} from GitHub (HTTP ${response.status}).`);
+  }
+  
+  // The official asset name, so a mirror's archive is checked against the release it copies
+  const assetName = `zola-v${version}-${target}.tar.gz`;
+  const asset = ((await response.json()).assets || []).find(item => item.name === assetName);
+  return asset && /^sha256:[a-f0-9]{64}$/i.test(asset.digest || '') ? asset.digest.slice(7).toLowerCase() : null;
+}
+
+/**
+ * Download a Zola release into the cache directory, checking its checksum
+ * @param {string} version - Zola version
+ * @returns {Promise<string|null>} - Path of the Zola binary or null if the download failed
+ */
+async function downloadZola(version = ZOLA_VERSION) {
+  const target = ZOLA_TARGETS[`${process.platform}-${process.arch}`];
+  if (!target) {
+    logger.fail(`Zola does not publish a release for ${process.platform} on ${process.arch}`);
+    logger.info('Please install Zola manually: https://www.getzola.org/documentation/getting-started/installation/');
+    return null;
+  }
+  
+  const url = getZolaDownloadUrl(version, target);
+  
+  try {
+    logger.startSpinner(`Downloading Zola ${version} from ${url}...`);
+    
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Download failed with HTTP ${response.status}.`);
+    }
+    const archive = await response.buffer();
+    
+    const expected = await getZolaChecksum(url, version, target);
+    if (!expected) {
+      throw new Error('No checksum found for the archive. Set SSC_ZOLA_SHA256 to its SHA-256 checksum.');
+    }
+    
+    const actual = crypto.createHash('sha256').update(archive).digest('hex');
+    if (actual !== expected) {
+      throw new Error(`Checksum mismatch: expected ${expected}, got ${actual}.`);
+    }
+    
+    // Unpack next to the final location, so a failed run never leaves a half-written binary behind
+    const cacheDir = getZolaCacheDir(version);
+    fs.mkdirSync(cacheDir, { recursive: true });
+    const workDir = fs.mkdtempSync(path.join(cacheDir, '.download-'));
+    
+    try {
+      const archivePath = path.join(workDir, 'zola.tar.gz');
+      fs.writeFileSync(archivePath, archive);
+      await execa('tar', ['-xzf', archivePath, '-C', workDir]);
+      
+      const binaryPath = path.join(workDir, 'zola');
+      if (!fs.existsSync(binaryPath)) {
+        throw new Error('The archive does not contain a zola binary.');
+      }
+      
+      fs.chmodSync(binaryPath, 0o755);
+      fs.renameSync(binaryPath, getManagedZolaPath(version));
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+    
+    logger.succeed(`Zola ${version} installed in ${cacheDir}`);
+    return getManagedZolaPath(version);
+  } catch (error) {
+    logger.fail(`Failed to download Zola ${version}`);
+    logger.error(error.message);
+    logger.info('Set SSC_ZOLA_DOWNLOAD_URL to download from a mirror, or install Zola manually: https://www.getzola.org/documentation/getting-started/installation/');
+    return null;
+  }
+}
+
 /**
  * Initialize a new Zola site
  * @param {string} siteName - Name of the site
@@ -65,7 +312,7 @@ async function initSite(siteName) {
     logger.startSpinner(`Initializing Zola site "${siteName}"...`);
     
     // Run zola init
-    await execa('zola', ['init', siteName]);
+    await execa(getZolaCommand(), ['init', siteName]);
     
     logger.succeed(`Zola site "${siteName}" initialized`);
     return true;
@@ -77,14 +324,17 @@ async function initSite(siteName) {
 }
 
 /**
- * Install a Zola theme
+ * Install a theme as a Git submodule and point the site's config.toml at it
+ * The keys the theme needs and the [extra] keys of its example configuration are added to
+ * config.toml, without changing keys the site already sets.
  * @param {string} sitePath - Path to the site
- * @param {string} theme - Name of the theme
- * @returns {Promise<boolean>} - Whether installation was successful
+ * @param {string} spec - Catalogue theme name or Git URL, either with an optional #ref
+ * @returns {Promise<object|null>} - The resolved theme ({ name, repo, branch, ref }) or null on failure
  */
-async function installTheme(sitePath, theme) {
+async function installTheme(sitePath, spec) {
   try {
-    logger.startSpinner(`Installing theme "${theme}"...`);
+    const theme = resolveThemeSpec(spec);
+    logger.startSpinner(`Installing theme "${theme.name}"...`);
     
     // Create themes directory if it doesn't exist
     const themesDir = path.join(sitePath, 'themes');
@@ -92,50 +342,93 @@ async function installTheme(sitePath, theme) {
       fs.mkdirSync(themesDir, { recursive: true });
     }
     
-    // Run git submodule add
-    const process = await execa('git', [
-      'submodule', 
-      'add', 
-      '-b', 
-      'latest', 
-      `https://github.com/isunjn/serene.git`, 
-      `themes/${theme}`
-    ], {
-      cwd: sitePath
-    });
+    const themePath = `themes/${theme.name}`;
+    if (fs.existsSync(path.join(sitePath, themePath))) {
+      throw new Error(`${themePath} already exists`);
+    }
     
-    // Update config.toml to use the theme
-    const configPath = path.join(sitePath, 'config.toml');
-    let configContent = fs.readFileSync(configPath, 'utf8');
+    // Catalogue themes track their branch; a #ref is checked out after cloning the default branch
+    const branchArgs = theme.branch ? ['-b', theme.branch] : [];
+    await execa('git', ['submodule', 'add', ...branchArgs, theme.repo, themePath], { cwd: sitePath });
     
-    // Add or update theme setting
-    if (configContent.includes('theme = ')) {
-      configContent = configContent.replace(/theme = ".*"/g, `theme = "${theme}"`);
-    } else {
-      configContent += `\ntheme = "${theme}"\n`;
+    if (theme.ref) {
+      await execa('git', ['checkout', theme.ref], { cwd: path.join(sitePath, themePath) });
+      await execa('git', ['add', themePath], { cwd: sitePath });
     }
     
-    fs.writeFileSync(configPath, configContent);
+    logger.succeed(`Theme "${theme.name}" installed successfully`);
     
-    logger.succeed(`Theme "${theme}" installed successfully`);
-    return true;
+    applyTheme(sitePath, theme);
+    
+    return {
+      name: theme.name,
+      repo: theme.repo,
+      branch: theme.branch,
+      ref: theme.ref
+    };
   } catch (error) {
-    logger.fail(`Failed to install theme "${theme}"`);
+    logger.fail(`Failed to install theme "${spec}"`);
     logger.error(error.message);
-    return false;
+    return null;
   }
 }
 
+/**
+ * Point a site's config.toml at an installed theme and add the config keys the theme needs
+ * Keys the site already sets are kept. A config that cannot be merged is left for the user to
+ * edit, with a warning.
+ * @param {string} sitePath - Path to the site
+ * @param {object} theme - { name, requiredConfig }, e.g. from resolveThemeSpec
+ * @returns {Array<string>} - Keys added to config.toml
+ */
+function applyTheme(sitePath, theme) {
+  const configPath = path.join(sitePath, 'config.toml');
+  const themePath = `themes/${theme.name}`;
+  const configContent = setThemeName(fs.readFileSync(configPath, 'utf8'), theme.name);
+  
+  let merged = { content: configContent, added: [] };
+  try {
+    merged = mergeThemeConfig(configContent, theme.requiredConfig, readThemeSampleConfig(path.join(sitePath, themePath)));
+  } catch (error) {
+    logger.warn(`${error.message} Copy what the theme needs from ${themePath} into config.toml by hand.`);
+  }
+  
+  fs.writeFileSync(configPath, merged.content);
+  
+  if (merged.added.length > 0) {
+    logger.info(`Added ${merged.added.join(', ')} to config.toml from the theme's configuration.`);
+  }
+  
+  return merged.added;
+}
+
 /**
  * Build the Zola site
  * @param {string} sitePath - Path to the site
+ * @param {object} options - Build options
+ * @param {string} options.baseUrl - URL to build for instead of the base_url in config.toml (optional)
+ * @param {string} options.zolaVersion - Zola version the site is pinned to (optional)
+ * @param {string} options.outputDir - Directory to build into instead of public/ (optional)
  * @returns {Promise<boolean>} - Whether build was successful
  */
-async function buildSite(sitePath) {
+async function buildSite(sitePath, options = {}) {
   try {
-    logger.startSpinner('Building site...');
+    const command = await resolveZolaCommand(options.zolaVersion);
+    if (!command) {
+      throw new Error(`Zola ${options.zolaVersion} is not available.`);
+    }
+    
+    logger.startSpinner(`Building site${options.zolaVersion ? ` with Zola ${options.zolaVersion}` : ''}...`);
     
-    await execa('zola', ['build'], {
+    const args = ['build'];
+    if (options.baseUrl) {
+      args.push('--base-url', options.baseUrl);
+    }
+    if (options.outputDir) {
+      args.push('--output-dir', options.outputDir, '--force');
+    }
+    
+    await execa(command, args, {
       cwd: sitePath
     });
     
@@ -152,27 +445,38 @@ async function buildSite(sitePath) {
  * Serve the Zola site locally
  * @param {string} sitePath - Path to the site
  * @param {number} port - Port to serve on (default: 1111)
- * @returns {Promise<object>} - The execa process
+ * @param {string} zolaVersion - Zola version the site is pinned to (optional)
+ * @returns {Promise<object>} - Result of the Zola process, once it stops
  */
-async function serveSite(sitePath, port = 1111) {
+async function serveSite(sitePath, port = 1111, zolaVersion) {
+  const command = await resolveZolaCommand(zolaVersion);
+  if (!command) {
+    throw new Error(`Zola ${zolaVersion} is not available.`);
+  }
+  
   logger.info(`Starting local server on http://127.0.0.1:${port}`);
   
-  const process = execa('zola', ['serve', '--port', port.toString()], {
-    cwd: sitePath
+  // Zola's output (rebuilds, errors) goes straight to the terminal
+  return execa(command, ['serve', '--port', port.toString()], {
+    cwd: sitePath,
+    stdio: 'inherit'
   });
-  
-  // Forward stdout and stderr
-  process.stdout.pipe(process.stdout);
-  process.stderr.pipe(process.stderr);
-  
-  return process;
 }
 
 module.exports = {
+  ZOLA_VERSION,
+  normalizeZolaVersion,
+  getZolaCommand,
+  getZolaVersion,
+  listInstalledZolaVersions,
+  resolveZolaCommand,
+  getLatestZolaVersion,
   isZolaInstalled,
   installZola,
+  downloadZola,
   initSite,
   installTheme,
+  applyTheme,
   buildSite,
   serveSite
 };
\ No newline at end of file
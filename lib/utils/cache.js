@@ -0,0 +1,199 @@
+/**
+ * Cache settings: the Cache-Control each uploaded file gets, from a table of path patterns
+ */
+
+const { getContentEncoding } = require('./optimize');
+
+// Fingerprinted files never change under their name, so browsers may keep them for a year
+const IMMUTABLE_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+// Names of fingerprinted files end in a dot and eight hex digits before the extension, e.g. style.1a2b3c4d.css
+const FINGERPRINT_PATTERN = `*.${'[0-9a-f]'.repeat(8)}.*`;
+
+// Used after the site's own rules: pages are revalidated on every visit, everything else is kept a day
+const DEFAULT_CACHE_RULES = [
+  { pattern: '*.html', cacheControl: 'no-cache' },
+  { pattern: '*', cacheControl: 'max-age=86400' }
+];
+
+// Rules end up inside double quotes in the workflow's shell commands, where these characters are not literal
+const SHELL_SPECIAL_CHARACTERS = /["$`\\\u0000-\u001f\u007f]/;
+
+/**
+ * Split a cache pattern into its alternatives, e.g. *.css|*.js into *.css and *.js
+ * @param {string} pattern - Cache pattern
+ * @returns {Array<string>} - Alternatives, trimmed
+ */
+function splitCachePattern(pattern) {
+  return pattern.split('|').map(alternative => alternative.trim());
+}
+
+/**
+ * Check a cache rule
+ * Patterns are matched against the path inside public/ the way the AWS CLI matches --include and
+ * --exclude filters: * matches any characters including /, ? matches one, [...] matches a set.
+ * A | separates alternatives, any of which may match.
+ * @param {object} rule - { pattern, cacheControl }
+ * @returns {object} - { pattern, cacheControl }
+ */
+function normalizeCacheRule(rule) {
+  const { pattern, cacheControl } = rule || {};
+  const alternatives = typeof pattern === 'string' ? splitCachePattern(pattern) : [];
+  if (alternatives.length === 0 || alternatives.some(alternative => !alternative || alternative.startsWith('/'))) {
+    throw new Error(`Invalid cache pattern "${pattern}". Use a path pattern inside public/, e.g. *.css, images/* or *.css|*.js.`);
+  }
+  if (SHELL_SPECIAL_CHARACTERS.test(pattern)) {
+    throw new Error(`Invalid cache pattern "${pattern}". Patterns cannot contain ", $, \`, \\ or control characters.`);
+  }
+  if (typeof cacheControl !== 'string' || !cacheControl.trim() || SHELL_SPECIAL_CHARACTERS.test(cacheControl)) {
+    throw new Error(`Invalid Cache-Control value "${cacheControl}" for ${pattern}, e.g. use "no-cache" or "max-age=3600".`);
+  }
+  
+  return { pattern: alternatives.join('|'), cacheControl: cacheControl.trim() };
+}
+
+/**
+ * Parse a --set option of the form <pattern>=<Cache-Control>
+ * @param {string} spec - Option value
+ * @returns {object} - { pattern, cacheControl }
+ */
+function parseCacheRuleSpec(spec) {
+  const index = spec.indexOf('=');
+  if (index === -1) {
+    throw new Error(`Invalid cache rule "${spec}". Use <pattern>=<Cache-Control>, e.g. "*.css=max-age=604800".`);
+  }
+  
+  return normalizeCacheRule({ pattern: spec.slice(0, index), cacheControl: spec.slice(index + 1) });
+}
+
+/**
+ * Work out the site's cache rules from the command line options
+ * A rule set again keeps its place in the table; new rules go after the existing ones.
+ * @param {object} siteConfig - Site configuration (cacheRules)
+ * @param {object} options - Command options (set, unset, reset)
+ * @returns {Array<object>} - The site's own rules, in order
+ */
+function applyCacheOptions(siteConfig, options = {}) {
+  let rules = options.reset ? [] : (siteConfig.cacheRules || []).map(normalizeCacheRule);
+  
+  (options.set || []).map(parseCacheRuleSpec).forEach(rule => {
+    const index = rules.findIndex(existing => existing.pattern === rule.pattern);
+    if (index === -1) {
+      rules.push(rule);
+    } else {
+      rules[index] = rule;
+    }
+  });
+  
+  (options.unset || []).forEach(pattern => {
+    if (!rules.some(rule => rule.pattern === pattern)) {
+      throw new Error(`The site has no cache rule for "${pattern}".`);
+    }
+    rules = rules.filter(rule => rule.pattern !== pattern);
+  });
+  
+  return rules;
+}
+
+/**
+ * Resolve the full cache table for a site: its own rules, then fingerprinted files if the site
+ * fingerprints them, then the defaults
+ * @param {object} siteConfig - Site configuration (cacheRules, optimize)
+ * @returns {Array<object>} - Rules in order; the first one that matches a file applies
+ */
+function resolveCacheRules({ cacheRules, optimize } = {}) {
+  const fingerprinted = optimize && optimize.fingerprint ?
+    [{ pattern: FINGERPRINT_PATTERN, cacheControl: IMMUTABLE_CACHE_CONTROL }] :
+    [];
+  
+  return [...(cacheRules || []).map(normalizeCacheRule), ...fingerprinted, ...DEFAULT_CACHE_RULES];
+}
+
+/**
+ * Check whether a path matches a cache pattern
+ * @param {string} key - Path inside public/, e.g. blog/index.html
+ * @param {string} pattern - Cache pattern
+ * @returns {boolean} - Whether one of the pattern's alternatives matches the whole path
+ */
+function matchesCachePattern(key, pattern) {
+  const alternatives = splitCachePattern(pattern);
+  if (alternatives.length > 1) {
+    return alternatives.some(alternative => matchesCachePattern(key, alternative));
+  }
+  
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const character = pattern[i];
+    const end = character === '[' ? pattern.indexOf(']', i + 2) : -1;
+    if (character === '*') {
+      source += '.*';
+    } else if (character === '?') {
+      source += '.';
+    } else if (end !== -1) {
+      const set = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+      source += set.startsWith('!') ? `[^${set.slice(1)}]` : `[${set}]`;
+      i = end;
+    } else {
+      source += character.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+  
+  return new RegExp(`^${source}$`).test(key);
+}
+
+/**
+ * Narrow a cache pattern down to the files of one type, for AWS CLI filters that pick out compressed copies
+ * The result can take several patterns: the * that ends images/* may match nothing, so a pattern like
+ * *.1a2b3c4d.* becomes *.1a2b3c4d.*.css and *.1a2b3c4d.css. Patterns ending in ? or a set match no copies.
+ * @param {string} pattern - Cache pattern
+ * @param {string} extension - File extension, e.g. .css
+ * @returns {Array<string>} - Patterns that together match the files of that type the pattern matches
+ */
+function restrictCachePattern(pattern, extension) {
+  const alternatives = splitCachePattern(pattern);
+  if (alternatives.length > 1) {
+    return alternatives.flatMap(alternative => restrictCachePattern(alternative, extension));
+  }
+  
+  if (pattern.endsWith(extension)) {
+    return [pattern];
+  }
+  if (!pattern.endsWith('*')) {
+    return [];
+  }
+  
+  const head = pattern.slice(0, -1);
+  const overlaps = [];
+  for (let length = 1; length <= extension.length; length++) {
+    if (head.endsWith(extension.slice(0, length))) {
+      overlaps.push(`${head}${extension.slice(length)}`);
+    }
+  }
+  
+  return [`${pattern}${extension}`, ...overlaps];
+}
+
+/**
+ * Get the Cache-Control for a file
+ * Compressed copies such as style.css.br are cached like the file they were made from.
+ * @param {string} key - Path inside public/
+ * @param {Array<object>} rules - Cache table (see resolveCacheRules)
+ * @returns {string} - Cache-Control header value
+ */
+function getCacheControl(key, rules) {
+  const source = getContentEncoding(key) ? key.replace(/\.[^.]+$/, '') : key;
+  const rule = rules.find(candidate => matchesCachePattern(source, candidate.pattern));
+  return rule ? rule.cacheControl : DEFAULT_CACHE_RULES[DEFAULT_CACHE_RULES.length - 1].cacheControl;
+}
+
+module.exports = {
+  IMMUTABLE_CACHE_CONTROL,
+  DEFAULT_CACHE_RULES,
+  parseCacheRuleSpec,
+  applyCacheOptions,
+  resolveCacheRules,
+  splitCachePattern,
+  matchesCachePattern,
+  restrictCachePattern,
+  getCacheControl
+};
@@ -0,0 +1,40 @@
+/**
+ * The ssc package the generated workflow runs in GitHub Actions
+ * Those jobs can assume the site's AWS role, so the package must be pinned to code the site owner
+ * controls: the unscoped name on npm belongs to an unrelated project.
+ */
+
+// A scoped npm package at an exact version, e.g. @acme/static-site-creator@1.4.2
+const SCOPED_PACKAGE_PATTERN = /^@[a-z0-9][a-z0-9._-]*\/[a-z0-9][a-z0-9._-]*@\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?$/;
+
+// A Git repository at a full commit SHA, e.g. github:acme/static-site-creator#<sha>
+const GIT_PACKAGE_PATTERN = /^(?:github:[A-Za-z0-9_.-]+\/[A-Za-z0-9_.-]+|git\+https:\/\/[A-Za-z0-9.-]+(?::\d+)?\/[A-Za-z0-9_./-]+)#[0-9a-f]{40}$/;
+
+/**
+ * Check a package spec for the workflow to install ssc from
+ * @param {string} spec - Package spec
+ * @returns {string} - The spec, trimmed
+ */
+function normalizeCiPackage(spec) {
+  const trimmed = typeof spec === 'string' ? spec.trim() : '';
+  if (!SCOPED_PACKAGE_PATTERN.test(trimmed) && !GIT_PACKAGE_PATTERN.test(trimmed)) {
+    throw new Error(`Invalid CI package "${spec}". Use a scoped npm package at an exact version (e.g. @acme/static-site-creator@1.4.2) or a Git URL at a full commit SHA (e.g. github:acme/static-site-creator#<40-character sha>).`);
+  }
+  
+  return trimmed;
+}
+
+/**
+ * Build the shell command that runs ssc in a workflow step
+ * @param {string} ciPackage - Pinned package spec (see normalizeCiPackage)
+ * @param {string} args - ssc arguments, e.g. lint --dir .
+ * @returns {string} - Command line
+ */
+function getCiCommand(ciPackage, args) {
+  return `npx --yes --package ${normalizeCiPackage(ciPackage)} ssc ${args}`;
+}
+
+module.exports = {
+  normalizeCiPackage,
+  getCiCommand
+};
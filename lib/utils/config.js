@@ -18,14 +18,56 @@ const config = new Conf({
   }
 });
 
+// Fields that belong to one environment (staging, production, ...) rather than to the whole site
+const ENVIRONMENT_FIELDS = [
+  'domain',
+  'aliases',
+  'canonicalDomain',
+  'awsRegion',
+  'awsProfile',
+  'awsAssumeRoleArn',
+  'awsExternalId',
+  's3BucketName',
+  's3BucketArn',
+  'delegateZone',
+  'route53HostedZoneId',
+  'route53HostedZoneName',
+  'route53HostedZoneCreated',
+  'route53ParentHostedZoneId',
+  'acmCertificateArn',
+  'cloudfrontFunctionName',
+  'cloudfrontFunctionArn',
+  'cloudfrontOriginAccessControlId',
+  'cloudfrontResponseHeadersPolicyId',
+  'cloudfrontDistributionId',
+  'cloudfrontDistributionArn',
+  'cloudfrontDomain',
+  'iamPolicyArn',
+  'iamRoleName',
+  'iamRoleArn',
+  'releases'
+];
+
 /**
  * Get configuration for a specific site
+ * The Zola pin is read from the site's committed .ssc-config.json when it has one, so every
+ * checkout of the repository builds with the version CI installs.
  * @param {string} siteName - Name of the site
  * @returns {object|null} - Site configuration or null if not found
  */
 function getSiteConfig(siteName) {
   const sites = config.get('sites');
-  return sites[siteName] || null;
+  const siteConfig = sites[siteName] || null;
+  if (!siteConfig) {
+    return null;
+  }
+  
+  const committed = loadFromSiteDirectory(siteName);
+  if (committed && committed.zolaVersion) {
+    return { ...siteConfig, zolaVersion: committed.zolaVersion };
+  }
+  
+  return siteConfig;
 }
 
 /**
@@ -38,7 +80,7 @@ function saveSiteConfig(siteName, siteConfig) {
   sites[siteName] = siteConfig;
   config.set('sites', sites);
   
-  // Also save site-specific config in the site directory
+  // Also save site-specific config in the site directory, where it is committed with the site
   const configPath = path.join(process.cwd(), siteName, '.ssc-config.json');
   try {
     fs.writeFileSync(
@@ -47,8 +89,11 @@ function saveSiteConfig(siteName, siteConfig) {
         siteName,
         domain: siteConfig.domain,
         theme: siteConfig.theme,
+        themeRepo: siteConfig.themeRepo,
+        themeRef: siteConfig.themeRef,
         repo: siteConfig.repo,
-        awsRegion: siteConfig.awsRegion
+        awsRegion: siteConfig.awsRegion,
+        zolaVersion: siteConfig.zolaVersion
       }, null, 2)
     );
   } catch (error) {
@@ -59,6 +104,91 @@ function saveSiteConfig(siteName, siteConfig) {
   return siteConfig;
 }
 
+/**
+ * Get the configuration of one environment of a site
+ * The result looks like a site configuration without environments: the site-wide fields
+ * (name, theme, repository) plus the environment's own resources. Without an environment
+ * name the site configuration itself is returned.
+ * @param {string} siteName - Name of the site
+ * @param {string} envName - Environment name (optional)
+ * @returns {object|null} - Environment configuration or null if the site is not found
+ */
+function getEnvironmentConfig(siteName, envName) {
+  const siteConfig = getSiteConfig(siteName);
+  if (!siteConfig || !envName) {
+    return siteConfig;
+  }
+  
+  const { environments = {}, ...siteFields } = siteConfig;
+  ENVIRONMENT_FIELDS.forEach(field => {
+    delete siteFields[field];
+  });
+  
+  return {
+    ...siteFields,
+    ...(environments[envName] || {}),
+    environment: envName
+  };
+}
+
+/**
+ * Save the configuration of one environment of a site
+ * Site-wide fields are written to the site, environment fields to the environment.
+ * @param {string} siteName - Name of the site
+ * @param {string} envName - Environment name (optional; saves the site configuration without it)
+ * @param {object} envConfig - Configuration as returned by getEnvironmentConfig
+ * @returns {object} - The saved environment configuration
+ */
+function saveEnvironmentConfig(siteName, envName, envConfig) {
+  if (!envName) {
+    return saveSiteConfig(siteName, envConfig);
+  }
+  
+  const siteConfig = getSiteConfig(siteName) || {};
+  const environments = { ...(siteConfig.environments || {}) };
+  const updated = { ...siteConfig };
+  const environment = {};
+  
+  Object.entries(envConfig).forEach(([key, value]) => {
+    if (ENVIRONMENT_FIELDS.includes(key)) {
+      environment[key] = value;
+    } else if (key !== 'environment' && key !== 'environments') {
+      updated[key] = value;
+    }
+  });
+  
+  environments[envName] = environment;
+  updated.environments = environments;
+  saveSiteConfig(siteName, updated);
+  
+  return envConfig;
+}
+
+/**
+ * Remove an environment from a site configuration
+ * @param {string} siteName - Name of the site
+ * @param {string} envName - Environment name
+ */
+function deleteEnvironmentConfig(siteName, envName) {
+  const siteConfig = getSiteConfig(siteName);
+  if (!siteConfig || !siteConfig.environments) {
+    return;
+  }
+  
+  const { [envName]: removed, ...environments } = siteConfig.environments;
+  saveSiteConfig(siteName, { ...siteConfig, environments });
+}
+
+/**
+ * Get the prefix used to name a site's AWS resources
+ * @param {string} siteName - Name of the site
+ * @param {string} envName - Environment name (optional)
+ * @returns {string} - Resource name prefix, e.g. my-site or my-site-staging
+ */
+function getResourcePrefix(siteName, envName) {
+  return envName ? `${siteName}-${envName}` : siteName;
+}
+
 /**
  * List all sites in the configuration
  * @returns {Array<object>} - Array of site configurations
@@ -104,5 +234,9 @@ module.exports = {
   saveSiteConfig,
   listSites,
   loadFromSiteDirectory,
-  deleteSiteConfig
+  deleteSiteConfig,
+  getEnvironmentConfig,
+  saveEnvironmentConfig,
+  deleteEnvironmentConfig,
+  getResourcePrefix
 };
\ No newline at end of file
@@ -0,0 +1,139 @@
+/**
+ * Zola content files: where they live, the URLs Zola gives them, and their TOML front matter
+ */
+
+const fs = require('fs');
+const path = require('path');
+const TOML = require('@iarna/toml');
+
+const CONTENT_DIR = 'content';
+
+// TOML front matter between +++ lines, as Zola writes it
+const FRONT_MATTER_PATTERN = /^\uFEFF?\+\+\+\r?\n([\s\S]*?)\r?\n?\+\+\+[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Turn a file or directory name into a URL part, close to Zola's default slugify
+ * Accented Latin letters lose their accents as they do in Zola (café becomes cafe). Zola also
+ * transliterates other scripts; those are dropped here, so such names can come out empty.
+ * @param {string} name - File or directory name
+ * @returns {string} - Slug
+ */
+function slugify(name) {
+  return name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Format the calendar day of a date for front matter, in the author's time zone rather than UTC's
+ * @param {Date} date - Date
+ * @returns {string} - Day as YYYY-MM-DD
+ */
+function formatLocalDate(date) {
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+    .map((part, index) => String(part).padStart(index === 0 ? 4 : 2, '0'))
+    .join('-');
+}
+
+/**
+ * Work out the URL path Zola gives a content file
+ * @param {string} relativePath - Path of the file inside content/, e.g. blog/2024-01-02-hello.md
+ * @param {object} frontMatter - Parsed front matter
+ * @returns {string} - URL path, e.g. /blog/hello/
+ */
+function getContentUrlPath(relativePath, frontMatter) {
+  const parts = relativePath.split(path.sep);
+  const fileName = path.basename(parts.pop(), '.md');
+  
+  if (frontMatter.path !== undefined) {
+    const custom = String(frontMatter.path).replace(/^\/+|\/+$/g, '');
+    return custom ? `/${custom}/` : '/';
+  }
+  
+  const sections = parts.map(slugify);
+  if (fileName === '_index') {
+    return sections.length > 0 ? `/${sections.join('/')}/` : '/';
+  }
+  
+  // A page can be a directory with an index.md next to its assets
+  const name = fileName === 'index' ? sections.pop() : fileName;
+  const slug = frontMatter.slug !== undefined ?
+    String(frontMatter.slug) :
+    slugify(name.replace(/^\d{4}-\d{2}-\d{2}([T_ ]\d{2}:?\d{2}:?\d{2})?[-_]/, ''));
+  
+  return `/${[...sections, slug].join('/')}/`;
+}
+
+/**
+ * List the content files of a site
+ * @param {string} directory - Directory to search
+ * @returns {Array<string>} - Paths of the Markdown files
+ */
+function listContentFiles(directory) {
+  return fs.readdirSync(directory, { withFileTypes: true }).flatMap(entry => {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      return listContentFiles(entryPath);
+    }
+    return entry.name.endsWith('.md') ? [entryPath] : [];
+  });
+}
+
+/**
+ * Split a content file into the text of its front matter and its body
+ * @param {string} content - File contents
+ * @returns {object|null} - { text, body }, or null if the file has no TOML front matter
+ */
+function splitFrontMatter(content) {
+  const match = FRONT_MATTER_PATTERN.exec(content);
+  if (!match) {
+    return null;
+  }
+  
+  return {
+    text: match[1],
+    body: content.slice(match[0].length)
+  };
+}
+
+/**
+ * Split a content file into its front matter and body
+ * @param {string} content - File contents
+ * @returns {object|null} - { frontMatter, body }, or null if the file has no TOML front matter
+ * @throws {Error} - If the front matter is not valid TOML
+ */
+function parseFrontMatter(content) {
+  const parts = splitFrontMatter(content);
+  if (!parts) {
+    return null;
+  }
+  
+  return {
+    frontMatter: TOML.parse(parts.text),
+    body: parts.body
+  };
+}
+
+/**
+ * Write a content file's front matter and body back into one document
+ * @param {object} frontMatter - Front matter values
+ * @param {string} body - Markdown body
+ * @returns {string} - File contents
+ */
+function stringifyFrontMatter(frontMatter, body = '') {
+  return `+++\n${TOML.stringify(frontMatter)}+++\n${body}`;
+}
+
+module.exports = {
+  CONTENT_DIR,
+  slugify,
+  formatLocalDate,
+  getContentUrlPath,
+  listContentFiles,
+  splitFrontMatter,
+  parseFrontMatter,
+  stringifyFrontMatter
+};
@@ -5,6 +5,7 @@
 
 const keytar = require('keytar');
 const inquirer = require('inquirer');
+const { fromIni, fromNodeProviderChain, fromTemporaryCredentials } = require('@aws-sdk/credential-providers');
 const SERVICE_NAME = 'static-site-creator';
 
 /**
@@ -124,6 +125,68 @@ async function promptForAwsCredentials(profileName = 'default') {
   return credentials;
 }
 
+/**
+ * Resolve the AWS credentials for a command
+ * In order: an explicit profile, credentials or a profile named in the environment, keys stored
+ * in the system keychain, then the rest of the SDK chain (the default profile, SSO, container and
+ * instance roles). Keys are only prompted for when none of these work. With a role ARN, whatever
+ * was resolved is used to assume that role.
+ * @param {object} options - Command options (awsProfile, assumeRoleArn, externalId)
+ * @param {object} siteConfig - Site configuration, for the values recorded by setup-aws (optional)
+ * @returns {Promise<object|Function>} - Static credentials or a credential provider accepted by the AWS clients
+ */
+async function resolveAwsCredentials(options = {}, siteConfig = {}) {
+  const awsProfile = options.awsProfile || siteConfig.awsProfile;
+  const assumeRoleArn = options.assumeRoleArn || siteConfig.awsAssumeRoleArn;
+  const externalId = options.externalId || siteConfig.awsExternalId;
+  
+  const baseCredentials = await resolveBaseAwsCredentials(awsProfile);
+  if (!assumeRoleArn) {
+    return baseCredentials;
+  }
+  
+  return fromTemporaryCredentials({
+    masterCredentials: baseCredentials,
+    params: {
+      RoleArn: assumeRoleArn,
+      RoleSessionName: `static-site-creator-${Date.now()}`,
+      ExternalId: externalId || undefined
+    },
+    clientConfig: { region: siteConfig.awsRegion || 'us-east-1' }
+  });
+}
+
+/**
+ * Resolve the credentials used directly or to assume a role
+ * @param {string} awsProfile - Profile from ~/.aws/config (optional)
+ * @returns {Promise<object|Function>} - Static credentials or a credential provider
+ */
+async function resolveBaseAwsCredentials(awsProfile) {
+  // Profiles handle SSO, role chaining and credential_process themselves
+  if (awsProfile) {
+    return fromIni({ profile: awsProfile });
+  }
+  
+  const env = process.env;
+  if ((env.AWS_ACCESS_KEY_ID && env.AWS_SECRET_ACCESS_KEY) || env.AWS_PROFILE) {
+    return fromNodeProviderChain();
+  }
+  
+  const storedCredentials = await getAwsCredentials();
+  if (storedCredentials) {
+    return storedCredentials;
+  }
+  
+  // The chain caches what it resolves, so trying it here costs nothing later
+  const chain = fromNodeProviderChain();
+  try {
+    await chain();
+    return chain;
+  } catch (error) {
+    return promptForAwsCredentials();
+  }
+}
+
 /**
  * Delete all stored credentials
  * @returns {Promise<void>}
@@ -141,5 +204,6 @@ module.exports = {
   storeAwsCredentials,
   promptForGithubToken,
   promptForAwsCredentials,
+  resolveAwsCredentials,
   clearAllCredentials
 };
\ No newline at end of file
@@ -0,0 +1,123 @@
+/**
+ * Domain settings: the names a site answers on and the canonical host the others redirect to
+ */
+
+const DOMAIN_PATTERN = /^([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,}$/;
+
+/**
+ * Get the standard spelling of a domain name
+ * @param {string} domain - Domain name, e.g. WWW.Example.com.
+ * @returns {string} - Lowercase domain name without a trailing dot
+ */
+function normalizeDomain(domain) {
+  return String(domain).trim().toLowerCase().replace(/\.$/, '');
+}
+
+/**
+ * Check whether a string is a domain name CloudFront and ACM accept
+ * @param {string} domain - Domain name
+ * @returns {boolean} - Whether the domain is valid
+ */
+function isValidDomain(domain) {
+  return DOMAIN_PATTERN.test(normalizeDomain(domain));
+}
+
+/**
+ * Get the domain one level up, where a subdomain's records or delegation live
+ * @param {string} domain - Domain name, e.g. docs.example.com
+ * @returns {string|null} - Parent domain, e.g. example.com, or null for a domain directly under a TLD
+ */
+function getParentDomain(domain) {
+  const labels = normalizeDomain(domain).split('.');
+  return labels.length > 2 ? labels.slice(1).join('.') : null;
+}
+
+/**
+ * Work out the aliases and canonical host to save from the command options
+ * @param {object} siteConfig - Site configuration
+ * @param {object} options - Command options (alias, removeAlias, www, canonical)
+ * @param {string} domain - Main domain of the site or environment
+ * @returns {object} - { aliases, canonicalDomain } to record
+ */
+function applyDomainOptions(siteConfig, options = {}, domain) {
+  const main = domain ? normalizeDomain(domain) : null;
+  const aliases = new Set((siteConfig.aliases || []).map(normalizeDomain));
+  
+  const added = [...(options.alias || [])];
+  if (options.www && main) {
+    added.push(`www.${main}`);
+  }
+  
+  added.map(normalizeDomain).forEach(alias => {
+    if (!isValidDomain(alias)) {
+      throw new Error(`Invalid alias "${alias}". Use a domain name, e.g. www.example.com.`);
+    }
+    aliases.add(alias);
+  });
+  
+  (options.removeAlias || []).forEach(alias => {
+    aliases.delete(normalizeDomain(alias));
+  });
+  
+  aliases.delete(main);
+  
+  if ((aliases.size > 0 || options.canonical) && !main) {
+    throw new Error('Aliases need a main domain. Pass --domain as well.');
+  }
+  
+  let canonicalDomain = options.canonical ? normalizeDomain(options.canonical) : siteConfig.canonicalDomain || null;
+  if (options.canonical && canonicalDomain !== main && !aliases.has(canonicalDomain)) {
+    throw new Error(`Canonical domain "${canonicalDomain}" must be the main domain or one of the aliases.`);
+  }
+  
+  // Dropping the alias that was canonical hands the role back to the main domain
+  if (canonicalDomain && canonicalDomain !== main && !aliases.has(canonicalDomain)) {
+    canonicalDomain = null;
+  }
+  
+  return {
+    aliases: [...aliases].sort(),
+    canonicalDomain
+  };
+}
+
+/**
+ * Resolve the names a site answers on
+ * @param {object} siteConfig - Site configuration (domain, aliases, canonicalDomain)
+ * @returns {object} - { domainNames, canonicalDomain, redirectDomains }; empty without a domain
+ */
+function resolveDomains({ domain, aliases, canonicalDomain } = {}) {
+  if (!domain) {
+    return { domainNames: [], canonicalDomain: null, redirectDomains: [] };
+  }
+  
+  const main = normalizeDomain(domain);
+  const domainNames = [main, ...(aliases || []).map(normalizeDomain).filter(alias => alias !== main)];
+  const canonical = canonicalDomain && domainNames.includes(normalizeDomain(canonicalDomain)) ?
+    normalizeDomain(canonicalDomain) :
+    main;
+  
+  return {
+    domainNames,
+    canonicalDomain: canonical,
+    redirectDomains: domainNames.filter(name => name !== canonical)
+  };
+}
+
+/**
+ * Get the host a site is served from: its canonical domain, or the CloudFront domain without one
+ * @param {object} siteConfig - Site configuration (domain, aliases, canonicalDomain, cloudfrontDomain)
+ * @returns {string|undefined} - Host name
+ */
+function getSiteHost(siteConfig) {
+  return resolveDomains(siteConfig).canonicalDomain || siteConfig.cloudfrontDomain || undefined;
+}
+
+module.exports = {
+  normalizeDomain,
+  isValidDomain,
+  getParentDomain,
+  applyDomainOptions,
+  resolveDomains,
+  getSiteHost
+};
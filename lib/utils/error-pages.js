@@ -0,0 +1,142 @@
+/**
+ * Error page settings: which page CloudFront serves, with which status, when the origin returns an error
+ */
+
+// CloudFront only accepts custom error responses for these status codes
+const ERROR_CODES = [400, 403, 404, 405, 414, 416, 500, 501, 502, 503, 504];
+
+// Zola always generates 404.html. The bucket policy does not allow listing, so S3 answers
+// requests for missing objects with 403 rather than 404; both get the not-found page.
+const DEFAULT_ERROR_PAGES = {
+  403: { page: '/404.html', responseCode: 404, ttl: 300 },
+  404: { page: '/404.html', responseCode: 404, ttl: 300 }
+};
+
+// Single-page apps route in the browser, so every unknown path gets the app shell
+const SPA_ERROR_PAGES = {
+  403: { page: '/index.html', responseCode: 200, ttl: 0 },
+  404: { page: '/index.html', responseCode: 200, ttl: 0 }
+};
+
+/**
+ * Parse an --error-page option
+ * Accepts <code>=<page>[:<responseCode>[:<ttl>]], <code>=none to let CloudFront show its own
+ * error, or <code>=default to drop an earlier override.
+ * @param {string} spec - Option value, e.g. 500=/500.html:500:60
+ * @returns {object} - { code, entry }, with entry null for "none" and undefined for "default"
+ */
+function parseErrorPageSpec(spec) {
+  const match = /^(\d{3})=(.+)$/.exec(spec);
+  if (!match) {
+    throw new Error(`Invalid error page "${spec}". Use <code>=<page>[:<responseCode>[:<ttl>]], e.g. 404=/404.html.`);
+  }
+  
+  const code = Number(match[1]);
+  if (match[2] === 'none') {
+    return { code, entry: null };
+  }
+  if (match[2] === 'default') {
+    return { code, entry: undefined };
+  }
+  
+  const [page, responseCode, ttl] = match[2].split(':');
+  const entry = { page };
+  if (responseCode) {
+    entry.responseCode = Number(responseCode);
+  }
+  if (ttl) {
+    entry.ttl = Number(ttl);
+  }
+  
+  validateErrorPage(code, entry);
+  return { code, entry };
+}
+
+/**
+ * Check that an error page entry is something CloudFront accepts
+ * @param {number|string} code - Error status code
+ * @param {object|null} entry - { page, responseCode, ttl }, or null to use CloudFront's own error
+ */
+function validateErrorPage(code, entry) {
+  if (!ERROR_CODES.includes(Number(code))) {
+    throw new Error(`Error page for ${code} is not supported. CloudFront allows ${ERROR_CODES.join(', ')}.`);
+  }
+  
+  if (entry === null) {
+    return;
+  }
+  
+  if (!entry || typeof entry.page !== 'string' || !entry.page.startsWith('/')) {
+    throw new Error(`Error page for ${code} must be a path starting with "/", e.g. /404.html.`);
+  }
+  
+  if (entry.responseCode !== undefined && !/^[1-5]\d{2}$/.test(String(entry.responseCode))) {
+    throw new Error(`Response code for the ${code} error page must be an HTTP status code.`);
+  }
+  
+  if (entry.ttl !== undefined && !(Number.isInteger(entry.ttl) && entry.ttl >= 0)) {
+    throw new Error(`Caching TTL for the ${code} error page must be a whole number of seconds.`);
+  }
+}
+
+/**
+ * Work out the error page settings to save from the command options
+ * @param {object} siteConfig - Site configuration
+ * @param {object} options - Command options (spa, errorPage)
+ * @returns {object} - { spa, errorPages } to record for the site
+ */
+function applyErrorPageOptions(siteConfig, options = {}) {
+  const errorPages = { ...(siteConfig.errorPages || {}) };
+  
+  (options.errorPage || []).forEach(spec => {
+    const { code, entry } = parseErrorPageSpec(spec);
+    if (entry === undefined) {
+      delete errorPages[code];
+    } else {
+      errorPages[code] = entry;
+    }
+  });
+  
+  return {
+    spa: options.spa !== undefined ? options.spa : Boolean(siteConfig.spa),
+    errorPages
+  };
+}
+
+/**
+ * Resolve the error pages for a site: the defaults (or the SPA preset) with the site's overrides on top
+ * @param {object} siteConfig - Site configuration (spa, errorPages)
+ * @returns {object} - Error pages by status code; codes set to null are left to CloudFront
+ */
+function resolveErrorPages({ spa, errorPages } = {}) {
+  const resolved = { ...(spa ? SPA_ERROR_PAGES : DEFAULT_ERROR_PAGES) };
+  
+  Object.entries(errorPages || {}).forEach(([code, entry]) => {
+    validateErrorPage(code, entry);
+    resolved[code] = entry;
+  });
+  
+  Object.keys(resolved).forEach(code => {
+    if (resolved[code] === null) {
+      delete resolved[code];
+      return;
+    }
+    
+    resolved[code] = {
+      page: resolved[code].page,
+      responseCode: resolved[code].responseCode !== undefined ? Number(resolved[code].responseCode) : Number(code),
+      ttl: resolved[code].ttl !== undefined ? resolved[code].ttl : 300
+    };
+  });
+  
+  return resolved;
+}
+
+module.exports = {
+  ERROR_CODES,
+  DEFAULT_ERROR_PAGES,
+  SPA_ERROR_PAGES,
+  parseErrorPageSpec,
+  applyErrorPageOptions,
+  resolveErrorPages
+};
@@ -0,0 +1,181 @@
+/**
+ * Response header settings: the security headers CloudFront adds to every response
+ */
+
+// Sent unless the site config turns them off. The CSP allows what Zola themes commonly need:
+// inline styles from syntax highlighting, and images and fonts from other HTTPS hosts.
+const DEFAULT_HEADERS = {
+  'Strict-Transport-Security': 'max-age=31536000',
+  'Content-Security-Policy': "default-src 'self'; img-src 'self' data: https:; font-src 'self' data: https:; style-src 'self' 'unsafe-inline'; script-src 'self'; object-src 'none'; base-uri 'self'; frame-ancestors 'none'",
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'DENY',
+  'Referrer-Policy': 'strict-origin-when-cross-origin',
+  'Permissions-Policy': 'camera=(), microphone=(), geolocation=(), payment=(), usb=()'
+};
+
+// Headers CloudFront sets through its security headers settings, which limit the values allowed
+const SECURITY_HEADERS = [
+  'Strict-Transport-Security',
+  'Content-Security-Policy',
+  'X-Content-Type-Options',
+  'X-Frame-Options',
+  'Referrer-Policy',
+  'X-XSS-Protection'
+];
+
+const REFERRER_POLICIES = [
+  'no-referrer',
+  'no-referrer-when-downgrade',
+  'origin',
+  'origin-when-cross-origin',
+  'same-origin',
+  'strict-origin',
+  'strict-origin-when-cross-origin',
+  'unsafe-url'
+];
+
+/**
+ * Get the standard spelling of a header name, so overrides match the defaults whatever their case
+ * @param {string} name - Header name
+ * @returns {string} - Header name
+ */
+function normalizeHeaderName(name) {
+  const known = [...SECURITY_HEADERS, ...Object.keys(DEFAULT_HEADERS)]
+    .find(header => header.toLowerCase() === name.toLowerCase());
+  return known || name;
+}
+
+/**
+ * Check that a header value is something CloudFront accepts
+ * @param {string} name - Header name
+ * @param {string|null} value - Header value, or null to leave the header out
+ */
+function validateHeader(name, value) {
+  if (!/^[A-Za-z0-9-]+$/.test(name)) {
+    throw new Error(`Invalid header name "${name}".`);
+  }
+  
+  if (value === null) {
+    return;
+  }
+  
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new Error(`Header "${name}" needs a value.`);
+  }
+  
+  switch (name) {
+    case 'Strict-Transport-Security':
+      if (!/^max-age=\d+(;\s*includeSubDomains)?(;\s*preload)?$/i.test(value)) {
+        throw new Error('Strict-Transport-Security must look like "max-age=<seconds>[; includeSubDomains][; preload]".');
+      }
+      break;
+    case 'X-Content-Type-Options':
+      if (value !== 'nosniff') {
+        throw new Error('X-Content-Type-Options can only be "nosniff".');
+      }
+      break;
+    case 'X-Frame-Options':
+      if (!['DENY', 'SAMEORIGIN'].includes(value.toUpperCase())) {
+        throw new Error('X-Frame-Options must be DENY or SAMEORIGIN.');
+      }
+      break;
+    case 'Referrer-Policy':
+      if (!REFERRER_POLICIES.includes(value)) {
+        throw new Error(`Referrer-Policy must be one of ${REFERRER_POLICIES.join(', ')}.`);
+      }
+      break;
+    case 'X-XSS-Protection':
+      if (!/^(0|1(;\s*mode=block)?(;\s*report=\S+)?)$/.test(value)) {
+        throw new Error('X-XSS-Protection must be 0, 1, "1; mode=block" or "1; report=<uri>".');
+      }
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Parse a --set option
+ * @param {string} spec - Option value, e.g. "Content-Security-Policy=default-src 'self'"
+ * @returns {object} - { name, value }
+ */
+function parseHeaderSpec(spec) {
+  const index = spec.indexOf('=');
+  if (index < 1) {
+    throw new Error(`Invalid header "${spec}". Use <name>=<value>, e.g. X-Frame-Options=SAMEORIGIN.`);
+  }
+  
+  const name = normalizeHeaderName(spec.slice(0, index).trim());
+  const value = spec.slice(index + 1).trim();
+  validateHeader(name, value);
+  return { name, value };
+}
+
+/**
+ * Work out the header overrides to save from the command options
+ * @param {object} siteConfig - Site configuration
+ * @param {object} options - Command options (set, unset, reset)
+ * @returns {object} - Header overrides by name; null turns a default header off
+ */
+function applyHeaderOptions(siteConfig, options = {}) {
+  const headers = options.reset ? {} : { ...(siteConfig.headers || {}) };
+  
+  (options.set || []).forEach(spec => {
+    const { name, value } = parseHeaderSpec(spec);
+    headers[name] = value;
+  });
+  
+  (options.unset || []).forEach(rawName => {
+    const name = normalizeHeaderName(rawName);
+    validateHeader(name, null);
+    if (DEFAULT_HEADERS[name] !== undefined) {
+      headers[name] = null;
+    } else {
+      delete headers[name];
+    }
+  });
+  
+  return headers;
+}
+
+/**
+ * Resolve the response headers for a site: the defaults with the site's overrides on top
+ * @param {object} siteConfig - Site configuration (headers)
+ * @returns {object} - Header values by name
+ */
+function resolveHeaders({ headers } = {}) {
+  const resolved = { ...DEFAULT_HEADERS };
+  
+  Object.entries(headers || {}).forEach(([rawName, value]) => {
+    const name = normalizeHeaderName(rawName);
+    validateHeader(name, value);
+    if (value === null) {
+      delete resolved[name];
+    } else {
+      resolved[name] = value;
+    }
+  });
+  
+  return resolved;
+}
+
+/**
+ * List header values in a stable order, for comparing and printing them
+ * @param {object} headers - Header values by name
+ * @returns {Array<object>} - { name, value } sorted by name
+ */
+function listHeaders(headers) {
+  return Object.keys(headers)
+    .sort()
+    .map(name => ({ name, value: headers[name] }));
+}
+
+module.exports = {
+  DEFAULT_HEADERS,
+  SECURITY_HEADERS,
+  normalizeHeaderName,
+  parseHeaderSpec,
+  applyHeaderOptions,
+  resolveHeaders,
+  listHeaders
+};
@@ -0,0 +1,88 @@
+/**
+ * Asset optimization settings: the stages ssc runs on public/ after Zola builds it
+ */
+
+const path = require('path');
+
+const STAGES = ['minify', 'images', 'precompress', 'fingerprint'];
+
+// Stages that only run when asked for: fingerprinted copies change the URLs pages link to
+const OPT_IN_STAGES = ['fingerprint'];
+
+// Text files that get Brotli and gzip copies; the CloudFront function serves a copy to browsers that accept it
+const PRECOMPRESS_EXTENSIONS = ['.html', '.css', '.js', '.mjs', '.json', '.xml', '.svg', '.txt'];
+
+// Extensions of the compressed copies, with the Content-Encoding they are served with
+const ENCODING_EXTENSIONS = { '.br': 'br', '.gz': 'gzip' };
+
+/**
+ * Work out the optimization settings to save from the command line options
+ * --enable turns every stage on unless it is switched off with --no-<stage>, except opt-in stages, which
+ * need --<stage>; --disable turns them all off.
+ * @param {object} siteConfig - Site configuration (optimize)
+ * @param {object} options - Command options (enable, disable, minify, images, precompress, fingerprint)
+ * @returns {object|null} - { minify, images, precompress, fingerprint }, or null when optimization is off
+ */
+function applyOptimizeOptions(siteConfig, options = {}) {
+  if (options.disable) {
+    return null;
+  }
+  
+  const current = siteConfig.optimize || (options.enable ? {} : null);
+  if (!current) {
+    return null;
+  }
+  
+  return STAGES.reduce((settings, stage) => ({
+    ...settings,
+    [stage]: options[stage] !== undefined ? Boolean(options[stage]) : isStageOn(current, stage)
+  }), {});
+}
+
+/**
+ * Check whether saved settings run a stage
+ * @param {object} optimize - Saved settings
+ * @param {string} stage - Stage name
+ * @returns {boolean} - Whether the stage runs; stages missing from the settings run unless they are opt-in
+ */
+function isStageOn(optimize, stage) {
+  return OPT_IN_STAGES.includes(stage) ? optimize[stage] === true : optimize[stage] !== false;
+}
+
+/**
+ * Resolve the stages that run for a site
+ * @param {object} siteConfig - Site configuration (optimize)
+ * @returns {object} - { enabled, minify, images, precompress, fingerprint }; every stage is off without settings
+ */
+function resolveOptimizeSettings({ optimize } = {}) {
+  return STAGES.reduce((settings, stage) => ({
+    ...settings,
+    [stage]: Boolean(optimize) && isStageOn(optimize, stage)
+  }), { enabled: Boolean(optimize) });
+}
+
+/**
+ * Get the Content-Encoding of a compressed copy ssc optimize wrote, e.g. style.css.br
+ * @param {string} key - Object key or file path
+ * @returns {string|null} - br or gzip, or null for any other file
+ */
+function getContentEncoding(key) {
+  const extension = path.extname(key);
+  if (!ENCODING_EXTENSIONS[extension]) {
+    return null;
+  }
+  
+  return PRECOMPRESS_EXTENSIONS.includes(path.extname(key.slice(0, -extension.length)).toLowerCase()) ?
+    ENCODING_EXTENSIONS[extension] :
+    null;
+}
+
+module.exports = {
+  STAGES,
+  OPT_IN_STAGES,
+  PRECOMPRESS_EXTENSIONS,
+  ENCODING_EXTENSIONS,
+  applyOptimizeOptions,
+  resolveOptimizeSettings,
+  getContentEncoding
+};
@@ -0,0 +1,156 @@
+/**
+ * Redirect rules: the site's redirects.toml and the aliases in Zola front matter, which the
+ * CloudFront function answers before the request reaches the bucket
+ */
+
+const fs = require('fs');
+const path = require('path');
+const TOML = require('@iarna/toml');
+const logger = require('./logger');
+const { getContentUrlPath, listContentFiles, parseFrontMatter } = require('./content');
+
+const REDIRECTS_FILE = 'redirects.toml';
+
+// Redirect codes the CloudFront function can answer with
+const REDIRECT_STATUSES = [301, 302, 307, 308];
+
+const REDIRECT_TYPES = ['exact', 'prefix', 'wildcard'];
+
+/**
+ * Check a redirect rule and fill in its defaults
+ * Rules with a * in "from" are wildcard rules; other rules are exact unless they say type = "prefix".
+ * @param {object} rule - { from, to, status, type }
+ * @returns {object} - { from, to, status, type }
+ */
+function normalizeRedirect(rule) {
+  const { from, to } = rule || {};
+  if (typeof from !== 'string' || !from.startsWith('/')) {
+    throw new Error(`Invalid redirect source "${from}". Use a path starting with "/", e.g. /old-page/.`);
+  }
+  if (typeof to !== 'string' || !(to.startsWith('/') || /^https?:\/\//.test(to))) {
+    throw new Error(`Invalid redirect target "${to}" for ${from}. Use a path starting with "/" or an http(s) URL.`);
+  }
+  
+  const status = rule.status !== undefined ? Number(rule.status) : 301;
+  if (!REDIRECT_STATUSES.includes(status)) {
+    throw new Error(`Invalid redirect status ${rule.status} for ${from}. Use one of ${REDIRECT_STATUSES.join(', ')}.`);
+  }
+  
+  const type = rule.type || (from.includes('*') ? 'wildcard' : 'exact');
+  if (!REDIRECT_TYPES.includes(type)) {
+    throw new Error(`Invalid redirect type "${type}" for ${from}. Use one of ${REDIRECT_TYPES.join(', ')}.`);
+  }
+  if (type !== 'wildcard' && from.includes('*')) {
+    throw new Error(`Redirect source ${from} has a * but is not a wildcard rule.`);
+  }
+  
+  return { from, to, status, type };
+}
+
+/**
+ * Read the rules in a site's redirects.toml
+ * @param {string} sitePath - Path to the site
+ * @returns {Array<object>} - Redirect rules in file order; empty without a file
+ */
+function readRedirectsFile(sitePath) {
+  const filePath = path.join(sitePath, REDIRECTS_FILE);
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+  
+  let parsed;
+  try {
+    parsed = TOML.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${REDIRECTS_FILE}: ${error.message}`);
+  }
+  
+  return (parsed.redirects || []).map(normalizeRedirect);
+}
+
+/**
+ * Write the rules to a site's redirects.toml
+ * The type is only written for prefix rules; the others follow from "from".
+ * @param {string} sitePath - Path to the site
+ * @param {Array<object>} rules - Redirect rules
+ */
+function writeRedirectsFile(sitePath, rules) {
+  const redirects = rules.map(rule => {
+    const entry = { from: rule.from, to: rule.to, status: rule.status };
+    if (rule.type === 'prefix') {
+      entry.type = 'prefix';
+    }
+    return entry;
+  });
+  
+  fs.writeFileSync(path.join(sitePath, REDIRECTS_FILE), TOML.stringify({ redirects }));
+}
+
+/**
+ * Find the aliases in the TOML front matter of a site's content
+ * @param {string} sitePath - Path to the site
+ * @returns {Array<object>} - Redirect rules from each alias to its page
+ */
+function findZolaAliases(sitePath) {
+  const contentPath = path.join(sitePath, 'content');
+  if (!fs.existsSync(contentPath)) {
+    return [];
+  }
+  
+  return listContentFiles(contentPath).flatMap(filePath => {
+    let parsed;
+    try {
+      parsed = parseFrontMatter(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      logger.warn(`Skipping aliases in ${path.relative(sitePath, filePath)}: ${error.message}`);
+      return [];
+    }
+    if (!parsed) {
+      return [];
+    }
+    
+    const { frontMatter } = parsed;
+    const aliases = Array.isArray(frontMatter.aliases) ? frontMatter.aliases : [];
+    const to = getContentUrlPath(path.relative(contentPath, filePath), frontMatter);
+    return aliases.map(alias => normalizeRedirect({
+      from: `/${String(alias).replace(/^\/+/, '')}`,
+      to,
+      type: 'exact'
+    }));
+  });
+}
+
+/**
+ * Load every redirect of a site: redirects.toml first, then the Zola aliases
+ * A rule in redirects.toml wins over an alias with the same source.
+ * @param {string} sitePath - Path to the site
+ * @returns {Array<object>} - Redirect rules, each with its source ("file" or "alias")
+ */
+function loadRedirects(sitePath) {
+  if (!fs.existsSync(sitePath)) {
+    logger.warn(`Site directory "${sitePath}" not found. Redirects from ${REDIRECTS_FILE} and page aliases are left out.`);
+    return [];
+  }
+  
+  const rules = readRedirectsFile(sitePath).map(rule => ({ ...rule, source: 'file' }));
+  const sources = new Set(rules.map(rule => rule.from));
+  
+  findZolaAliases(sitePath).forEach(rule => {
+    if (!sources.has(rule.from)) {
+      sources.add(rule.from);
+      rules.push({ ...rule, source: 'alias' });
+    }
+  });
+  
+  return rules;
+}
+
+module.exports = {
+  REDIRECTS_FILE,
+  REDIRECT_STATUSES,
+  normalizeRedirect,
+  readRedirectsFile,
+  writeRedirectsFile,
+  findZolaAliases,
+  loadRedirects
+};
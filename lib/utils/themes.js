@@ -0,0 +1,239 @@
+/**
+ * Zola themes: the bundled catalogue of known themes, theme specs given on the command line,
+ * and the config keys a theme needs in the site's config.toml
+ */
+
+const fs = require('fs');
+const path = require('path');
+const TOML = require('@iarna/toml');
+const catalogue = require('../data/themes.json');
+
+// Files a theme keeps its example site configuration in, in order of preference
+const SAMPLE_CONFIG_FILES = ['config.example.toml', 'config.toml'];
+
+/**
+ * List the themes in the catalogue
+ * @returns {Array<object>} - { name, description, repo, branch, requiredConfig } sorted by name
+ */
+function listCatalogueThemes() {
+  return Object.keys(catalogue)
+    .sort()
+    .map(name => ({ name, ...catalogue[name] }));
+}
+
+/**
+ * Check whether a theme spec is a Git URL rather than a catalogue name
+ * @param {string} spec - Theme spec without the #ref
+ * @returns {boolean} - True for http(s), ssh, git@ and file URLs and paths ending in .git
+ */
+function isGitUrl(spec) {
+  return /^(https?|ssh|git|file):\/\//.test(spec) || /^[\w.-]+@[\w.-]+:/.test(spec) || spec.endsWith('.git');
+}
+
+/**
+ * Resolve a theme spec: a catalogue name or a Git URL, either with an optional #ref
+ * A URL of a catalogue theme gets the catalogue's name and required config.
+ * @param {string} spec - e.g. serene, tabi#v2.0.0 or https://github.com/user/theme.git#main
+ * @returns {object} - { name, repo, branch, ref, requiredConfig }; branch is set for catalogue
+ *   themes without a ref, ref for everything given with #ref
+ */
+function resolveThemeSpec(spec) {
+  const hashIndex = String(spec || '').lastIndexOf('#');
+  const base = hashIndex === -1 ? String(spec || '').trim() : spec.slice(0, hashIndex).trim();
+  const ref = hashIndex === -1 ? null : spec.slice(hashIndex + 1).trim() || null;
+  
+  if (!base) {
+    throw new Error('No theme given. Use a theme name from the catalogue or a Git URL.');
+  }
+  
+  if (!isGitUrl(base)) {
+    const entry = catalogue[base];
+    if (!entry) {
+      throw new Error(`Unknown theme "${base}". Use a Git URL for themes outside the catalogue, or one of: ${Object.keys(catalogue).sort().join(', ')}.`);
+    }
+    return {
+      name: base,
+      repo: entry.repo,
+      branch: ref ? null : entry.branch,
+      ref,
+      requiredConfig: entry.requiredConfig || {}
+    };
+  }
+  
+  const known = listCatalogueThemes().find(theme => theme.repo.replace(/\.git$/, '') === base.replace(/\.git$/, ''));
+  const name = known ? known.name : path.basename(base.replace(/\/+$/, '')).replace(/\.git$/, '');
+  if (!/^[\w.-]+$/.test(name)) {
+    throw new Error(`Cannot work out a theme name from "${base}".`);
+  }
+  
+  return {
+    name,
+    repo: base,
+    branch: null,
+    ref,
+    requiredConfig: known ? known.requiredConfig || {} : {}
+  };
+}
+
+/**
+ * Read the example site configuration a theme ships with
+ * @param {string} themeDir - Path to the installed theme
+ * @returns {object|null} - Parsed configuration, or null if the theme has none (or it does not parse)
+ */
+function readThemeSampleConfig(themeDir) {
+  const file = SAMPLE_CONFIG_FILES
+    .map(name => path.join(themeDir, name))
+    .find(filePath => fs.existsSync(filePath));
+  if (!file) {
+    return null;
+  }
+  
+  try {
+    return TOML.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Point a site's config.toml at a theme
+ * @param {string} content - The site's config.toml
+ * @param {string} name - Theme directory name under themes/
+ * @returns {string} - The document with a top-level theme key
+ */
+function setThemeName(content, name) {
+  const line = `theme = ${JSON.stringify(name)}`;
+  const firstTable = content.search(/^[ \t]*\[/m);
+  const rootKeys = firstTable === -1 ? content : content.slice(0, firstTable);
+  
+  if (/^[ \t]*theme[ \t]*=.*$/m.test(rootKeys)) {
+    return content.replace(/^[ \t]*theme[ \t]*=.*$/m, line);
+  }
+  
+  // A theme key after a table header would belong to that table
+  const withNewline = content.endsWith('\n') ? content : `${content}\n`;
+  return insertBeforeFirstTable(withNewline, `${line}\n`);
+}
+
+/**
+ * Take the theme key out of a site's config.toml
+ * @param {string} content - The site's config.toml
+ * @returns {string} - The document without a top-level theme key
+ */
+function removeThemeName(content) {
+  const firstTable = content.search(/^[ \t]*\[/m);
+  const rootKeys = firstTable === -1 ? content : content.slice(0, firstTable);
+  const withoutTheme = rootKeys.replace(/^[ \t]*theme[ \t]*=.*\n?/m, '').replace(/\n{3,}$/, '\n\n');
+  return `${withoutTheme}${firstTable === -1 ? '' : content.slice(firstTable)}`;
+}
+
+/**
+ * Add the keys a theme needs to a site's config.toml
+ * Keys the site already sets are left alone. Required top-level keys go before the first table,
+ * [extra] keys from the theme's example configuration into the site's [extra] section.
+ * @param {string} content - The site's config.toml
+ * @param {object} requiredConfig - Top-level keys the theme needs
+ * @param {object|null} sampleConfig - The theme's parsed example configuration
+ * @returns {object} - { content, added }; added lists the keys that were added, e.g. extra.menu
+ */
+function mergeThemeConfig(content, requiredConfig, sampleConfig) {
+  const siteConfig = TOML.parse(content);
+  const added = [];
+  let merged = content.endsWith('\n') ? content : `${content}\n`;
+  
+  const missingRoot = pickMissing(requiredConfig || {}, siteConfig);
+  if (Object.keys(missingRoot).length > 0) {
+    merged = insertBeforeFirstTable(merged, TOML.stringify(missingRoot));
+    added.push(...Object.keys(missingRoot));
+  }
+  
+  const sampleExtra = sampleConfig && isTable(sampleConfig.extra) ? sampleConfig.extra : {};
+  const missingExtra = pickMissing(sampleExtra, isTable(siteConfig.extra) ? siteConfig.extra : {});
+  if (Object.keys(missingExtra).length > 0) {
+    merged = addExtraKeys(merged, missingExtra, siteConfig.extra !== undefined);
+    added.push(...Object.keys(missingExtra).map(key => `extra.${key}`));
+  }
+  
+  // Hand-written configs can lay tables out in ways the text edits above do not expect
+  try {
+    TOML.parse(merged);
+  } catch (error) {
+    throw new Error(`Merging the theme's config into config.toml did not give valid TOML: ${error.message}`);
+  }
+  
+  return { content: merged, added };
+}
+
+/**
+ * Pick the keys of a table that another table does not have
+ * @param {object} source - Keys to pick from
+ * @param {object} target - Keys already set
+ * @returns {object} - The missing keys and their values
+ */
+function pickMissing(source, target) {
+  return Object.keys(source)
+    .filter(key => target[key] === undefined)
+    .reduce((missing, key) => ({ ...missing, [key]: source[key] }), {});
+}
+
+/**
+ * Check whether a parsed TOML value is a table
+ * @param {*} value - Parsed value
+ * @returns {boolean} - True for tables
+ */
+function isTable(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+/**
+ * Insert TOML before the first table header of a document, where top-level keys belong
+ * @param {string} content - TOML document
+ * @param {string} block - TOML to insert
+ * @returns {string} - The document with the block inserted
+ */
+function insertBeforeFirstTable(content, block) {
+  const match = /^[ \t]*\[/m.exec(content);
+  if (!match) {
+    return `${content}${block}`;
+  }
+  return `${content.slice(0, match.index)}${block}\n${content.slice(match.index)}`;
+}
+
+/**
+ * Add keys to the [extra] section of a document, creating the section if it has none
+ * @param {string} content - TOML document
+ * @param {object} keys - Keys to add under [extra]
+ * @param {boolean} hasExtra - Whether the document already has an [extra] section
+ * @returns {string} - The document with the keys added
+ */
+function addExtraKeys(content, keys, hasExtra) {
+  const block = TOML.stringify({ extra: keys });
+  if (!hasExtra) {
+    return `${content}\n${block}`;
+  }
+  
+  // Plain keys go right under the existing header; sub-tables such as [extra.menu] at the end
+  const firstSubTable = block.search(/^[ \t]*\[\[?extra\./m);
+  const plainKeys = block.slice(0, firstSubTable === -1 ? block.length : firstSubTable).replace(/^\[extra\]\n/, '');
+  const subTables = firstSubTable === -1 ? '' : block.slice(firstSubTable);
+  
+  const header = /^[ \t]*\[extra\][ \t]*(#.*)?$/m.exec(content);
+  if (!header) {
+    throw new Error('config.toml sets extra without an [extra] section; add the theme\'s extra keys by hand.');
+  }
+  
+  const insertAt = header.index + header[0].length + 1;
+  const withKeys = `${content.slice(0, insertAt)}${plainKeys.trim() ? `${plainKeys.trim()}\n` : ''}${content.slice(insertAt)}`;
+  return subTables ? `${withKeys}\n${subTables}` : withKeys;
+}
+
+module.exports = {
+  SAMPLE_CONFIG_FILES,
+  listCatalogueThemes,
+  isGitUrl,
+  resolveThemeSpec,
+  readThemeSampleConfig,
+  setThemeName,
+  removeThemeName,
+  mergeThemeConfig
+};
@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  IMMUTABLE_CACHE_CONTROL,
+  parseCacheRuleSpec,
+  applyCacheOptions,
+  resolveCacheRules,
+  restrictCachePattern,
+  getCacheControl
+} = require('../lib/utils/cache');
+
+describe('resolveCacheRules', () => {
+  it('puts the site rules first, then fingerprinted files, then the defaults', () => {
+    const rules = resolveCacheRules({
+      cacheRules: [{ pattern: 'images/*', cacheControl: 'max-age=600' }],
+      optimize: { fingerprint: true }
+    });
+    assert.deepEqual(rules.map(rule => rule.pattern), ['images/*', '*.[0-9a-f][0-9a-f][0-9a-f][0-9a-f][0-9a-f][0-9a-f][0-9a-f][0-9a-f].*', '*.html', '*']);
+  });
+  
+  it('gives each file the first rule that matches it', () => {
+    const rules = resolveCacheRules({
+      cacheRules: [{ pattern: 'images/*', cacheControl: 'max-age=600' }],
+      optimize: { fingerprint: true }
+    });
+    assert.equal(getCacheControl('images/logo.png', rules), 'max-age=600');
+    assert.equal(getCacheControl('style.1a2b3c4d.css', rules), IMMUTABLE_CACHE_CONTROL);
+    assert.equal(getCacheControl('blog/index.html', rules), 'no-cache');
+    assert.equal(getCacheControl('blog/index.html.br', rules), 'no-cache');
+    assert.equal(getCacheControl('style.css', rules), 'max-age=86400');
+  });
+  
+  it('matches any alternative of a pattern', () => {
+    const rules = resolveCacheRules({ cacheRules: [parseCacheRuleSpec('*.css|*.js=max-age=604800')] });
+    assert.equal(getCacheControl('assets/app.js', rules), 'max-age=604800');
+    assert.equal(getCacheControl('style.css.gz', rules), 'max-age=604800');
+    assert.equal(getCacheControl('logo.svg', rules), 'max-age=86400');
+  });
+  
+  it('rejects rules from the site config that the workflow could not quote', () => {
+    assert.throws(() => resolveCacheRules({ cacheRules: [{ pattern: '$(id)', cacheControl: 'no-cache' }] }), /Invalid cache pattern/);
+    assert.throws(() => resolveCacheRules({ cacheRules: [{ pattern: '*.css', cacheControl: 'no-cache"; id; "' }] }), /Invalid Cache-Control/);
+  });
+});
+
+describe('parseCacheRuleSpec', () => {
+  it('splits on the first =', () => {
+    assert.deepEqual(parseCacheRuleSpec('*.css=public, max-age=60'), { pattern: '*.css', cacheControl: 'public, max-age=60' });
+  });
+  
+  it('trims the alternatives of a pattern', () => {
+    assert.equal(parseCacheRuleSpec('*.css | *.js=no-cache').pattern, '*.css|*.js');
+  });
+  
+  it('rejects shell metacharacters, absolute paths and empty alternatives', () => {
+    ['*.`id`=no-cache', 'a\\b=no-cache', 'a"b=no-cache', '/blog/*=no-cache', '*.css||*.js=no-cache', 'novalue'].forEach(spec => {
+      assert.throws(() => parseCacheRuleSpec(spec), /Invalid cache/);
+    });
+  });
+});
+
+describe('applyCacheOptions', () => {
+  it('replaces a rule in place and removes unset ones', () => {
+    const siteConfig = {
+      cacheRules: [
+        { pattern: '*.css', cacheControl: 'max-age=60' },
+        { pattern: 'images/*', cacheControl: 'max-age=600' }
+      ]
+    };
+    const rules = applyCacheOptions(siteConfig, { set: ['*.css=max-age=120', '*.js=max-age=60'], unset: ['images/*'] });
+    assert.deepEqual(rules, [
+      { pattern: '*.css', cacheControl: 'max-age=120' },
+      { pattern: '*.js', cacheControl: 'max-age=60' }
+    ]);
+  });
+  
+  it('refuses to unset a rule the site does not have', () => {
+    assert.throws(() => applyCacheOptions({}, { unset: ['*.css'] }), /no cache rule/);
+  });
+});
+
+describe('restrictCachePattern', () => {
+  it('narrows each alternative to one file type', () => {
+    assert.deepEqual(restrictCachePattern('*.css|images/*', '.css'), ['*.css', 'images/*.css']);
+    assert.deepEqual(restrictCachePattern('*.png', '.css'), []);
+  });
+});
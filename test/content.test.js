@@ -0,0 +1,53 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { slugify, formatLocalDate, getContentUrlPath } = require('../lib/utils/content');
+
+describe('slugify', () => {
+  it('lowercases and joins words with dashes', () => {
+    assert.equal(slugify('Hello, World!'), 'hello-world');
+    assert.equal(slugify('  --Draft  Post--  '), 'draft-post');
+  });
+  
+  it('strips accents the way Zola does', () => {
+    assert.equal(slugify('Café au lait'), 'cafe-au-lait');
+    assert.equal(slugify('Ångström Niño'), 'angstrom-nino');
+    assert.equal(slugify('Crème Brûlée'), 'creme-brulee');
+  });
+  
+  it('keeps digits', () => {
+    assert.equal(slugify('Top 10 Tips'), 'top-10-tips');
+  });
+});
+
+describe('formatLocalDate', () => {
+  const timeZone = process.env.TZ;
+  after(() => {
+    if (timeZone === undefined) {
+      delete process.env.TZ;
+    } else {
+      process.env.TZ = timeZone;
+    }
+  });
+  
+  it('pads the month and day', () => {
+    assert.equal(formatLocalDate(new Date(2024, 0, 5, 12)), '2024-01-05');
+  });
+  
+  it('uses the local calendar day rather than UTC', () => {
+    process.env.TZ = 'Pacific/Auckland';
+    assert.equal(formatLocalDate(new Date('2024-01-01T12:00:00Z')), '2024-01-02');
+    process.env.TZ = 'America/Los_Angeles';
+    assert.equal(formatLocalDate(new Date('2024-01-02T03:00:00Z')), '2024-01-01');
+  });
+});
+
+describe('getContentUrlPath', () => {
+  it('drops the date prefix and slugifies sections', () => {
+    assert.equal(getContentUrlPath('Blog Posts/2024-01-02-Café.md', {}), '/blog-posts/cafe/');
+  });
+  
+  it('follows slug and path in the front matter', () => {
+    assert.equal(getContentUrlPath('blog/hello.md', { slug: 'hi' }), '/blog/hi/');
+    assert.equal(getContentUrlPath('blog/hello.md', { path: '/about/' }), '/about/');
+  });
+});
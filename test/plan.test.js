@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { KNOWN_AFTER_APPLY, diffValues } = require('../lib/services/plan');
+
+describe('diffValues', () => {
+  it('reports nothing when the desired keys match', () => {
+    assert.deepEqual(diffValues({ name: 'site', arn: 'arn:aws:s3:::site' }, { name: 'site' }), []);
+  });
+  
+  it('reports each changed leaf with its path', () => {
+    const current = { config: { enabled: false, aliases: ['a.example.com'], origin: { path: '' } } };
+    const desired = { config: { enabled: true, aliases: ['b.example.com'], origin: { path: '' } } };
+    assert.deepEqual(diffValues(current, desired), [
+      { path: 'config.enabled', before: false, after: true },
+      { path: 'config.aliases[0]', before: 'a.example.com', after: 'b.example.com' }
+    ]);
+  });
+  
+  it('compares lists of different lengths as a whole', () => {
+    assert.deepEqual(diffValues({ items: ['a'] }, { items: ['a', 'b'] }), [
+      { path: 'items', before: ['a'], after: ['a', 'b'] }
+    ]);
+  });
+  
+  it('treats missing values and empty lists alike', () => {
+    assert.deepEqual(diffValues({}, { aliases: [], comment: null }), []);
+  });
+  
+  it('reports values that do not exist yet as changes', () => {
+    assert.deepEqual(diffValues(undefined, { arn: KNOWN_AFTER_APPLY }), [
+      { path: 'arn', before: null, after: KNOWN_AFTER_APPLY }
+    ]);
+  });
+});
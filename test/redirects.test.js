@@ -0,0 +1,39 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getCloudfrontFunctionCode } = require('../lib/services/aws');
+const { compileViewerRequestFunction } = require('../lib/services/edge');
+
+const viewerRequest = compileViewerRequestFunction(getCloudfrontFunctionCode({
+  redirects: [
+    { type: 'exact', from: '/old/', to: '/new/', status: 301 },
+    { type: 'prefix', from: '/docs', to: '/guide', status: 302 },
+    { type: 'prefix', from: '/blog/', to: '/posts/', status: 301 },
+    { type: 'wildcard', from: '/tags/*/page/*', to: '/topics/$1/$2/', status: 308 }
+  ]
+}));
+
+describe('path redirects', () => {
+  it('matches exact rules with or without a trailing slash', async () => {
+    assert.deepEqual(await viewerRequest({ url: '/old' }), { status: 301, location: '/new/' });
+    assert.deepEqual(await viewerRequest({ url: '/old/' }), { status: 301, location: '/new/' });
+  });
+  
+  it('matches prefix rules on whole path segments', async () => {
+    assert.deepEqual(await viewerRequest({ url: '/docs' }), { status: 302, location: '/guide' });
+    assert.deepEqual(await viewerRequest({ url: '/docs/setup/' }), { status: 302, location: '/guide/setup/' });
+    assert.deepEqual(await viewerRequest({ url: '/blog/a/' }), { status: 301, location: '/posts/a/' });
+  });
+  
+  it('leaves paths that only share the prefix text alone', async () => {
+    assert.deepEqual(await viewerRequest({ url: '/docsy/' }), { uri: '/docsy/index.html' });
+    assert.deepEqual(await viewerRequest({ url: '/blogger/' }), { uri: '/blogger/index.html' });
+  });
+  
+  it('fills wildcard captures into the target', async () => {
+    assert.deepEqual(await viewerRequest({ url: '/tags/rust/page/2' }), { status: 308, location: '/topics/rust/2/' });
+  });
+  
+  it('passes the query string on', async () => {
+    assert.deepEqual(await viewerRequest({ url: '/docs/a?b=1' }), { status: 302, location: '/guide/a?b=1' });
+  });
+});